@@ -0,0 +1,131 @@
+// --- Abuse Protection: per-connection token buckets, action cooldowns and escalation ---
+
+// Every message counts against the connection-wide bucket; some types also have their own.
+const MESSAGE_RATE_PER_SECOND = parseFloat(process.env.MESSAGE_RATE_PER_SECOND) || 10;
+const MESSAGE_BURST = parseInt(process.env.MESSAGE_BURST, 10) || 60;
+const TYPE_LIMITS = {
+    // ICE gathering sends a burst of candidates at call start (and again on ICE restart);
+    // joining a full group room does it once per member.
+    candidate: { burst: 100, perSecond: 5 },
+    offer: { burst: 10, perSecond: 0.5 },
+    answer: { burst: 10, perSecond: 0.5 },
+    mute: { burst: 10, perSecond: 2 },
+    chat_message: { burst: 10, perSecond: 1 },
+    // One message on press and one on release.
+    talk_state: { burst: 20, perSecond: 4 },
+    speaking_state: { burst: 20, perSecond: 4 },
+    call_quality: { burst: 3, perSecond: 0.2 },
+    rate_call: { burst: 3, perSecond: 0.2 },
+    room_list: { burst: 5, perSecond: 0.5 },
+    room_join: { burst: 3, perSecond: 0.2 },
+    register: { burst: 5, perSecond: 0.1 },
+    login: { burst: 5, perSecond: 0.1 },
+    report_user: { burst: 3, perSecond: 1 / 60 },
+    block_user: { burst: 5, perSecond: 1 / 60 },
+    friend_request: { burst: 5, perSecond: 1 / 60 },
+    friend_respond: { burst: 10, perSecond: 0.5 },
+    friend_remove: { burst: 10, perSecond: 0.5 },
+    invite: { burst: 3, perSecond: 0.1 },
+    accept_invite: { burst: 3, perSecond: 0.2 },
+    decline_invite: { burst: 5, perSecond: 0.5 }
+};
+
+// change_partner jumps the queue, so it cannot be repeated faster than this.
+const CHANGE_PARTNER_COOLDOWN_MS = parseInt(process.env.CHANGE_PARTNER_COOLDOWN_MS, 10) || 5000;
+const JOIN_COOLDOWN_MS = parseInt(process.env.JOIN_COOLDOWN_MS, 10) || 3000;
+const COOLDOWNS = {
+    change_partner: CHANGE_PARTNER_COOLDOWN_MS,
+    join: JOIN_COOLDOWN_MS
+};
+
+// Escalation within the window: the first violations are answered with a warning, then every
+// message is dropped for THROTTLE_MS, and past the disconnect threshold the socket is closed.
+// Dropped messages are not violations unless they also exceed the connection-wide rate: a client
+// that keeps sending keepalives and ICE candidates through a throttle is not pushed to a disconnect.
+const ABUSE_WINDOW_MS = parseInt(process.env.ABUSE_WINDOW_MS, 10) || 60 * 1000;
+const ABUSE_WARN_LIMIT = parseInt(process.env.ABUSE_WARN_LIMIT, 10) || 3;
+const ABUSE_DISCONNECT_LIMIT = parseInt(process.env.ABUSE_DISCONNECT_LIMIT, 10) || 20;
+const THROTTLE_MS = parseInt(process.env.THROTTLE_MS, 10) || 10 * 1000;
+
+function createBucket(burst, perSecond, now) {
+    return { tokens: burst, burst, perSecond, updatedAt: now };
+}
+
+function takeToken(bucket, now) {
+    bucket.tokens = Math.min(bucket.burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * bucket.perSecond);
+    bucket.updatedAt = now;
+    if (bucket.tokens < 1) {
+        return false;
+    }
+    bucket.tokens -= 1;
+    return true;
+}
+
+// --- Per-connection state, stored on the user object ---
+function createConnectionGuard(now = Date.now()) {
+    return {
+        overall: createBucket(MESSAGE_BURST, MESSAGE_RATE_PER_SECOND, now),
+        byType: new Map(),
+        lastActionAt: new Map(),
+        violations: [],
+        throttledUntil: 0
+    };
+}
+
+function escalate(guard, code, retryAfterMs, now) {
+    guard.violations = guard.violations.filter(timestamp => now - timestamp < ABUSE_WINDOW_MS);
+    guard.violations.push(now);
+    if (guard.violations.length > ABUSE_DISCONNECT_LIMIT) {
+        return { action: 'disconnect', code };
+    }
+    if (guard.violations.length > ABUSE_WARN_LIMIT) {
+        guard.throttledUntil = now + THROTTLE_MS;
+        return { action: 'throttle', code, retryAfterMs: THROTTLE_MS };
+    }
+    return { action: 'warn', code, retryAfterMs };
+}
+
+// --- Check a message before dispatch ---
+// `type` is null for the connection-wide check done before the frame is parsed.
+// Returns { action: 'allow' }, { action: 'drop' } while throttled,
+// or { action: 'warn' | 'throttle' | 'disconnect', code, retryAfterMs }.
+function checkMessage(guard, type, now = Date.now()) {
+    if (now < guard.throttledUntil) {
+        if (type === null && !takeToken(guard.overall, now)) {
+            return escalate(guard, 'RATE_LIMITED', guard.throttledUntil - now, now);
+        }
+        return { action: 'drop', code: 'RATE_LIMITED' };
+    }
+
+    if (type === null) {
+        return takeToken(guard.overall, now)
+            ? { action: 'allow' }
+            : escalate(guard, 'RATE_LIMITED', Math.ceil(1000 / MESSAGE_RATE_PER_SECOND), now);
+    }
+
+    const limit = TYPE_LIMITS[type];
+    if (limit) {
+        if (!guard.byType.has(type)) {
+            guard.byType.set(type, createBucket(limit.burst, limit.perSecond, now));
+        }
+        if (!takeToken(guard.byType.get(type), now)) {
+            return escalate(guard, 'RATE_LIMITED', Math.ceil(1000 / limit.perSecond), now);
+        }
+    }
+
+    const cooldownMs = COOLDOWNS[type];
+    if (cooldownMs) {
+        const elapsed = now - (guard.lastActionAt.get(type) || 0);
+        if (elapsed < cooldownMs) {
+            return escalate(guard, 'COOLDOWN', cooldownMs - elapsed, now);
+        }
+        guard.lastActionAt.set(type, now);
+    }
+
+    return { action: 'allow' };
+}
+
+module.exports = {
+    createConnectionGuard,
+    checkMessage
+};
@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const path = require('path');
+const { promisify } = require('util');
+const { createRecordStore } = require('./state');
+const { normalizeUsername, usernameSkeleton, validateUsername } = require('./usernamePolicy');
+
+const scrypt = promisify(crypto.scrypt);
+
+// --- Account Configuration ---
+const ACCOUNTS_FILE = process.env.ACCOUNTS_FILE || path.join(__dirname, '..', 'data', 'accounts.json');
+const SECRET_MIN_LENGTH = 4; // a 4-digit PIN is the shortest accepted secret
+const SECRET_MAX_LENGTH = 128;
+const REMEMBER_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const SESSION_TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+const MAX_TOKENS_PER_ACCOUNT = 5;
+// Short PINs are easy to guess: lock a username briefly for the address that keeps failing on it.
+// Keying on (username, address) means a stranger cannot lock a driver out of their own account.
+const MAX_FAILED_LOGINS = 5;
+const LOGIN_LOCKOUT_MS = 5 * 60 * 1000;
+// Each address also gets a failure budget across all usernames, so spraying one PIN over many names stays slow.
+const MAX_FAILED_LOGINS_PER_IP = 20;
+const LOGIN_IP_WINDOW_MS = 15 * 60 * 1000;
+
+// --- Error surfaced to the client by its machine-readable code (and `params`); the message is for the logs ---
+class AccountError extends Error {
+    constructor(code, message, params) {
+        super(message);
+        this.code = code;
+        this.params = params;
+    }
+}
+
+async function hashSecret(secret, salt) {
+    const derivedKey = await scrypt(secret, salt, 64);
+    return derivedKey.toString('hex');
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function validateSecret(secret) {
+    if (typeof secret !== 'string' || secret.length < SECRET_MIN_LENGTH || secret.length > SECRET_MAX_LENGTH) {
+        throw new AccountError('SECRET_LENGTH', `PIN or password must be between ${SECRET_MIN_LENGTH} and ${SECRET_MAX_LENGTH} characters.`, { min: SECRET_MIN_LENGTH, max: SECRET_MAX_LENGTH });
+    }
+}
+
+// Files written before the records moved behind the state adapter only have `accounts`, each account
+// holding its own login tokens: build the lookup hashes from them.
+function migrateAccountsFile(data) {
+    if (!data.accounts || data.usernames) {
+        return false;
+    }
+    data.usernames = {};
+    data.account_ids = {};
+    data.login_tokens = {};
+    Object.entries(data.accounts).forEach(([key, account]) => {
+        const nameSkeleton = usernameSkeleton(account.username);
+        if (!data.usernames[nameSkeleton]) {
+            data.usernames[nameSkeleton] = key;
+        }
+        data.account_ids[account.id] = key;
+        (account.tokens || []).forEach(entry => {
+            data.login_tokens[entry.hash] = { key, expiresAt: entry.expiresAt };
+        });
+    });
+    return true;
+}
+
+function publicAccount(account) {
+    return { id: account.id, username: account.username };
+}
+
+// `records` defaults to the shared state (or ACCOUNTS_FILE on a single instance), see lib/state/recordStore.js.
+// Hashes, keyed by the normalized username unless stated otherwise:
+//   accounts:     { id, username, salt, secretHash, createdAt, tokens: [{ hash, expiresAt }] }
+//   usernames:    username skeleton -> normalized username, claimed atomically so look-alike names
+//                 registered at the same time on two instances cannot both succeed
+//   account_ids:  account ID -> normalized username
+//   login_tokens: token hash -> { key, expiresAt }
+// Failed logins are counted per instance.
+class AccountStore {
+    constructor({ adapter, records = createRecordStore(adapter, { filePath: ACCOUNTS_FILE, migrate: migrateAccountsFile }) }) {
+        this.records = records;
+        this.failedLogins = new Map(); // `${username}|${ip}` -> { count, lastAttempt }
+        this.failedLoginsByIp = new Map(); // ip -> { count, windowStart }
+
+        // Forget failure counters once their lockout window has passed.
+        setInterval(() => {
+            const now = Date.now();
+            this.failedLogins.forEach((failures, key) => {
+                if (now - failures.lastAttempt >= LOGIN_LOCKOUT_MS) {
+                    this.failedLogins.delete(key);
+                }
+            });
+            this.failedLoginsByIp.forEach((budget, ip) => {
+                if (now - budget.windowStart >= LOGIN_IP_WINDOW_MS) {
+                    this.failedLoginsByIp.delete(ip);
+                }
+            });
+        }, LOGIN_LOCKOUT_MS).unref();
+    }
+
+    // --- Issue a login token: persisted 30 days with "remember me", otherwise valid for the day ---
+    // Saves the account, whose token list only serves to keep at most MAX_TOKENS_PER_ACCOUNT of them.
+    async issueToken(key, account, remember) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const now = Date.now();
+        const previous = account.tokens || [];
+        account.tokens = previous
+            .filter(entry => entry.expiresAt > now)
+            .slice(-(MAX_TOKENS_PER_ACCOUNT - 1));
+        const entry = { hash: hashToken(token), expiresAt: now + (remember ? REMEMBER_TOKEN_TTL_MS : SESSION_TOKEN_TTL_MS) };
+        account.tokens.push(entry);
+
+        await this.records.hashSet('login_tokens', entry.hash, { key, expiresAt: entry.expiresAt });
+        await this.records.hashSet('accounts', key, account);
+        const dropped = previous.filter(old => !account.tokens.includes(old));
+        await Promise.all(dropped.map(old => this.records.hashDelete('login_tokens', old.hash)));
+        return token;
+    }
+
+    async register(username, secret, remember) {
+        const reason = validateUsername(username);
+        if (reason) {
+            throw new AccountError(reason.code, reason.message, reason.params);
+        }
+        validateSecret(secret);
+
+        // A name is taken when an existing one looks the same: "Truсker" with a Cyrillic "с", "Trucker_"
+        // or "Trûcker" would pass for "Trucker".
+        const key = normalizeUsername(username);
+        const nameSkeleton = usernameSkeleton(username);
+        if (await this.records.hashGet('usernames', nameSkeleton)) {
+            throw new AccountError('USERNAME_TAKEN', 'This username is already taken.');
+        }
+
+        const salt = crypto.randomBytes(16).toString('hex');
+        const secretHash = await hashSecret(secret, salt);
+        // Claimed only after the hash: another registration, on any instance, may have taken the name meanwhile.
+        if (!(await this.records.hashSetIfAbsent('usernames', nameSkeleton, key))) {
+            throw new AccountError('USERNAME_TAKEN', 'This username is already taken.');
+        }
+
+        const account = {
+            id: crypto.randomUUID(),
+            username: username.normalize('NFKC').trim(),
+            salt,
+            secretHash,
+            createdAt: new Date().toISOString(),
+            tokens: []
+        };
+        await this.records.hashSet('account_ids', account.id, key);
+        const token = await this.issueToken(key, account, remember);
+        console.log(`[ACCOUNT_REGISTERED]: ${account.username} (account ${account.id}).`);
+        return { account: publicAccount(account), token };
+    }
+
+    async login(username, secret, remember, clientIp = 'unknown') {
+        if (typeof username !== 'string' || typeof secret !== 'string') {
+            throw new AccountError('CREDENTIALS_REQUIRED', 'Username and PIN or password are required.');
+        }
+        const key = normalizeUsername(username);
+        const failureKey = `${key}|${clientIp}`;
+        const now = Date.now();
+
+        const failures = this.failedLogins.get(failureKey);
+        if (failures && failures.count >= MAX_FAILED_LOGINS && now - failures.lastAttempt < LOGIN_LOCKOUT_MS) {
+            throw new AccountError('LOGIN_LOCKED', 'Too many failed attempts. Please try again in a few minutes.');
+        }
+        const ipBudget = this.failedLoginsByIp.get(clientIp);
+        const ipBudgetActive = ipBudget && now - ipBudget.windowStart < LOGIN_IP_WINDOW_MS;
+        if (ipBudgetActive && ipBudget.count >= MAX_FAILED_LOGINS_PER_IP) {
+            throw new AccountError('LOGIN_LOCKED', 'Too many failed attempts. Please try again in a few minutes.');
+        }
+
+        const account = await this.records.hashGet('accounts', key);
+        // Hash even for unknown accounts so response time does not reveal which usernames exist.
+        const secretHash = await hashSecret(secret.slice(0, SECRET_MAX_LENGTH), account ? account.salt : 'unknown-account');
+        if (!account || !crypto.timingSafeEqual(Buffer.from(secretHash, 'hex'), Buffer.from(account.secretHash, 'hex'))) {
+            const count = failures && now - failures.lastAttempt < LOGIN_LOCKOUT_MS ? failures.count + 1 : 1;
+            this.failedLogins.set(failureKey, { count, lastAttempt: now });
+            this.failedLoginsByIp.set(clientIp, ipBudgetActive
+                ? { count: ipBudget.count + 1, windowStart: ipBudget.windowStart }
+                : { count: 1, windowStart: now });
+            throw new AccountError('INVALID_CREDENTIALS', 'Invalid username or PIN/password.');
+        }
+
+        this.failedLogins.delete(failureKey);
+        const token = await this.issueToken(key, account, remember);
+        return { account: publicAccount(account), token };
+    }
+
+    async loginWithToken(token) {
+        if (typeof token !== 'string' || token.length === 0) {
+            throw new AccountError('INVALID_TOKEN', 'Invalid or expired login token.');
+        }
+        const tokenHash = hashToken(token);
+        const entry = await this.records.hashGet('login_tokens', tokenHash);
+        const account = entry && entry.expiresAt > Date.now() ? await this.records.hashGet('accounts', entry.key) : null;
+        if (!account) {
+            if (entry) {
+                await this.records.hashDelete('login_tokens', tokenHash);
+            }
+            throw new AccountError('INVALID_TOKEN', 'Invalid or expired login token.');
+        }
+        return { account: publicAccount(account), token };
+    }
+
+    async revokeToken(token) {
+        if (typeof token !== 'string') {
+            return;
+        }
+        const tokenHash = hashToken(token);
+        const entry = await this.records.hashGet('login_tokens', tokenHash);
+        if (!entry) {
+            return;
+        }
+        await this.records.hashDelete('login_tokens', tokenHash);
+        const account = await this.records.hashGet('accounts', entry.key);
+        if (account) {
+            account.tokens = (account.tokens || []).filter(candidate => candidate.hash !== tokenHash);
+            await this.records.hashSet('accounts', entry.key, account);
+        }
+    }
+
+    async getAccount(accountId) {
+        const key = await this.records.hashGet('account_ids', accountId);
+        const account = key ? await this.records.hashGet('accounts', key) : null;
+        return account ? publicAccount(account) : null;
+    }
+}
+
+module.exports = {
+    AccountError,
+    AccountStore
+};
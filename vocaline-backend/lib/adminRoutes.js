@@ -0,0 +1,150 @@
+const { sendJson, hasValidBearerToken } = require('./httpHelpers');
+
+// --- Admin Routes for live operations (Authorization: Bearer <ADMIN_TOKEN>) ---
+// GET  /admin/connections                   every connection with status, partner and time in state
+// GET  /admin/queue                         matchmaking queue, in order
+// POST /admin/connections/:id/disconnect    force-disconnect a user
+// POST /admin/connections/:id/requeue       end the user's call (if any) and put them back in the queue
+// GET  /admin/matchmaking                   { paused }
+// POST /admin/matchmaking/pause | resume
+// GET  /admin/call-quality                  summary of recent end-of-call quality reports (this instance)
+// GET  /admin/reputation/:accountId          rating summary and matchmaking tier of an account
+//
+// Connections are the ones held by this instance; the queue is cluster-wide, and entries for
+// users on another instance are described from the matchmaking replica. The routes read the
+// state directly; `actions` performs the changes (applied asynchronously through the cluster).
+function createAdminRoutes({ adminToken, connectedUsers, matchmaking, callQuality, reputation, actions }) {
+    function describeUser(user, now) {
+        return {
+            id: user.id,
+            username: user.username,
+            accountId: user.accountId,
+            status: user.status,
+            timeInStateMs: now - user.statusSince,
+            connectedForMs: now - user.connectedAt,
+            sessionSuspended: user.suspended,
+            partner: user.status === 'in-call' && user.partner ? { id: user.partner, username: user.callPartner.username } : null,
+            callId: user.status === 'in-call' ? user.callId : null,
+            queuePosition: matchmaking.queuePosition(user.id),
+            room: user.room,
+            preferences: user.preferences
+        };
+    }
+
+    function describeRemoteUser(record, now) {
+        return {
+            id: record.id,
+            username: record.username,
+            accountId: record.accountId,
+            status: record.status,
+            timeInStateMs: now - record.statusSince,
+            instanceId: record.instanceId,
+            sessionSuspended: record.suspended,
+            queuePosition: matchmaking.queuePosition(record.id),
+            room: record.room,
+            preferences: record.preferences
+        };
+    }
+
+    function findConnection(connectionId) {
+        for (const [userWs, user] of connectedUsers) {
+            if (user.id === connectionId) {
+                return { userWs, user };
+            }
+        }
+        return null;
+    }
+
+    async function route(req, res, url) {
+        const segments = url.pathname.split('/').filter(Boolean); // ['admin', ...]
+        const now = Date.now();
+
+        if (segments[1] === 'connections' && segments.length === 2 && req.method === 'GET') {
+            const statusFilter = url.searchParams.get('status');
+            const connections = [];
+            connectedUsers.forEach(user => {
+                if (!statusFilter || user.status === statusFilter) {
+                    connections.push(describeUser(user, now));
+                }
+            });
+            sendJson(res, 200, { count: connections.length, connections });
+            return;
+        }
+
+        if (segments[1] === 'queue' && segments.length === 2 && req.method === 'GET') {
+            const queue = matchmaking.queuedConnections().map((userId, index) => {
+                const connection = findConnection(userId);
+                if (connection) {
+                    return describeUser(connection.user, now);
+                }
+                const record = matchmaking.record(userId);
+                return record ? describeRemoteUser(record, now) : { position: index + 1, unknown: true };
+            });
+            sendJson(res, 200, { length: queue.length, paused: actions.isMatchmakingPaused(), queue });
+            return;
+        }
+
+        if (segments[1] === 'connections' && segments.length === 4 && req.method === 'POST') {
+            const connection = findConnection(segments[2]);
+            if (!connection) {
+                sendJson(res, 404, { error: 'Connection not found.' });
+                return;
+            }
+            if (segments[3] === 'disconnect') {
+                actions.forceDisconnect(connection.userWs, connection.user);
+                sendJson(res, 200, { id: connection.user.id, disconnected: true });
+                return;
+            }
+            if (segments[3] === 'requeue') {
+                if (!(await actions.requeueUser(connection.userWs, connection.user))) {
+                    sendJson(res, 409, { error: `Cannot requeue a connection in status "${connection.user.status}" without an account.` });
+                    return;
+                }
+                sendJson(res, 200, { ...describeUser(connection.user, Date.now()), requeued: true });
+                return;
+            }
+        }
+
+        if (segments[1] === 'matchmaking' && segments.length === 2 && req.method === 'GET') {
+            sendJson(res, 200, { paused: actions.isMatchmakingPaused() });
+            return;
+        }
+
+        if (segments[1] === 'matchmaking' && segments.length === 3 && req.method === 'POST' &&
+            (segments[2] === 'pause' || segments[2] === 'resume')) {
+            const paused = segments[2] === 'pause';
+            actions.setMatchmakingPaused(paused);
+            sendJson(res, 200, { paused });
+            return;
+        }
+
+        if (segments[1] === 'call-quality' && segments.length === 2 && req.method === 'GET') {
+            sendJson(res, 200, callQuality.summary());
+            return;
+        }
+
+        if (segments[1] === 'reputation' && segments.length === 3 && req.method === 'GET') {
+            sendJson(res, 200, await reputation.describe(segments[2]));
+            return;
+        }
+
+        sendJson(res, 404, { error: 'Not Found.' });
+    }
+
+    return function handleAdminRequest(req, res, url) {
+        if (!hasValidBearerToken(req, adminToken)) {
+            sendJson(res, 401, { error: 'Unauthorized.' });
+            return;
+        }
+        route(req, res, url).catch(error => {
+            console.error(`[ADMIN_ERROR]: ${req.method} ${url.pathname} failed. Error: ${error.message}`);
+            if (!res.headersSent) {
+                sendJson(res, 500, { error: 'Could not complete the admin request.' });
+            }
+        });
+    };
+}
+
+module.exports = {
+    createAdminRoutes
+};
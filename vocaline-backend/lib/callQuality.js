@@ -0,0 +1,72 @@
+// --- Call Quality: end-of-call WebRTC stats summaries sent by clients (`call_quality`) ---
+//
+// Each participant sends one summary when a call ends: the ICE candidate type the call went
+// through (relay = TURN), the network type the browser reports, and averages of RTT, jitter
+// and packet loss measured with getStats(). Reports feed the Prometheus metrics and a rolling
+// window of recent reports summarized for the admin API.
+const CANDIDATE_TYPES = ['host', 'srflx', 'prflx', 'relay', 'unknown'];
+// navigator.connection.type values; most desktop browsers do not expose it ("unknown").
+const NETWORK_TYPES = ['cellular', 'wifi', 'ethernet', 'bluetooth', 'wimax', 'other', 'none', 'unknown'];
+const CALL_QUALITY_RECENT_REPORTS = parseInt(process.env.CALL_QUALITY_RECENT_REPORTS, 10) || 1000;
+
+// Nearest-rank percentile of an unsorted list, or null when it is empty.
+function percentile(values, fraction) {
+    if (values.length === 0) {
+        return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1)];
+}
+
+const round = value => (value === null ? null : Math.round(value * 10) / 10);
+
+function summarizeReports(reports) {
+    const measured = field => reports.map(report => report[field]).filter(value => value !== null);
+    return {
+        reports: reports.length,
+        medianPacketLossPercent: round(percentile(measured('packetLossPercent'), 0.5)),
+        p90PacketLossPercent: round(percentile(measured('packetLossPercent'), 0.9)),
+        medianRttMs: round(percentile(measured('avgRttMs'), 0.5)),
+        medianJitterMs: round(percentile(measured('avgJitterMs'), 0.5))
+    };
+}
+
+class CallQualityStats {
+    constructor({ maxReports = CALL_QUALITY_RECENT_REPORTS } = {}) {
+        this.maxReports = maxReports;
+        this.reports = [];
+    }
+
+    record(report) {
+        this.reports.push(report);
+        if (this.reports.length > this.maxReports) {
+            this.reports.shift();
+        }
+    }
+
+    // --- Summary of the recent reports: how many went through TURN, typical loss per network type ---
+    summary() {
+        const byCandidateType = {};
+        const reportsByNetwork = {};
+        this.reports.forEach(report => {
+            byCandidateType[report.candidateType] = (byCandidateType[report.candidateType] || 0) + 1;
+            (reportsByNetwork[report.networkType] = reportsByNetwork[report.networkType] || []).push(report);
+        });
+        const byNetworkType = {};
+        Object.entries(reportsByNetwork).forEach(([networkType, reports]) => {
+            byNetworkType[networkType] = summarizeReports(reports);
+        });
+        return {
+            ...summarizeReports(this.reports),
+            relayedPercent: this.reports.length > 0 ? round((byCandidateType.relay || 0) / this.reports.length * 100) : null,
+            byCandidateType,
+            byNetworkType
+        };
+    }
+}
+
+module.exports = {
+    CANDIDATE_TYPES,
+    NETWORK_TYPES,
+    CallQualityStats
+};
@@ -0,0 +1,75 @@
+// --- Call records: who was in a call and when, for feedback, reports and post-call ratings ---
+//
+// Kept in the state adapter, so with STATE_ADAPTER=redis a driver can rate or report a call that
+// started on another instance. Records expire after CALL_RECORD_TTL_MS. One hash per call:
+//   record            { startedAt, participants, participantIds, participantAccountIds }
+//   endedAt           set once, by the first instance that sees the call end
+//   <action>:<id>     set once per participant and action, see claim(): 'quality' per connection (user ID),
+//                     'rated' per account, see claimRating()
+const CALL_RECORD_TTL_MS = parseInt(process.env.CALL_RECORD_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+
+const callKey = callId => `vocaline:calls:${callId}`;
+
+// `adapter` may still be connecting (a promise).
+class CallRecords {
+    constructor({ adapter, ttlMs = CALL_RECORD_TTL_MS }) {
+        this.adapter = Promise.resolve(adapter);
+        this.adapter.catch(() => {});
+        this.ttlMs = ttlMs;
+    }
+
+    async start(callId, userA, userB) {
+        const adapter = await this.adapter;
+        await adapter.hashSet(callKey(callId), 'record', {
+            startedAt: new Date().toISOString(),
+            participants: [userA.username, userB.username],
+            participantIds: [userA.id, userB.id],
+            participantAccountIds: [userA.accountId, userB.accountId]
+        });
+        await adapter.expire(callKey(callId), this.ttlMs);
+    }
+
+    // The call with its `endedAt` (null while ongoing), or null if it is unknown or too old.
+    async get(callId) {
+        const adapter = await this.adapter;
+        const fields = await adapter.hashGetAll(callKey(callId));
+        return fields.record ? { ...fields.record, endedAt: fields.endedAt || null } : null;
+    }
+
+    // Returns the finished call the first time it is ended anywhere, null afterwards.
+    async end(callId) {
+        const call = await this.get(callId);
+        if (!call || call.endedAt) {
+            return null;
+        }
+        const endedAt = new Date().toISOString();
+        const adapter = await this.adapter;
+        return await adapter.hashSetIfAbsent(callKey(callId), 'endedAt', endedAt) ? { ...call, endedAt } : null;
+    }
+
+    // True the first time this participant does `action` for this call, false afterwards.
+    async claim(callId, action, participantId) {
+        const adapter = await this.adapter;
+        return adapter.hashSetIfAbsent(callKey(callId), `${action}:${participantId}`, true);
+    }
+
+    // --- The one rating an account may give for a call, from whichever connection it is on now ---
+    // Returns { ratedAccountId, ratedUsername } (ratedAccountId is null for a guest partner, and then
+    // nothing is claimed), or null if the account was not in the call or already rated it.
+    async claimRating(callId, accountId) {
+        const call = accountId ? await this.get(callId) : null;
+        const index = call ? call.participantAccountIds.indexOf(accountId) : -1;
+        if (index === -1) {
+            return null;
+        }
+        const ratedAccountId = call.participantAccountIds[1 - index];
+        if (ratedAccountId && !(await this.claim(callId, 'rated', accountId))) {
+            return null;
+        }
+        return { ratedAccountId, ratedUsername: call.participants[1 - index] };
+    }
+}
+
+module.exports = {
+    CallRecords
+};
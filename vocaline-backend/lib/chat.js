@@ -0,0 +1,36 @@
+// --- In-call Chat: text side channel between current partners ---
+//
+// Messages are relayed, never stored: they only live in the two clients for the duration of
+// the call. A message is either free text or one of the preset quick replies, sent as an ID
+// so each client shows it in its own words.
+const CHAT_MESSAGE_MAX_LENGTH = parseInt(process.env.CHAT_MESSAGE_MAX_LENGTH, 10) || 300;
+const QUICK_REPLIES = ['back_in_2_min', 'must_hang_up', 'drive_safe'];
+
+// Control characters, and bidi overrides that can make a message read differently than it is written.
+const UNSAFE_CHARACTERS = /[\u0000-\u001F\u007F-\u009F\u200E\u200F\u202A-\u202E\u2066-\u2069]/g;
+
+function sanitizeChatText(text) {
+    return text.normalize('NFC').replace(UNSAFE_CHARACTERS, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// --- Returns { text, quickReply } ready to relay, or { error } ---
+function prepareChatMessage({ text, quickReply }) {
+    if (quickReply !== undefined) {
+        return { text: null, quickReply };
+    }
+    const sanitized = sanitizeChatText(text || '');
+    if (sanitized === '') {
+        return { error: 'Chat message must contain text or a quick reply.' };
+    }
+    if (sanitized.length > CHAT_MESSAGE_MAX_LENGTH) {
+        return { error: `Chat message must be at most ${CHAT_MESSAGE_MAX_LENGTH} characters.` };
+    }
+    return { text: sanitized, quickReply: null };
+}
+
+module.exports = {
+    CHAT_MESSAGE_MAX_LENGTH,
+    QUICK_REPLIES,
+    sanitizeChatText,
+    prepareChatMessage
+};
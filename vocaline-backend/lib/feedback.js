@@ -0,0 +1,192 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { sendJson, readJsonBody, getClientIp, hasValidBearerToken, withCorsHeaders } = require('./httpHelpers');
+
+// --- Feedback Configuration ---
+const FEEDBACK_FILE = process.env.FEEDBACK_FILE || path.join(__dirname, '..', 'data', 'feedback.jsonl');
+const FEEDBACK_MAX_LENGTH = parseInt(process.env.FEEDBACK_MAX_LENGTH, 10) || 500;
+const FEEDBACK_MAX_BODY_BYTES = 4 * 1024;
+const FEEDBACK_RATE_LIMIT = parseInt(process.env.FEEDBACK_RATE_LIMIT, 10) || 5;
+const FEEDBACK_RATE_WINDOW_MS = parseInt(process.env.FEEDBACK_RATE_WINDOW_MS, 10) || 10 * 60 * 1000;
+const CALL_ID_PATTERN = /^[a-z0-9]{1,64}$/i;
+
+// --- Rate limiting: submission timestamps per client IP ---
+const submissionsByIp = new Map();
+
+function isRateLimited(ip, now) {
+    const recent = (submissionsByIp.get(ip) || []).filter(timestamp => now - timestamp < FEEDBACK_RATE_WINDOW_MS);
+    if (recent.length >= FEEDBACK_RATE_LIMIT) {
+        submissionsByIp.set(ip, recent);
+        return true;
+    }
+    recent.push(now);
+    submissionsByIp.set(ip, recent);
+    return false;
+}
+
+// Drop IPs whose window has fully expired so the map does not grow forever.
+setInterval(() => {
+    const now = Date.now();
+    submissionsByIp.forEach((timestamps, ip) => {
+        if (timestamps.every(timestamp => now - timestamp >= FEEDBACK_RATE_WINDOW_MS)) {
+            submissionsByIp.delete(ip);
+        }
+    });
+}, FEEDBACK_RATE_WINDOW_MS).unref();
+
+// --- Storage: append-only JSONL file, one feedback entry per line ---
+function appendFeedback(entry) {
+    return fs.promises.mkdir(path.dirname(FEEDBACK_FILE), { recursive: true })
+        .then(() => fs.promises.appendFile(FEEDBACK_FILE, JSON.stringify(entry) + '\n', 'utf8'));
+}
+
+async function readAllFeedback() {
+    let content;
+    try {
+        content = await fs.promises.readFile(FEEDBACK_FILE, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+    const entries = [];
+    content.split('\n').forEach((line, lineIndex) => {
+        if (!line.trim()) {
+            return;
+        }
+        try {
+            entries.push(JSON.parse(line));
+        } catch (e) {
+            console.warn(`[FEEDBACK_READ_WARN]: Skipping malformed line ${lineIndex + 1} in ${FEEDBACK_FILE}.`);
+        }
+    });
+    return entries;
+}
+
+// --- Route: POST /feedback ---
+// `getCallContext(callId)` resolves to what the caller knows about the referenced call (or null).
+// `getAccount(req)` resolves to the account of the request's login token, or null without one; it rejects
+// with code INVALID_TOKEN for a bad token. The author is only ever that account, never a name from the
+// body, so nobody can file feedback under another driver's name; without a token it is anonymous.
+async function handleFeedbackPost(req, res, getCallContext, getAccount) {
+    const ip = getClientIp(req);
+
+    if (isRateLimited(ip, Date.now())) {
+        console.warn(`[FEEDBACK_RATE_LIMITED]: Too many feedback submissions from ${ip}.`);
+        sendJson(res, 429, { error: 'Too many feedback submissions. Please try again later.' });
+        return;
+    }
+
+    let account;
+    try {
+        account = await getAccount(req);
+    } catch (error) {
+        if (error.code === 'INVALID_TOKEN') {
+            sendJson(res, 401, { error: 'Invalid or expired login token.' });
+            return;
+        }
+        console.error(`[FEEDBACK_AUTH_ERROR]: Could not check the login token. Error: ${error.message}`);
+        sendJson(res, 500, { error: 'Could not store feedback.' });
+        return;
+    }
+
+    let body;
+    try {
+        body = await readJsonBody(req, FEEDBACK_MAX_BODY_BYTES);
+    } catch (error) {
+        sendJson(res, error.statusCode || 400, { error: error.message });
+        return;
+    }
+
+    const message = typeof body.message === 'string' ? body.message.trim() : '';
+    if (!message) {
+        sendJson(res, 400, { error: 'Feedback message is required.' });
+        return;
+    }
+    if (message.length > FEEDBACK_MAX_LENGTH) {
+        sendJson(res, 400, { error: `Feedback message must be at most ${FEEDBACK_MAX_LENGTH} characters.` });
+        return;
+    }
+
+    let callId = null;
+    if (body.callId !== undefined && body.callId !== null && body.callId !== '') {
+        if (typeof body.callId !== 'string' || !CALL_ID_PATTERN.test(body.callId)) {
+            sendJson(res, 400, { error: 'Invalid callId.' });
+            return;
+        }
+        callId = body.callId;
+    }
+
+    const entry = {
+        id: crypto.randomUUID(),
+        createdAt: new Date().toISOString(),
+        message,
+        username: account ? account.username : null,
+        accountId: account ? account.id : null,
+        callId,
+        call: callId ? await getCallContext(callId) : null
+    };
+
+    try {
+        await appendFeedback(entry);
+    } catch (error) {
+        console.error(`[FEEDBACK_WRITE_ERROR]: Failed to store feedback. Error: ${error.message}`);
+        sendJson(res, 500, { error: 'Could not store feedback.' });
+        return;
+    }
+
+    console.log(`[FEEDBACK_RECEIVED]: Feedback ${entry.id} stored (${message.length} chars${callId ? `, call ${callId}` : ''}).`);
+    sendJson(res, 201, { id: entry.id });
+}
+
+// --- Route: GET /feedback (JSON listing) and GET /feedback/export (JSONL download) ---
+// Both require "Authorization: Bearer <ADMIN_TOKEN>".
+async function handleFeedbackList(req, res, url, adminToken) {
+    if (!hasValidBearerToken(req, adminToken)) {
+        sendJson(res, 401, { error: 'Unauthorized.' });
+        return;
+    }
+
+    if (url.pathname === '/feedback/export') {
+        res.writeHead(200, withCorsHeaders({
+            'Content-Type': 'application/x-ndjson; charset=utf-8',
+            'Content-Disposition': 'attachment; filename="vocaline-feedback.jsonl"'
+        }));
+        const stream = fs.createReadStream(FEEDBACK_FILE);
+        stream.on('error', error => {
+            if (error.code !== 'ENOENT') {
+                console.error(`[FEEDBACK_EXPORT_ERROR]: ${error.message}`);
+            }
+            res.end();
+        });
+        stream.pipe(res);
+        return;
+    }
+
+    let entries;
+    try {
+        entries = await readAllFeedback();
+    } catch (error) {
+        console.error(`[FEEDBACK_READ_ERROR]: Failed to read feedback. Error: ${error.message}`);
+        sendJson(res, 500, { error: 'Could not read feedback.' });
+        return;
+    }
+
+    const since = url.searchParams.get('since');
+    if (since) {
+        entries = entries.filter(entry => entry.createdAt > since);
+    }
+    const limit = Math.min(parseInt(url.searchParams.get('limit'), 10) || 100, 1000);
+    const total = entries.length;
+    // Newest first.
+    entries = entries.slice(-limit).reverse();
+
+    sendJson(res, 200, { total, count: entries.length, feedback: entries });
+}
+
+module.exports = {
+    handleFeedbackPost,
+    handleFeedbackList
+};
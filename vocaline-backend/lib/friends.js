@@ -0,0 +1,140 @@
+const path = require('path');
+const { createRecordStore } = require('./state');
+
+// --- Friends: mutual friendships between accounts, and direct call invitations between friends ---
+//
+// A friend request goes to the current or most recent partner; the friendship exists once the
+// other side accepts (or sends a request back). Friends see each other's presence, pushed by the
+// server, and can invite each other to a call that bypasses the random queue.
+const FRIENDS_FILE = process.env.FRIENDS_FILE || path.join(__dirname, '..', 'data', 'friends.json');
+const MAX_FRIENDS = parseInt(process.env.MAX_FRIENDS, 10) || 200;
+const MAX_PENDING_REQUESTS = 100;
+// An invitation not answered within this delay can no longer be accepted.
+const INVITE_TTL_MS = parseInt(process.env.INVITE_TTL_MS, 10) || 60000;
+
+// --- Presence of an account, from the matchmaking records of its connections ---
+// 'offline' | 'online' | 'waiting' | 'in-call'; a group room counts as a call.
+const PRESENCE_RANK = ['offline', 'online', 'waiting', 'in-call'];
+
+function presenceOfRecord(record) {
+    if (record.status === 'in-call' || record.room) {
+        return 'in-call';
+    }
+    return record.status === 'waiting' ? 'waiting' : 'online';
+}
+
+// accountId -> presence, for every account with at least one connection (the busiest one wins).
+function presenceByAccount(records) {
+    const presence = new Map();
+    records.forEach(record => {
+        if (!record.accountId) {
+            return;
+        }
+        const current = presence.get(record.accountId) || 'offline';
+        const candidate = presenceOfRecord(record);
+        if (PRESENCE_RANK.indexOf(candidate) > PRESENCE_RANK.indexOf(current)) {
+            presence.set(record.accountId, candidate);
+        }
+    });
+    return presence;
+}
+
+// Files written before the records moved behind the state adapter keep every friend list under `friends`
+// and every pending request under `requests`: give each account its own hashes.
+function migrateFriendsFile(data) {
+    if (!data.friends && !data.requests) {
+        return false;
+    }
+    Object.entries(data.friends || {}).forEach(([accountId, friends]) => {
+        data[`friends:${accountId}`] = friends;
+    });
+    Object.entries(data.requests || {}).forEach(([recipientId, requests]) => {
+        data[`requests:${recipientId}`] = requests;
+    });
+    delete data.friends;
+    delete data.requests;
+    return true;
+}
+
+// `records` defaults to the shared state (or FRIENDS_FILE on a single instance), see lib/state/recordStore.js.
+// Hashes:
+//   friends:<accountId>    friend accountId -> { username, since }
+//   requests:<accountId>   sender accountId -> { username, at }, the requests this account has to answer
+// Accounts are { accountId, username }.
+class FriendBook {
+    constructor({ adapter, records = createRecordStore(adapter, { filePath: FRIENDS_FILE, migrate: migrateFriendsFile }), now = Date.now }) {
+        this.records = records;
+        this.now = now;
+    }
+
+    async areFriends(accountId, otherAccountId) {
+        return Boolean(await this.records.hashGet(`friends:${accountId}`, otherAccountId));
+    }
+
+    async friendsOf(accountId) {
+        return Object.entries(await this.records.hashGetAll(`friends:${accountId}`))
+            .map(([friendAccountId, friend]) => ({ accountId: friendAccountId, username: friend.username }));
+    }
+
+    async requestsFor(accountId) {
+        return Object.entries(await this.records.hashGetAll(`requests:${accountId}`))
+            .map(([senderAccountId, request]) => ({ accountId: senderAccountId, username: request.username }));
+    }
+
+    // --- Request: returns 'requested', 'accepted' (the other side had asked already),
+    // 'already_friends' or 'limit_reached' ---
+    async request(sender, recipient) {
+        if (await this.areFriends(sender.accountId, recipient.accountId)) {
+            return 'already_friends';
+        }
+        if (await this.records.hashGet(`requests:${sender.accountId}`, recipient.accountId)) {
+            return await this.respond(sender, recipient.accountId, true) ? 'accepted' : 'limit_reached';
+        }
+        const pending = await this.records.hashGetAll(`requests:${recipient.accountId}`);
+        if (!pending[sender.accountId] && Object.keys(pending).length >= MAX_PENDING_REQUESTS) {
+            return 'limit_reached';
+        }
+        await this.records.hashSet(`requests:${recipient.accountId}`, sender.accountId, { username: sender.username, at: new Date(this.now()).toISOString() });
+        return 'requested';
+    }
+
+    // --- Answer a pending request; returns the sender ({ accountId, username }) or null ---
+    // Accepting fails (null) when either side already has MAX_FRIENDS friends.
+    async respond(recipient, senderAccountId, accept) {
+        const request = await this.records.hashGet(`requests:${recipient.accountId}`, senderAccountId);
+        if (!request) {
+            return null;
+        }
+        if (accept) {
+            const [recipientFriends, senderFriends] = await Promise.all([this.friendsOf(recipient.accountId), this.friendsOf(senderAccountId)]);
+            if (recipientFriends.length >= MAX_FRIENDS || senderFriends.length >= MAX_FRIENDS) {
+                return null;
+            }
+        }
+        await this.records.hashDelete(`requests:${recipient.accountId}`, senderAccountId);
+        if (accept) {
+            const since = new Date(this.now()).toISOString();
+            await this.records.hashSet(`friends:${recipient.accountId}`, senderAccountId, { username: request.username, since });
+            await this.records.hashSet(`friends:${senderAccountId}`, recipient.accountId, { username: recipient.username, since });
+        }
+        return { accountId: senderAccountId, username: request.username };
+    }
+
+    // --- Remove a friendship (both directions) and any pending request between the two ---
+    async remove(accountId, otherAccountId) {
+        const wereFriends = await this.areFriends(accountId, otherAccountId);
+        await Promise.all([
+            this.records.hashDelete(`friends:${accountId}`, otherAccountId),
+            this.records.hashDelete(`friends:${otherAccountId}`, accountId),
+            this.records.hashDelete(`requests:${accountId}`, otherAccountId),
+            this.records.hashDelete(`requests:${otherAccountId}`, accountId)
+        ]);
+        return wereFriends;
+    }
+}
+
+module.exports = {
+    INVITE_TTL_MS,
+    presenceByAccount,
+    FriendBook
+};
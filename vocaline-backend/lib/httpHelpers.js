@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+
+const CORS_ORIGIN = process.env.CORS_ORIGIN || '*';
+// Number of reverse proxies in front of the server (Railway's edge = 1); 0 ignores X-Forwarded-For.
+const TRUSTED_PROXY_HOPS = Number.isInteger(parseInt(process.env.TRUSTED_PROXY_HOPS, 10))
+    ? Math.max(0, parseInt(process.env.TRUSTED_PROXY_HOPS, 10))
+    : 1;
+
+// --- Helper Function: Common headers (CORS) for every HTTP response ---
+function withCorsHeaders(headers = {}) {
+    return {
+        'Access-Control-Allow-Origin': CORS_ORIGIN,
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+        ...headers
+    };
+}
+
+// --- Helper Function: Send a JSON response ---
+function sendJson(res, statusCode, body) {
+    const bodyString = JSON.stringify(body);
+    res.writeHead(statusCode, withCorsHeaders({
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(bodyString)
+    }));
+    res.end(bodyString);
+}
+
+// --- Helper Function: Send a plain-text response ---
+function sendText(res, statusCode, text) {
+    res.writeHead(statusCode, withCorsHeaders({ 'Content-Type': 'text/plain; charset=utf-8' }));
+    res.end(text);
+}
+
+// --- Helper Function: Read and parse a JSON request body, refusing bodies over maxBytes ---
+// Rejects with an Error carrying a `statusCode` (413 or 400) that the caller can send back as-is.
+function readJsonBody(req, maxBytes) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let receivedBytes = 0;
+        let rejected = false;
+
+        req.on('data', chunk => {
+            if (rejected) {
+                return;
+            }
+            receivedBytes += chunk.length;
+            if (receivedBytes > maxBytes) {
+                rejected = true;
+                const error = new Error(`Request body exceeds ${maxBytes} bytes.`);
+                error.statusCode = 413;
+                reject(error);
+                req.resume();
+                return;
+            }
+            chunks.push(chunk);
+        });
+
+        req.on('end', () => {
+            if (rejected) {
+                return;
+            }
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+            } catch (e) {
+                const error = new Error('Request body is not valid JSON.');
+                error.statusCode = 400;
+                reject(error);
+            }
+        });
+
+        req.on('error', error => {
+            if (!rejected) {
+                rejected = true;
+                reject(error);
+            }
+        });
+    });
+}
+
+// --- Helper Function: Client IP as seen by the outermost trusted proxy ---
+// Each proxy appends the address it received the request from, so only the right-most `trustedHops`
+// entries of X-Forwarded-For are trustworthy; anything to their left was written by the client.
+function getClientIp(req, trustedHops = TRUSTED_PROXY_HOPS) {
+    const forwardedFor = req.headers['x-forwarded-for'];
+    if (trustedHops > 0 && typeof forwardedFor === 'string' && forwardedFor.length > 0) {
+        const hops = forwardedFor.split(',').map(entry => entry.trim());
+        const clientIp = hops[hops.length - trustedHops];
+        if (clientIp) {
+            return clientIp;
+        }
+    }
+    return req.socket.remoteAddress || 'unknown';
+}
+
+// --- Helper Function: The token of an "Authorization: Bearer <token>" header, or null ---
+function getBearerToken(req) {
+    const header = req.headers['authorization'] || '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    return match ? match[1].trim() : null;
+}
+
+// --- Helper Function: Check "Authorization: Bearer <token>" against the expected token ---
+// Always false when no token is configured, so protected routes stay closed by default.
+function hasValidBearerToken(req, expectedToken) {
+    if (!expectedToken) {
+        return false;
+    }
+    const token = getBearerToken(req);
+    if (!token) {
+        return false;
+    }
+    const provided = Buffer.from(token);
+    const expected = Buffer.from(expectedToken);
+    return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+module.exports = {
+    withCorsHeaders,
+    sendJson,
+    sendText,
+    readJsonBody,
+    getClientIp,
+    getBearerToken,
+    hasValidBearerToken
+};
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+
+// --- ICE Configuration ---
+// ICE_PROVIDER: 'turn-rest' (shared secret, coturn's use-auth-secret), 'xirsys', or 'stun'.
+// When unset, the provider is picked from whichever credentials are present.
+const STUN_URLS = (process.env.STUN_URLS || 'stun:stun.l.google.com:19302').split(',').map(u => u.trim()).filter(Boolean);
+const TURN_URLS = (process.env.TURN_URLS || '').split(',').map(u => u.trim()).filter(Boolean);
+const TURN_SECRET = process.env.TURN_SECRET || '';
+const ICE_CREDENTIAL_TTL_SECONDS = parseInt(process.env.ICE_CREDENTIAL_TTL_SECONDS, 10) || 600;
+const XIRSYS_SECRET_ID = process.env.XIRSYS_SECRET_ID || '';
+const XIRSYS_SECRET_TOKEN = process.env.XIRSYS_SECRET_TOKEN || '';
+const XIRSYS_BASE_URL = process.env.XIRSYS_BASE_URL || 'global.xirsys.net';
+const XIRSYS_CHANNEL = process.env.XIRSYS_CHANNEL || XIRSYS_SECRET_ID;
+const XIRSYS_TIMEOUT_MS = 5000;
+
+function stunOnlyServers() {
+    return STUN_URLS.length > 0 ? [{ urls: STUN_URLS }] : [];
+}
+
+// --- Provider: TURN REST API (HMAC-SHA1 of "<expiry>:<userId>" with the shared secret) ---
+const turnRestProvider = {
+    name: 'turn-rest',
+    isConfigured: () => Boolean(TURN_SECRET && TURN_URLS.length > 0),
+    async getIceServers(userId) {
+        const expiry = Math.floor(Date.now() / 1000) + ICE_CREDENTIAL_TTL_SECONDS;
+        const username = `${expiry}:${userId}`;
+        const credential = crypto.createHmac('sha1', TURN_SECRET).update(username).digest('base64');
+        return {
+            iceServers: [...stunOnlyServers(), { urls: TURN_URLS, username, credential }],
+            ttl: ICE_CREDENTIAL_TTL_SECONDS
+        };
+    }
+};
+
+// --- Provider: Xirsys (credentials stay on the server, the client only sees the short-lived result) ---
+const xirsysProvider = {
+    name: 'xirsys',
+    isConfigured: () => Boolean(XIRSYS_SECRET_ID && XIRSYS_SECRET_TOKEN && XIRSYS_CHANNEL),
+    async getIceServers() {
+        const authToken = Buffer.from(`${XIRSYS_SECRET_ID}:${XIRSYS_SECRET_TOKEN}`).toString('base64');
+        const response = await fetch(`https://${XIRSYS_BASE_URL}/_turn/${XIRSYS_CHANNEL}`, {
+            method: 'PUT',
+            headers: {
+                'Authorization': `Basic ${authToken}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ format: 'urls', expire: ICE_CREDENTIAL_TTL_SECONDS }),
+            signal: AbortSignal.timeout(XIRSYS_TIMEOUT_MS)
+        });
+        if (!response.ok) {
+            throw new Error(`Xirsys responded with HTTP ${response.status}`);
+        }
+        const xirsysData = await response.json();
+        if (xirsysData.s !== 'ok' || !xirsysData.v || !xirsysData.v.iceServers) {
+            throw new Error(`Xirsys API error: ${xirsysData.v || xirsysData.s || 'unknown'}`);
+        }
+        const iceServers = Array.isArray(xirsysData.v.iceServers) ? xirsysData.v.iceServers : [xirsysData.v.iceServers];
+        return { iceServers, ttl: ICE_CREDENTIAL_TTL_SECONDS };
+    }
+};
+
+// --- Provider: STUN only (no relay) ---
+const stunProvider = {
+    name: 'stun',
+    isConfigured: () => true,
+    async getIceServers() {
+        return { iceServers: stunOnlyServers(), ttl: null };
+    }
+};
+
+const providers = {
+    [turnRestProvider.name]: turnRestProvider,
+    [xirsysProvider.name]: xirsysProvider,
+    [stunProvider.name]: stunProvider
+};
+
+function selectProvider() {
+    const requested = process.env.ICE_PROVIDER;
+    if (requested) {
+        const provider = providers[requested];
+        if (!provider) {
+            console.warn(`[ICE_CONFIG_WARN]: Unknown ICE_PROVIDER "${requested}". Falling back to STUN only.`);
+            return stunProvider;
+        }
+        if (!provider.isConfigured()) {
+            console.warn(`[ICE_CONFIG_WARN]: ICE_PROVIDER "${requested}" is missing credentials. Falling back to STUN only.`);
+            return stunProvider;
+        }
+        return provider;
+    }
+    return [turnRestProvider, xirsysProvider].find(provider => provider.isConfigured()) || stunProvider;
+}
+
+const activeProvider = selectProvider();
+console.log(`[ICE_CONFIG]: Using ICE provider "${activeProvider.name}".`);
+
+// --- ICE servers for one client; never throws, degrades to STUN only ---
+async function getIceServers(userId) {
+    try {
+        const result = await activeProvider.getIceServers(userId);
+        return { ...result, provider: activeProvider.name };
+    } catch (error) {
+        console.error(`[ICE_PROVIDER_ERROR]: Provider "${activeProvider.name}" failed: ${error.message}. Falling back to STUN only.`);
+        return { iceServers: stunOnlyServers(), ttl: null, provider: stunProvider.name, fallback: true };
+    }
+}
+
+module.exports = {
+    getIceServers
+};
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- Small persistent store: one JSON document kept in memory, written back atomically ---
+// Loaded synchronously at startup; `save()` coalesces concurrent writes into one pending write.
+// A file that cannot be read or parsed is renamed to `<file>.corrupt-<timestamp>` before starting empty,
+// so the next save cannot overwrite it; if even the rename fails, the error is thrown.
+function createJsonFileStore(filePath, defaultData) {
+    let data = defaultData;
+    try {
+        data = { ...defaultData, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+        console.log(`[STORE_LOAD]: Loaded ${filePath}.`);
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            const asidePath = `${filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(filePath, asidePath);
+            console.error(`[STORE_LOAD_ERROR]: Could not read ${filePath}, moved it to ${asidePath} and starting empty. Error: ${error.message}`);
+        }
+    }
+
+    let writing = null;
+    let writeQueued = false;
+
+    async function writeNow() {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    function save() {
+        if (writing) {
+            writeQueued = true;
+            return writing;
+        }
+        writing = writeNow()
+            .catch(error => {
+                console.error(`[STORE_WRITE_ERROR]: Could not write ${filePath}. Error: ${error.message}`);
+            })
+            .finally(() => {
+                writing = null;
+                if (writeQueued) {
+                    writeQueued = false;
+                    save();
+                }
+            });
+        return writing;
+    }
+
+    return {
+        get data() {
+            return data;
+        },
+        save
+    };
+}
+
+module.exports = {
+    createJsonFileStore
+};
@@ -0,0 +1,83 @@
+// --- Matchmaking Preferences: languages, topic ("CB channel") and hard/soft constraints ---
+
+const TOPICS = ['route_talk', 'parking_tips', 'just_chatting'];
+const MAX_LANGUAGES = 5;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}$/;
+
+// Score weights: a shared language matters more than a shared topic.
+const LANGUAGE_WEIGHT = 2;
+const TOPIC_WEIGHT = 1;
+const MAX_SCORE = LANGUAGE_WEIGHT + TOPIC_WEIGHT;
+
+// Soft preferences are fully enforced at first, then relaxed linearly until anyone compatible is accepted.
+const PREFERENCE_RELAX_MS = parseInt(process.env.PREFERENCE_RELAX_MS, 10) || 30000;
+
+// --- Sanitize the `preferences` object from a `join` payload (anything invalid is dropped) ---
+function normalizePreferences(raw) {
+    const input = raw && typeof raw === 'object' ? raw : {};
+
+    const languages = Array.isArray(input.languages)
+        ? [...new Set(input.languages
+            .filter(language => typeof language === 'string')
+            .map(language => language.trim().toLowerCase())
+            .filter(language => LANGUAGE_PATTERN.test(language)))].slice(0, MAX_LANGUAGES)
+        : [];
+
+    const topic = TOPICS.includes(input.topic) ? input.topic : null;
+
+    return {
+        languages,
+        topic,
+        // A hard constraint without a value to enforce is meaningless, so it is ignored.
+        hardLanguages: input.hardLanguages === true && languages.length > 0,
+        hardTopic: input.hardTopic === true && topic !== null
+    };
+}
+
+function sharedLanguages(a, b) {
+    return a.languages.filter(language => b.languages.includes(language));
+}
+
+function sharedTopic(a, b) {
+    return a.topic !== null && a.topic === b.topic ? a.topic : null;
+}
+
+// --- Hard constraints must hold in both directions ---
+function isCompatible(a, b) {
+    if ((a.hardLanguages || b.hardLanguages) && sharedLanguages(a, b).length === 0) {
+        return false;
+    }
+    if ((a.hardTopic || b.hardTopic) && sharedTopic(a, b) === null) {
+        return false;
+    }
+    return true;
+}
+
+// --- Soft score: higher is a better pairing ---
+// A side with no stated preference is treated as satisfied, so it never lowers the score.
+function scorePair(a, b) {
+    let score = 0;
+    if (a.languages.length === 0 || b.languages.length === 0 || sharedLanguages(a, b).length > 0) {
+        score += LANGUAGE_WEIGHT;
+    }
+    if (a.topic === null || b.topic === null || sharedTopic(a, b) !== null) {
+        score += TOPIC_WEIGHT;
+    }
+    return score;
+}
+
+// --- Minimum score accepted after waiting `waitedMs`: MAX_SCORE at first, 0 after PREFERENCE_RELAX_MS ---
+function requiredScore(waitedMs) {
+    const remaining = Math.max(0, 1 - waitedMs / PREFERENCE_RELAX_MS);
+    return MAX_SCORE * remaining;
+}
+
+module.exports = {
+    TOPICS,
+    normalizePreferences,
+    sharedLanguages,
+    sharedTopic,
+    isCompatible,
+    scorePair,
+    requiredScore
+};
@@ -0,0 +1,89 @@
+// --- Matchmaking queue: doubly linked list indexed by key (user ID) ---
+// push/unshift/delete/has are O(1); only positionOf walks the list (admin views).
+class MatchQueue {
+    constructor() {
+        this.nodes = new Map();
+        this.head = null;
+        this.tail = null;
+    }
+
+    get size() {
+        return this.nodes.size;
+    }
+
+    has(key) {
+        return this.nodes.has(key);
+    }
+
+    push(key) {
+        if (this.nodes.has(key)) {
+            return false;
+        }
+        const node = { key, prev: this.tail, next: null };
+        if (this.tail) {
+            this.tail.next = node;
+        } else {
+            this.head = node;
+        }
+        this.tail = node;
+        this.nodes.set(key, node);
+        return true;
+    }
+
+    unshift(key) {
+        this.delete(key);
+        const node = { key, prev: null, next: this.head };
+        if (this.head) {
+            this.head.prev = node;
+        } else {
+            this.tail = node;
+        }
+        this.head = node;
+        this.nodes.set(key, node);
+    }
+
+    delete(key) {
+        const node = this.nodes.get(key);
+        if (!node) {
+            return false;
+        }
+        if (node.prev) {
+            node.prev.next = node.next;
+        } else {
+            this.head = node.next;
+        }
+        if (node.next) {
+            node.next.prev = node.prev;
+        } else {
+            this.tail = node.prev;
+        }
+        this.nodes.delete(key);
+        return true;
+    }
+
+    // 1-based position, or null when the key is not queued.
+    positionOf(key) {
+        if (!this.nodes.has(key)) {
+            return null;
+        }
+        let position = 1;
+        for (let node = this.head; node.key !== key; node = node.next) {
+            position++;
+        }
+        return position;
+    }
+
+    *[Symbol.iterator]() {
+        for (let node = this.head; node; node = node.next) {
+            yield node.key;
+        }
+    }
+
+    toArray() {
+        return [...this];
+    }
+}
+
+module.exports = {
+    MatchQueue
+};
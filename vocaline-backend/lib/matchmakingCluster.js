@@ -0,0 +1,665 @@
+const crypto = require('crypto');
+const { MatchmakingService } = require('./matchmakingService');
+const { RoomService } = require('./roomService');
+const { INVITE_TTL_MS, presenceByAccount } = require('./friends');
+const { ERROR_CODES } = require('./protocol');
+
+// --- Matchmaking Cluster: one matchmaking state replicated on every instance ---
+//
+// Every change to presence, the queue or a call is a command published on one channel.
+// Each instance applies the commands it receives, in the order the adapter delivers them,
+// to its own MatchmakingService and RoomService replicas keyed by user ID, so all replicas stay identical.
+// A command carries its timestamp and a random seed, which makes applying it deterministic.
+//
+// Side effects stay with the instance that owns the user (holds their socket): only the
+// owner delivers messages to them and counts their metrics.
+// Messages for a user on another instance (WebRTC signaling) go to that instance's channel.
+//
+// Instances announce themselves in a hash; the live instance with the smallest ID leads:
+// it drives the periodic match retry, evicts users of instances that stopped announcing
+// themselves and hands a snapshot of the state to instances that start later.
+
+const COMMANDS_CHANNEL = 'vocaline:matchmaking';
+const CONTROL_CHANNEL = 'vocaline:control';
+const INSTANCES_KEY = 'vocaline:instances';
+const instanceChannel = instanceId => `vocaline:instance:${instanceId}`;
+
+// Fields a user's record starts with, taken from their local user object when they connect.
+const RECORD_FIELDS = ['id', 'username', 'accountId', 'preferences', 'status', 'statusSince'];
+// Fields copied back to the local user object after every command that touches them.
+const MIRRORED_FIELDS = ['status', 'statusSince', 'partner', 'callId', 'callPartner', 'room'];
+
+const INSTANCE_HEARTBEAT_MS = 5000;
+const INSTANCE_TIMEOUT_MS = 15000;
+const SNAPSHOT_TIMEOUT_MS = 3000;
+
+// Small seeded PRNG (mulberry32): the same seed gives the same tie-break on every replica.
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Records carry the account IDs their user has blocked, so every replica can veto pairs alike.
+function isBlockedEitherWay(recordA, recordB) {
+    if (!recordA.accountId || !recordB.accountId) {
+        return false;
+    }
+    return recordA.blocks.includes(recordB.accountId) || recordB.blocks.includes(recordA.accountId);
+}
+
+// Options (all callbacks receive replicated records, never local user objects):
+//   instanceId                            unique per process
+//   localUser(userId) -> user             the local user object of a user owned by this instance
+//   deliver(userId, type, payload)        send a message to a local user's socket
+//   createCall(recordA, recordB, callId)  called on every instance when a call starts
+//   onStatusChange(record, from, to, msInPreviousStatus, isLocal)
+//   onMatch(recordA, recordB, score, matchContext, isLocal)  isLocal: recordA is owned here
+//   onControl(message)                    a message broadcast with broadcastControl()
+//   onChange()                            presence, queue or call counts changed
+class MatchmakingCluster {
+    constructor({
+        instanceId,
+        localUser,
+        deliver,
+        createCall = () => {},
+        onStatusChange = () => {},
+        onMatch = () => {},
+        onControl = () => {},
+        onChange = () => {},
+        matchDelayMs,
+        retryIntervalMs = 5000,
+        heartbeatMs = INSTANCE_HEARTBEAT_MS,
+        instanceTimeoutMs = INSTANCE_TIMEOUT_MS,
+        snapshotTimeoutMs = SNAPSHOT_TIMEOUT_MS,
+        logger = console
+    }) {
+        this.instanceId = instanceId;
+        this.localUser = localUser;
+        this.deliver = deliver;
+        this.onControl = onControl;
+        this.onChange = onChange;
+        this.retryIntervalMs = retryIntervalMs;
+        this.heartbeatMs = heartbeatMs;
+        this.instanceTimeoutMs = instanceTimeoutMs;
+        this.snapshotTimeoutMs = snapshotTimeoutMs;
+        this.logger = logger;
+
+        this.records = new Map();
+        this.adapter = null;
+        this.ready = false;
+        this.buffered = [];
+        this.pendingSnapshot = null;
+        this.liveInstances = [instanceId];
+        this.intervals = [];
+        this.sequence = 0;
+
+        // State of the command being applied.
+        this.current = null;
+        this.random = Math.random;
+        this.touched = new Set();
+        this.callsInCommand = 0;
+
+        const sendIfLocal = (userId, type, payload) => {
+            if (this.isLocal(userId)) {
+                this.deliver(userId, type, payload);
+            }
+        };
+        this.sendIfLocal = sendIfLocal;
+        this.service = new MatchmakingService({
+            users: this.records,
+            send: sendIfLocal,
+            createCall: (recordA, recordB) => {
+                const callId = crypto.createHash('sha1').update(`${this.current.id}:${++this.callsInCommand}`).digest('hex').slice(0, 24);
+                createCall(recordA, recordB, callId);
+                return callId;
+            },
+            canPair: (recordA, recordB) => !isBlockedEitherWay(recordA, recordB),
+            onStatusChange: (record, from, to, msInPreviousStatus) => {
+                this.touched.add(record.id);
+                onStatusChange(record, from, to, msInPreviousStatus, this.isLocal(record.id));
+            },
+            onMatch: (recordA, recordB, score, matchContext) => {
+                this.touched.add(recordA.id);
+                this.touched.add(recordB.id);
+                onMatch(recordA, recordB, score, matchContext, this.isLocal(recordA.id));
+            },
+            now: () => (this.current ? this.current.at : Date.now()),
+            onChange: () => this.onChange(),
+            random: () => this.random(),
+            // The instance that submitted the command arms the timers it schedules, so attempts
+            // scheduled together (change_partner: requester first) reach the log in that order.
+            setTimer: (callback, delayMs, userId) => {
+                if (this.current?.origin === this.instanceId) {
+                    setTimeout(() => this.submit({ type: 'attempt_match', userId }), delayMs);
+                }
+            },
+            matchDelayMs,
+            logger
+        });
+        this.rooms = new RoomService({ users: this.records, send: sendIfLocal, canShareRoom: (recordA, recordB) => !isBlockedEitherWay(recordA, recordB), logger });
+    }
+
+    // --- Startup: subscribe, announce this instance and catch up with the others ---
+    async start(adapter) {
+        this.adapter = adapter;
+        await adapter.subscribe(COMMANDS_CHANNEL, command => this.receiveCommand(command));
+        await adapter.subscribe(instanceChannel(this.instanceId), message => this.receiveDirect(message));
+        await adapter.subscribe(CONTROL_CHANNEL, message => this.onControl(message));
+        await this.heartbeat();
+
+        this.intervals.push(setInterval(() => this.heartbeat(), this.heartbeatMs));
+        this.intervals.push(setInterval(() => {
+            if (this.isLeader()) {
+                this.submit({ type: 'retry_all' });
+            }
+        }, this.retryIntervalMs));
+
+        const others = this.liveInstances.filter(id => id !== this.instanceId);
+        if (!adapter.shared || others.length === 0) {
+            this.ready = true;
+            this.logger.log(`[CLUSTER_READY]: Instance ${this.instanceId} started with an empty matchmaking state.`);
+            return;
+        }
+        await this.requestSnapshot();
+    }
+
+    async stop() {
+        this.intervals.forEach(clearInterval);
+        this.intervals = [];
+        if (this.adapter) {
+            await this.adapter.hashDelete(INSTANCES_KEY, this.instanceId).catch(() => {});
+        }
+    }
+
+    // --- Views on the replicated state ---
+    get paused() {
+        return this.service.paused;
+    }
+
+    get queueLength() {
+        return this.service.queueLength;
+    }
+
+    get connectedCount() {
+        return this.records.size;
+    }
+
+    get activeCalls() {
+        let inCall = 0;
+        this.records.forEach(record => {
+            if (record.status === 'in-call') {
+                inCall++;
+            }
+        });
+        return inCall / 2;
+    }
+
+    get openRooms() {
+        return this.rooms.rooms.size;
+    }
+
+    queuedConnections() {
+        return this.service.queuedConnections();
+    }
+
+    queuePosition(userId) {
+        return this.service.queuePosition(userId);
+    }
+
+    record(userId) {
+        return this.records.get(userId) || null;
+    }
+
+    // User IDs of every connection logged in to `accountId`, on any instance.
+    userIdsOfAccount(accountId) {
+        const userIds = [];
+        this.records.forEach(record => {
+            if (accountId && record.accountId === accountId) {
+                userIds.push(record.id);
+            }
+        });
+        return userIds;
+    }
+
+    // accountId -> 'online' | 'waiting' | 'in-call' for every account with a connection.
+    presenceByAccount() {
+        return presenceByAccount(this.records);
+    }
+
+    isLocal(userId) {
+        return this.records.get(userId)?.instanceId === this.instanceId;
+    }
+
+    isLeader() {
+        return this.ready && this.liveInstances[0] === this.instanceId;
+    }
+
+    // --- Commands (applied on every instance once the log delivers them) ---
+    connect(user) {
+        this.submit({ type: 'connect', record: this.pickRecord(user) });
+    }
+
+    // `blocks` lists the account IDs the user has blocked; `reputation` is their rating tier.
+    join(user, blocks, reputation = 'neutral') {
+        const { username, accountId, preferences } = user;
+        this.submit({ type: 'join', userId: user.id, identity: { username, accountId, preferences, blocks, reputation } });
+    }
+
+    // Returns false when the user is not in matchmaking (judged on their mirrored status).
+    changePartner(user) {
+        if (user.status !== 'in-call' && user.status !== 'waiting') {
+            return false;
+        }
+        this.submit({ type: 'change_partner', userId: user.id });
+        return true;
+    }
+
+    leave(user) {
+        this.submit({ type: 'leave', userId: user.id });
+    }
+
+    remove(userId) {
+        this.submit({ type: 'remove', userId });
+    }
+
+    // Login and logout change who a connection is; friends' presence follows the account.
+    identify(user) {
+        const { username, accountId } = user;
+        this.submit({ type: 'identify', userId: user.id, identity: { username, accountId } });
+    }
+
+    // --- Direct call invitations between friends (see friends.js) ---
+    invite(user, inviteeId, inviteId) {
+        this.submit({ type: 'invite', userId: user.id, to: inviteeId, inviteId });
+    }
+
+    acceptInvite(user, inviteId) {
+        this.submit({ type: 'accept_invite', userId: user.id, inviteId });
+    }
+
+    declineInvite(user, inviteId) {
+        this.submit({ type: 'decline_invite', userId: user.id, inviteId });
+    }
+
+    setSuspended(userId, suspended) {
+        this.submit({ type: 'set_suspended', userId, suspended });
+    }
+
+    block(userId, accountId) {
+        this.submit({ type: 'block', userId, accountId });
+    }
+
+    setPaused(paused) {
+        this.submit({ type: 'set_paused', paused });
+    }
+
+    // `blocks` lists the account IDs the user has blocked, checked against the room members.
+    joinRoom(user, name, blocks = []) {
+        const { username, accountId } = user;
+        this.submit({ type: 'room_join', userId: user.id, name, identity: { username, accountId, blocks } });
+    }
+
+    leaveRoom(user) {
+        this.submit({ type: 'room_leave', userId: user.id });
+    }
+
+    setRoomMuted(user, muted) {
+        this.submit({ type: 'room_mute', userId: user.id, muted });
+    }
+
+    // --- Routing: deliver a message to a user wherever their socket is ---
+    // Returns false when the user is unknown to the cluster.
+    sendToUser(userId, type, payload) {
+        const record = this.records.get(userId);
+        if (!record) {
+            return false;
+        }
+        if (record.instanceId === this.instanceId) {
+            this.deliver(userId, type, payload);
+        } else {
+            this.publish(instanceChannel(record.instanceId), { kind: 'deliver', userId, type, payload });
+        }
+        return true;
+    }
+
+    // Every instance, this one included, gets `message` through onControl.
+    broadcastControl(message) {
+        this.publish(CONTROL_CHANNEL, message);
+    }
+
+    pickRecord(user) {
+        const record = {};
+        RECORD_FIELDS.forEach(field => {
+            record[field] = user[field];
+        });
+        return record;
+    }
+
+    submit(command) {
+        this.publish(COMMANDS_CHANNEL, {
+            ...command,
+            id: `${this.instanceId}:${++this.sequence}`,
+            at: Date.now(),
+            seed: crypto.randomBytes(4).readUInt32BE(0),
+            origin: this.instanceId
+        });
+    }
+
+    publish(channel, message) {
+        this.adapter.publish(channel, message).catch(error => {
+            this.logger.error(`[CLUSTER_PUBLISH_ERROR]: Failed to publish on ${channel}. Error: ${error.message}`);
+        });
+    }
+
+    receiveCommand(command) {
+        if (!this.ready) {
+            this.buffered.push(command);
+            return;
+        }
+        this.apply(command);
+    }
+
+    receiveDirect(message) {
+        if (message.kind === 'deliver') {
+            if (this.isLocal(message.userId)) {
+                this.deliver(message.userId, message.type, message.payload);
+            }
+        } else if (message.kind === 'snapshot') {
+            this.restoreSnapshot(message);
+        }
+    }
+
+    // --- Apply one command to the replica ---
+    apply(command) {
+        this.current = command;
+        this.random = seededRandom(command.seed);
+        this.callsInCommand = 0;
+        this.touched = new Set(command.userId ? [command.userId] : []);
+
+        try {
+            this.applyCommand(command);
+        } catch (error) {
+            this.logger.error(`[CLUSTER_APPLY_ERROR]: Command ${command.type} (${command.id}) failed. Error: ${error.message}`);
+        }
+
+        this.touched.forEach(userId => {
+            const user = this.isLocal(userId) ? this.localUser(userId) : null;
+            if (user) {
+                const record = this.records.get(userId);
+                MIRRORED_FIELDS.forEach(field => {
+                    user[field] = record[field];
+                });
+            }
+        });
+        this.current = null;
+    }
+
+    applyCommand(command) {
+        const record = this.records.get(command.userId || command.record?.id);
+
+        switch (command.type) {
+            case 'connect':
+                this.records.set(command.record.id, {
+                    ...command.record,
+                    instanceId: command.origin,
+                    blocks: [],
+                    reputation: 'neutral',
+                    partner: null,
+                    lastPartner: null,
+                    suspended: false,
+                    callId: null,
+                    callPartner: null,
+                    room: null,
+                    invite: null
+                });
+                this.onChange();
+                break;
+
+            case 'join':
+                // Two joins can be in flight at once: only the first one counts.
+                if (!record || record.room || record.status === 'waiting' || record.status === 'in-call') {
+                    return;
+                }
+                Object.assign(record, command.identity);
+                this.service.join(record.id);
+                break;
+
+            case 'change_partner':
+                if (record) {
+                    this.service.changePartner(record.id);
+                }
+                break;
+
+            case 'leave':
+                if (record) {
+                    this.service.leave(record.id);
+                }
+                break;
+
+            case 'remove':
+                if (record) {
+                    this.rooms.remove(record.id);
+                    this.service.remove(record.id);
+                    this.records.delete(record.id);
+                    this.onChange();
+                }
+                break;
+
+            case 'identify':
+                if (record) {
+                    Object.assign(record, command.identity);
+                    this.onChange();
+                }
+                break;
+
+            case 'invite': {
+                const invitee = this.records.get(command.to);
+                if (!record || !invitee || record.status === 'in-call' || record.room) {
+                    return;
+                }
+                // A new invitation replaces the previous one.
+                record.invite = { id: command.inviteId, to: invitee.id, at: command.at };
+                this.sendIfLocal(invitee.id, 'invite_received', { inviteId: command.inviteId, accountId: record.accountId, username: record.username });
+                this.sendIfLocal(record.id, 'invite_sent', { inviteId: command.inviteId, username: invitee.username });
+                break;
+            }
+
+            case 'accept_invite': {
+                const inviter = this.findInviter(command.inviteId, command.userId);
+                if (!record) {
+                    return;
+                }
+                if (!inviter || command.at - inviter.invite.at > INVITE_TTL_MS) {
+                    this.sendIfLocal(record.id, 'error', { code: ERROR_CODES.INVITE_EXPIRED });
+                    return;
+                }
+                inviter.invite = null;
+                // The inviter initiates the WebRTC call, like the first user of a random match.
+                if (!this.service.pairDirect(inviter.id, record.id)) {
+                    this.sendIfLocal(record.id, 'error', { code: ERROR_CODES.FRIEND_UNAVAILABLE });
+                    this.sendIfLocal(inviter.id, 'invite_declined', { inviteId: command.inviteId, username: record.username });
+                }
+                break;
+            }
+
+            case 'decline_invite': {
+                const inviter = this.findInviter(command.inviteId, command.userId);
+                if (record && inviter) {
+                    inviter.invite = null;
+                    this.sendIfLocal(inviter.id, 'invite_declined', { inviteId: command.inviteId, username: record.username });
+                }
+                break;
+            }
+
+            case 'set_suspended':
+                if (record) {
+                    record.suspended = command.suspended;
+                    // A resumed session that kept its place gets a match attempt right away.
+                    if (!command.suspended && record.status === 'waiting') {
+                        this.service.attemptMatch(record.id);
+                    }
+                }
+                break;
+
+            case 'block':
+                if (record && !record.blocks.includes(command.accountId)) {
+                    record.blocks.push(command.accountId);
+                }
+                break;
+
+            case 'room_join':
+                // A join for 1:1 matchmaking may have been applied in between.
+                if (record && record.status !== 'waiting' && record.status !== 'in-call') {
+                    Object.assign(record, command.identity);
+                    this.rooms.join(record.id, command.name);
+                    this.onChange();
+                }
+                break;
+
+            case 'room_leave':
+                if (record) {
+                    this.rooms.leave(record.id);
+                    this.onChange();
+                }
+                break;
+
+            case 'room_mute':
+                if (record) {
+                    this.rooms.setMuted(record.id, command.muted);
+                }
+                break;
+
+            case 'attempt_match':
+                if (record) {
+                    this.service.matchIfWaiting(record.id);
+                }
+                break;
+
+            case 'retry_all':
+                this.service.retryAll();
+                break;
+
+            case 'set_paused':
+                this.service.setPaused(command.paused);
+                break;
+
+            case 'evict_instance': {
+                const evicted = [...this.records.values()].filter(candidate => candidate.instanceId === command.instanceId);
+                evicted.forEach(candidate => {
+                    this.rooms.remove(candidate.id);
+                    this.service.remove(candidate.id);
+                    this.records.delete(candidate.id);
+                });
+                this.logger.warn(`[CLUSTER_EVICT]: Instance ${command.instanceId} is gone, removed its ${evicted.length} user(s).`);
+                this.onChange();
+                break;
+            }
+
+            case 'snapshot_request':
+                // The leader answers with the state as of this exact point in the log.
+                if (command.origin !== this.instanceId && this.isLeader()) {
+                    this.publish(instanceChannel(command.origin), { kind: 'snapshot', requestId: command.id, state: this.snapshot() });
+                }
+                break;
+
+            default:
+                this.logger.warn(`[CLUSTER_UNKNOWN_COMMAND]: Ignoring command type "${command.type}".`);
+        }
+    }
+
+    // The record holding invitation `inviteId` for `inviteeId`, or null.
+    findInviter(inviteId, inviteeId) {
+        for (const record of this.records.values()) {
+            if (record.invite && record.invite.id === inviteId) {
+                return record.invite.to === inviteeId ? record : null;
+            }
+        }
+        return null;
+    }
+
+    // --- Snapshots: how an instance joining a running cluster gets the current state ---
+    snapshot() {
+        return {
+            records: [...this.records.values()],
+            queue: this.service.queuedConnections(),
+            paused: this.service.paused,
+            rooms: this.rooms.snapshot()
+        };
+    }
+
+    requestSnapshot() {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.logger.warn(`[CLUSTER_SNAPSHOT_TIMEOUT]: No snapshot received, instance ${this.instanceId} starts with an empty matchmaking state.`);
+                this.pendingSnapshot = null;
+                this.becomeReady(null);
+                resolve();
+            }, this.snapshotTimeoutMs);
+            this.pendingSnapshot = { requestId: `${this.instanceId}:${this.sequence + 1}`, timer, resolve };
+            this.submit({ type: 'snapshot_request' });
+        });
+    }
+
+    restoreSnapshot({ requestId, state }) {
+        const pending = this.pendingSnapshot;
+        if (!pending || pending.requestId !== requestId) {
+            return;
+        }
+        clearTimeout(pending.timer);
+        this.pendingSnapshot = null;
+
+        state.records.forEach(record => this.records.set(record.id, record));
+        state.queue.forEach(userId => this.service.queue.push(userId));
+        this.service.paused = state.paused;
+        this.rooms.restore(state.rooms);
+        this.logger.log(`[CLUSTER_READY]: Instance ${this.instanceId} restored ${state.records.length} user(s) from a snapshot.`);
+        this.becomeReady(requestId);
+        this.onChange();
+        pending.resolve();
+    }
+
+    // Commands buffered while waiting: the ones up to the snapshot request are already in it.
+    becomeReady(snapshotRequestId) {
+        const buffered = this.buffered;
+        this.buffered = [];
+        this.ready = true;
+        const start = snapshotRequestId ? buffered.findIndex(command => command.id === snapshotRequestId) + 1 : 0;
+        buffered.slice(start).forEach(command => this.apply(command));
+    }
+
+    // --- Instance liveness: announce this instance, elect the leader, evict the silent ones ---
+    async heartbeat() {
+        try {
+            const now = Date.now();
+            await this.adapter.hashSet(INSTANCES_KEY, this.instanceId, now);
+            const instances = await this.adapter.hashGetAll(INSTANCES_KEY);
+            this.liveInstances = Object.keys(instances)
+                .filter(id => now - instances[id] < this.instanceTimeoutMs)
+                .sort();
+            if (!this.isLeader()) {
+                return;
+            }
+
+            const owners = new Set([...this.records.values()].map(record => record.instanceId));
+            Object.keys(instances).forEach(id => owners.add(id));
+            owners.forEach(id => {
+                if (!this.liveInstances.includes(id)) {
+                    this.adapter.hashDelete(INSTANCES_KEY, id).catch(() => {});
+                    this.submit({ type: 'evict_instance', instanceId: id });
+                }
+            });
+        } catch (error) {
+            this.logger.error(`[CLUSTER_HEARTBEAT_ERROR]: Instance ${this.instanceId} could not announce itself. Error: ${error.message}`);
+        }
+    }
+}
+
+module.exports = {
+    MatchmakingCluster
+};
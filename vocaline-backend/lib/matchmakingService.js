@@ -0,0 +1,311 @@
+const { MatchQueue } = require('./matchQueue');
+const { sharedLanguages, sharedTopic, isCompatible, scorePair, requiredScore } = require('./matchPreferences');
+const { canPairByReputation, reputationBonus } = require('./reputation');
+
+// Newly queued users get a short delay before the first match attempt, so a burst of joins
+// is paired by preference rather than strictly first come, first served.
+const MATCH_DELAY_MS = 1000;
+
+// --- Matchmaking Service: queue, pairing and partner release ---
+//
+// `users` maps a key (a user ID on the server) to a matchmaking record; the service reads
+// and updates the matchmaking fields of those records (status, statusSince, partner,
+// lastPartner, callId, callPartner), where `partner` and `lastPartner` are keys too.
+// It also reads `reputation`, the rating tier the record joined with (see reputation.js).
+// Everything with a side effect outside matchmaking is injected:
+//   send(key, type, payload)     deliver a message to a client
+//   createCall(userA, userB) -> callId  record a new call
+//   canPair(userA, userB)               extra pairing veto (e.g. blocks)
+//   onStatusChange(user, from, to, msInPreviousStatus)
+//   onMatch(userA, userB, score, matchContext)  score is null for a direct call (pairDirect)
+//   onChange()                          queue or call counts changed
+// `now`, `random` and `setTimer` default to the real clock, Math.random and setTimeout;
+// setTimer also receives the key the timer is for.
+class MatchmakingService {
+    constructor({
+        users,
+        send,
+        createCall,
+        canPair = () => true,
+        onStatusChange = () => {},
+        onMatch = () => {},
+        onChange = () => {},
+        now = Date.now,
+        random = Math.random,
+        setTimer = setTimeout,
+        matchDelayMs = MATCH_DELAY_MS,
+        logger = console
+    }) {
+        this.users = users;
+        this.send = send;
+        this.createCall = createCall;
+        this.canPair = canPair;
+        this.onStatusChange = onStatusChange;
+        this.onMatch = onMatch;
+        this.onChange = onChange;
+        this.now = now;
+        this.random = random;
+        this.setTimer = setTimer;
+        this.matchDelayMs = matchDelayMs;
+        this.logger = logger;
+        this.queue = new MatchQueue();
+        this.paused = false;
+    }
+
+    // --- Queue views (admin API, metrics, stats) ---
+    get queueLength() {
+        return this.queue.size;
+    }
+
+    queuedConnections() {
+        return this.queue.toArray();
+    }
+
+    queuePosition(key) {
+        return this.queue.positionOf(key);
+    }
+
+    // --- Change a user's status and remember since when (queue wait, admin "time in state") ---
+    setStatus(user, status) {
+        const now = this.now();
+        const previousStatus = user.status;
+        const msInPreviousStatus = now - user.statusSince;
+        user.status = status;
+        user.statusSince = now;
+        this.onStatusChange(user, previousStatus, status, msInPreviousStatus);
+    }
+
+    // --- Join: enter the back of the queue ---
+    join(key) {
+        const user = this.users.get(key);
+        this.setStatus(user, 'waiting');
+        user.lastPartner = null;
+        this.queue.push(key);
+        this.logger.log(`[USER_JOINED_QUEUE]: ${user.username} (ID: ${user.id}) joined matchmaking. Queue size: ${this.queue.size}`);
+        this.send(key, 'status_update', { status: 'waiting_for_match' });
+        this.scheduleMatch(key);
+        this.onChange();
+    }
+
+    // --- Change Partner: end the current call (if any) and jump to the front of the queue ---
+    // Returns false when the user is not in matchmaking.
+    changePartner(key) {
+        const user = this.users.get(key);
+        if (user.status !== 'in-call' && user.status !== 'waiting') {
+            return false;
+        }
+
+        this.logger.log(`[CHANGE_PARTNER_REQ]: ${user.username} (ID: ${user.id}) wants to change partner.`);
+        let requeuedPartner = null;
+        if (user.status === 'in-call' && user.partner) {
+            user.lastPartner = user.partner;
+            requeuedPartner = this.releasePartner(key, user, 'changed_partner');
+        }
+
+        this.setStatus(user, 'waiting');
+        user.partner = null;
+        this.queue.unshift(key);
+        this.logger.log(`[CHANGE_PARTNER_PRIO]: ${user.username} (ID: ${user.id}) moved to front of queue. New queue size: ${this.queue.size}`);
+        this.send(key, 'status_update', { status: 'waiting_for_match' });
+        // The requester's attempt is scheduled first, so they get first pick of the queue.
+        this.scheduleMatch(key);
+        if (requeuedPartner) {
+            this.scheduleMatch(requeuedPartner);
+        }
+        this.onChange();
+        return true;
+    }
+
+    // --- Leave: the user stops matchmaking but stays connected ---
+    leave(key) {
+        const user = this.users.get(key);
+        if (user.status === 'in-call' && user.partner) {
+            this.requeuePartner(key, user, 'left');
+        }
+        this.setStatus(user, 'disconnected');
+        user.partner = null;
+        user.lastPartner = null;
+        if (this.queue.delete(key)) {
+            this.logger.log(`[QUEUE_REMOVE]: Removed ${user.username} from queue. New size: ${this.queue.size}`);
+        }
+        this.send(key, 'status_update', { status: 'disconnected' });
+        this.onChange();
+    }
+
+    // --- Remove: the key is going away for good (socket closed, kicked, session expired) ---
+    remove(key) {
+        const user = this.users.get(key);
+        if (user && user.status === 'in-call' && user.partner) {
+            this.requeuePartner(key, user, 'left');
+        }
+        if (this.queue.delete(key)) {
+            this.logger.log(`[QUEUE_REMOVE]: Removed ${user?.username || 'unknown'} from queue on disconnect. New size: ${this.queue.size}`);
+        }
+    }
+
+    setPaused(paused) {
+        this.paused = paused;
+        if (!paused) {
+            this.retryAll();
+        }
+    }
+
+    // --- Periodic retry: lets relaxed soft preferences pair people who have waited a while ---
+    retryAll() {
+        this.queue.toArray().forEach(key => {
+            if (this.users.get(key)?.status === 'waiting') {
+                this.attemptMatch(key);
+            }
+        });
+    }
+
+    // --- Notify the partner of a call being left and put them back in the queue ---
+    // `reason` is 'changed_partner' or 'left'. Returns the partner's key when it was queued;
+    // the caller schedules its match attempt.
+    releasePartner(key, user, reason) {
+        const partnerKey = user.partner;
+        const partner = this.users.get(partnerKey);
+        if (!partner) {
+            return null;
+        }
+        this.send(partnerKey, 'partner_disconnected', { reason, username: user.username });
+        this.setStatus(partner, 'waiting');
+        partner.partner = null;
+        partner.lastPartner = key;
+        if (!this.queue.push(partnerKey)) {
+            this.logger.log(`[PARTNER_IN_QUEUE_ALREADY]: ${partner.username} was already in queue.`);
+            return null;
+        }
+        this.logger.log(`[PARTNER_REQUEUE]: ${partner.username} re-added to queue.`);
+        this.send(partnerKey, 'status_update', { status: 'waiting_for_match' });
+        return partnerKey;
+    }
+
+    requeuePartner(key, user, reason) {
+        const partnerKey = this.releasePartner(key, user, reason);
+        if (partnerKey) {
+            this.scheduleMatch(partnerKey);
+        }
+    }
+
+    scheduleMatch(key) {
+        this.setTimer(() => this.matchIfWaiting(key), this.matchDelayMs, key);
+    }
+
+    matchIfWaiting(key) {
+        const user = this.users.get(key);
+        if (user && user.status === 'waiting') {
+            return this.attemptMatch(key);
+        }
+        this.logger.log(`[MATCH_TIMER_SKIP]: ${user?.username || key} no longer waiting after delay.`);
+        return false;
+    }
+
+    // --- Pair a waiting user with the best-scoring eligible partner (random among ties) ---
+    // Preferences decide first; among equally ranked candidates, one in the same reputation tier wins.
+    attemptMatch(key) {
+        const user = this.users.get(key);
+        if (!user || user.status !== 'waiting' || user.suspended) {
+            this.logger.log(`[MATCH_ATTEMPT_SKIP]: User ${user?.username || 'unknown'} (ID: ${user?.id || 'unknown'}) not in waiting state or not found.`);
+            return false;
+        }
+        if (this.paused) {
+            this.logger.log(`[MATCH_PAUSED]: Matchmaking is paused, ${user.username} (ID: ${user.id}) stays in queue.`);
+            return false;
+        }
+
+        const now = this.now();
+        let bestScore = -1;
+        let eligiblePartners = [];
+        for (const candidateKey of this.queue) {
+            const candidate = this.users.get(candidateKey);
+            if (candidateKey === key || candidate?.status !== 'waiting' || candidate.suspended) {
+                continue;
+            }
+            // Never pair the same two people again right after one of them left the other.
+            if (user.lastPartner === candidateKey || candidate.lastPartner === key) {
+                continue;
+            }
+            if (!this.canPair(user, candidate) || !isCompatible(user.preferences, candidate.preferences)) {
+                continue;
+            }
+            if (!canPairByReputation(user, candidate, now - user.statusSince, now - candidate.statusSince)) {
+                continue;
+            }
+            // Whoever has waited longest sets how far the soft preferences are relaxed.
+            const waitedMs = now - Math.min(user.statusSince, candidate.statusSince);
+            const preferenceScore = scorePair(user.preferences, candidate.preferences);
+            if (preferenceScore < requiredScore(waitedMs)) {
+                continue;
+            }
+            const score = preferenceScore + reputationBonus(user, candidate);
+            if (score > bestScore) {
+                bestScore = score;
+                eligiblePartners = [candidateKey];
+            } else if (score === bestScore) {
+                eligiblePartners.push(candidateKey);
+            }
+        }
+
+        if (eligiblePartners.length === 0) {
+            this.logger.log(`[MATCH_NO_PARTNER]: No eligible partners found for ${user.username} (ID: ${user.id}). Queue size: ${this.queue.size}.`);
+            return false;
+        }
+
+        const partnerKey = eligiblePartners[Math.floor(this.random() * eligiblePartners.length)];
+        this.startCall(key, partnerKey, bestScore);
+        return true;
+    }
+
+    // --- Direct call: pair two specific users (an accepted invitation), bypassing the queue ---
+    // Either may be waiting in the queue; returns false when one of them is busy or unavailable.
+    // `key` initiates the WebRTC call.
+    pairDirect(key, partnerKey) {
+        const user = this.users.get(key);
+        const partner = this.users.get(partnerKey);
+        const available = record => record && record.status !== 'in-call' && !record.room && !record.suspended;
+        if (key === partnerKey || !available(user) || !available(partner)) {
+            return false;
+        }
+        this.logger.log(`[DIRECT_CALL]: ${user.username} (ID: ${user.id}) and ${partner.username} (ID: ${partner.id}) paired directly.`);
+        this.startCall(key, partnerKey, null);
+        return true;
+    }
+
+    // --- Put two users in a call together; `key` initiates it. `score` is null for a direct call ---
+    startCall(key, partnerKey, score) {
+        const user = this.users.get(key);
+        const partner = this.users.get(partnerKey);
+
+        this.queue.delete(key);
+        this.queue.delete(partnerKey);
+        this.setStatus(user, 'in-call');
+        this.setStatus(partner, 'in-call');
+        user.partner = partnerKey;
+        partner.partner = key;
+        user.lastPartner = null;
+        partner.lastPartner = null;
+
+        const callId = this.createCall(user, partner);
+        user.callId = callId;
+        partner.callId = callId;
+        // Kept after the call ends, so a partner can still be blocked or reported afterwards.
+        user.callPartner = { accountId: partner.accountId, username: partner.username };
+        partner.callPartner = { accountId: user.accountId, username: user.username };
+
+        const matchContext = {
+            callId,
+            commonLanguages: sharedLanguages(user.preferences, partner.preferences),
+            topic: sharedTopic(user.preferences, partner.preferences)
+        };
+        this.onMatch(user, partner, score, matchContext);
+
+        this.send(key, 'match_found', { partnerUsername: partner.username, initiateCall: true, ...matchContext });
+        this.send(partnerKey, 'match_found', { partnerUsername: user.username, initiateCall: false, ...matchContext });
+        this.onChange();
+    }
+}
+
+module.exports = {
+    MatchmakingService
+};
@@ -0,0 +1,106 @@
+// --- Minimal Prometheus registry (text exposition format 0.0.4), no external dependency ---
+
+const registry = [];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) {
+        return '';
+    }
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function labelKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+// --- Counter: monotonically increasing, optionally split by labels ---
+function counter(name, help) {
+    const values = new Map();
+    const metric = {
+        name,
+        help,
+        type: 'counter',
+        inc(labels = {}, amount = 1) {
+            const key = labelKey(labels);
+            const current = values.get(key);
+            values.set(key, { labels, value: (current ? current.value : 0) + amount });
+        },
+        render() {
+            if (values.size === 0) {
+                return [`${name} 0`];
+            }
+            return [...values.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+        }
+    };
+    registry.push(metric);
+    return metric;
+}
+
+// --- Gauge: sampled from a callback at scrape time ---
+function gauge(name, help, collect) {
+    const metric = {
+        name,
+        help,
+        type: 'gauge',
+        render() {
+            return [`${name} ${collect()}`];
+        }
+    };
+    registry.push(metric);
+    return metric;
+}
+
+// --- Histogram: cumulative buckets plus _sum and _count, optionally split by labels ---
+function histogram(name, help, buckets) {
+    const sortedBuckets = [...buckets].sort((a, b) => a - b);
+    const series = new Map();
+    const createSeries = labels => ({ labels, bucketCounts: sortedBuckets.map(() => 0), sum: 0, count: 0 });
+    const metric = {
+        name,
+        help,
+        type: 'histogram',
+        observe(value, labels = {}) {
+            const key = labelKey(labels);
+            if (!series.has(key)) {
+                series.set(key, createSeries(labels));
+            }
+            const entry = series.get(key);
+            sortedBuckets.forEach((upperBound, index) => {
+                if (value <= upperBound) {
+                    entry.bucketCounts[index]++;
+                }
+            });
+            entry.sum += value;
+            entry.count++;
+        },
+        render() {
+            const entries = series.size > 0 ? [...series.values()] : [createSeries({})];
+            return entries.flatMap(({ labels, bucketCounts, sum, count }) => [
+                ...sortedBuckets.map((upperBound, index) => `${name}_bucket${formatLabels({ ...labels, le: upperBound })} ${bucketCounts[index]}`),
+                `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+                `${name}_sum${formatLabels(labels)} ${sum}`,
+                `${name}_count${formatLabels(labels)} ${count}`
+            ]);
+        }
+    };
+    registry.push(metric);
+    return metric;
+}
+
+function renderMetrics() {
+    return registry
+        .map(metric => [`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...metric.render()].join('\n'))
+        .join('\n') + '\n';
+}
+
+module.exports = {
+    counter,
+    gauge,
+    histogram,
+    renderMetrics
+};
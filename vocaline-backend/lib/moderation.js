@@ -0,0 +1,261 @@
+const crypto = require('crypto');
+const path = require('path');
+const { createRecordStore } = require('./state');
+const { sendJson, readJsonBody, hasValidBearerToken } = require('./httpHelpers');
+
+// --- Moderation Configuration ---
+const MODERATION_FILE = process.env.MODERATION_FILE || path.join(__dirname, '..', 'data', 'moderation.json');
+const REPORT_REASONS = ['harassment', 'hate_speech', 'sexual_content', 'spam', 'impersonation', 'other'];
+const REPORT_DETAILS_MAX_LENGTH = 500;
+// N reports from N different accounts within the window trigger a temporary suspension.
+const REPORT_SUSPENSION_THRESHOLD = parseInt(process.env.REPORT_SUSPENSION_THRESHOLD, 10) || 3;
+const REPORT_WINDOW_MS = parseInt(process.env.REPORT_WINDOW_MS, 10) || 7 * 24 * 60 * 60 * 1000;
+const SUSPENSION_DURATION_MS = parseInt(process.env.SUSPENSION_DURATION_MS, 10) || 24 * 60 * 60 * 1000;
+// Reviewed and dismissed reports are deleted this long after their review; open ones are kept until reviewed.
+const REPORT_RETENTION_MS = parseInt(process.env.REPORT_RETENTION_MS, 10) || 90 * 24 * 60 * 60 * 1000;
+const MAX_BLOCKS_PER_ACCOUNT = 1000;
+const ADMIN_BODY_MAX_BYTES = 4 * 1024;
+
+// Files written before the records moved behind the state adapter keep blocks as arrays and reports as
+// one array: give every blocker its own hash, and index the reports by ID and by reported account.
+function migrateModerationFile(data) {
+    if (!Array.isArray(data.reports) && !data.blocks) {
+        return false;
+    }
+    const migratedAt = new Date().toISOString();
+    Object.entries(data.blocks || {}).forEach(([blockerId, blockedIds]) => {
+        data[`blocks:${blockerId}`] = Object.fromEntries(blockedIds.map(blockedId => [blockedId, { at: migratedAt }]));
+    });
+    delete data.blocks;
+    const reports = Array.isArray(data.reports) ? data.reports : [];
+    delete data.reports;
+    if (reports.length > 0) {
+        data.reports = Object.fromEntries(reports.map(report => [report.id, report]));
+    }
+    reports.filter(report => report.status !== 'dismissed').forEach(report => {
+        const key = `reports_against:${report.reported.accountId}`;
+        data[key] = { ...data[key], [report.id]: reportIndexEntry(report) };
+    });
+    return true;
+}
+
+function reportIndexEntry(report) {
+    return { reporterId: report.reporter.accountId, createdAt: report.createdAt };
+}
+
+// `records` defaults to the shared state (or MODERATION_FILE on a single instance), see lib/state/recordStore.js.
+// Hashes:
+//   blocks:<accountId>  blocked accountId -> { at }
+//   reports             report ID -> { id, createdAt, status, reporter, reported, reason, details, call }
+//   reports_against:<accountId>  report ID -> { reporterId, createdAt }, the reports not dismissed that
+//                       still count towards a suspension (pruned once older than REPORT_WINDOW_MS)
+//   suspensions         accountId -> { until, reason, reportIds }
+class ModerationBook {
+    constructor({ adapter, records = createRecordStore(adapter, { filePath: MODERATION_FILE, migrate: migrateModerationFile }), now = Date.now }) {
+        this.records = records;
+        this.now = now;
+    }
+
+    // --- Blocks (checked in both directions by the matcher) ---
+    async blockUser(blockerId, blockedId) {
+        const key = `blocks:${blockerId}`;
+        if (!(await this.records.hashSetIfAbsent(key, blockedId, { at: new Date(this.now()).toISOString() }))) {
+            return;
+        }
+        const blocks = Object.entries(await this.records.hashGetAll(key));
+        if (blocks.length > MAX_BLOCKS_PER_ACCOUNT) {
+            const oldest = blocks.sort(([, a], [, b]) => a.at.localeCompare(b.at)).slice(0, blocks.length - MAX_BLOCKS_PER_ACCOUNT);
+            await Promise.all(oldest.map(([oldBlockedId]) => this.records.hashDelete(key, oldBlockedId)));
+        }
+    }
+
+    async getBlockedAccounts(accountId) {
+        return accountId ? Object.keys(await this.records.hashGetAll(`blocks:${accountId}`)) : [];
+    }
+
+    // --- Suspensions ---
+    async getActiveSuspension(accountId) {
+        const suspension = accountId ? await this.records.hashGet('suspensions', accountId) : null;
+        if (!suspension) {
+            return null;
+        }
+        if (Date.parse(suspension.until) <= this.now()) {
+            await this.records.hashDelete('suspensions', accountId);
+            return null;
+        }
+        return suspension;
+    }
+
+    async activeSuspensions() {
+        const now = this.now();
+        return Object.entries(await this.records.hashGetAll('suspensions'))
+            .filter(([, suspension]) => Date.parse(suspension.until) > now)
+            .map(([accountId, suspension]) => ({ accountId, ...suspension }));
+    }
+
+    async liftSuspension(accountId) {
+        if (!(await this.getActiveSuspension(accountId))) {
+            return false;
+        }
+        await this.records.hashDelete('suspensions', accountId);
+        console.log(`[MODERATION_SUSPENSION_LIFTED]: Account ${accountId} reinstated by an admin.`);
+        return true;
+    }
+
+    // --- Reports: returns null for an invalid reason, otherwise { report, suspension } ---
+    // `suspension` is set only when this report pushed the account over the threshold.
+    async addReport({ reporter, reported, reason, details, call }) {
+        if (!REPORT_REASONS.includes(reason)) {
+            return null;
+        }
+
+        const report = {
+            id: crypto.randomUUID(),
+            createdAt: new Date(this.now()).toISOString(),
+            status: 'open',
+            reporter,
+            reported,
+            reason,
+            details: typeof details === 'string' ? details.trim().slice(0, REPORT_DETAILS_MAX_LENGTH) : '',
+            call
+        };
+        await this.records.hashSet('reports', report.id, report);
+        await this.records.hashSet(`reports_against:${reported.accountId}`, report.id, reportIndexEntry(report));
+
+        let suspension = null;
+        const recentReports = await this.recentReportsAgainst(reported.accountId);
+        const distinctReporters = new Set(recentReports.map(candidate => candidate.reporterId));
+
+        if (distinctReporters.size >= REPORT_SUSPENSION_THRESHOLD && !(await this.getActiveSuspension(reported.accountId))) {
+            suspension = {
+                until: new Date(this.now() + SUSPENSION_DURATION_MS).toISOString(),
+                reason: `${distinctReporters.size} independent reports`,
+                reportIds: recentReports.map(candidate => candidate.id)
+            };
+            await this.records.hashSet('suspensions', reported.accountId, suspension);
+            console.warn(`[MODERATION_AUTO_SUSPEND]: ${reported.username} (account ${reported.accountId}) suspended until ${suspension.until} after ${distinctReporters.size} reports.`);
+        }
+
+        return { report, suspension };
+    }
+
+    // { id, reporterId, createdAt } of the reports against this account within the window; older ones are pruned.
+    async recentReportsAgainst(accountId) {
+        const key = `reports_against:${accountId}`;
+        const windowStart = this.now() - REPORT_WINDOW_MS;
+        const entries = Object.entries(await this.records.hashGetAll(key));
+        const expired = entries.filter(([, entry]) => Date.parse(entry.createdAt) < windowStart);
+        await Promise.all(expired.map(([reportId]) => this.records.hashDelete(key, reportId)));
+        return entries
+            .filter(([, entry]) => Date.parse(entry.createdAt) >= windowStart)
+            .map(([reportId, entry]) => ({ id: reportId, ...entry }));
+    }
+
+    // Newest first. Reports reviewed more than REPORT_RETENTION_MS ago are deleted on the way.
+    async listReports(status) {
+        const retentionStart = this.now() - REPORT_RETENTION_MS;
+        const reports = Object.values(await this.records.hashGetAll('reports'));
+        const expired = reports.filter(report => report.status !== 'open' && report.reviewedAt && Date.parse(report.reviewedAt) < retentionStart);
+        await Promise.all(expired.map(report => this.records.hashDelete('reports', report.id)));
+        return reports
+            .filter(report => !expired.includes(report) && (!status || report.status === status))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    // Returns the updated report, or null if there is none with this ID.
+    async reviewReport(reportId, status, note) {
+        const report = await this.records.hashGet('reports', reportId);
+        if (!report) {
+            return null;
+        }
+        report.status = status;
+        report.reviewedAt = new Date(this.now()).toISOString();
+        if (typeof note === 'string') {
+            report.note = note.slice(0, REPORT_DETAILS_MAX_LENGTH);
+        }
+        await this.records.hashSet('reports', reportId, report);
+        // A dismissed report stops counting towards a suspension; reopening it within the window counts it again.
+        const indexKey = `reports_against:${report.reported.accountId}`;
+        if (status === 'dismissed') {
+            await this.records.hashDelete(indexKey, reportId);
+        } else if (Date.parse(report.createdAt) >= this.now() - REPORT_WINDOW_MS) {
+            await this.records.hashSet(indexKey, reportId, reportIndexEntry(report));
+        }
+        console.log(`[MODERATION_REPORT_UPDATED]: Report ${report.id} marked ${report.status}.`);
+        return report;
+    }
+}
+
+// --- Admin Routes (Authorization: Bearer <ADMIN_TOKEN>) ---
+// GET  /admin/reports?status=open          list reports, newest first
+// POST /admin/reports/:id                  { status: 'reviewed' | 'dismissed', note }
+// GET  /admin/suspensions                  active suspensions
+// POST /admin/suspensions/:accountId/lift  reinstate an account
+function createModerationRoutes({ adminToken, moderation }) {
+    async function route(req, res, url) {
+        const segments = url.pathname.split('/').filter(Boolean); // ['admin', 'reports', ...]
+
+        if (segments[1] === 'reports' && segments.length === 2 && req.method === 'GET') {
+            const reports = await moderation.listReports(url.searchParams.get('status'));
+            sendJson(res, 200, { count: reports.length, reports });
+            return;
+        }
+
+        if (segments[1] === 'reports' && segments.length === 3 && req.method === 'POST') {
+            let body;
+            try {
+                body = await readJsonBody(req, ADMIN_BODY_MAX_BYTES);
+            } catch (error) {
+                sendJson(res, error.statusCode || 400, { error: error.message });
+                return;
+            }
+            if (!['open', 'reviewed', 'dismissed'].includes(body.status)) {
+                sendJson(res, 400, { error: 'status must be "open", "reviewed" or "dismissed".' });
+                return;
+            }
+            const report = await moderation.reviewReport(segments[2], body.status, body.note);
+            if (!report) {
+                sendJson(res, 404, { error: 'Report not found.' });
+                return;
+            }
+            sendJson(res, 200, report);
+            return;
+        }
+
+        if (segments[1] === 'suspensions' && segments.length === 2 && req.method === 'GET') {
+            const suspensions = await moderation.activeSuspensions();
+            sendJson(res, 200, { count: suspensions.length, suspensions });
+            return;
+        }
+
+        if (segments[1] === 'suspensions' && segments.length === 4 && segments[3] === 'lift' && req.method === 'POST') {
+            if (!(await moderation.liftSuspension(segments[2]))) {
+                sendJson(res, 404, { error: 'No active suspension for this account.' });
+                return;
+            }
+            sendJson(res, 200, { accountId: segments[2], lifted: true });
+            return;
+        }
+
+        sendJson(res, 404, { error: 'Not Found.' });
+    }
+
+    return function handleModerationRequest(req, res, url) {
+        if (!hasValidBearerToken(req, adminToken)) {
+            sendJson(res, 401, { error: 'Unauthorized.' });
+            return;
+        }
+        route(req, res, url).catch(error => {
+            console.error(`[MODERATION_ADMIN_ERROR]: ${req.method} ${url.pathname} failed. Error: ${error.message}`);
+            if (!res.headersSent) {
+                sendJson(res, 500, { error: 'Could not read or update moderation records.' });
+            }
+        });
+    };
+}
+
+module.exports = {
+    REPORT_REASONS,
+    ModerationBook,
+    createModerationRoutes
+};
@@ -0,0 +1,413 @@
+// --- Signaling Protocol: message schemas, validation and error codes ---
+//
+// Every WebSocket frame is JSON: { type, payload }. A client must open with
+// `hello { protocolVersion }` before anything else; the server answers `hello_ack`
+// with the negotiated version and CLIENT_SETTINGS, or UNSUPPORTED_PROTOCOL_VERSION and closes the socket.
+// Payloads are validated against the schemas below before dispatch, and unknown
+// fields are dropped, so handlers (and partners receiving forwarded signals) only
+// ever see the declared shape.
+//
+// The server never sends prose meant for people: notices and errors carry a code and,
+// where the wording needs them, `params` (a username, a room name...). Each client
+// renders them in its own language.
+
+const { REPORT_REASONS } = require('./moderation');
+const { QUICK_REPLIES } = require('./chat');
+const { CANDIDATE_TYPES, NETWORK_TYPES } = require('./callQuality');
+const { RATINGS, RATING_TAGS } = require('./reputation');
+const { INVITE_TTL_MS } = require('./friends');
+
+// Bump PROTOCOL_VERSION on any incompatible change; raise MIN_PROTOCOL_VERSION once
+// clients speaking the older version must refresh.
+// v2: `welcome`, `info`, `error`, `auth_error`, `partner_disconnected` and `session_expired`
+// carry codes and params instead of English messages.
+const PROTOCOL_VERSION = 2;
+const MIN_PROTOCOL_VERSION = 2;
+
+const MAX_SDP_LENGTH = 32 * 1024;
+const MAX_CANDIDATE_LENGTH = 1024;
+// Transport cap only: chat text is sanitized and checked against CHAT_MESSAGE_MAX_LENGTH afterwards.
+const MAX_CHAT_TEXT_LENGTH = 2000;
+// Transport cap only: room names are normalized and checked by roomService.
+const MAX_ROOM_NAME_LENGTH = 64;
+// Signaling inside a group room is addressed: `to` is the user ID of the room member it is for.
+const signalTarget = () => optional(string({ maxLength: 64 }));
+
+// --- Values the client must agree on with the server, sent in `hello_ack` so clients keep no copy of their own ---
+const CLIENT_SETTINGS = {
+    inviteTtlMs: INVITE_TTL_MS,
+    quickReplies: QUICK_REPLIES,
+    networkTypes: NETWORK_TYPES
+};
+
+// --- Machine-readable error codes, sent in `error.code` ---
+// `auth_error.code` also carries the account codes from accountStore (USERNAME_TAKEN, INVALID_CREDENTIALS, ...).
+const ERROR_CODES = {
+    BAD_JSON: 'BAD_JSON',
+    BAD_MESSAGE: 'BAD_MESSAGE',
+    UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+    BAD_PAYLOAD: 'BAD_PAYLOAD',
+    HELLO_REQUIRED: 'HELLO_REQUIRED',
+    UNSUPPORTED_PROTOCOL_VERSION: 'UNSUPPORTED_PROTOCOL_VERSION',
+    NOT_LOGGED_IN: 'NOT_LOGGED_IN',
+    ALREADY_IN_MATCHMAKING: 'ALREADY_IN_MATCHMAKING',
+    NOT_IN_MATCHMAKING: 'NOT_IN_MATCHMAKING',
+    NOT_IN_CALL: 'NOT_IN_CALL',
+    NO_PARTNER: 'NO_PARTNER',
+    SESSION_ALREADY_ACTIVE: 'SESSION_ALREADY_ACTIVE',
+    RATE_LIMITED: 'RATE_LIMITED',
+    COOLDOWN: 'COOLDOWN',
+    TOO_MANY_CONNECTIONS: 'TOO_MANY_CONNECTIONS',
+    AUTH_FAILED: 'AUTH_FAILED',
+    ROOM_NAME_INVALID: 'ROOM_NAME_INVALID',
+    ROOM_FULL: 'ROOM_FULL',
+    // Someone in the room blocked the newcomer, or the other way round (the client is not told which).
+    ROOM_UNAVAILABLE: 'ROOM_UNAVAILABLE',
+    TOO_MANY_ROOMS: 'TOO_MANY_ROOMS',
+    ALREADY_IN_ROOM: 'ALREADY_IN_ROOM',
+    NOT_IN_ROOM: 'NOT_IN_ROOM',
+    NOT_A_ROOM_MEMBER: 'NOT_A_ROOM_MEMBER',
+    UNKNOWN_CALL: 'UNKNOWN_CALL',
+    NOT_FRIENDS: 'NOT_FRIENDS',
+    FRIEND_LIMIT_REACHED: 'FRIEND_LIMIT_REACHED',
+    FRIEND_UNAVAILABLE: 'FRIEND_UNAVAILABLE',
+    INVITE_EXPIRED: 'INVITE_EXPIRED',
+    // The shared state could not be read or written: the request can be retried.
+    SERVER_ERROR: 'SERVER_ERROR'
+};
+
+// --- Machine-readable notice codes, sent in `info.code` ---
+const INFO_CODES = {
+    LOGGED_IN_ELSEWHERE: 'LOGGED_IN_ELSEWHERE',
+    DISCONNECTED_BY_ADMIN: 'DISCONNECTED_BY_ADMIN'
+};
+
+// --- Why a partner left a 1:1 call, sent in `partner_disconnected.reason` ---
+const PARTNER_LEFT_REASONS = ['changed_partner', 'left'];
+
+// --- Schema building blocks ---
+const string = (options = {}) => ({ kind: 'string', ...options });
+const boolean = (options = {}) => ({ kind: 'boolean', ...options });
+const integer = (options = {}) => ({ kind: 'integer', ...options });
+const number = (options = {}) => ({ kind: 'number', ...options });
+const array = (items, options = {}) => ({ kind: 'array', items, ...options });
+const object = (fields, options = {}) => ({ kind: 'object', fields, ...options });
+const optional = schema => ({ ...schema, optional: true });
+const nullable = schema => ({ ...schema, nullable: true });
+
+const sessionDescription = types => object({
+    type: string({ enum: types }),
+    sdp: string({ maxLength: MAX_SDP_LENGTH })
+});
+
+// --- Client -> server payloads ---
+const CLIENT_MESSAGES = {
+    hello: object({
+        protocolVersion: integer(),
+        client: optional(string({ maxLength: 64 }))
+    }),
+    register: object({
+        username: string({ maxLength: 100 }),
+        secret: string({ maxLength: 256 }),
+        remember: optional(boolean())
+    }),
+    login: object({
+        username: optional(string({ maxLength: 100 })),
+        secret: optional(string({ maxLength: 256 })),
+        token: optional(string({ maxLength: 128 })),
+        remember: optional(boolean())
+    }),
+    logout: optional(object({})),
+    join: optional(object({
+        preferences: optional(object({
+            languages: optional(array(string({ maxLength: 16 }), { maxItems: 20 })),
+            topic: optional(nullable(string({ maxLength: 32 }))),
+            hardLanguages: optional(boolean()),
+            hardTopic: optional(boolean())
+        }))
+    })),
+    resume: object({
+        sessionToken: string({ maxLength: 128 })
+    }),
+    change_partner: optional(object({})),
+    disconnect_from_matchmaking: optional(object({})),
+    block_user: optional(object({})),
+    report_user: object({
+        reason: string({ enum: REPORT_REASONS }),
+        details: optional(string({ maxLength: 2000 }))
+    }),
+    offer: object({ sdp: sessionDescription(['offer']), to: signalTarget() }),
+    answer: object({ sdp: sessionDescription(['answer']), to: signalTarget() }),
+    candidate: object({
+        // null signals the end of candidates
+        candidate: nullable(object({
+            candidate: string({ maxLength: MAX_CANDIDATE_LENGTH }),
+            sdpMid: optional(nullable(string({ maxLength: 64 }))),
+            sdpMLineIndex: optional(nullable(integer({ min: 0, max: 255 }))),
+            usernameFragment: optional(nullable(string({ maxLength: 256 })))
+        })),
+        to: signalTarget()
+    }),
+    mute: object({
+        isMuted: boolean()
+    }),
+    chat_message: object({
+        text: optional(string({ maxLength: MAX_CHAT_TEXT_LENGTH })),
+        quickReply: optional(string({ enum: QUICK_REPLIES }))
+    }),
+    // Push-to-talk: sent on press and release; rogerBeep asks the listeners to play the end-of-transmission beep.
+    talk_state: object({
+        isTalking: boolean(),
+        rogerBeep: optional(boolean())
+    }),
+    // Voice activity measured on the sender's microphone, sent when it changes.
+    speaking_state: object({
+        isSpeaking: boolean()
+    }),
+    // End-of-call getStats() summary; RTT and jitter are null when they were never measured.
+    call_quality: object({
+        callId: string({ maxLength: 64 }),
+        candidateType: string({ enum: CANDIDATE_TYPES }),
+        networkType: string({ enum: NETWORK_TYPES }),
+        samples: integer({ min: 0, max: 100000 }),
+        packetLossPercent: number({ min: 0, max: 100 }),
+        avgRttMs: nullable(number({ min: 0, max: 60000 })),
+        avgJitterMs: nullable(number({ min: 0, max: 60000 }))
+    }),
+    // Friends: a request goes to the current or most recent partner; the others name an account.
+    friend_request: optional(object({})),
+    friend_respond: object({
+        accountId: string({ maxLength: 64 }),
+        accept: boolean()
+    }),
+    friend_remove: object({
+        accountId: string({ maxLength: 64 })
+    }),
+    invite: object({
+        accountId: string({ maxLength: 64 })
+    }),
+    accept_invite: object({
+        inviteId: string({ maxLength: 64 })
+    }),
+    decline_invite: object({
+        inviteId: string({ maxLength: 64 })
+    }),
+    // Post-call rating of the partner, once per participant and call.
+    rate_call: object({
+        callId: string({ maxLength: 64 }),
+        rating: string({ enum: RATINGS }),
+        tags: optional(array(string({ enum: RATING_TAGS }), { maxItems: RATING_TAGS.length }))
+    }),
+    room_list: optional(object({})),
+    room_join: object({
+        name: string({ maxLength: MAX_ROOM_NAME_LENGTH })
+    }),
+    room_leave: optional(object({})),
+    keepalive: optional(object({}))
+};
+
+// --- Server -> client payloads (checked outside production to catch server-side drift) ---
+const matchContextFields = {
+    callId: string(),
+    commonLanguages: array(string()),
+    topic: nullable(string())
+};
+
+const roomMember = object({ userId: string(), username: string(), isMuted: boolean() });
+const PRESENCES = ['offline', 'online', 'waiting', 'in-call'];
+const friendAccount = object({ accountId: string(), username: string() });
+
+// Values a client interpolates into its own wording of an error or notice.
+const messageParams = optional(object({
+    type: optional(string()),
+    username: optional(string()),
+    name: optional(string()),
+    capacity: optional(integer()),
+    min: optional(integer()),
+    max: optional(integer())
+}));
+
+const SERVER_MESSAGES = {
+    welcome: object({ sessionToken: string(), resumeGraceMs: integer() }),
+    hello_ack: object({
+        protocolVersion: integer(),
+        minProtocolVersion: integer(),
+        settings: object({ inviteTtlMs: integer(), quickReplies: array(string()), networkTypes: array(string()) })
+    }),
+    error: object({ code: string(), params: messageParams, retryAfterMs: optional(integer()) }),
+    info: object({ code: string({ enum: Object.values(INFO_CODES) }), params: messageParams }),
+    status_update: object({ status: string() }),
+    stats_update: object({ connectedUsers: integer(), waitingUsers: integer(), activeConversations: number() }),
+    auth_success: object({ username: string(), accountId: string(), token: string() }),
+    auth_error: object({ code: string(), params: messageParams }),
+    logged_out: object({}),
+    account_suspended: object({ until: string() }),
+    match_found: object({ partnerUsername: string(), initiateCall: boolean(), ...matchContextFields }),
+    partner_disconnected: object({ reason: string({ enum: PARTNER_LEFT_REASONS }), username: string() }),
+    partner_connection_lost: object({ username: string(), graceMs: integer() }),
+    partner_reconnected: object({ username: string() }),
+    session_resumed: object({ status: string(), username: string(), partnerUsername: nullable(string()), callId: nullable(string()) }),
+    session_expired: object({}),
+    user_blocked: object({ username: string() }),
+    report_received: object({ reportId: string() }),
+    rating_received: object({ callId: string() }),
+    friends_list: object({
+        friends: array(object({ ...friendAccount.fields, presence: string({ enum: PRESENCES }) })),
+        requests: array(friendAccount)
+    }),
+    friend_presence: object({ accountId: string(), presence: string({ enum: PRESENCES }) }),
+    friend_request_sent: object({ username: string() }),
+    invite_received: object({ inviteId: string(), accountId: string(), username: string() }),
+    invite_sent: object({ inviteId: string(), username: string() }),
+    invite_declined: object({ inviteId: string(), username: string() }),
+    offer: object({ sdp: sessionDescription(['offer']), from: string() }),
+    answer: object({ sdp: sessionDescription(['answer']), from: string() }),
+    candidate: object({ candidate: CLIENT_MESSAGES.candidate.fields.candidate, from: string() }),
+    partner_mute_status: object({ username: string(), isMuted: boolean() }),
+    talk_state: object({ userId: string(), username: string(), isTalking: boolean(), rogerBeep: boolean() }),
+    speaking_state: object({ userId: string(), username: string(), isSpeaking: boolean() }),
+    chat_message: object({ messageId: string(), username: string(), text: nullable(string()), quickReply: nullable(string()), sentAt: string() }),
+    room_list: object({ rooms: array(object({ name: string(), memberCount: integer(), capacity: integer() })) }),
+    room_joined: object({ name: string(), capacity: integer(), members: array(roomMember) }),
+    room_left: object({ name: string() }),
+    room_member_joined: object({ name: string(), member: roomMember }),
+    room_member_left: object({ name: string(), userId: string(), username: string() }),
+    room_member_mute: object({ name: string(), userId: string(), username: string(), isMuted: boolean() })
+};
+
+// --- Validation: returns { value } with unknown fields stripped, or { error } naming the first bad field ---
+function validate(schema, value, path) {
+    if (value === undefined) {
+        return schema.optional ? { value: undefined } : { error: `${path} is required` };
+    }
+    if (value === null) {
+        return schema.nullable ? { value: null } : { error: `${path} must not be null` };
+    }
+
+    switch (schema.kind) {
+        case 'string':
+            if (typeof value !== 'string') {
+                return { error: `${path} must be a string` };
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                return { error: `${path} must be at most ${schema.maxLength} characters` };
+            }
+            if (schema.enum && !schema.enum.includes(value)) {
+                return { error: `${path} must be one of: ${schema.enum.join(', ')}` };
+            }
+            return { value };
+
+        case 'boolean':
+            return typeof value === 'boolean' ? { value } : { error: `${path} must be a boolean` };
+
+        case 'integer':
+        case 'number':
+            if (schema.kind === 'integer' ? !Number.isInteger(value) : !Number.isFinite(value)) {
+                return { error: `${path} must be ${schema.kind === 'integer' ? 'an integer' : 'a number'}` };
+            }
+            if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+                return { error: `${path} is out of range` };
+            }
+            return { value };
+
+        case 'array': {
+            if (!Array.isArray(value)) {
+                return { error: `${path} must be an array` };
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                return { error: `${path} must have at most ${schema.maxItems} items` };
+            }
+            const items = [];
+            for (let index = 0; index < value.length; index++) {
+                const result = validate(schema.items, value[index], `${path}[${index}]`);
+                if (result.error) {
+                    return result;
+                }
+                items.push(result.value);
+            }
+            return { value: items };
+        }
+
+        case 'object': {
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return { error: `${path} must be an object` };
+            }
+            const fields = {};
+            for (const [name, fieldSchema] of Object.entries(schema.fields)) {
+                const result = validate(fieldSchema, value[name], `${path}.${name}`);
+                if (result.error) {
+                    return result;
+                }
+                if (result.value !== undefined) {
+                    fields[name] = result.value;
+                }
+            }
+            return { value: fields };
+        }
+
+        default:
+            throw new Error(`Unknown schema kind "${schema.kind}" at ${path}`);
+    }
+}
+
+// --- Parse and validate a raw client frame ---
+// Returns { type, payload } on success, or { error: { code, params?, message } };
+// `message` is an English diagnostic for the server logs only.
+function parseClientMessage(raw) {
+    let message;
+    try {
+        message = JSON.parse(raw);
+    } catch (e) {
+        return { error: { code: ERROR_CODES.BAD_JSON, message: 'Message is not valid JSON.' } };
+    }
+    if (!message || typeof message !== 'object' || typeof message.type !== 'string') {
+        return { error: { code: ERROR_CODES.BAD_MESSAGE, message: 'Message must be an object with a string "type".' } };
+    }
+    const schema = CLIENT_MESSAGES[message.type];
+    if (!schema) {
+        return { type: message.type, error: { code: ERROR_CODES.UNKNOWN_TYPE, params: { type: message.type.slice(0, 64) }, message: `Unknown message type "${message.type.slice(0, 64)}".` } };
+    }
+    const result = validate(schema, message.payload, 'payload');
+    if (result.error) {
+        return { type: message.type, error: { code: ERROR_CODES.BAD_PAYLOAD, params: { type: message.type }, message: `Invalid "${message.type}" payload: ${result.error}.` } };
+    }
+    return { type: message.type, payload: result.value || {} };
+}
+
+// --- Check an outgoing payload; returns an error string, or null when it matches its schema ---
+function checkServerMessage(type, payload) {
+    const schema = SERVER_MESSAGES[type];
+    if (!schema) {
+        return `no schema for server message "${type}"`;
+    }
+    return validate(schema, payload, 'payload').error || null;
+}
+
+// --- Version negotiation: the highest version both sides speak, or null if the client is too old ---
+function negotiateVersion(clientVersion) {
+    if (clientVersion < MIN_PROTOCOL_VERSION) {
+        return null;
+    }
+    return Math.min(clientVersion, PROTOCOL_VERSION);
+}
+
+// --- Handshake gate: HELLO_REQUIRED for anything but `hello` before a version was negotiated, else null ---
+function checkHandshake(negotiatedVersion, type) {
+    return negotiatedVersion === null && type !== 'hello' ? ERROR_CODES.HELLO_REQUIRED : null;
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    MAX_SDP_LENGTH,
+    MAX_CANDIDATE_LENGTH,
+    CLIENT_SETTINGS,
+    ERROR_CODES,
+    INFO_CODES,
+    CLIENT_MESSAGES,
+    SERVER_MESSAGES,
+    parseClientMessage,
+    checkServerMessage,
+    negotiateVersion,
+    checkHandshake
+};
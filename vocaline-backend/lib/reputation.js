@@ -0,0 +1,139 @@
+const path = require('path');
+const { createRecordStore } = require('./state');
+
+// --- Reputation: post-call ratings (`rate_call`) rolled up per account ---
+//
+// After a call each participant may give their partner a 👍 or 👎 with optional tags.
+// Only the latest rating from each rater counts, within REPUTATION_WINDOW_MS, so one person
+// cannot sink (or boost) someone by rating them over and over. The score is the share of
+// thumbs up, pulled towards neutral by a prior while there are few ratings. It puts every
+// account in a tier that the matcher reads when the account joins the queue:
+//   trusted     well rated: paired with other trusted drivers first
+//   neutral     everyone else, including new accounts
+//   restricted  repeatedly down-voted: paired among themselves, or with anyone else only
+//               after waiting RESTRICTED_ISOLATION_MS
+const RATINGS_FILE = process.env.RATINGS_FILE || path.join(__dirname, '..', 'data', 'ratings.json');
+const RATINGS = ['up', 'down'];
+const RATING_TAGS = ['great_chat', 'helpful', 'funny', 'rude', 'inappropriate', 'bad_audio'];
+// A thumbs down tagged with nothing but these is about the connection, not the person.
+const TECHNICAL_TAGS = ['bad_audio'];
+const REPUTATION_WINDOW_MS = parseInt(process.env.REPUTATION_WINDOW_MS, 10) || 90 * 24 * 60 * 60 * 1000;
+const TRUSTED_MIN_RATINGS = parseInt(process.env.TRUSTED_MIN_RATINGS, 10) || 5;
+const TRUSTED_SCORE = parseFloat(process.env.TRUSTED_SCORE) || 0.8;
+const RESTRICTED_MIN_DOWNVOTES = parseInt(process.env.RESTRICTED_MIN_DOWNVOTES, 10) || 3;
+const RESTRICTED_SCORE = parseFloat(process.env.RESTRICTED_SCORE) || 0.35;
+const RESTRICTED_ISOLATION_MS = parseInt(process.env.RESTRICTED_ISOLATION_MS, 10) || 120000;
+const MAX_RATINGS_PER_ACCOUNT = 500;
+
+// Prior: every account starts as if it had PRIOR_RATINGS ratings, half of them up.
+const PRIOR_RATINGS = 2;
+// Added to the preference score of a pair in the same tier: below the weight of a topic,
+// so it only decides between candidates the preferences rank equally.
+const SAME_TIER_BONUS = 0.5;
+
+const TIERS = ['trusted', 'neutral', 'restricted'];
+const tierOf = record => (TIERS.includes(record.reputation) ? record.reputation : 'neutral');
+
+// --- Matching policy (pure, so every matchmaking replica decides alike) ---
+// `waitedMsA` and `waitedMsB`: how long `a` and `b` have been waiting in the queue.
+function canPairByReputation(a, b, waitedMsA, waitedMsB) {
+    const tierA = tierOf(a);
+    const tierB = tierOf(b);
+    if ((tierA === 'restricted') === (tierB === 'restricted')) {
+        return true;
+    }
+    const restrictedWaitedMs = tierA === 'restricted' ? waitedMsA : waitedMsB;
+    return restrictedWaitedMs >= RESTRICTED_ISOLATION_MS;
+}
+
+function reputationBonus(a, b) {
+    return tierOf(a) === tierOf(b) ? SAME_TIER_BONUS : 0;
+}
+
+// Files written before the ratings moved behind the state adapter keep every rating of an account in one
+// array, oldest first: keep the latest one of each rater, the only one that counts.
+function migrateRatingsFile(data) {
+    if (!data.ratings) {
+        return false;
+    }
+    Object.entries(data.ratings).forEach(([rated, entries]) => {
+        data[`ratings:${rated}`] = Object.fromEntries(entries.map(entry => [entry.by, entry]));
+    });
+    delete data.ratings;
+    return true;
+}
+
+// `records` defaults to the shared state (or RATINGS_FILE on a single instance), see lib/state/recordStore.js.
+// ratings:<rated accountId>: rater accountId -> their latest { by, callId, rating, tags, at }
+class ReputationBook {
+    constructor({ adapter, records = createRecordStore(adapter, { filePath: RATINGS_FILE, migrate: migrateRatingsFile }), now = Date.now }) {
+        this.records = records;
+        this.now = now;
+    }
+
+    // Tags are deduplicated; unknown ones are expected to be rejected by the protocol schema.
+    // A new rating replaces the rater's previous one; ratings past the window are dropped on the way.
+    async rate({ rater, rated, callId, rating, tags = [] }) {
+        const entry = {
+            by: rater,
+            callId,
+            rating,
+            tags: [...new Set(tags)],
+            at: new Date(this.now()).toISOString()
+        };
+        const key = `ratings:${rated}`;
+        await this.records.hashSet(key, rater, entry);
+
+        const windowStart = this.now() - REPUTATION_WINDOW_MS;
+        const byAge = Object.values(await this.records.hashGetAll(key)).sort((a, b) => b.at.localeCompare(a.at));
+        const dropped = byAge.filter((candidate, index) => index >= MAX_RATINGS_PER_ACCOUNT || Date.parse(candidate.at) < windowStart);
+        await Promise.all(dropped.map(candidate => this.records.hashDelete(key, candidate.by)));
+        return entry;
+    }
+
+    // --- Latest rating per rater within the window ---
+    async countedRatings(accountId) {
+        const windowStart = this.now() - REPUTATION_WINDOW_MS;
+        return Object.values(await this.records.hashGetAll(`ratings:${accountId}`))
+            .filter(entry => Date.parse(entry.at) >= windowStart);
+    }
+
+    // --- { tier, score, ratings, up, down, tags } for the admin API and the matcher ---
+    async describe(accountId) {
+        const counted = await this.countedRatings(accountId);
+        const tags = {};
+        let up = 0;
+        let down = 0;
+        counted.forEach(entry => {
+            entry.tags.forEach(tag => {
+                tags[tag] = (tags[tag] || 0) + 1;
+            });
+            if (entry.rating === 'up') {
+                up++;
+            } else if (entry.tags.length === 0 || entry.tags.some(tag => !TECHNICAL_TAGS.includes(tag))) {
+                down++;
+            }
+        });
+
+        const score = (up + PRIOR_RATINGS / 2) / (up + down + PRIOR_RATINGS);
+        let tier = 'neutral';
+        if (down >= RESTRICTED_MIN_DOWNVOTES && score <= RESTRICTED_SCORE) {
+            tier = 'restricted';
+        } else if (up + down >= TRUSTED_MIN_RATINGS && score >= TRUSTED_SCORE) {
+            tier = 'trusted';
+        }
+        return { accountId, tier, score: Math.round(score * 100) / 100, ratings: counted.length, up, down, tags };
+    }
+
+    async tier(accountId) {
+        return accountId ? (await this.describe(accountId)).tier : 'neutral';
+    }
+}
+
+module.exports = {
+    RATINGS,
+    RATING_TAGS,
+    canPairByReputation,
+    reputationBonus,
+    ReputationBook
+};
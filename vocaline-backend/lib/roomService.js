@@ -0,0 +1,172 @@
+const { ERROR_CODES } = require('./protocol');
+
+// Group rooms are small on purpose: every member holds one audio connection per other member (mesh).
+const ROOM_MAX_MEMBERS = parseInt(process.env.ROOM_MAX_MEMBERS, 10) || 6;
+const ROOM_MAX_COUNT = parseInt(process.env.ROOM_MAX_COUNT, 10) || 200;
+const ROOM_NAME_MIN_LENGTH = 2;
+const ROOM_NAME_MAX_LENGTH = 32;
+// Letters (any script), digits, spaces and a few separators, e.g. "A7 Lyon-Marseille".
+const ROOM_NAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N} _.'-]*$/u;
+
+// --- Room names: returns { key, name } (key is the case-insensitive identity), or null if invalid ---
+function normalizeRoomName(rawName) {
+    if (typeof rawName !== 'string') {
+        return null;
+    }
+    const name = rawName.normalize('NFKC').replace(/\s+/g, ' ').trim();
+    if (name.length < ROOM_NAME_MIN_LENGTH || name.length > ROOM_NAME_MAX_LENGTH || !ROOM_NAME_PATTERN.test(name)) {
+        return null;
+    }
+    return { key: name.toLowerCase(), name };
+}
+
+// --- Room Service: named group rooms, membership and per-member mute state ---
+//
+// Like MatchmakingService, `users` maps a key (user ID) to a record; the service maintains
+// `record.room` (the room key, or null). Rooms are created on first join and disappear with
+// their last member. Messages go out through the injected send(key, type, payload).
+// canShareRoom(userA, userB) vetoes two users being in the same room (e.g. blocks), like canPair does for calls.
+class RoomService {
+    constructor({
+        users,
+        send,
+        canShareRoom = () => true,
+        maxMembers = ROOM_MAX_MEMBERS,
+        maxRooms = ROOM_MAX_COUNT,
+        logger = console
+    }) {
+        this.users = users;
+        this.send = send;
+        this.canShareRoom = canShareRoom;
+        this.maxMembers = maxMembers;
+        this.maxRooms = maxRooms;
+        this.logger = logger;
+        // room key -> { key, name, members: Map(user key -> { muted }) }
+        this.rooms = new Map();
+    }
+
+    list() {
+        return [...this.rooms.values()].map(room => ({ name: room.name, memberCount: room.members.size, capacity: this.maxMembers }));
+    }
+
+    describeMembers(room, exceptKey) {
+        const members = [];
+        room.members.forEach((member, key) => {
+            if (key !== exceptKey) {
+                members.push({ userId: key, username: this.users.get(key)?.username || 'Guest', isMuted: member.muted });
+            }
+        });
+        return members;
+    }
+
+    // --- Join: create the room if needed; the newcomer gets the member list and calls everyone ---
+    join(key, rawName) {
+        const user = this.users.get(key);
+        const normalized = normalizeRoomName(rawName);
+        if (!user || !normalized) {
+            return false;
+        }
+        if (user.room) {
+            this.send(key, 'error', { code: ERROR_CODES.ALREADY_IN_ROOM });
+            return false;
+        }
+
+        let room = this.rooms.get(normalized.key);
+        if (!room) {
+            if (this.rooms.size >= this.maxRooms) {
+                this.send(key, 'error', { code: ERROR_CODES.TOO_MANY_ROOMS });
+                return false;
+            }
+            room = { key: normalized.key, name: normalized.name, members: new Map() };
+            this.rooms.set(room.key, room);
+            this.logger.log(`[ROOM_CREATED]: Room "${room.name}" opened by ${user.username} (ID: ${user.id}).`);
+        }
+        if (room.members.size >= this.maxMembers) {
+            this.send(key, 'error', { code: ERROR_CODES.ROOM_FULL, params: { name: room.name, capacity: this.maxMembers } });
+            return false;
+        }
+        // The newcomer is not told which member stands in the way.
+        if ([...room.members.keys()].some(memberKey => !this.canShareRoom(user, this.users.get(memberKey)))) {
+            this.send(key, 'error', { code: ERROR_CODES.ROOM_UNAVAILABLE, params: { name: room.name } });
+            this.logger.log(`[ROOM_JOIN_BLOCKED]: ${user.username} (ID: ${user.id}) kept out of room "${room.name}" by a block.`);
+            return false;
+        }
+
+        const newcomer = { userId: key, username: user.username, isMuted: false };
+        room.members.forEach((member, memberKey) => this.send(memberKey, 'room_member_joined', { name: room.name, member: newcomer }));
+        this.send(key, 'room_joined', { name: room.name, capacity: this.maxMembers, members: this.describeMembers(room, key) });
+        room.members.set(key, { muted: false });
+        user.room = room.key;
+        this.logger.log(`[ROOM_JOIN]: ${user.username} (ID: ${user.id}) joined room "${room.name}" (${room.members.size}/${this.maxMembers}).`);
+        return true;
+    }
+
+    // --- Leave: on request, or silently (notify = false) when the user's connection is gone ---
+    leave(key, notify = true) {
+        const user = this.users.get(key);
+        const room = user?.room ? this.rooms.get(user.room) : null;
+        if (!room) {
+            return false;
+        }
+        room.members.delete(key);
+        user.room = null;
+        if (notify) {
+            this.send(key, 'room_left', { name: room.name });
+        }
+        room.members.forEach((member, memberKey) => this.send(memberKey, 'room_member_left', { name: room.name, userId: key, username: user.username }));
+        this.logger.log(`[ROOM_LEAVE]: ${user.username} (ID: ${user.id}) left room "${room.name}" (${room.members.size}/${this.maxMembers}).`);
+        if (room.members.size === 0) {
+            this.rooms.delete(room.key);
+            this.logger.log(`[ROOM_CLOSED]: Room "${room.name}" is empty and was closed.`);
+        }
+        return true;
+    }
+
+    remove(key) {
+        return this.leave(key, false);
+    }
+
+    setMuted(key, muted) {
+        const user = this.users.get(key);
+        const room = user?.room ? this.rooms.get(user.room) : null;
+        if (!room) {
+            return;
+        }
+        room.members.get(key).muted = muted;
+        room.members.forEach((member, memberKey) => {
+            if (memberKey !== key) {
+                this.send(memberKey, 'room_member_mute', { name: room.name, userId: key, username: user.username, isMuted: muted });
+            }
+        });
+    }
+
+    // The other members of the user's room (empty outside a room).
+    roommates(key) {
+        const roomKey = this.users.get(key)?.room;
+        const room = roomKey ? this.rooms.get(roomKey) : null;
+        return room ? [...room.members.keys()].filter(memberKey => memberKey !== key) : [];
+    }
+
+    // Both users must be in the same room, and allowed to be (used to authorize mesh signaling).
+    areRoommates(keyA, keyB) {
+        const userA = this.users.get(keyA);
+        const userB = this.users.get(keyB);
+        return Boolean(userA?.room) && keyA !== keyB && userB?.room === userA.room && this.canShareRoom(userA, userB);
+    }
+
+    snapshot() {
+        return [...this.rooms.values()].map(room => ({ key: room.key, name: room.name, members: [...room.members] }));
+    }
+
+    restore(rooms) {
+        rooms.forEach(room => this.rooms.set(room.key, { key: room.key, name: room.name, members: new Map(room.members) }));
+    }
+}
+
+module.exports = {
+    ROOM_NAME_MIN_LENGTH,
+    ROOM_NAME_MAX_LENGTH,
+    ROOM_MAX_MEMBERS,
+    normalizeRoomName,
+    RoomService
+};
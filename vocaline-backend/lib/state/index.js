@@ -0,0 +1,38 @@
+const { createMemoryHub, createMemoryAdapter } = require('./memoryAdapter');
+const { createRedisAdapter } = require('./redisAdapter');
+const { createRecordStore } = require('./recordStore');
+
+// --- Shared state / pub-sub adapter selection ---
+//
+// Every adapter exposes the same async interface:
+//   publish(channel, message)      deliver `message` (JSON-serializable) to every subscriber, in order
+//   subscribe(channel, handler)    handler(message) for each message published on `channel`
+//   hashSet(key, field, value) / hashDelete(key, field) / hashGetAll(key) -> { field: value }
+//   hashGet(key, field) -> value or null
+//   hashSetIfAbsent(key, field, value) -> true if the field was set, false if it already existed (atomic)
+//   expire(key, ttlMs)             drop the whole hash once `ttlMs` has passed
+//   close()
+// and a `shared` flag telling whether other instances can be on the other end.
+//
+// STATE_ADAPTER=memory (default) keeps everything in this process; STATE_ADAPTER=redis uses
+// REDIS_URL, so several instances can run behind one load balancer.
+const STATE_ADAPTER = process.env.STATE_ADAPTER || 'memory';
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+
+async function createStateAdapter({ onError } = {}) {
+    if (STATE_ADAPTER === 'redis') {
+        return createRedisAdapter(REDIS_URL, { onError });
+    }
+    if (STATE_ADAPTER !== 'memory') {
+        throw new Error(`Unknown STATE_ADAPTER "${STATE_ADAPTER}" (expected "memory" or "redis").`);
+    }
+    return createMemoryAdapter();
+}
+
+module.exports = {
+    createStateAdapter,
+    createMemoryHub,
+    createMemoryAdapter,
+    createRedisAdapter,
+    createRecordStore
+};
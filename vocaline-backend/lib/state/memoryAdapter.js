@@ -0,0 +1,94 @@
+// --- In-memory state adapter: the default for a single instance ---
+//
+// Several adapters created on the same hub behave like instances sharing one Redis, which is
+// how the cluster is exercised in tests. Messages go through a JSON round trip and are
+// delivered asynchronously, in publish order, exactly as they would be over Redis.
+function createMemoryHub() {
+    return { subscribers: new Map(), hashes: new Map(), expiries: new Map() };
+}
+
+function createMemoryAdapter({ hub = null } = {}) {
+    const state = hub || createMemoryHub();
+    const ownHandlers = new Set();
+    let closed = false;
+
+    return {
+        // Only adapters on an explicit hub can see other instances.
+        shared: hub !== null,
+
+        async publish(channel, message) {
+            if (closed) {
+                return;
+            }
+            const data = JSON.stringify(message);
+            const handlers = [...(state.subscribers.get(channel) || [])];
+            setImmediate(() => handlers.forEach(handler => handler(JSON.parse(data))));
+        },
+
+        async subscribe(channel, handler) {
+            const wrapped = message => {
+                if (!closed) {
+                    handler(message);
+                }
+            };
+            ownHandlers.add({ channel, wrapped });
+            if (!state.subscribers.has(channel)) {
+                state.subscribers.set(channel, new Set());
+            }
+            state.subscribers.get(channel).add(wrapped);
+        },
+
+        async hashSet(key, field, value) {
+            if (!state.hashes.has(key)) {
+                state.hashes.set(key, new Map());
+            }
+            state.hashes.get(key).set(field, JSON.stringify(value));
+        },
+
+        async hashGet(key, field) {
+            const value = state.hashes.get(key)?.get(field);
+            return value === undefined ? null : JSON.parse(value);
+        },
+
+        async hashSetIfAbsent(key, field, value) {
+            if (state.hashes.get(key)?.has(field)) {
+                return false;
+            }
+            await this.hashSet(key, field, value);
+            return true;
+        },
+
+        async hashDelete(key, field) {
+            state.hashes.get(key)?.delete(field);
+        },
+
+        async hashGetAll(key) {
+            const entries = {};
+            (state.hashes.get(key) || new Map()).forEach((value, field) => {
+                entries[field] = JSON.parse(value);
+            });
+            return entries;
+        },
+
+        async expire(key, ttlMs) {
+            clearTimeout(state.expiries.get(key));
+            const timer = setTimeout(() => {
+                state.hashes.delete(key);
+                state.expiries.delete(key);
+            }, ttlMs);
+            timer.unref();
+            state.expiries.set(key, timer);
+        },
+
+        async close() {
+            closed = true;
+            ownHandlers.forEach(({ channel, wrapped }) => state.subscribers.get(channel).delete(wrapped));
+            ownHandlers.clear();
+        }
+    };
+}
+
+module.exports = {
+    createMemoryHub,
+    createMemoryAdapter
+};
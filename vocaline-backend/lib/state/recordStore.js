@@ -0,0 +1,85 @@
+const { createJsonFileStore } = require('../jsonFileStore');
+
+// --- Durable records (accounts, moderation...) kept wherever every instance can see them ---
+//
+// Same hash interface as the state adapters: hashGet, hashSet, hashSetIfAbsent, hashDelete, hashGetAll.
+// With a shared adapter (STATE_ADAPTER=redis) the records live in its hashes, under the "vocaline:"
+// prefix, so an account registered on one instance can log in on any other. A single instance keeps
+// them in a JSON file instead, one object per hash key, so they still survive a restart.
+// `migrate(data)` upgrades a file written by an older version in place and returns true if it did.
+// `adapter` may still be connecting (a promise): the records are opened once it is ready.
+const KEY_PREFIX = 'vocaline:';
+
+function openRecords(adapter, { filePath, migrate }) {
+    if (adapter.shared) {
+        return {
+            hashGet: (key, field) => adapter.hashGet(KEY_PREFIX + key, field),
+            hashSet: (key, field, value) => adapter.hashSet(KEY_PREFIX + key, field, value),
+            hashSetIfAbsent: (key, field, value) => adapter.hashSetIfAbsent(KEY_PREFIX + key, field, value),
+            hashDelete: (key, field) => adapter.hashDelete(KEY_PREFIX + key, field),
+            hashGetAll: key => adapter.hashGetAll(KEY_PREFIX + key)
+        };
+    }
+
+    const store = createJsonFileStore(filePath, {});
+    if (migrate(store.data)) {
+        store.save();
+    }
+    // Callers get copies, as they would from Redis: changing one never edits the store behind its back.
+    const copy = value => JSON.parse(JSON.stringify(value));
+    const has = (key, field) => Boolean(store.data[key]) && Object.prototype.hasOwnProperty.call(store.data[key], field);
+
+    return {
+        async hashGet(key, field) {
+            return has(key, field) ? copy(store.data[key][field]) : null;
+        },
+
+        async hashSet(key, field, value) {
+            if (!store.data[key]) {
+                store.data[key] = {};
+            }
+            store.data[key][field] = copy(value);
+            store.save();
+        },
+
+        async hashSetIfAbsent(key, field, value) {
+            if (has(key, field)) {
+                return false;
+            }
+            await this.hashSet(key, field, value);
+            return true;
+        },
+
+        async hashDelete(key, field) {
+            if (!has(key, field)) {
+                return;
+            }
+            delete store.data[key][field];
+            if (Object.keys(store.data[key]).length === 0) {
+                delete store.data[key];
+            }
+            store.save();
+        },
+
+        async hashGetAll(key) {
+            return copy(store.data[key] || {});
+        }
+    };
+}
+
+function createRecordStore(adapter, { filePath, migrate = () => false }) {
+    const ready = Promise.resolve(adapter).then(resolved => openRecords(resolved, { filePath, migrate }));
+    // A failed connection is reported where the adapter is created; calls made here reject with it too.
+    ready.catch(() => {});
+    return {
+        hashGet: async (key, field) => (await ready).hashGet(key, field),
+        hashSet: async (key, field, value) => (await ready).hashSet(key, field, value),
+        hashSetIfAbsent: async (key, field, value) => (await ready).hashSetIfAbsent(key, field, value),
+        hashDelete: async (key, field) => (await ready).hashDelete(key, field),
+        hashGetAll: async key => (await ready).hashGetAll(key)
+    };
+}
+
+module.exports = {
+    createRecordStore
+};
@@ -0,0 +1,72 @@
+const { connectResp } = require('./respClient');
+
+// --- Redis state adapter: shared by every instance pointing at the same Redis ---
+//
+// Pub/sub needs a dedicated connection, so the adapter opens two: one for commands and
+// one subscriber. Values are stored and published as JSON. A lost connection is reported
+// through `onError`; the caller decides whether the instance can go on.
+async function createRedisAdapter(url, { onError = () => {} } = {}) {
+    const handlers = new Map();
+    const commands = await connectResp(url, { onClose: onError });
+    const subscriber = await connectResp(url, {
+        onClose: onError,
+        onMessage(channel, data) {
+            const message = JSON.parse(data);
+            (handlers.get(channel) || []).forEach(handler => handler(message));
+        }
+    });
+
+    return {
+        shared: true,
+
+        async publish(channel, message) {
+            await commands.command('PUBLISH', channel, JSON.stringify(message));
+        },
+
+        async subscribe(channel, handler) {
+            if (!handlers.has(channel)) {
+                handlers.set(channel, []);
+                await subscriber.command('SUBSCRIBE', channel);
+            }
+            handlers.get(channel).push(handler);
+        },
+
+        async hashSet(key, field, value) {
+            await commands.command('HSET', key, field, JSON.stringify(value));
+        },
+
+        async hashGet(key, field) {
+            const value = await commands.command('HGET', key, field);
+            return value === null ? null : JSON.parse(value);
+        },
+
+        async hashSetIfAbsent(key, field, value) {
+            return await commands.command('HSETNX', key, field, JSON.stringify(value)) === 1;
+        },
+
+        async hashDelete(key, field) {
+            await commands.command('HDEL', key, field);
+        },
+
+        async hashGetAll(key) {
+            const flat = await commands.command('HGETALL', key);
+            const entries = {};
+            for (let index = 0; index < flat.length; index += 2) {
+                entries[flat[index]] = JSON.parse(flat[index + 1]);
+            }
+            return entries;
+        },
+
+        async expire(key, ttlMs) {
+            await commands.command('PEXPIRE', key, String(ttlMs));
+        },
+
+        async close() {
+            await Promise.all([commands.close(), subscriber.close()]);
+        }
+    };
+}
+
+module.exports = {
+    createRedisAdapter
+};
@@ -0,0 +1,156 @@
+const net = require('net');
+
+// --- Minimal RESP2 client: just enough of the Redis protocol for commands and pub/sub ---
+//
+// Replies are matched to commands in order. On a subscriber connection, pushed
+// ['message', channel, data] arrays go to `onMessage` instead.
+
+class RespError extends Error {}
+
+function encodeCommand(args) {
+    let encoded = `*${args.length}\r\n`;
+    for (const arg of args) {
+        const value = String(arg);
+        encoded += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+    }
+    return encoded;
+}
+
+// Parses one reply starting at `offset`: { value, offset } or null while the reply is incomplete.
+function parseReply(buffer, offset) {
+    const lineEnd = buffer.indexOf('\r\n', offset);
+    if (lineEnd === -1) {
+        return null;
+    }
+    const prefix = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString('utf8', offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (prefix) {
+        case '+':
+            return { value: line, offset: next };
+        case '-':
+            return { value: new RespError(line), offset: next };
+        case ':':
+            return { value: parseInt(line, 10), offset: next };
+        case '$': {
+            const length = parseInt(line, 10);
+            if (length === -1) {
+                return { value: null, offset: next };
+            }
+            if (buffer.length < next + length + 2) {
+                return null;
+            }
+            return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+        }
+        case '*': {
+            const count = parseInt(line, 10);
+            if (count === -1) {
+                return { value: null, offset: next };
+            }
+            const items = [];
+            let position = next;
+            for (let index = 0; index < count; index++) {
+                const item = parseReply(buffer, position);
+                if (!item) {
+                    return null;
+                }
+                items.push(item.value);
+                position = item.offset;
+            }
+            return { value: items, offset: position };
+        }
+        default:
+            throw new RespError(`Unexpected RESP reply type "${prefix}"`);
+    }
+}
+
+// --- Open a connection (redis://[:password@]host[:port][/db]) ---
+// `onClose(error)` is called once if the connection goes away without close() being called.
+function connectResp(url, { onMessage = null, onClose = () => {} } = {}) {
+    const { hostname, port, password, pathname } = new URL(url);
+    const database = parseInt(pathname.slice(1), 10) || 0;
+
+    return new Promise((resolve, reject) => {
+        const socket = net.createConnection({ host: hostname || 'localhost', port: parseInt(port, 10) || 6379 });
+        const pending = [];
+        let buffer = Buffer.alloc(0);
+        let connected = false;
+        let closing = false;
+
+        function command(...args) {
+            if (socket.destroyed) {
+                return Promise.reject(new RespError('Connection closed'));
+            }
+            return new Promise((resolveReply, rejectReply) => {
+                pending.push({ resolve: resolveReply, reject: rejectReply });
+                socket.write(encodeCommand(args));
+            });
+        }
+
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let reply;
+            while (buffer.length > 0 && (reply = parseReply(buffer, 0))) {
+                buffer = buffer.subarray(reply.offset);
+                const value = reply.value;
+                if (onMessage && Array.isArray(value) && value[0] === 'message') {
+                    onMessage(value[1], value[2]);
+                    continue;
+                }
+                const waiting = pending.shift();
+                if (waiting) {
+                    if (value instanceof RespError) {
+                        waiting.reject(value);
+                    } else {
+                        waiting.resolve(value);
+                    }
+                }
+            }
+        });
+
+        socket.on('error', error => {
+            if (!connected) {
+                reject(error);
+            }
+        });
+
+        socket.on('close', () => {
+            pending.splice(0).forEach(waiting => waiting.reject(new RespError('Connection closed')));
+            if (connected && !closing) {
+                onClose(new RespError(`Connection to ${hostname}:${port || 6379} lost`));
+            }
+        });
+
+        socket.on('connect', async () => {
+            try {
+                if (password) {
+                    await command('AUTH', decodeURIComponent(password));
+                }
+                if (database) {
+                    await command('SELECT', database);
+                }
+            } catch (error) {
+                socket.destroy();
+                reject(error);
+                return;
+            }
+            connected = true;
+            resolve({
+                command,
+                async close() {
+                    closing = true;
+                    await command('QUIT').catch(() => {});
+                    socket.destroy();
+                }
+            });
+        });
+    });
+}
+
+module.exports = {
+    RespError,
+    encodeCommand,
+    parseReply,
+    connectResp
+};
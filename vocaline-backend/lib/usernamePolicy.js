@@ -0,0 +1,121 @@
+const fs = require('fs');
+
+// --- Username Policy: length, allowed characters, reserved names and banned words ---
+const USERNAME_MIN_LENGTH = 3;
+const USERNAME_MAX_LENGTH = 20;
+// Letters, digits, and a few separators; must start with a letter or digit.
+const USERNAME_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}_.-]*$/u;
+// Letters must come from one of these scripts, and all from the same one, so a Cyrillic "с" cannot
+// hide in a Latin name. Japanese, Chinese and Korean names legitimately combine Han with their own
+// scripts. A letter from any other script is refused: several of them (Cherokee, Coptic...) are
+// full of Latin look-alikes.
+const SCRIPTS = ['Latin', 'Greek', 'Cyrillic', 'Armenian', 'Georgian', 'Hebrew', 'Arabic', 'Devanagari', 'Thai', 'Han', 'Hiragana', 'Katakana', 'Hangul', 'Bopomofo']
+    .map(name => ({ name, pattern: new RegExp(`\\p{Script=${name}}`, 'u') }));
+const SCRIPT_COMBINATIONS = [['Han', 'Hiragana', 'Katakana'], ['Han', 'Bopomofo'], ['Han', 'Hangul']];
+const RESERVED_USERNAMES = ['admin', 'administrator', 'moderator', 'modo', 'system', 'vocaline', 'support', 'guest', 'server'];
+
+// Banned words: comma-separated BANNED_WORDS and/or one word per line in BANNED_WORDS_FILE.
+function loadBannedWords() {
+    const words = (process.env.BANNED_WORDS || '').split(',');
+    if (process.env.BANNED_WORDS_FILE) {
+        try {
+            words.push(...fs.readFileSync(process.env.BANNED_WORDS_FILE, 'utf8').split('\n'));
+        } catch (error) {
+            console.error(`[USERNAME_POLICY_ERROR]: Could not read BANNED_WORDS_FILE. Error: ${error.message}`);
+        }
+    }
+    return words.map(word => normalizeUsername(word)).filter(Boolean);
+}
+
+// --- Canonical form used for uniqueness: "TruckerMike", "truckermike" and "ＴｒｕｃｋｅｒＭｉｋｅ" are the same name ---
+function normalizeUsername(username) {
+    return username.normalize('NFKC').trim().toLowerCase();
+}
+
+// Look-alikes folded onto one prototype, after UTS #39 (confusables.txt): whole-script confusables
+// such as an all-Cyrillic "СОВА" against the Latin "COBA", plus "0"/"O", "1"/"I"/"l", "rn"/"m" and "vv"/"w".
+// Applied before lowercasing, since "I" and "l" only look alike in this case.
+const CONFUSABLES = [
+    ['А', 'A'], ['В', 'B'], ['Е', 'E'], ['К', 'K'], ['М', 'M'], ['Н', 'H'], ['О', 'O'], ['Р', 'P'], ['С', 'C'],
+    ['Т', 'T'], ['У', 'Y'], ['Х', 'X'], ['Ѕ', 'S'], ['І', 'l'], ['Ј', 'J'], ['Ԛ', 'Q'], ['Ԝ', 'W'], ['Ү', 'Y'],
+    ['а', 'a'], ['с', 'c'], ['ԁ', 'd'], ['е', 'e'], ['һ', 'h'], ['і', 'i'], ['ј', 'j'], ['ӏ', 'l'], ['о', 'o'],
+    ['р', 'p'], ['ԛ', 'q'], ['ѕ', 's'], ['ԝ', 'w'], ['х', 'x'], ['у', 'y'],
+    ['Α', 'A'], ['Β', 'B'], ['Ε', 'E'], ['Ζ', 'Z'], ['Η', 'H'], ['Ι', 'l'], ['Κ', 'K'], ['Μ', 'M'], ['Ν', 'N'],
+    ['Ο', 'O'], ['Ρ', 'P'], ['Τ', 'T'], ['Υ', 'Y'], ['Χ', 'X'],
+    ['α', 'a'], ['ι', 'i'], ['κ', 'k'], ['ν', 'v'], ['ο', 'o'], ['ρ', 'p'], ['υ', 'u'], ['χ', 'x'],
+    ['0', 'O'], ['1', 'l'], ['I', 'l'], ['|', 'l']
+];
+const CONFUSABLE_MAP = new Map(CONFUSABLES);
+const CONFUSABLE_SEQUENCES = [[/rn/g, 'm'], [/vv/g, 'w']];
+
+// --- Canonical form for comparisons between names: look-alikes folded, accents and separators stripped ---
+// "Truсker" (Cyrillic "с"), "Trucker_" and "Trûcker" all reduce to "trucker"; so do "a.d.m.i.n" or
+// "Vocalîne", which therefore cannot dodge the reserved/banned lists.
+function usernameSkeleton(username) {
+    const folded = [...username.normalize('NFKC').trim()].map(char => CONFUSABLE_MAP.get(char) || char).join('');
+    return CONFUSABLE_SEQUENCES
+        .reduce((name, [sequence, replacement]) => name.replace(sequence, replacement), folded.toLowerCase())
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[_.-]/g, '');
+}
+
+// Scripts of the letters in `username`, or null if one of them is outside SCRIPTS.
+function scriptsOf(username) {
+    const scripts = new Set();
+    for (const char of username) {
+        if (!/\p{L}/u.test(char)) {
+            continue;
+        }
+        const script = SCRIPTS.find(candidate => candidate.pattern.test(char));
+        if (!script) {
+            return null;
+        }
+        scripts.add(script.name);
+    }
+    return scripts;
+}
+
+function isSingleScript(username) {
+    const scripts = scriptsOf(username);
+    if (!scripts) {
+        return false;
+    }
+    return scripts.size <= 1 || SCRIPT_COMBINATIONS.some(combination => [...scripts].every(script => combination.includes(script)));
+}
+
+const bannedWords = loadBannedWords().map(usernameSkeleton).filter(Boolean);
+const reservedSkeletons = RESERVED_USERNAMES.map(usernameSkeleton);
+
+// --- Returns null when the username is acceptable, otherwise { code, message, params? } ---
+function validateUsername(username) {
+    if (typeof username !== 'string') {
+        return { code: 'USERNAME_REQUIRED', message: 'Username is required.' };
+    }
+    const trimmed = username.normalize('NFKC').trim();
+    if (trimmed.length < USERNAME_MIN_LENGTH || trimmed.length > USERNAME_MAX_LENGTH) {
+        return { code: 'USERNAME_LENGTH', message: `Username must be between ${USERNAME_MIN_LENGTH} and ${USERNAME_MAX_LENGTH} characters.`, params: { min: USERNAME_MIN_LENGTH, max: USERNAME_MAX_LENGTH } };
+    }
+    if (!USERNAME_PATTERN.test(trimmed)) {
+        return { code: 'USERNAME_INVALID_CHARACTERS', message: 'Username may only contain letters, digits, "_", "." and "-".' };
+    }
+    if (!isSingleScript(trimmed)) {
+        return { code: 'USERNAME_MIXED_SCRIPTS', message: 'Username letters must all come from one supported alphabet.' };
+    }
+    const nameSkeleton = usernameSkeleton(trimmed);
+    if (reservedSkeletons.includes(nameSkeleton)) {
+        return { code: 'USERNAME_RESERVED', message: 'This username is reserved.' };
+    }
+    if (bannedWords.some(word => nameSkeleton.includes(word))) {
+        return { code: 'USERNAME_NOT_ALLOWED', message: 'This username is not allowed.' };
+    }
+    return null;
+}
+
+module.exports = {
+    USERNAME_MIN_LENGTH,
+    USERNAME_MAX_LENGTH,
+    normalizeUsername,
+    usernameSkeleton,
+    validateUsername
+};
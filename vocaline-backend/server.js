@@ -1,43 +1,215 @@
 const WebSocket = require('ws');
 const http = require('http'); // Importe le module http
+const crypto = require('crypto');
+const { sendJson, sendText, withCorsHeaders, getClientIp, getBearerToken, hasValidBearerToken } = require('./lib/httpHelpers');
+const { handleFeedbackPost, handleFeedbackList } = require('./lib/feedback');
+const { getIceServers } = require('./lib/iceServers');
+const { AccountStore, AccountError } = require('./lib/accountStore');
+const { ModerationBook, createModerationRoutes } = require('./lib/moderation');
+const { createAdminRoutes } = require('./lib/adminRoutes');
+const metrics = require('./lib/metrics');
+const { normalizePreferences } = require('./lib/matchPreferences');
+const { MatchmakingCluster } = require('./lib/matchmakingCluster');
+const { createStateAdapter } = require('./lib/state');
+const protocol = require('./lib/protocol');
+const abuseGuard = require('./lib/abuseGuard');
+const chat = require('./lib/chat');
+const { ROOM_NAME_MIN_LENGTH, ROOM_NAME_MAX_LENGTH, normalizeRoomName } = require('./lib/roomService');
+const { CallQualityStats } = require('./lib/callQuality');
+const { CallRecords } = require('./lib/callRecords');
+const { ReputationBook } = require('./lib/reputation');
+const { FriendBook } = require('./lib/friends');
+const { ERROR_CODES, INFO_CODES } = protocol;
 
 const PORT = process.env.PORT || 8080;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+// Optionnel : si défini, /metrics exige "Authorization: Bearer <METRICS_TOKEN>"
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+// Délai pendant lequel une session coupée (tunnel, zone blanche) garde son partenaire et sa place
+const SESSION_GRACE_MS = parseInt(process.env.SESSION_GRACE_MS, 10) || 30000;
+// Intervalle des pings WebSocket : une connexion sans pong d'ici le ping suivant est considérée morte
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.HEARTBEAT_INTERVAL_MS, 10) || 30000;
+// Protection contre les abus : connexions simultanées par IP et taille maximale d'un message
+const MAX_CONNECTIONS_PER_IP = parseInt(process.env.MAX_CONNECTIONS_PER_IP, 10) || 10;
+const MAX_PAYLOAD_BYTES = parseInt(process.env.MAX_PAYLOAD_BYTES, 10) || 64 * 1024;
+// Code de fermeture WebSocket standard « réessayez plus tard » : le client se reconnecte avec backoff
+const TRY_AGAIN_LATER_CLOSE_CODE = 1013;
+// Les préférences souples se relâchent avec l'attente : on retente régulièrement les appariements
+const MATCH_RETRY_INTERVAL_MS = parseInt(process.env.MATCH_RETRY_INTERVAL_MS, 10) || 5000;
+// Code de fermeture WebSocket indiquant au client de ne pas se reconnecter automatiquement
+const KICKED_CLOSE_CODE = 4000;
+// Identifiant de cette instance dans le cluster (STATE_ADAPTER=redis) ; aléatoire par défaut
+const INSTANCE_ID = process.env.INSTANCE_ID || crypto.randomBytes(6).toString('hex');
+// Hors production, chaque message envoyé est vérifié contre son schéma (lib/protocol.js)
+const CHECK_OUTGOING_MESSAGES = process.env.NODE_ENV !== 'production';
 
-// Crée un serveur HTTP qui répondra à la requête de healthcheck
+// Crée un serveur HTTP qui répondra à la requête de healthcheck et aux routes de l'API
 const server = http.createServer((req, res) => {
-    if (req.url === '/') {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') {
+        // Pré-requête CORS du frontend
+        res.writeHead(204, withCorsHeaders());
+        res.end();
+    } else if (url.pathname === '/') {
         // Répond à la racine avec un statut 200 pour le healthcheck
-        res.writeHead(200, { 'Content-Type': 'text/plain' });
-        res.end('Vocaline Backend is running\n');
+        sendText(res, 200, 'Vocaline Backend is running\n');
+    } else if (url.pathname === '/metrics' && req.method === 'GET') {
+        if (METRICS_TOKEN && !hasValidBearerToken(req, METRICS_TOKEN)) {
+            sendText(res, 401, 'Unauthorized\n');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(metrics.renderMetrics());
+    } else if (url.pathname === '/ice-servers' && req.method === 'GET') {
+        handleIceServersRequest(req, res).catch(error => {
+            console.error(`[ICE_SERVERS_ERROR]: Could not serve ICE servers. Error: ${error.message}`);
+            if (!res.headersSent) {
+                sendJson(res, 500, { error: 'Could not get ICE servers.' });
+            }
+        });
+    } else if (url.pathname === '/feedback' && req.method === 'POST') {
+        handleFeedbackPost(req, res, getCallContext, getRequestAccount);
+    } else if ((url.pathname === '/feedback' || url.pathname === '/feedback/export') && req.method === 'GET') {
+        handleFeedbackList(req, res, url, ADMIN_TOKEN);
+    } else if (url.pathname.startsWith('/admin/reports') || url.pathname.startsWith('/admin/suspensions')) {
+        handleModerationRequest(req, res, url);
+    } else if (url.pathname.startsWith('/admin/')) {
+        handleAdminRequest(req, res, url);
     } else {
         // Pour toute autre requête non gérée
-        res.writeHead(404, { 'Content-Type': 'text/plain' });
-        res.end('Not Found\n');
+        sendText(res, 404, 'Not Found\n');
     }
 });
 
 // Crée un serveur WebSocket en utilisant le serveur HTTP
-const wss = new WebSocket.Server({ server: server });
+const wss = new WebSocket.Server({ server: server, maxPayload: MAX_PAYLOAD_BYTES });
 
 console.log(`WebSocket server started on port ${PORT}`);
 
 // --- Global State Management ---
+// Connections held by this instance; users on other instances only exist in the matchmaking replica.
 const connectedUsers = new Map();
-const matchmakingQueue = [];
+// User ID -> WebSocket currently holding that user (the partner and routing key)
+const userSockets = new Map();
+// Shared state: connected at startup, before the server accepts connections (see the end of this file).
+const stateAdapter = createStateAdapter({
+    onError(error) {
+        // This replica can no longer follow the others: exit and let the platform restart us.
+        console.error(`[STATE_ADAPTER_ERROR]: ${error.message}. Exiting.`);
+        process.exit(1);
+    }
+});
+// Accounts and moderation records, the same on every instance
+const accountStore = new AccountStore({ adapter: stateAdapter });
+const moderation = new ModerationBook({ adapter: stateAdapter });
+const handleModerationRequest = createModerationRoutes({ adminToken: ADMIN_TOKEN, moderation });
+// Recently started calls, so feedback, reports and ratings can reference the conversation they are about
+const callRecords = new CallRecords({ adapter: stateAdapter });
+// Recent end-of-call quality reports from the clients of this instance (admin summary)
+const callQuality = new CallQualityStats();
+// Post-call ratings rolled up into a reputation tier per account (read by the matcher on join), the same on every instance
+const reputation = new ReputationBook({ adapter: stateAdapter });
+// Mutual friendships and pending friend requests between accounts
+const friends = new FriendBook({ adapter: stateAdapter });
+// Presence changes are pushed to friends at most this often (several can come from one match).
+const PRESENCE_PUSH_DELAY_MS = 500;
+let presencePushTimer = null;
+// Session token -> WebSocket currently holding that session
+const sessions = new Map();
+// Client IP -> number of open WebSocket connections
+const connectionsByIp = new Map();
+
+// --- Metrics (exposed on /metrics) ---
+const metricJoins = metrics.counter('vocaline_joins_total', 'Accepted join requests.');
+const metricMatches = metrics.counter('vocaline_matches_total', 'Calls started by the matchmaker.');
+const metricChangePartner = metrics.counter('vocaline_change_partner_total', 'change_partner requests.');
+const metricDisconnects = metrics.counter('vocaline_disconnects_total', 'Connections removed, by reason.');
+const metricUnknownMessages = metrics.counter('vocaline_unknown_message_types_total', 'Messages with an unknown type.');
+const metricRejectedMessages = metrics.counter('vocaline_rejected_messages_total', 'Client messages rejected before dispatch, by error code.');
+const metricChatMessages = metrics.counter('vocaline_chat_messages_total', 'In-call chat messages relayed, by kind (text or quick_reply).');
+const metricRoomJoins = metrics.counter('vocaline_room_joins_total', 'Accepted group room join requests.');
+const metricSendErrors = metrics.counter('vocaline_send_errors_total', 'Failed WebSocket sends.');
+const metricHeartbeatTimeouts = metrics.counter('vocaline_heartbeat_timeouts_total', 'Connections terminated after missing a heartbeat.');
+const metricAbuseActions = metrics.counter('vocaline_abuse_actions_total', 'Rate limit and cooldown violations, by message type, code and action taken.');
+const metricConnectionsRejected = metrics.counter('vocaline_connections_rejected_total', 'WebSocket connections refused on open, by reason.');
+const metricOversizedMessages = metrics.counter('vocaline_oversized_messages_total', 'Connections closed for sending a message larger than MAX_PAYLOAD_BYTES.');
+const metricQueueWait = metrics.histogram('vocaline_queue_wait_seconds', 'Time spent waiting in the queue before a match.', [1, 5, 10, 30, 60, 120, 300, 600]);
+const metricCallQualityReports = metrics.counter('vocaline_call_quality_reports_total', 'End-of-call quality reports, by ICE candidate type (relay = TURN) and network type.');
+const metricCallPacketLoss = metrics.histogram('vocaline_call_packet_loss_percent', 'Packet loss over a call as reported by a participant, by network type.', [0.5, 1, 2, 5, 10, 20, 50]);
+const metricCallRtt = metrics.histogram('vocaline_call_rtt_ms', 'Average round-trip time over a call as reported by a participant, by network type.', [50, 100, 200, 300, 500, 1000, 2000]);
+const metricCallJitter = metrics.histogram('vocaline_call_jitter_ms', 'Average jitter over a call as reported by a participant, by network type.', [5, 10, 20, 30, 50, 100, 200]);
+const metricCallRatings = metrics.counter('vocaline_call_ratings_total', 'Post-call ratings, by rating (up or down).');
+const metricCallDuration = metrics.histogram('vocaline_call_duration_seconds', 'Duration of finished calls.', [10, 30, 60, 120, 300, 600, 1200, 1800, 3600]);
+metrics.gauge('vocaline_connections', 'Open WebSocket connections (including sessions in their grace period).', () => connectedUsers.size);
+// Queue and call gauges describe the whole cluster: every instance reports the same value.
+metrics.gauge('vocaline_queue_length', 'Users waiting in the matchmaking queue (cluster-wide).', () => matchmaking.queueLength);
+metrics.gauge('vocaline_active_calls', 'Calls in progress (cluster-wide).', () => matchmaking.activeCalls);
+metrics.gauge('vocaline_rooms_open', 'Group rooms with at least one member (cluster-wide).', () => matchmaking.openRooms);
+metrics.gauge('vocaline_matchmaking_paused', '1 while an admin has paused matchmaking.', () => (matchmaking.paused ? 1 : 0));
 
 // --- Helper Function: Generate Unique ID ---
 function generateUniqueId() {
     return Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
 }
 
+// --- Helper Function: Generate Session Token (unguessable, used to resume a dropped connection) ---
+function generateSessionToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+// --- Helper Function: Record a new call between two users ---
+// Every instance hears of the call; the one holding userA writes the shared record.
+function recordCall(userA, userB, callId) {
+    if (!matchmaking.isLocal(userA.id)) {
+        return;
+    }
+    callRecords.start(callId, userA, userB).catch(error => {
+        console.error(`[CALL_RECORD_ERROR]: Could not record call ${callId}. Error: ${error.message}`);
+    });
+}
+
+// --- Helper Function: Call context attached to feedback and reports (null if unknown, too old or unreadable) ---
+async function getCallContext(callId) {
+    try {
+        return await callRecords.get(callId);
+    } catch (error) {
+        console.error(`[CALL_RECORD_ERROR]: Could not read call ${callId}. Error: ${error.message}`);
+        return null;
+    }
+}
+
+// --- Helper Function: Mark a call as finished (idempotent: both partners leave the call) ---
+// `isLocal` is true on the instance holding the user who left; the first of them to end the call
+// counts it in its metrics.
+function endCall(callId, isLocal) {
+    if (!isLocal) {
+        return;
+    }
+    callRecords.end(callId).then(call => {
+        if (call) {
+            metricCallDuration.observe((Date.parse(call.endedAt) - Date.parse(call.startedAt)) / 1000);
+        }
+    }).catch(error => {
+        console.error(`[CALL_RECORD_ERROR]: Could not end call ${callId}. Error: ${error.message}`);
+    });
+}
+
 // --- Helper Function: Send Message to a Client ---
 function sendMessage(ws, type, payload) {
+    if (CHECK_OUTGOING_MESSAGES) {
+        const schemaError = protocol.checkServerMessage(type, payload);
+        if (schemaError) {
+            console.warn(`[PROTOCOL_OUTGOING_INVALID]: Server message "${type}" does not match its schema: ${schemaError}`);
+        }
+    }
     if (ws && ws.readyState === WebSocket.OPEN) {
         try {
             const messageString = JSON.stringify({ type, payload });
             ws.send(messageString);
             console.log(`[SERVER_SEND_SUCCESS]: Type "${type}" to client ID: ${connectedUsers.get(ws)?.id || 'unknown'} | Size: ${messageString.length} bytes`);
         } catch (error) {
+            metricSendErrors.inc();
             console.error(`[SERVER_SEND_ERROR]: Failed to send message type "${type}" to client ID: ${connectedUsers.get(ws)?.id || 'unknown'}. Error: ${error.message}`);
         }
     } else {
@@ -45,18 +217,24 @@ function sendMessage(ws, type, payload) {
     }
 }
 
-// --- Helper Function: Update Real-time Stats to all connected users ---
-function updateRealtimeStats() {
-    let connected = connectedUsers.size;
-    let waiting = matchmakingQueue.length;
-    let activeConversations = 0;
+// --- Helper Function: Send a structured error (`code` is one of protocol.ERROR_CODES) ---
+// No wording: the client words it in its own language, from the code and the optional `params`.
+function sendError(ws, code, params = null, retryAfterMs) {
+    const payload = { code };
+    if (params) {
+        payload.params = params;
+    }
+    if (retryAfterMs !== undefined) {
+        payload.retryAfterMs = retryAfterMs;
+    }
+    sendMessage(ws, 'error', payload);
+}
 
-    connectedUsers.forEach(user => {
-        if (user.status === 'in-call') {
-            activeConversations++;
-        }
-    });
-    activeConversations /= 2;
+// --- Helper Function: Update Real-time Stats to all connected users (counts are cluster-wide) ---
+function updateRealtimeStats() {
+    let connected = matchmaking.connectedCount;
+    let waiting = matchmaking.queueLength;
+    let activeConversations = matchmaking.activeCalls;
 
     const stats = {
         connectedUsers: connected,
@@ -78,6 +256,7 @@ function updateRealtimeStats() {
                 userWs.send(messageString); 
                 console.log(`[SERVER_STATS_SENT_CONFIRM]: Sent stats_update to ${userData.username || 'Guest'} (ID: ${userData.id}) | Stats: ${JSON.stringify(stats)} | Bytes: ${messageString.length}`);
             } catch (error) {
+                metricSendErrors.inc();
                 console.error(`[SERVER_STATS_SEND_ERROR_INNER]: Failed to send stats_update to ${userData.username || 'Guest'} (ID: ${userData.id}). Error: ${error.message}`);
             }
         } else {
@@ -88,236 +267,297 @@ function updateRealtimeStats() {
     console.log(`[FINAL_STATS_UPDATE_LOG]: Stats update process completed.`);
 }
 
-// --- Matchmaking Logic ---
-function attemptMatch(userWs) {
-    const requestingUserData = connectedUsers.get(userWs);
-    if (!requestingUserData || requestingUserData.status !== 'waiting') {
-        console.log(`[MATCH_ATTEMPT_SKIP]: User ${requestingUserData?.username || 'unknown'} (ID: ${requestingUserData?.id || 'unknown'}) not in waiting state or not found.`);
-        return false;
-    }
-
-    const lastPartnerWs = requestingUserData.lastPartnerWs;
-    
-    const eligiblePartners = matchmakingQueue.filter(
-        partnerWs => partnerWs !== userWs &&
-                     connectedUsers.get(partnerWs)?.status === 'waiting' &&
-                     partnerWs !== lastPartnerWs
-    );
-
-    if (eligiblePartners.length > 0) {
-        const randomIndex = Math.floor(Math.random() * eligiblePartners.length);
-        const partnerWs = eligiblePartners[randomIndex];
-        const partnerData = connectedUsers.get(partnerWs);
-
-        if (requestingUserData.status === 'waiting' && partnerData?.status === 'waiting') {
-            let index = matchmakingQueue.indexOf(userWs);
-            if (index !== -1) {
-                matchmakingQueue.splice(index, 1);
-                console.log(`[MATCH_QUEUE]: Removed ${requestingUserData.username} from queue. New size: ${matchmakingQueue.length}`);
-            }
-            index = matchmakingQueue.indexOf(partnerWs);
-            if (index !== -1) {
-                matchmakingQueue.splice(index, 1);
-                console.log(`[MATCH_QUEUE]: Removed ${partnerData.username} from queue. New size: ${matchmakingQueue.length}`);
-            }
+// --- Helper Function: The account of the request's login token ("Authorization: Bearer <token>") ---
+// null without a token; rejects with an AccountError (INVALID_TOKEN) for an invalid or expired one.
+async function getRequestAccount(req) {
+    const token = getBearerToken(req);
+    return token ? (await accountStore.loginWithToken(token)).account : null;
+}
 
-            requestingUserData.status = 'in-call';
-            requestingUserData.partner = partnerWs;
-            requestingUserData.lastPartnerWs = null;
-            
-            partnerData.status = 'in-call';
-            partnerData.partner = userWs;
-            partnerData.lastPartnerWs = null;
+// --- ICE Servers: short-lived TURN credentials, for logged-in drivers only ---
+// The TURN secrets never leave the server, and the relay is not an open proxy: the request must carry
+// the account's login token ("Authorization: Bearer <token>"), and the TURN username names that account.
+async function handleIceServersRequest(req, res) {
+    let account;
+    try {
+        ({ account } = await accountStore.loginWithToken(getBearerToken(req)));
+    } catch (error) {
+        if (!(error instanceof AccountError)) {
+            throw error;
+        }
+        sendJson(res, 401, { error: 'A valid login token is required.' });
+        return;
+    }
+    const iceConfig = await getIceServers(account.id);
+    res.setHeader('Cache-Control', 'no-store');
+    sendJson(res, 200, iceConfig);
+}
 
-            console.log(`[MATCH_SUCCESS]: Match found: ${requestingUserData.username} (ID: ${requestingUserData.id}) <-> ${partnerData.username} (ID: ${partnerData.id})`);
+// --- Matchmaking ---
+// The queue, presence and calls are replicated on every instance through the state adapter;
+// messages for a user connected to another instance are routed there by user ID.
+// Admins can pause matchmaking (e.g. during an incident); queued users keep their place.
+const matchmaking = new MatchmakingCluster({
+    instanceId: INSTANCE_ID,
+    localUser: userId => connectedUsers.get(userSockets.get(userId)),
+    deliver: (userId, type, payload) => sendMessage(userSockets.get(userId), type, payload),
+    createCall: recordCall,
+    onStatusChange(user, previousStatus, status, msInPreviousStatus, isLocal) {
+        if (isLocal && previousStatus === 'waiting' && status === 'in-call') {
+            metricQueueWait.observe(msInPreviousStatus / 1000);
+        }
+        if (previousStatus === 'in-call' && status !== 'in-call') {
+            endCall(user.callId, isLocal);
+        }
+        schedulePresencePush();
+    },
+    onMatch(userA, userB, score, matchContext, isLocal) {
+        if (isLocal) {
+            metricMatches.inc();
+        }
+        console.log(`[MATCH_SUCCESS]: Match found: ${userA.username} (ID: ${userA.id}) <-> ${userB.username} (ID: ${userB.id}) | Score: ${score === null ? 'direct' : score} | Reputation: ${userA.reputation}/${userB.reputation} | Languages: ${matchContext.commonLanguages.join(',') || 'none'} | Topic: ${matchContext.topic || 'none'}`);
+    },
+    onControl: handleControlMessage,
+    onChange() {
+        updateRealtimeStats();
+        schedulePresencePush();
+    },
+    retryIntervalMs: MATCH_RETRY_INTERVAL_MS
+});
 
-            sendMessage(userWs, 'match_found', { partnerUsername: partnerData.username, initiateCall: true }); 
-            sendMessage(partnerWs, 'match_found', { partnerUsername: requestingUserData.username, initiateCall: false }); 
+// --- Connection Handling ---
+wss.on('connection', (ws, req) => {
+    ws.on('error', error => {
+        if (error.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') {
+            metricOversizedMessages.inc();
+        }
+        console.warn(`[CLIENT_SOCKET_ERROR]: Connection ID ${connectedUsers.get(ws)?.id || 'unknown'}: ${error.message}`);
+    });
 
-            updateRealtimeStats();
-            return true; 
+    const clientIp = getClientIp(req);
+    const openFromIp = connectionsByIp.get(clientIp) || 0;
+    if (openFromIp >= MAX_CONNECTIONS_PER_IP) {
+        metricConnectionsRejected.inc({ reason: 'ip_limit' });
+        console.warn(`[CLIENT_REJECTED]: ${clientIp} already has ${openFromIp} open connections.`);
+        sendError(ws, ERROR_CODES.TOO_MANY_CONNECTIONS);
+        ws.close(TRY_AGAIN_LATER_CLOSE_CODE, 'Too many connections');
+        return;
+    }
+    connectionsByIp.set(clientIp, openFromIp + 1);
+    ws.on('close', () => {
+        const remaining = connectionsByIp.get(clientIp) - 1;
+        if (remaining > 0) {
+            connectionsByIp.set(clientIp, remaining);
         } else {
-            console.warn(`[MATCH_FAILED_STATUS]: One or both users changed status unexpectedly during match attempt. Requesting: ${requestingUserData.status}, Partner: ${partnerData?.status}`);
+            connectionsByIp.delete(clientIp);
         }
-    } else {
-        console.log(`[MATCH_NO_PARTNER]: No eligible partners found for ${requestingUserData.username} (ID: ${requestingUserData.id}). Queue size: ${matchmakingQueue.length}. Last partner excluded: ${lastPartnerWs ? connectedUsers.get(lastPartnerWs)?.username : 'None'}`);
-    }
-    return false;
-}
+    });
 
-// --- Connection Handling ---
-wss.on('connection', ws => {
     const connectionId = generateUniqueId();
     console.log(`[CLIENT_CONNECT]: Client connected with connection ID: ${connectionId}`);
     
-    connectedUsers.set(ws, { id: connectionId, username: 'Guest', status: 'connected', partner: null, lastPartnerWs: null });
-    
-    sendMessage(ws, 'welcome', { message: 'Welcome to Vocaline. Please provide your username to join matchmaking.' });
+    const sessionToken = generateSessionToken();
+    const guest = { id: connectionId, username: 'Guest', status: 'connected', statusSince: Date.now(), connectedAt: Date.now(), partner: null, sessionToken, suspended: false, graceTimer: null, preferences: normalizePreferences(null), accountId: null, authToken: null, friendPresence: null, callId: null, callPartner: null, room: null, protocolVersion: null, clientIp, abuseGuard: abuseGuard.createConnectionGuard() };
+    connectedUsers.set(ws, guest);
+    userSockets.set(connectionId, ws);
+    sessions.set(sessionToken, ws);
+    // Presence is shared: the other instances count this user in their stats too.
+    matchmaking.connect(guest);
 
-    updateRealtimeStats(); 
+    // Liveness: any pong or client message proves the socket is still there.
+    ws.isAlive = true;
+    ws.on('pong', () => {
+        ws.isAlive = true;
+    });
+    
+    sendMessage(ws, 'welcome', { sessionToken, resumeGraceMs: SESSION_GRACE_MS });
 
     ws.on('message', message => {
-        let parsedMessage;
-        try {
-            parsedMessage = JSON.parse(message.toString());
-            console.log(`[CLIENT_MSG_RX]: Client ID ${connectedUsers.get(ws)?.id || 'unknown'} received message type: ${parsedMessage.type}`);
-        } catch (e) {
-            console.error(`[CLIENT_MSG_ERROR]: Client ID ${connectedUsers.get(ws)?.id || 'unknown'} failed to parse message: ${message.toString()}. Error: ${e.message}`);
+        ws.isAlive = true;
+        const user = connectedUsers.get(ws);
+        if (!user) {
+            console.warn(`[CLIENT_WARN]: Message from unknown client connection ID: ${connectionId}.`);
             return;
         }
 
-        const user = connectedUsers.get(ws);
-        if (!user) {
-            console.warn(`[CLIENT_WARN]: Message from unknown client connection ID: ${connectionId}. Type: ${parsedMessage.type}`);
+        if (!isMessageAllowed(ws, user, null)) {
+            return;
+        }
+
+        // Schema validation happens before dispatch: handlers only ever see well-formed payloads.
+        const parsedMessage = protocol.parseClientMessage(message.toString());
+        if (parsedMessage.error) {
+            metricRejectedMessages.inc({ code: parsedMessage.error.code });
+            if (parsedMessage.error.code === ERROR_CODES.UNKNOWN_TYPE) {
+                metricUnknownMessages.inc();
+            }
+            console.warn(`[CLIENT_MSG_REJECTED]: ${user.username} (ID: ${user.id}) sent an invalid message: ${parsedMessage.error.code} - ${parsedMessage.error.message}`);
+            sendError(ws, parsedMessage.error.code, parsedMessage.error.params);
+            return;
+        }
+        if (!isMessageAllowed(ws, user, parsedMessage.type)) {
+            return;
+        }
+        if (parsedMessage.type === 'keepalive') {
+            // Application-level keepalive: only there to keep proxies from closing idle sockets.
+            return;
+        }
+        console.log(`[CLIENT_MSG_RX]: Client ID ${user.id} received message type: ${parsedMessage.type}`);
+
+        if (parsedMessage.type === 'hello') {
+            handleHello(ws, user, parsedMessage.payload);
+            return;
+        }
+        if (protocol.checkHandshake(user.protocolVersion, parsedMessage.type)) {
+            // Clients built before the handshake existed never send `hello`: ask them to refresh.
+            metricRejectedMessages.inc({ code: ERROR_CODES.HELLO_REQUIRED });
+            console.warn(`[PROTOCOL_HELLO_REQUIRED]: Client ID ${user.id} sent "${parsedMessage.type}" before "hello", closing.`);
+            kickConnection(ws, user, 'outdated_client', 'error', { code: ERROR_CODES.HELLO_REQUIRED });
             return;
         }
 
         switch (parsedMessage.type) {
-            case 'join':
-                if (!parsedMessage.payload || !parsedMessage.payload.username) {
-                    sendMessage(ws, 'error', { message: 'Username is required to join.' });
-                    console.warn(`[JOIN_ERROR]: Client ID ${user.id} tried to join without username.`);
+            case 'register':
+            case 'login':
+                handleAuthentication(ws, parsedMessage.type, parsedMessage.payload).catch(error => reportHandlerError(ws, user, parsedMessage.type, error));
+                break;
+
+            case 'logout':
+                if (user.status === 'waiting' || user.status === 'in-call') {
+                    sendError(ws, ERROR_CODES.ALREADY_IN_MATCHMAKING);
                     return;
                 }
-                
-                if (user.status === 'waiting' || user.status === 'in-call') {
-                    sendMessage(ws, 'info', { message: 'You are already in matchmaking or a call.' });
-                    console.log(`[JOIN_INFO]: Client ID ${user.id} already in matchmaking/call.`);
+                if (user.room) {
+                    sendError(ws, ERROR_CODES.ALREADY_IN_ROOM);
                     return;
                 }
+                accountStore.revokeToken(user.authToken).catch(error => {
+                    console.error(`[AUTH_LOGOUT_ERROR]: Could not revoke the token of ${user.username} (ID: ${user.id}). Error: ${error.message}`);
+                });
+                console.log(`[AUTH_LOGOUT]: ${user.username} (ID: ${user.id}) logged out.`);
+                user.accountId = null;
+                user.authToken = null;
+                user.username = 'Guest';
+                user.friendPresence = null;
+                matchmaking.identify(user);
+                sendMessage(ws, 'logged_out', {});
+                break;
 
-                user.username = parsedMessage.payload.username;
-                user.status = 'waiting';
-                user.lastPartnerWs = null;
-                matchmakingQueue.push(ws);
-                console.log(`[USER_JOINED_QUEUE]: ${user.username} (ID: ${user.id}) joined matchmaking. Queue size: ${matchmakingQueue.length}`);
-                sendMessage(ws, 'status_update', { status: 'waiting_for_match' });
-                
-                setTimeout(() => {
-                    if (user.status === 'waiting') { 
-                        console.log(`[MATCH_TIMER]: Attempting match for ${user.username} (ID: ${user.id}) after delay.`);
-                        attemptMatch(ws);
-                    } else {
-                        console.log(`[MATCH_TIMER_SKIP]: ${user.username} (ID: ${user.id}) no longer waiting after delay.`);
-                    }
-                }, 1000);
+            case 'join':
+                handleJoin(ws, user, parsedMessage.payload).catch(error => reportHandlerError(ws, user, 'join', error));
+                break;
 
-                updateRealtimeStats();
+            case 'resume':
+                if (user.status !== 'connected') {
+                    sendError(ws, ERROR_CODES.SESSION_ALREADY_ACTIVE);
+                    return;
+                }
+                resumeSession(ws, parsedMessage.payload.sessionToken);
                 break;
 
             case 'change_partner':
-                console.log(`[CHANGE_PARTNER_REQ]: ${user.username} (ID: ${user.id}) wants to change partner.`);
-                
-                if (user.status === 'in-call' && user.partner) {
-                    const oldPartnerWs = user.partner;
-                    const oldPartnerData = connectedUsers.get(oldPartnerWs);
-
-                    if (oldPartnerData) {
-                        sendMessage(oldPartnerWs, 'partner_disconnected', { message: `${user.username} has changed partners.` });
-                        oldPartnerData.status = 'waiting';
-                        oldPartnerData.partner = null;
-                        oldPartnerData.lastPartnerWs = ws; 
-                        if (!matchmakingQueue.includes(oldPartnerWs)) {
-                           matchmakingQueue.push(oldPartnerWs); 
-                           console.log(`[PARTNER_REQUEUE]: ${oldPartnerData.username} re-added to queue after partner change.`);
-                           sendMessage(oldPartnerWs, 'status_update', { status: 'waiting_for_match' });
-                        } else {
-                            console.log(`[PARTNER_IN_QUEUE_ALREADY]: ${oldPartnerData.username} was already in queue.`);
-                        }
-                    }
-                }
-                
-                user.status = 'waiting';
-                user.partner = null;
-                const userIndexInQueue = matchmakingQueue.indexOf(ws);
-                if (userIndexInQueue !== -1) {
-                    matchmakingQueue.splice(userIndexInQueue, 1);
-                }
-                matchmakingQueue.unshift(ws);
-                console.log(`[CHANGE_PARTNER_PRIO]: ${user.username} (ID: ${user.id}) moved to front of queue. New queue size: ${matchmakingQueue.length}`);
-
-                sendMessage(ws, 'status_update', { status: 'waiting_for_match' });
-                
-                setTimeout(() => {
-                    if (user.status === 'waiting') {
-                        console.log(`[MATCH_TIMER]: Attempting prioritized match for ${user.username} (ID: ${user.id}) after change partner delay. Last partner to avoid: ${user.lastPartnerWs ? connectedUsers.get(user.lastPartnerWs)?.username : 'None'}`);
-                        attemptMatch(ws);
-                    } else {
-                        console.log(`[MATCH_TIMER_SKIP]: ${user.username} (ID: ${user.id}) no longer waiting after change partner delay.`);
-                    }
-                }, 1000);
+                changePartner(ws, user);
+                break;
+
+            case 'block_user':
+                handleBlockUser(ws, user).catch(error => reportHandlerError(ws, user, 'block_user', error));
+                break;
+
+            case 'report_user':
+                handleReportUser(ws, user, parsedMessage.payload).catch(error => reportHandlerError(ws, user, 'report_user', error));
+                break;
+
+            case 'friend_request':
+                handleFriendRequest(ws, user).catch(error => reportHandlerError(ws, user, 'friend_request', error));
+                break;
+
+            case 'friend_respond':
+                handleFriendRespond(ws, user, parsedMessage.payload).catch(error => reportHandlerError(ws, user, 'friend_respond', error));
+                break;
+
+            case 'friend_remove':
+                handleFriendRemove(ws, user, parsedMessage.payload).catch(error => reportHandlerError(ws, user, 'friend_remove', error));
+                break;
 
-                updateRealtimeStats();
+            case 'invite':
+                handleInvite(ws, user, parsedMessage.payload).catch(error => reportHandlerError(ws, user, 'invite', error));
+                break;
+
+            case 'accept_invite':
+            case 'decline_invite':
+                handleInviteAnswer(ws, user, parsedMessage.type, parsedMessage.payload);
                 break;
 
             case 'disconnect_from_matchmaking':
                 console.log(`[DISCONNECT_REQ]: ${user.username} (ID: ${user.id}) is disconnecting from matchmaking.`);
-                
-                if (user.status === 'in-call' && user.partner) {
-                    const oldPartnerWs = user.partner;
-                    const oldPartnerData = connectedUsers.get(oldPartnerWs);
-
-                    if (oldPartnerData) {
-                        sendMessage(oldPartnerWs, 'partner_disconnected', { message: `${user.username} has left the conversation.` });
-                        oldPartnerData.status = 'waiting';
-                        oldPartnerData.partner = null;
-                        oldPartnerData.lastPartnerWs = ws;
-                        if (!matchmakingQueue.includes(oldPartnerWs)) {
-                           matchmakingQueue.push(oldPartnerWs); 
-                           console.log(`[PARTNER_REQUEUE]: ${oldPartnerData.username} re-added to queue after partner disconnect.`);
-                           sendMessage(oldPartnerWs, 'status_update', { status: 'waiting_for_match' });
-                           setTimeout(() => {
-                               if (oldPartnerData.status === 'waiting') {
-                                   attemptMatch(oldPartnerWs);
-                               } else {
-                                   console.log(`[MATCH_TIMER_SKIP]: ${oldPartnerData.username} no longer waiting after disconnect delay.`);
-                               }
-                           }, 1000);
-                        } else {
-                             console.log(`[PARTNER_IN_QUEUE_ALREADY]: ${oldPartnerData.username} was already in queue.`);
-                        }
-                    }
-                }
-                user.status = 'disconnected';
-                user.partner = null;
-                user.lastPartnerWs = null;
-                const indexInQueue = matchmakingQueue.indexOf(ws);
-                if (indexInQueue !== -1) {
-                    matchmakingQueue.splice(indexInQueue, 1);
-                    console.log(`[QUEUE_REMOVE]: Removed ${user.username} from queue. New size: ${matchmakingQueue.length}`);
-                }
-                sendMessage(ws, 'status_update', { status: 'disconnected' });
+                matchmaking.leave(user);
+                metricDisconnects.inc({ reason: 'left_matchmaking' });
                 console.log(`[USER_DISCONNECTED]: ${user.username} fully disconnected from matchmaking system.`);
-                updateRealtimeStats();
                 break;
             
             case 'offer':
             case 'answer':
             case 'candidate':
-                if (user.status === 'in-call' && user.partner) {
-                    if (user.partner.readyState === WebSocket.OPEN) {
-                        sendMessage(user.partner, parsedMessage.type, { ...parsedMessage.payload, from: user.id });
-                        console.log(`[WEBRTC_SIGNAL_FWD]: Forwarded ${parsedMessage.type} from ${user.username} (ID: ${user.id}) to partner ID: ${connectedUsers.get(user.partner)?.id || 'unknown'}`);
+                if (user.room) {
+                    relayRoomSignal(ws, user, parsedMessage.type, parsedMessage.payload);
+                } else if (user.status === 'in-call' && user.partner) {
+                    if (matchmaking.sendToUser(user.partner, parsedMessage.type, { ...parsedMessage.payload, from: user.id })) {
+                        console.log(`[WEBRTC_SIGNAL_FWD]: Forwarded ${parsedMessage.type} from ${user.username} (ID: ${user.id}) to partner ID: ${user.partner}`);
                     } else {
-                        console.warn(`[WEBRTC_SIGNAL_WARN]: Partner of ${user.username} (ID: ${user.id}) is not OPEN (${user.partner.readyState}), cannot forward ${parsedMessage.type}.`);
+                        console.warn(`[WEBRTC_SIGNAL_WARN]: Partner ${user.partner} of ${user.username} (ID: ${user.id}) is gone, cannot forward ${parsedMessage.type}.`);
                     }
                 } else {
                     console.warn(`[WEBRTC_SIGNAL_WARN]: Received ${parsedMessage.type} from ${user.username} (ID: ${user.id}) but no active partner. Status: ${user.status}`);
+                    sendError(ws, ERROR_CODES.NOT_IN_CALL, { type: parsedMessage.type });
                 }
                 break;
 
             case 'mute':
-                if (user.status === 'in-call' && user.partner) {
-                    if (user.partner.readyState === WebSocket.OPEN) {
-                        sendMessage(user.partner, 'partner_mute_status', { username: user.username, isMuted: parsedMessage.payload.isMuted });
+                if (user.room) {
+                    matchmaking.setRoomMuted(user, parsedMessage.payload.isMuted);
+                } else if (user.status === 'in-call' && user.partner) {
+                    if (matchmaking.sendToUser(user.partner, 'partner_mute_status', { username: user.username, isMuted: parsedMessage.payload.isMuted })) {
                         console.log(`[MUTE_STATUS_FWD]: Forwarded mute status from ${user.username} (ID: ${user.id}) to partner.`);
                     }
+                } else {
+                    sendError(ws, ERROR_CODES.NOT_IN_CALL);
                 }
                 break;
 
-            default:
-                console.warn(`[UNKNOWN_MSG_TYPE]: Unknown message type received from ${user.username} (ID: ${user.id}): ${parsedMessage.type}`);
-                sendMessage(ws, 'error', { message: 'Unknown message type.' });
+            case 'chat_message':
+                handleChatMessage(ws, user, parsedMessage.payload);
+                break;
+
+            case 'call_quality':
+                handleCallQuality(ws, user, parsedMessage.payload).catch(error => reportHandlerError(ws, user, 'call_quality', error));
+                break;
+
+            case 'rate_call':
+                handleRateCall(ws, user, parsedMessage.payload).catch(error => reportHandlerError(ws, user, 'rate_call', error));
+                break;
+
+            case 'talk_state':
+                relayToConversation(ws, user, 'talk_state', { isTalking: parsedMessage.payload.isTalking, rogerBeep: parsedMessage.payload.rogerBeep === true });
+                break;
+
+            case 'speaking_state':
+                relayToConversation(ws, user, 'speaking_state', { isSpeaking: parsedMessage.payload.isSpeaking });
+                break;
+
+            case 'room_list':
+                sendMessage(ws, 'room_list', { rooms: matchmaking.rooms.list() });
+                break;
+
+            case 'room_join':
+                handleRoomJoin(ws, user, parsedMessage.payload).catch(error => reportHandlerError(ws, user, 'room_join', error));
+                break;
+
+            case 'room_leave':
+                if (!user.room) {
+                    sendError(ws, ERROR_CODES.NOT_IN_ROOM);
+                    return;
+                }
+                matchmaking.leaveRoom(user);
                 break;
         }
     });
@@ -326,47 +566,707 @@ wss.on('connection', ws => {
         const user = connectedUsers.get(ws);
         if (user) {
             console.log(`[CLIENT_DISCONNECT]: ${user.username || 'Client'} (ID: ${user.id}) disconnected. Status: ${user.status}`);
-            
-            if (user.status === 'in-call' && user.partner) {
-                const partnerWs = user.partner;
-                const partnerData = connectedUsers.get(partnerWs);
-                if (partnerData) {
-                    sendMessage(partnerWs, 'partner_disconnected', { message: `${user.username} has left the conversation.` });
-                    partnerData.status = 'waiting';
-                    partnerData.partner = null;
-                    partnerData.lastPartnerWs = ws;
-                    if (!matchmakingQueue.includes(partnerWs)) {
-                        matchmakingQueue.push(partnerWs);
-                        console.log(`[PARTNER_REQUEUE_ON_DISCONNECT]: ${partnerData.username} re-added to queue.`);
-                        sendMessage(partnerWs, 'status_update', { status: 'waiting_for_match' });
-                        setTimeout(() => {
-                            if (partnerData.status === 'waiting') {
-                                attemptMatch(partnerWs);
-                            } else {
-                                console.log(`[MATCH_TIMER_SKIP]: ${partnerData.username} no longer waiting after disconnect re-queue delay.`);
-                            }
-                        }, 1000);
-                    } else {
-                        console.log(`[PARTNER_IN_QUEUE_ALREADY]: ${partnerData.username} was already in queue on disconnect.`);
-                    }
-                }
+
+            if (user.status === 'waiting' || user.status === 'in-call') {
+                suspendSession(ws, user);
+            } else {
+                finalizeDisconnect(ws, user, 'socket_closed');
             }
+        } else {
+            console.log('[CLIENT_DISCONNECT_UNKNOWN]: An unknown client disconnected.');
+        }
+    });
+});
+
+// --- Handlers that read or write the shared state are async: a failure answers instead of going unhandled ---
+function reportHandlerError(ws, user, type, error) {
+    console.error(`[HANDLER_ERROR]: "${type}" from ${user.username} (ID: ${user.id}) failed. Error: ${error.message}`);
+    sendError(ws, ERROR_CODES.SERVER_ERROR);
+}
+
+// After waiting on the shared state: is this still the same logged-in connection, outside any call or room?
+function isStillIdle(ws, user, accountId) {
+    return connectedUsers.get(ws) === user && user.accountId === accountId &&
+        user.status !== 'waiting' && user.status !== 'in-call' && !user.room;
+}
+
+// --- Abuse Protection: rate limits and cooldowns, escalating from warning to throttling to disconnect ---
+function isMessageAllowed(ws, user, type) {
+    const verdict = abuseGuard.checkMessage(user.abuseGuard, type);
+    if (verdict.action === 'allow') {
+        return true;
+    }
+
+    metricAbuseActions.inc({ type: type || 'any', code: verdict.code, action: verdict.action });
+    if (verdict.action === 'drop') {
+        return false;
+    }
+
+    console.warn(`[ABUSE_${verdict.action.toUpperCase()}]: ${user.username} (ID: ${user.id}) hit ${verdict.code} on ${type || 'any message'}.`);
+    if (verdict.action === 'disconnect') {
+        kickConnection(ws, user, 'abuse', 'error', { code: verdict.code });
+    } else if (verdict.action === 'throttle') {
+        sendError(ws, verdict.code, null, verdict.retryAfterMs);
+    } else if (verdict.code === ERROR_CODES.COOLDOWN) {
+        sendError(ws, verdict.code, { type }, verdict.retryAfterMs);
+    } else {
+        sendError(ws, verdict.code, null, verdict.retryAfterMs);
+    }
+    return false;
+}
+
+// --- Heartbeat: reap connections that vanished without a TCP close (phone off the network) ---
+// terminate() fires the regular 'close' handler, so partners are notified and requeued as usual.
+const heartbeatInterval = setInterval(() => {
+    wss.clients.forEach(clientWs => {
+        if (!clientWs.isAlive) {
+            const user = connectedUsers.get(clientWs);
+            metricHeartbeatTimeouts.inc();
+            console.warn(`[HEARTBEAT_TIMEOUT]: ${user?.username || 'Client'} (ID: ${user?.id || 'unknown'}) missed a heartbeat, terminating.`);
+            clientWs.terminate();
+            return;
+        }
+        clientWs.isAlive = false;
+        clientWs.ping();
+    });
+}, HEARTBEAT_INTERVAL_MS);
+
+wss.on('close', () => {
+    clearInterval(heartbeatInterval);
+});
+
+// --- Join: enter the random matchmaking queue ---
+async function handleJoin(ws, user, payload) {
+    if (!user.accountId) {
+        sendError(ws, ERROR_CODES.NOT_LOGGED_IN);
+        console.warn(`[JOIN_ERROR]: Client ID ${user.id} tried to join without being logged in.`);
+        return;
+    }
+    if (user.status === 'waiting' || user.status === 'in-call') {
+        sendError(ws, ERROR_CODES.ALREADY_IN_MATCHMAKING);
+        console.log(`[JOIN_INFO]: Client ID ${user.id} already in matchmaking/call.`);
+        return;
+    }
+    if (user.room) {
+        sendError(ws, ERROR_CODES.ALREADY_IN_ROOM);
+        return;
+    }
+
+    const accountId = user.accountId;
+    const [suspension, blockedAccounts, tier] = await Promise.all([
+        moderation.getActiveSuspension(accountId),
+        moderation.getBlockedAccounts(accountId),
+        reputation.tier(accountId)
+    ]);
+    if (suspension) {
+        sendMessage(ws, 'account_suspended', { until: suspension.until });
+        console.warn(`[JOIN_ERROR]: Suspended account ${accountId} tried to join.`);
+        return;
+    }
+    if (!isStillIdle(ws, user, accountId)) {
+        return;
+    }
+
+    user.preferences = normalizePreferences(payload.preferences);
+    metricJoins.inc();
+    matchmaking.join(user, blockedAccounts, tier);
+}
+
+// --- Change Partner: end the current call (if any) and jump to the front of the queue ---
+function changePartner(ws, user) {
+    if (!matchmaking.changePartner(user)) {
+        sendError(ws, ERROR_CODES.NOT_IN_MATCHMAKING);
+        return;
+    }
+    metricChangePartner.inc();
+}
+
+// --- In-call Chat: relayed to the current partner only, never stored ---
+function handleChatMessage(ws, user, payload) {
+    if (user.status !== 'in-call' || !user.partner) {
+        sendError(ws, ERROR_CODES.NOT_IN_CALL);
+        return;
+    }
+    const message = chat.prepareChatMessage(payload);
+    if (message.error) {
+        sendError(ws, ERROR_CODES.BAD_PAYLOAD, { type: 'chat_message' });
+        return;
+    }
+    metricChatMessages.inc({ kind: message.quickReply ? 'quick_reply' : 'text' });
+    matchmaking.sendToUser(user.partner, 'chat_message', {
+        messageId: generateUniqueId(),
+        username: user.username,
+        text: message.text,
+        quickReply: message.quickReply,
+        sentAt: new Date().toISOString()
+    });
+    console.log(`[CHAT_FWD]: Relayed a ${message.quickReply ? 'quick reply' : 'chat message'} from ${user.username} (ID: ${user.id}) to partner ID: ${user.partner}`);
+}
+
+// --- Call Quality: one summary per participant and call, aggregated in /metrics and /admin/call-quality ---
+async function handleCallQuality(ws, user, payload) {
+    const call = await callRecords.get(payload.callId);
+    if (!call || !call.participantIds.includes(user.id) || !(await callRecords.claim(payload.callId, 'quality', user.id))) {
+        sendError(ws, ERROR_CODES.UNKNOWN_CALL);
+        return;
+    }
+
+    const labels = { network_type: payload.networkType };
+    metricCallQualityReports.inc({ candidate_type: payload.candidateType, network_type: payload.networkType });
+    metricCallPacketLoss.observe(payload.packetLossPercent, labels);
+    if (payload.avgRttMs !== null) {
+        metricCallRtt.observe(payload.avgRttMs, labels);
+    }
+    if (payload.avgJitterMs !== null) {
+        metricCallJitter.observe(payload.avgJitterMs, labels);
+    }
+    callQuality.record(payload);
+    console.log(`[CALL_QUALITY]: ${user.username} (ID: ${user.id}) call ${payload.callId}: ${payload.candidateType} over ${payload.networkType}, loss ${payload.packetLossPercent}%, RTT ${payload.avgRttMs ?? '?'}ms, jitter ${payload.avgJitterMs ?? '?'}ms (${payload.samples} samples).`);
+}
+
+// --- Post-call rating: one per participant and call, for the partner's reputation ---
+// Blocking and reporting stay separate: a 👎 alone never suspends anyone.
+// Both sides are accounts, not connections: a driver who reloaded the page can still rate the call, once.
+async function handleRateCall(ws, user, payload) {
+    const raterAccountId = user.accountId;
+    const claimed = await callRecords.claimRating(payload.callId, raterAccountId);
+    if (!claimed) {
+        sendError(ws, ERROR_CODES.UNKNOWN_CALL);
+        return;
+    }
+    if (!claimed.ratedAccountId) {
+        sendError(ws, ERROR_CODES.NO_PARTNER);
+        return;
+    }
+
+    const entry = await reputation.rate({ rater: raterAccountId, rated: claimed.ratedAccountId, callId: payload.callId, rating: payload.rating, tags: payload.tags });
+    metricCallRatings.inc({ rating: entry.rating });
+    console.log(`[CALL_RATING]: ${user.username} (ID: ${user.id}) rated ${claimed.ratedUsername} ${entry.rating} for call ${payload.callId}${entry.tags.length > 0 ? ` [${entry.tags.join(', ')}]` : ''}.`);
+    sendMessage(ws, 'rating_received', { callId: payload.callId });
+}
+
+// --- Live call indicators (push-to-talk, voice activity): for the partner, or for every member of the room ---
+// Not replicated: these states only matter while they are being shown.
+function relayToConversation(ws, user, type, fields) {
+    let recipients;
+    if (user.room) {
+        recipients = matchmaking.rooms.roommates(user.id);
+    } else if (user.status === 'in-call' && user.partner) {
+        recipients = [user.partner];
+    } else {
+        sendError(ws, ERROR_CODES.NOT_IN_CALL, { type });
+        return;
+    }
+    const message = { userId: user.id, username: user.username, ...fields };
+    recipients.forEach(recipientId => matchmaking.sendToUser(recipientId, type, message));
+}
+
+// --- Group Rooms: CB-style channels where every member talks to every other member (mesh) ---
+// Membership is replicated like the queue; the checks below run again when the join is applied,
+// so a room that filled up in the meantime still answers ROOM_FULL.
+async function handleRoomJoin(ws, user, payload) {
+    if (!user.accountId) {
+        sendError(ws, ERROR_CODES.NOT_LOGGED_IN);
+        return;
+    }
+    if (user.status === 'waiting' || user.status === 'in-call') {
+        sendError(ws, ERROR_CODES.ALREADY_IN_MATCHMAKING);
+        return;
+    }
+    if (user.room) {
+        sendError(ws, ERROR_CODES.ALREADY_IN_ROOM);
+        return;
+    }
+    if (!normalizeRoomName(payload.name)) {
+        sendError(ws, ERROR_CODES.ROOM_NAME_INVALID, { min: ROOM_NAME_MIN_LENGTH, max: ROOM_NAME_MAX_LENGTH });
+        return;
+    }
+    const accountId = user.accountId;
+    const [suspension, blocks] = await Promise.all([moderation.getActiveSuspension(accountId), moderation.getBlockedAccounts(accountId)]);
+    if (suspension) {
+        sendMessage(ws, 'account_suspended', { until: suspension.until });
+        return;
+    }
+    if (!isStillIdle(ws, user, accountId)) {
+        return;
+    }
+    metricRoomJoins.inc();
+    matchmaking.joinRoom(user, payload.name, blocks);
+}
+
+// Each member negotiates one connection per other member: signals name the member they are for.
+function relayRoomSignal(ws, user, type, payload) {
+    const { to, ...signal } = payload;
+    if (!to || !matchmaking.rooms.areRoommates(user.id, to)) {
+        console.warn(`[ROOM_SIGNAL_WARN]: ${user.username} (ID: ${user.id}) sent ${type} to ${to || 'nobody'}, who is not in their room.`);
+        sendError(ws, ERROR_CODES.NOT_A_ROOM_MEMBER, { type });
+        return;
+    }
+    matchmaking.sendToUser(to, type, { ...signal, from: user.id });
+    console.log(`[ROOM_SIGNAL_FWD]: Forwarded ${type} from ${user.username} (ID: ${user.id}) to room member ID: ${to}`);
+}
+
+// --- Moderation: block or report the current (or most recent) partner ---
+async function handleBlockUser(ws, user) {
+    const target = user.callPartner;
+    if (!user.accountId || !target || !target.accountId) {
+        sendError(ws, ERROR_CODES.NO_PARTNER);
+        return;
+    }
+
+    const blockerId = user.accountId;
+    await moderation.blockUser(blockerId, target.accountId);
+    matchmaking.block(user.id, target.accountId);
+    if (await friends.remove(blockerId, target.accountId)) {
+        await sendFriendsList(ws, user);
+        await notifyFriendsChanged(target.accountId);
+    }
+    console.log(`[MODERATION_BLOCK]: ${user.username} (account ${blockerId}) blocked ${target.username} (account ${target.accountId}).`);
+    sendMessage(ws, 'user_blocked', { username: target.username });
+
+    // Blocking ends the call right away; the partner just sees an ordinary partner change.
+    if (user.status === 'in-call' && user.partner) {
+        changePartner(ws, user);
+    }
+}
+
+async function handleReportUser(ws, user, payload) {
+    const target = user.callPartner;
+    if (!user.accountId || !target || !target.accountId) {
+        sendError(ws, ERROR_CODES.NO_PARTNER);
+        return;
+    }
 
-            const indexInQueue = matchmakingQueue.indexOf(ws);
-            if (indexInQueue !== -1) {
-                matchmakingQueue.splice(indexInQueue, 1);
-                console.log(`[QUEUE_REMOVE]: Removed ${user.username} from queue on disconnect. New size: ${matchmakingQueue.length}`);
+    const reporter = { accountId: user.accountId, username: user.username };
+    const callId = user.callId;
+    const ongoing = user.status === 'in-call';
+    const call = await getCallContext(callId);
+    const result = await moderation.addReport({
+        reporter,
+        reported: { accountId: target.accountId, username: target.username },
+        reason: payload.reason,
+        details: payload.details,
+        call: {
+            callId,
+            ongoing,
+            startedAt: call ? call.startedAt : null,
+            durationSeconds: call ? Math.round((Date.now() - Date.parse(call.startedAt)) / 1000) : null
+        }
+    });
+    if (!result) {
+        sendError(ws, ERROR_CODES.BAD_PAYLOAD, { type: 'report_user' });
+        return;
+    }
+
+    console.log(`[MODERATION_REPORT]: ${reporter.username} reported ${target.username} for ${result.report.reason} (report ${result.report.id}).`);
+    sendMessage(ws, 'report_received', { reportId: result.report.id });
+
+    if (result.suspension) {
+        enforceSuspension(target.accountId, result.suspension);
+    }
+}
+
+// --- Friends: mutual requests, presence pushed from the replicated matchmaking state, direct invitations ---
+// Friendships are stored per account; presence follows the account's connections on any instance.
+async function describeFriends(accountId) {
+    const [friendList, requests] = await Promise.all([friends.friendsOf(accountId), friends.requestsFor(accountId)]);
+    const presence = matchmaking.presenceByAccount();
+    return {
+        friends: friendList.map(friend => ({ ...friend, presence: presence.get(friend.accountId) || 'offline' })),
+        requests
+    };
+}
+
+// Also resets what this connection was last told about its friends' presence.
+// Nothing is sent if the connection closed or changed account meanwhile.
+async function sendFriendsList(ws, user) {
+    const accountId = user.accountId;
+    const list = await describeFriends(accountId);
+    if (connectedUsers.get(ws) !== user || user.accountId !== accountId) {
+        return;
+    }
+    user.friendPresence = new Map(list.friends.map(friend => [friend.accountId, friend.presence]));
+    sendMessage(ws, 'friends_list', list);
+}
+
+// The other side of a request or friendship that changed, wherever it is connected.
+async function notifyFriendsChanged(accountId) {
+    const userIds = matchmaking.userIdsOfAccount(accountId);
+    if (userIds.length === 0) {
+        return;
+    }
+    const list = await describeFriends(accountId);
+    userIds.forEach(userId => {
+        const otherWs = userSockets.get(userId);
+        const otherUser = otherWs ? connectedUsers.get(otherWs) : null;
+        if (otherUser && otherUser.accountId === accountId) {
+            otherUser.friendPresence = new Map(list.friends.map(friend => [friend.accountId, friend.presence]));
+            sendMessage(otherWs, 'friends_list', list);
+        } else if (!otherUser) {
+            matchmaking.sendToUser(userId, 'friends_list', list);
+        }
+    });
+}
+
+function schedulePresencePush() {
+    if (!presencePushTimer) {
+        presencePushTimer = setTimeout(pushFriendPresence, PRESENCE_PUSH_DELAY_MS);
+    }
+}
+
+// Each local connection gets the presence changes of the friends in the list it was last sent
+// (the list is sent again whenever a friendship changes, see notifyFriendsChanged).
+function pushFriendPresence() {
+    presencePushTimer = null;
+    const presence = matchmaking.presenceByAccount();
+    connectedUsers.forEach((user, userWs) => {
+        if (!user.accountId || !user.friendPresence || user.suspended) {
+            return;
+        }
+        user.friendPresence.forEach((known, friendAccountId) => {
+            const current = presence.get(friendAccountId) || 'offline';
+            if (known !== current) {
+                user.friendPresence.set(friendAccountId, current);
+                sendMessage(userWs, 'friend_presence', { accountId: friendAccountId, presence: current });
             }
+        });
+    });
+}
+
+// A request goes to the current or most recent partner; asking someone who asked first makes you friends.
+async function handleFriendRequest(ws, user) {
+    const target = user.callPartner;
+    if (!user.accountId || !target || !target.accountId) {
+        sendError(ws, ERROR_CODES.NO_PARTNER);
+        return;
+    }
+    const sender = { accountId: user.accountId, username: user.username };
+    // Someone who blocked the requester never hears of it; the requester is not told either.
+    if ((await moderation.getBlockedAccounts(target.accountId)).includes(sender.accountId)) {
+        sendMessage(ws, 'friend_request_sent', { username: target.username });
+        return;
+    }
+
+    const result = await friends.request(sender, target);
+    if (result === 'limit_reached') {
+        sendError(ws, ERROR_CODES.FRIEND_LIMIT_REACHED);
+        return;
+    }
+    console.log(`[FRIEND_REQUEST]: ${sender.username} (account ${sender.accountId}) -> ${target.username} (account ${target.accountId}): ${result}.`);
+    if (result === 'requested') {
+        sendMessage(ws, 'friend_request_sent', { username: target.username });
+    } else {
+        await sendFriendsList(ws, user);
+    }
+    await notifyFriendsChanged(target.accountId);
+}
+
+async function handleFriendRespond(ws, user, payload) {
+    if (!user.accountId || !(await friends.requestsFor(user.accountId)).some(request => request.accountId === payload.accountId)) {
+        sendError(ws, ERROR_CODES.NOT_FRIENDS);
+        return;
+    }
+    const sender = await friends.respond({ accountId: user.accountId, username: user.username }, payload.accountId, payload.accept);
+    if (!sender) {
+        sendError(ws, ERROR_CODES.FRIEND_LIMIT_REACHED);
+        return;
+    }
+    console.log(`[FRIEND_RESPOND]: ${user.username} (account ${user.accountId}) ${payload.accept ? 'accepted' : 'declined'} ${sender.username} (account ${sender.accountId}).`);
+    await sendFriendsList(ws, user);
+    if (payload.accept) {
+        await notifyFriendsChanged(sender.accountId);
+    }
+}
 
-            connectedUsers.delete(ws);
-            console.log(`[CONNECTED_USERS_DELETE]: Client ID ${user.id} removed from connectedUsers. New size: ${connectedUsers.size}`);
-            updateRealtimeStats();
+async function handleFriendRemove(ws, user, payload) {
+    if (!user.accountId || !(await friends.remove(user.accountId, payload.accountId))) {
+        sendError(ws, ERROR_CODES.NOT_FRIENDS);
+        return;
+    }
+    console.log(`[FRIEND_REMOVE]: ${user.username} (account ${user.accountId}) removed account ${payload.accountId}.`);
+    await sendFriendsList(ws, user);
+    await notifyFriendsChanged(payload.accountId);
+}
+
+// --- Invitations: accepting one pairs the two friends directly (match_found, then the usual signaling) ---
+async function handleInvite(ws, user, payload) {
+    const accountId = user.accountId;
+    if (!accountId || !(await friends.areFriends(accountId, payload.accountId))) {
+        sendError(ws, ERROR_CODES.NOT_FRIENDS);
+        return;
+    }
+    if (connectedUsers.get(ws) !== user || user.accountId !== accountId) {
+        return;
+    }
+    if (user.status === 'in-call' || user.room) {
+        sendError(ws, ERROR_CODES.ALREADY_IN_MATCHMAKING);
+        return;
+    }
+    const inviteeId = matchmaking.userIdsOfAccount(payload.accountId).find(userId => {
+        const record = matchmaking.record(userId);
+        return record.status !== 'in-call' && !record.room && !record.suspended;
+    });
+    if (!inviteeId) {
+        sendError(ws, ERROR_CODES.FRIEND_UNAVAILABLE);
+        return;
+    }
+    const inviteId = crypto.randomUUID();
+    console.log(`[INVITE]: ${user.username} (ID: ${user.id}) invited user ID ${inviteeId} (invite ${inviteId}).`);
+    matchmaking.invite(user, inviteeId, inviteId);
+}
+
+// Checked again when the answer is applied: the invitation may have expired or the inviter become busy.
+function handleInviteAnswer(ws, user, type, payload) {
+    if (!user.accountId) {
+        sendError(ws, ERROR_CODES.NOT_LOGGED_IN);
+        return;
+    }
+    if (type === 'decline_invite') {
+        matchmaking.declineInvite(user, payload.inviteId);
+        return;
+    }
+    if (user.status === 'in-call' || user.room) {
+        sendError(ws, ERROR_CODES.ALREADY_IN_MATCHMAKING);
+        return;
+    }
+    matchmaking.acceptInvite(user, payload.inviteId);
+}
+
+// --- Kick every live connection of a freshly suspended account, on every instance ---
+function enforceSuspension(accountId, suspension) {
+    console.warn(`[MODERATION_KICK]: Disconnecting suspended account ${accountId}.`);
+    matchmaking.broadcastControl({ type: 'kick_account', accountId, reason: 'suspended', noticeType: 'account_suspended', noticePayload: { until: suspension.until } });
+}
+
+// --- Cluster-wide control messages (see matchmaking.broadcastControl) ---
+function handleControlMessage(message) {
+    if (message.type !== 'kick_account') {
+        return;
+    }
+    connectedUsers.forEach((otherUser, otherWs) => {
+        if (otherUser.accountId === message.accountId && otherUser.id !== message.exceptUserId) {
+            console.log(`[CONTROL_KICK]: Closing connection ID ${otherUser.id} of account ${message.accountId} (${message.reason}).`);
+            kickConnection(otherWs, otherUser, message.reason, message.noticeType, message.noticePayload);
+        }
+    });
+}
+
+// --- Close a connection on the server's initiative, without a resumption grace period ---
+function kickConnection(ws, user, reason, noticeType, noticePayload) {
+    sendMessage(ws, noticeType, noticePayload);
+    if (user.graceTimer) {
+        clearTimeout(user.graceTimer);
+        user.graceTimer = null;
+    }
+    finalizeDisconnect(ws, user, reason);
+    ws.close(KICKED_CLOSE_CODE, noticeType);
+}
+
+// --- Protocol Handshake: agree on a version before any other message is accepted ---
+function handleHello(ws, user, payload) {
+    const version = protocol.negotiateVersion(payload.protocolVersion);
+    if (version === null) {
+        metricRejectedMessages.inc({ code: ERROR_CODES.UNSUPPORTED_PROTOCOL_VERSION });
+        console.warn(`[PROTOCOL_UNSUPPORTED]: Client ID ${user.id} speaks protocol v${payload.protocolVersion} (minimum v${protocol.MIN_PROTOCOL_VERSION}), closing.`);
+        kickConnection(ws, user, 'outdated_client', 'error', { code: ERROR_CODES.UNSUPPORTED_PROTOCOL_VERSION });
+        return;
+    }
+    user.protocolVersion = version;
+    console.log(`[PROTOCOL_HELLO]: Client ID ${user.id} (${payload.client || 'unknown client'}) negotiated protocol v${version}.`);
+    sendMessage(ws, 'hello_ack', { protocolVersion: version, minProtocolVersion: protocol.MIN_PROTOCOL_VERSION, settings: protocol.CLIENT_SETTINGS });
+}
+
+// --- Authentication: register/login bind this connection to a persistent account ---
+async function handleAuthentication(ws, type, payload) {
+    const user = connectedUsers.get(ws);
+    if (user.status === 'waiting' || user.status === 'in-call') {
+        sendMessage(ws, 'auth_error', { code: ERROR_CODES.ALREADY_IN_MATCHMAKING });
+        return;
+    }
+    if (user.room) {
+        sendMessage(ws, 'auth_error', { code: ERROR_CODES.ALREADY_IN_ROOM });
+        return;
+    }
+
+    let result;
+    let suspension;
+    try {
+        if (type === 'register') {
+            result = await accountStore.register(payload.username, payload.secret, payload.remember === true);
+        } else if (payload.token !== undefined) {
+            result = await accountStore.loginWithToken(payload.token);
         } else {
-            console.log('[CLIENT_DISCONNECT_UNKNOWN]: An unknown client disconnected.');
+            result = await accountStore.login(payload.username, payload.secret, payload.remember === true, user.clientIp);
+        }
+        suspension = await moderation.getActiveSuspension(result.account.id);
+    } catch (error) {
+        if (!(error instanceof AccountError)) {
+            console.error(`[AUTH_ERROR]: Unexpected ${type} failure for client ID ${user.id}. Error: ${error.message}`);
         }
+        console.warn(`[AUTH_FAILED]: ${type} failed for client ID ${user.id}: ${error.message}`);
+        sendMessage(ws, 'auth_error', error instanceof AccountError
+            ? { code: error.code, ...(error.params && { params: error.params }) }
+            : { code: ERROR_CODES.AUTH_FAILED });
+        return;
+    }
+
+    // The connection may have closed, or been resumed elsewhere, while we were hashing or reading the account.
+    if (connectedUsers.get(ws) !== user) {
+        return;
+    }
+
+    // One live connection per account: a new login takes over from the previous one, on any instance.
+    matchmaking.broadcastControl({ type: 'kick_account', accountId: result.account.id, exceptUserId: user.id, reason: 'takeover', noticeType: 'info', noticePayload: { code: INFO_CODES.LOGGED_IN_ELSEWHERE } });
+
+    if (suspension) {
+        console.warn(`[AUTH_SUSPENDED]: Suspended account ${result.account.id} tried to log in.`);
+        sendMessage(ws, 'account_suspended', { until: suspension.until });
+        return;
+    }
+
+    user.accountId = result.account.id;
+    user.authToken = result.token;
+    user.username = result.account.username;
+    console.log(`[AUTH_SUCCESS]: Client ID ${user.id} authenticated as ${user.username} (account ${user.accountId}) via ${type}.`);
+    matchmaking.identify(user);
+    sendMessage(ws, 'auth_success', { username: user.username, accountId: user.accountId, token: result.token });
+    await sendFriendsList(ws, user);
+}
+
+// --- Session Resumption: keep a dropped user's pairing, status and partner during the grace period ---
+function suspendSession(ws, user) {
+    user.suspended = true;
+    matchmaking.setSuspended(user.id, true);
+    console.log(`[SESSION_SUSPENDED]: ${user.username} (ID: ${user.id}) suspended for ${SESSION_GRACE_MS}ms. Status kept: ${user.status}`);
+
+    if (user.status === 'in-call' && user.partner) {
+        matchmaking.sendToUser(user.partner, 'partner_connection_lost', { username: user.username, graceMs: SESSION_GRACE_MS });
+    }
+
+    user.graceTimer = setTimeout(() => {
+        user.graceTimer = null;
+        if (connectedUsers.get(ws) === user && user.suspended) {
+            console.log(`[SESSION_EXPIRED]: Grace period over for ${user.username} (ID: ${user.id}).`);
+            finalizeDisconnect(ws, user, 'session_expired');
+        }
+    }, SESSION_GRACE_MS);
+}
+
+function resumeSession(newWs, sessionToken) {
+    const freshUser = connectedUsers.get(newWs);
+    const oldWs = typeof sessionToken === 'string' ? sessions.get(sessionToken) : undefined;
+    const user = oldWs ? connectedUsers.get(oldWs) : undefined;
+
+    if (!user || oldWs === newWs) {
+        console.log(`[SESSION_RESUME_FAILED]: Unknown or expired session token from client ID ${freshUser.id}.`);
+        sendMessage(newWs, 'session_expired', {});
+        return;
+    }
+
+    if (user.graceTimer) {
+        clearTimeout(user.graceTimer);
+        user.graceTimer = null;
+    }
+
+    // The new connection takes over the old session; its own fresh identity is dropped,
+    // except for the protocol version it has just negotiated.
+    // Sessions are only known to the instance that created them, so resuming needs sticky connections.
+    user.protocolVersion = freshUser.protocolVersion;
+    sessions.delete(freshUser.sessionToken);
+    userSockets.delete(freshUser.id);
+    matchmaking.remove(freshUser.id);
+    connectedUsers.delete(newWs);
+    connectedUsers.delete(oldWs);
+    connectedUsers.set(newWs, user);
+    userSockets.set(user.id, newWs);
+    sessions.set(sessionToken, newWs);
+    user.suspended = false;
+
+    if (oldWs.readyState === WebSocket.OPEN || oldWs.readyState === WebSocket.CONNECTING) {
+        // The client noticed the drop before we did: retire the stale socket.
+        oldWs.terminate();
+    }
+
+    console.log(`[SESSION_RESUMED]: ${user.username} (ID: ${user.id}) resumed. Status: ${user.status}`);
+
+    sendMessage(newWs, 'session_resumed', {
+        status: user.status === 'waiting' ? 'waiting_for_match' : user.status,
+        username: user.username,
+        partnerUsername: user.status === 'in-call' && user.callPartner ? user.callPartner.username : null,
+        callId: user.callId || null
     });
 
+    if (user.status === 'in-call' && user.partner) {
+        matchmaking.sendToUser(user.partner, 'partner_reconnected', { username: user.username });
+    }
+    if (user.accountId) {
+        sendFriendsList(newWs, user).catch(error => {
+            console.error(`[FRIENDS_LIST_ERROR]: Could not send the friends list to ${user.username} (ID: ${user.id}). Error: ${error.message}`);
+        });
+    }
+    // A session that kept its place in the queue gets a match attempt once this is applied.
+    matchmaking.setSuspended(user.id, false);
+}
+
+// --- Final cleanup of a connection: partner notification, requeue and removal ---
+function finalizeDisconnect(ws, user, reason) {
+    metricDisconnects.inc({ reason });
+    matchmaking.remove(user.id);
+
+    sessions.delete(user.sessionToken);
+    connectedUsers.delete(ws);
+    if (userSockets.get(user.id) === ws) {
+        userSockets.delete(user.id);
+    }
+    console.log(`[CONNECTED_USERS_DELETE]: Client ID ${user.id} removed from connectedUsers. New size: ${connectedUsers.size}`);
+}
+
+// --- Admin Operations ---
+async function requeueUser(ws, user) {
+    if (user.status === 'in-call' || user.status === 'waiting') {
+        changePartner(ws, user);
+        return true;
+    }
+    if (!user.accountId || user.suspended || user.room) {
+        return false;
+    }
+    const accountId = user.accountId;
+    const [blockedAccounts, tier] = await Promise.all([moderation.getBlockedAccounts(accountId), reputation.tier(accountId)]);
+    if (!isStillIdle(ws, user, accountId) || user.suspended) {
+        return false;
+    }
+    console.log(`[ADMIN_REQUEUE]: ${user.username} (ID: ${user.id}) put back in queue by an admin.`);
+    matchmaking.join(user, blockedAccounts, tier);
+    return true;
+}
+
+const handleAdminRequest = createAdminRoutes({
+    adminToken: ADMIN_TOKEN,
+    connectedUsers,
+    matchmaking,
+    callQuality,
+    reputation,
+    actions: {
+        forceDisconnect(ws, user) {
+            console.warn(`[ADMIN_DISCONNECT]: ${user.username} (ID: ${user.id}) force-disconnected by an admin.`);
+            kickConnection(ws, user, 'admin', 'info', { code: INFO_CODES.DISCONNECTED_BY_ADMIN });
+        },
+        requeueUser,
+        isMatchmakingPaused: () => matchmaking.paused,
+        setMatchmakingPaused(paused) {
+            console.warn(`[ADMIN_MATCHMAKING]: Matchmaking ${paused ? 'paused' : 'resumed'} by an admin.`);
+            matchmaking.setPaused(paused);
+        }
+    }
+});
+
+// --- Startup: join the shared state before accepting connections ---
+stateAdapter.then(async adapter => {
+    await matchmaking.start(adapter);
     server.listen(PORT, () => {
-        console.log(`HTTP server listening on port ${PORT} for healthchecks.`);
+        console.log(`HTTP server listening on port ${PORT} for healthchecks (instance ${INSTANCE_ID}).`);
     });
-});
\ No newline at end of file
+}).catch(error => {
+    console.error(`[STARTUP_ERROR]: Could not connect the shared state. Error: ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createConnectionGuard, checkMessage } = require('../lib/abuseGuard');
+
+const START = 1_000_000;
+
+// Empty the connection-wide bucket (a burst of 60) so the next message is a violation.
+function drainOverall(guard, now) {
+    for (let index = 0; index < 60; index++) {
+        assert.equal(checkMessage(guard, null, now).action, 'allow');
+    }
+}
+
+test('the connection-wide bucket allows a burst, then refills at its steady rate', () => {
+    const guard = createConnectionGuard(START);
+    drainOverall(guard, START);
+    assert.deepEqual(checkMessage(guard, null, START), { action: 'warn', code: 'RATE_LIMITED', retryAfterMs: 100 });
+
+    // 10 tokens per second: one second later, ten messages get through and not one more.
+    const later = START + 1000;
+    for (let index = 0; index < 10; index++) {
+        assert.equal(checkMessage(guard, null, later).action, 'allow');
+    }
+    assert.equal(checkMessage(guard, null, later).action, 'warn');
+});
+
+test('a refilled bucket never holds more than its burst', () => {
+    const guard = createConnectionGuard(START);
+    checkMessage(guard, null, START);
+    drainOverall(guard, START + 60 * 60 * 1000);
+    assert.equal(checkMessage(guard, null, START + 60 * 60 * 1000).action, 'warn');
+});
+
+test('per-type buckets refill independently of the connection-wide one', () => {
+    const guard = createConnectionGuard(START);
+    for (let index = 0; index < 10; index++) {
+        assert.equal(checkMessage(guard, 'offer', START).action, 'allow');
+    }
+    assert.deepEqual(checkMessage(guard, 'offer', START), { action: 'warn', code: 'RATE_LIMITED', retryAfterMs: 2000 });
+    assert.equal(checkMessage(guard, 'answer', START).action, 'allow');
+
+    // Half a token per second: a new offer takes two seconds.
+    assert.equal(checkMessage(guard, 'offer', START + 1000).action, 'warn');
+    assert.equal(checkMessage(guard, 'offer', START + 3000).action, 'allow');
+});
+
+test('cooldowns report the time left before the action is allowed again', () => {
+    const guard = createConnectionGuard(START);
+    assert.equal(checkMessage(guard, 'change_partner', START).action, 'allow');
+    assert.deepEqual(checkMessage(guard, 'change_partner', START + 1500), { action: 'warn', code: 'COOLDOWN', retryAfterMs: 3500 });
+    assert.equal(checkMessage(guard, 'change_partner', START + 5000).action, 'allow');
+});
+
+test('violations escalate from warnings to throttling to a disconnect', () => {
+    const guard = createConnectionGuard(START);
+    drainOverall(guard, START);
+
+    for (let violation = 1; violation <= 3; violation++) {
+        assert.equal(checkMessage(guard, null, START).action, 'warn');
+    }
+    assert.deepEqual(checkMessage(guard, null, START), { action: 'throttle', code: 'RATE_LIMITED', retryAfterMs: 10000 });
+
+    // While throttled everything is dropped, refilled bucket or not.
+    assert.deepEqual(checkMessage(guard, 'mute', START + 5000), { action: 'drop', code: 'RATE_LIMITED' });
+
+    // Flooding past the connection-wide rate during the throttle keeps counting, up to a disconnect.
+    for (let violation = 5; violation <= 20; violation++) {
+        assert.equal(checkMessage(guard, null, START).action, 'throttle');
+    }
+    assert.deepEqual(checkMessage(guard, null, START), { action: 'disconnect', code: 'RATE_LIMITED' });
+});
+
+test('messages sent at a normal pace during a throttle are dropped without counting as violations', () => {
+    const guard = createConnectionGuard(START);
+    drainOverall(guard, START);
+    for (let violation = 1; violation <= 4; violation++) {
+        checkMessage(guard, null, START);
+    }
+
+    // A keepalive and a few ICE candidates every second for the whole throttle: dropped, never escalated.
+    for (let second = 1; second < 10; second++) {
+        for (let message = 0; message < 5; message++) {
+            assert.deepEqual(checkMessage(guard, null, START + second * 1000), { action: 'drop', code: 'RATE_LIMITED' });
+        }
+    }
+    assert.equal(checkMessage(guard, null, START + 10 * 1000).action, 'allow');
+    assert.equal(guard.violations.length, 4);
+});
+
+test('violations older than the abuse window are forgotten', () => {
+    const guard = createConnectionGuard(START);
+    drainOverall(guard, START);
+    for (let violation = 1; violation <= 3; violation++) {
+        assert.equal(checkMessage(guard, null, START).action, 'warn');
+    }
+
+    // A minute later the count starts over: a fresh warning, no throttling.
+    const later = START + 60 * 1000;
+    drainOverall(guard, later);
+    assert.equal(checkMessage(guard, null, later).action, 'warn');
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AccountStore } = require('../lib/accountStore');
+const { createMemoryHub, createMemoryAdapter } = require('../lib/state');
+
+const accountStore = new AccountStore({ adapter: createMemoryAdapter({ hub: createMemoryHub() }) });
+
+async function failLogins(username, clientIp, times) {
+    for (let attempt = 0; attempt < times; attempt++) {
+        await assert.rejects(accountStore.login(username, '0000', false, clientIp), { code: 'INVALID_CREDENTIALS' });
+    }
+}
+
+test('failed logins lock the username for the guessing address only', async () => {
+    await accountStore.register('Routier', '4821', false);
+    await failLogins('routier', '203.0.113.7', 5);
+
+    await assert.rejects(accountStore.login('routier', '4821', false, '203.0.113.7'), { code: 'LOGIN_LOCKED' });
+    const { account } = await accountStore.login('routier', '4821', false, '198.51.100.2');
+    assert.equal(account.username, 'Routier');
+});
+
+test('one address gets a limited failure budget across all usernames', async () => {
+    for (let index = 0; index < 4; index++) {
+        await failLogins(`inconnu${index}`, '192.0.2.44', 5);
+    }
+    await assert.rejects(accountStore.login('inconnu9', '0000', false, '192.0.2.44'), { code: 'LOGIN_LOCKED' });
+    await assert.rejects(accountStore.login('inconnu9', '0000', false, '192.0.2.45'), { code: 'INVALID_CREDENTIALS' });
+});
+
+test('a login token works until it is revoked', async () => {
+    const { account, token } = await accountStore.register('Camionneuse', 'route-66', true);
+    assert.deepEqual((await accountStore.loginWithToken(token)).account, account);
+    assert.deepEqual(await accountStore.getAccount(account.id), account);
+
+    await accountStore.revokeToken(token);
+    await assert.rejects(accountStore.loginWithToken(token), { code: 'INVALID_TOKEN' });
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CallQualityStats } = require('../lib/callQuality');
+
+function report(fields) {
+    return { callId: 'call', candidateType: 'srflx', networkType: 'wifi', samples: 30, packetLossPercent: 0, avgRttMs: 80, avgJitterMs: 10, ...fields };
+}
+
+test('the summary splits typical loss by network type and counts relayed calls', () => {
+    const stats = new CallQualityStats();
+    stats.record(report({ networkType: 'cellular', candidateType: 'relay', packetLossPercent: 4, avgRttMs: 300 }));
+    stats.record(report({ networkType: 'cellular', packetLossPercent: 1, avgRttMs: 200 }));
+    stats.record(report({ networkType: 'cellular', packetLossPercent: 9, avgRttMs: null, avgJitterMs: null }));
+    stats.record(report({ networkType: 'wifi', packetLossPercent: 0.2 }));
+
+    const summary = stats.summary();
+    assert.equal(summary.reports, 4);
+    assert.equal(summary.relayedPercent, 25);
+    assert.deepEqual(summary.byCandidateType, { relay: 1, srflx: 3 });
+    assert.deepEqual(summary.byNetworkType.cellular, {
+        reports: 3, medianPacketLossPercent: 4, p90PacketLossPercent: 9, medianRttMs: 200, medianJitterMs: 10
+    });
+    assert.equal(summary.byNetworkType.wifi.medianPacketLossPercent, 0.2);
+});
+
+test('an empty window has no medians, and only the most recent reports are kept', () => {
+    const stats = new CallQualityStats({ maxReports: 2 });
+    assert.deepEqual(stats.summary(), {
+        reports: 0, medianPacketLossPercent: null, p90PacketLossPercent: null, medianRttMs: null, medianJitterMs: null,
+        relayedPercent: null, byCandidateType: {}, byNetworkType: {}
+    });
+
+    stats.record(report({ candidateType: 'relay' }));
+    stats.record(report({}));
+    stats.record(report({}));
+    assert.equal(stats.summary().reports, 2);
+    assert.equal(stats.summary().relayedPercent, 0);
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeChatText, prepareChatMessage, CHAT_MESSAGE_MAX_LENGTH } = require('../lib/chat');
+
+test('control characters and bidi overrides are removed and whitespace collapsed', () => {
+    assert.equal(sanitizeChatText('  à\tdemain\n\n\u0007 ok\u202E  '), 'à demain ok');
+});
+
+test('a quick reply is relayed as its ID, without text', () => {
+    assert.deepEqual(prepareChatMessage({ quickReply: 'drive_safe', text: 'ignored' }), { text: null, quickReply: 'drive_safe' });
+});
+
+test('empty and oversized messages are refused after sanitization', () => {
+    assert.ok(prepareChatMessage({ text: ' \n\u0000 ' }).error);
+    assert.ok(prepareChatMessage({}).error);
+    assert.ok(prepareChatMessage({ text: 'x'.repeat(CHAT_MESSAGE_MAX_LENGTH + 1) }).error);
+    assert.deepEqual(prepareChatMessage({ text: ` ${'x'.repeat(CHAT_MESSAGE_MAX_LENGTH)} ` }), { text: 'x'.repeat(CHAT_MESSAGE_MAX_LENGTH), quickReply: null });
+});
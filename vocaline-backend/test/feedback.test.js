@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vocaline-feedback-'));
+process.env.FEEDBACK_FILE = path.join(dir, 'feedback.jsonl');
+const { handleFeedbackPost } = require('../lib/feedback');
+
+const accountsByToken = { 'token-alice': { id: 'account-alice', username: 'Alice' } };
+
+// Stands in for the server's getRequestAccount.
+async function getAccount(req) {
+    const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    if (!match) {
+        return null;
+    }
+    if (!accountsByToken[match[1]]) {
+        throw Object.assign(new Error('Invalid or expired login token.'), { code: 'INVALID_TOKEN' });
+    }
+    return accountsByToken[match[1]];
+}
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+    server = http.createServer((req, res) => handleFeedbackPost(req, res, async () => null, getAccount));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function post(body, token) {
+    return fetch(`${baseUrl}/feedback`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+        body: JSON.stringify(body)
+    });
+}
+
+function storedEntry(id) {
+    return fs.readFileSync(process.env.FEEDBACK_FILE, 'utf8').trim().split('\n').map(line => JSON.parse(line)).find(entry => entry.id === id);
+}
+
+test('feedback is signed by the account of the login token, whatever name the body claims', async () => {
+    const response = await post({ message: 'Great app', username: 'Bob' }, 'token-alice');
+    assert.equal(response.status, 201);
+    const entry = storedEntry((await response.json()).id);
+    assert.equal(entry.username, 'Alice');
+    assert.equal(entry.accountId, 'account-alice');
+});
+
+test('feedback without a login token is anonymous', async () => {
+    const response = await post({ message: 'Echo on the line', username: 'Alice' });
+    assert.equal(response.status, 201);
+    const entry = storedEntry((await response.json()).id);
+    assert.equal(entry.username, null);
+    assert.equal(entry.accountId, null);
+});
+
+test('feedback with an invalid login token is refused', async () => {
+    const response = await post({ message: 'Hello' }, 'forged-token');
+    assert.equal(response.status, 401);
+});
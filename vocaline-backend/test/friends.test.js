@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FriendBook, presenceByAccount } = require('../lib/friends');
+const { createMemoryHub, createMemoryAdapter } = require('../lib/state');
+
+const alice = { accountId: 'account-alice', username: 'alice' };
+const bob = { accountId: 'account-bob', username: 'bob' };
+
+function createBook() {
+    return new FriendBook({ adapter: createMemoryAdapter({ hub: createMemoryHub() }), now: () => 0 });
+}
+
+test('a friendship needs the other side to accept', async () => {
+    const book = createBook();
+    assert.equal(await book.request(alice, bob), 'requested');
+    assert.equal(await book.areFriends(alice.accountId, bob.accountId), false);
+    assert.deepEqual(await book.requestsFor(bob.accountId), [alice]);
+
+    assert.deepEqual(await book.respond(bob, alice.accountId, true), alice);
+    assert.equal(await book.areFriends(alice.accountId, bob.accountId), true);
+    assert.equal(await book.areFriends(bob.accountId, alice.accountId), true);
+    assert.deepEqual(await book.friendsOf(alice.accountId), [bob]);
+    assert.deepEqual(await book.requestsFor(bob.accountId), []);
+    assert.equal(await book.request(bob, alice), 'already_friends');
+});
+
+test('asking someone who asked first makes you friends', async () => {
+    const book = createBook();
+    await book.request(alice, bob);
+    assert.equal(await book.request(bob, alice), 'accepted');
+    assert.deepEqual(await book.friendsOf(bob.accountId), [alice]);
+});
+
+test('a declined request leaves no friendship, and removing one undoes both sides', async () => {
+    const book = createBook();
+    await book.request(alice, bob);
+    assert.deepEqual(await book.respond(bob, alice.accountId, false), alice);
+    assert.equal(await book.areFriends(alice.accountId, bob.accountId), false);
+    assert.equal(await book.respond(bob, alice.accountId, true), null);
+
+    await book.request(alice, bob);
+    await book.respond(bob, alice.accountId, true);
+    assert.equal(await book.remove(bob.accountId, alice.accountId), true);
+    assert.deepEqual(await book.friendsOf(alice.accountId), []);
+    assert.equal(await book.remove(bob.accountId, alice.accountId), false);
+});
+
+test('presence is the busiest state among an account\'s connections', () => {
+    const presence = presenceByAccount([
+        { accountId: 'a', status: 'connected', room: null },
+        { accountId: 'a', status: 'waiting', room: null },
+        { accountId: 'b', status: 'connected', room: 'convoi' },
+        { accountId: 'c', status: 'disconnected', room: null },
+        { accountId: null, status: 'in-call', room: null }
+    ]);
+    assert.deepEqual([...presence], [['a', 'waiting'], ['b', 'in-call'], ['c', 'online']]);
+});
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getClientIp } = require('../lib/httpHelpers');
+
+function request(forwardedFor, remoteAddress = '10.0.0.2') {
+    return { headers: forwardedFor === undefined ? {} : { 'x-forwarded-for': forwardedFor }, socket: { remoteAddress } };
+}
+
+test('the client IP is the entry appended by the trusted proxy, not one the client wrote', () => {
+    assert.equal(getClientIp(request('203.0.113.7'), 1), '203.0.113.7');
+    assert.equal(getClientIp(request('6.6.6.6, 203.0.113.7'), 1), '203.0.113.7');
+    assert.equal(getClientIp(request('6.6.6.6, 203.0.113.7, 10.1.0.5'), 2), '203.0.113.7');
+});
+
+test('without enough forwarded hops, or with none trusted, the socket address is used', () => {
+    assert.equal(getClientIp(request(undefined), 1), '10.0.0.2');
+    assert.equal(getClientIp(request('203.0.113.7'), 2), '10.0.0.2');
+    assert.equal(getClientIp(request('6.6.6.6'), 0), '10.0.0.2');
+});
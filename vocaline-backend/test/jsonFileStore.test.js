@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJsonFileStore } = require('../lib/jsonFileStore');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vocaline-store-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('a saved store is loaded back', async t => {
+    const filePath = path.join(tempDir(t), 'accounts.json');
+    const store = createJsonFileStore(filePath, { accounts: {} });
+    store.data.accounts.routier = { id: 'account-1' };
+    await store.save();
+
+    assert.deepEqual(createJsonFileStore(filePath, { accounts: {} }).data, { accounts: { routier: { id: 'account-1' } } });
+});
+
+test('a corrupt file is moved aside instead of being overwritten by the next save', async t => {
+    const dir = tempDir(t);
+    const filePath = path.join(dir, 'accounts.json');
+    fs.writeFileSync(filePath, '{"accounts": {"routier": ');
+
+    const store = createJsonFileStore(filePath, { accounts: {} });
+    assert.deepEqual(store.data, { accounts: {} });
+    await store.save();
+
+    const aside = fs.readdirSync(dir).filter(name => name.startsWith('accounts.json.corrupt-'));
+    assert.equal(aside.length, 1);
+    assert.equal(fs.readFileSync(path.join(dir, aside[0]), 'utf8'), '{"accounts": {"routier": ');
+    assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), { accounts: {} });
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MatchQueue } = require('../lib/matchQueue');
+
+test('push keeps insertion order and ignores duplicates', () => {
+    const queue = new MatchQueue();
+    assert.equal(queue.push('a'), true);
+    assert.equal(queue.push('b'), true);
+    assert.equal(queue.push('a'), false);
+
+    assert.deepEqual(queue.toArray(), ['a', 'b']);
+    assert.equal(queue.size, 2);
+});
+
+test('unshift moves an existing entry to the front', () => {
+    const queue = new MatchQueue();
+    ['a', 'b', 'c'].forEach(entry => queue.push(entry));
+
+    queue.unshift('c');
+    queue.unshift('d');
+
+    assert.deepEqual(queue.toArray(), ['d', 'c', 'a', 'b']);
+    assert.equal(queue.positionOf('a'), 3);
+});
+
+test('delete unlinks head, middle and tail entries', () => {
+    const queue = new MatchQueue();
+    ['a', 'b', 'c', 'd'].forEach(entry => queue.push(entry));
+
+    assert.equal(queue.delete('b'), true);
+    assert.equal(queue.delete('a'), true);
+    assert.equal(queue.delete('d'), true);
+    assert.equal(queue.delete('missing'), false);
+
+    assert.deepEqual(queue.toArray(), ['c']);
+    queue.push('e');
+    assert.deepEqual(queue.toArray(), ['c', 'e']);
+    assert.equal(queue.has('b'), false);
+    assert.equal(queue.positionOf('b'), null);
+});
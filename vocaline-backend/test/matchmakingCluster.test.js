@@ -0,0 +1,322 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MatchmakingCluster } = require('../lib/matchmakingCluster');
+const { createMemoryHub, createMemoryAdapter, createRedisAdapter } = require('../lib/state');
+const { normalizePreferences } = require('../lib/matchPreferences');
+const { startFakeRedisServer } = require('./support/fakeRedisServer');
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+// --- Harness: instances sharing one adapter backend, each with its own simulated clients ---
+function createInstance(instanceId, adapter, options = {}) {
+    const users = new Map();
+    const cluster = new MatchmakingCluster({
+        instanceId,
+        localUser: userId => users.get(userId),
+        deliver: (userId, type, payload) => users.get(userId)?.received.push({ type, payload }),
+        matchDelayMs: 10,
+        retryIntervalMs: 50,
+        heartbeatMs: 20,
+        instanceTimeoutMs: 100,
+        snapshotTimeoutMs: 500,
+        logger: silentLogger,
+        ...options
+    });
+
+    function connect(username) {
+        const user = {
+            id: `${instanceId}-${username}`,
+            username,
+            accountId: `account-${username}`,
+            status: 'connected',
+            statusSince: Date.now(),
+            partner: null,
+            callId: null,
+            callPartner: null,
+            preferences: normalizePreferences(null),
+            received: [],
+            last(type) {
+                return this.received.filter(message => message.type === type).pop();
+            }
+        };
+        users.set(user.id, user);
+        cluster.connect(user);
+        return user;
+    }
+
+    return { cluster, adapter, users, connect, start: () => cluster.start(adapter) };
+}
+
+async function waitFor(predicate, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!predicate()) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for the cluster to settle.');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+async function stopAll(...instances) {
+    for (const instance of instances) {
+        await instance.cluster.stop();
+        await instance.adapter.close();
+    }
+}
+
+test('users on two instances are matched, share stats and exchange signaling by user ID', async () => {
+    const hub = createMemoryHub();
+    const east = createInstance('a-east', createMemoryAdapter({ hub }));
+    const west = createInstance('b-west', createMemoryAdapter({ hub }));
+    await east.start();
+    await west.start();
+
+    const alice = east.connect('alice');
+    const bob = west.connect('bob');
+    await waitFor(() => east.cluster.connectedCount === 2 && west.cluster.connectedCount === 2);
+
+    east.cluster.join(alice, []);
+    west.cluster.join(bob, []);
+    await waitFor(() => alice.status === 'in-call' && bob.status === 'in-call');
+
+    assert.equal(alice.partner, bob.id);
+    assert.equal(bob.partner, alice.id);
+    assert.equal(alice.callId, bob.callId);
+    assert.equal(alice.last('match_found').payload.partnerUsername, 'bob');
+    assert.equal(bob.last('match_found').payload.initiateCall, false);
+    assert.equal(east.cluster.activeCalls, 1);
+    assert.equal(west.cluster.activeCalls, 1);
+
+    east.cluster.sendToUser(alice.partner, 'offer', { sdp: { type: 'offer', sdp: 'v=0' }, from: alice.id });
+    await waitFor(() => bob.last('offer'));
+    assert.equal(bob.last('offer').payload.from, alice.id);
+    assert.equal(alice.last('offer'), undefined);
+
+    await stopAll(east, west);
+});
+
+test('replicas apply change_partner identically on every instance', async () => {
+    const hub = createMemoryHub();
+    const east = createInstance('a-east', createMemoryAdapter({ hub }));
+    const west = createInstance('b-west', createMemoryAdapter({ hub }));
+    await east.start();
+    await west.start();
+
+    const alice = east.connect('alice');
+    const bob = west.connect('bob');
+    const carol = west.connect('carol');
+    await waitFor(() => east.cluster.connectedCount === 3);
+    east.cluster.join(alice, []);
+    west.cluster.join(bob, []);
+    await waitFor(() => alice.status === 'in-call');
+    west.cluster.join(carol, []);
+    await waitFor(() => carol.status === 'waiting');
+    // Let carol's own first match attempt go by, so alice's pick is the only one left.
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const formerPartner = alice.partner === bob.id ? bob : carol;
+    assert.equal(east.cluster.changePartner(alice), true);
+    await waitFor(() => formerPartner.last('partner_disconnected') && alice.status === 'in-call');
+
+    assert.notEqual(alice.partner, formerPartner.id);
+    assert.equal(formerPartner.status, 'waiting');
+    assert.deepEqual(east.cluster.snapshot(), west.cluster.snapshot());
+
+    await stopAll(east, west);
+});
+
+test('blocks are checked on every replica', async () => {
+    const hub = createMemoryHub();
+    const east = createInstance('a-east', createMemoryAdapter({ hub }));
+    const west = createInstance('b-west', createMemoryAdapter({ hub }));
+    await east.start();
+    await west.start();
+
+    const alice = east.connect('alice');
+    const bob = west.connect('bob');
+    await waitFor(() => east.cluster.connectedCount === 2);
+    east.cluster.join(alice, ['account-bob']);
+    west.cluster.join(bob, []);
+    await new Promise(resolve => setTimeout(resolve, 150));
+
+    assert.equal(alice.status, 'waiting');
+    assert.equal(bob.status, 'waiting');
+    assert.equal(west.cluster.queueLength, 2);
+
+    await stopAll(east, west);
+});
+
+test('a room on another instance turns away someone a member blocked', async () => {
+    const hub = createMemoryHub();
+    const east = createInstance('a-east', createMemoryAdapter({ hub }));
+    const west = createInstance('b-west', createMemoryAdapter({ hub }));
+    await east.start();
+    await west.start();
+
+    const alice = east.connect('alice');
+    const bob = west.connect('bob');
+    await waitFor(() => east.cluster.connectedCount === 2 && west.cluster.connectedCount === 2);
+
+    east.cluster.joinRoom(alice, 'Convoi', ['account-bob']);
+    await waitFor(() => alice.room === 'convoi');
+    west.cluster.joinRoom(bob, 'Convoi');
+    await waitFor(() => bob.last('error'));
+
+    assert.deepEqual(bob.last('error').payload, { code: 'ROOM_UNAVAILABLE', params: { name: 'Convoi' } });
+    assert.equal(bob.room, null);
+    assert.equal(alice.last('room_member_joined'), undefined);
+
+    await stopAll(east, west);
+});
+
+test('an accepted invitation pairs two friends across instances, and only once', async () => {
+    const hub = createMemoryHub();
+    const east = createInstance('a-east', createMemoryAdapter({ hub }));
+    const west = createInstance('b-west', createMemoryAdapter({ hub }));
+    await east.start();
+    await west.start();
+
+    const alice = east.connect('alice');
+    const bob = west.connect('bob');
+    await waitFor(() => east.cluster.connectedCount === 2 && west.cluster.connectedCount === 2);
+    assert.deepEqual(west.cluster.userIdsOfAccount('account-alice'), [alice.id]);
+
+    east.cluster.invite(alice, bob.id, 'invite-1');
+    await waitFor(() => bob.last('invite_received') && alice.last('invite_sent'));
+    assert.deepEqual(bob.last('invite_received').payload, { inviteId: 'invite-1', accountId: 'account-alice', username: 'alice' });
+
+    west.cluster.acceptInvite(bob, 'invite-1');
+    await waitFor(() => alice.status === 'in-call' && bob.status === 'in-call');
+    assert.equal(alice.last('match_found').payload.initiateCall, true);
+    assert.equal(east.cluster.presenceByAccount().get('account-bob'), 'in-call');
+
+    west.cluster.acceptInvite(bob, 'invite-1');
+    await waitFor(() => bob.last('error'));
+    assert.equal(bob.last('error').payload.code, 'INVITE_EXPIRED');
+    assert.deepEqual(east.cluster.snapshot(), west.cluster.snapshot());
+
+    await stopAll(east, west);
+});
+
+test('a declined invitation is reported to the inviter', async () => {
+    const hub = createMemoryHub();
+    const east = createInstance('a-east', createMemoryAdapter({ hub }));
+    await east.start();
+
+    const alice = east.connect('alice');
+    const bob = east.connect('bob');
+    await waitFor(() => east.cluster.connectedCount === 2);
+    east.cluster.invite(alice, bob.id, 'invite-1');
+    await waitFor(() => bob.last('invite_received'));
+    east.cluster.declineInvite(bob, 'invite-1');
+    await waitFor(() => alice.last('invite_declined'));
+
+    assert.deepEqual(alice.last('invite_declined').payload, { inviteId: 'invite-1', username: 'bob' });
+    assert.equal(east.cluster.record(alice.id).invite, null);
+
+    await stopAll(east);
+});
+
+test('group rooms are shared across instances and a room member cannot join random matchmaking', async () => {
+    const hub = createMemoryHub();
+    const east = createInstance('a-east', createMemoryAdapter({ hub }));
+    const west = createInstance('b-west', createMemoryAdapter({ hub }));
+    await east.start();
+    await west.start();
+
+    const alice = east.connect('alice');
+    const bob = west.connect('bob');
+    await waitFor(() => east.cluster.connectedCount === 2 && west.cluster.connectedCount === 2);
+
+    east.cluster.joinRoom(alice, 'Convoi');
+    await waitFor(() => alice.room === 'convoi');
+    west.cluster.joinRoom(bob, 'CONVOI');
+    await waitFor(() => bob.last('room_joined'));
+
+    assert.deepEqual(bob.last('room_joined').payload.members, [{ userId: alice.id, username: 'alice', isMuted: false }]);
+    assert.equal(alice.last('room_member_joined').payload.member.userId, bob.id);
+    assert.equal(west.cluster.rooms.areRoommates(bob.id, alice.id), true);
+
+    east.cluster.join(alice, []);
+    west.cluster.setRoomMuted(bob, true);
+    await waitFor(() => alice.last('room_member_mute'));
+    assert.equal(alice.status, 'connected');
+    assert.deepEqual(east.cluster.snapshot(), west.cluster.snapshot());
+
+    west.cluster.remove(bob.id);
+    await waitFor(() => alice.last('room_member_left'));
+    assert.deepEqual(east.cluster.rooms.list(), [{ name: 'Convoi', memberCount: 1, capacity: 6 }]);
+
+    await stopAll(east, west);
+});
+
+test('an instance started later catches up from a snapshot', async () => {
+    const hub = createMemoryHub();
+    const east = createInstance('a-east', createMemoryAdapter({ hub }));
+    await east.start();
+    const alice = east.connect('alice');
+    await waitFor(() => east.cluster.connectedCount === 1);
+    east.cluster.join(alice, []);
+    await waitFor(() => alice.status === 'waiting');
+
+    const west = createInstance('b-west', createMemoryAdapter({ hub }));
+    await west.start();
+    assert.equal(west.cluster.queueLength, 1);
+    assert.equal(west.cluster.queuePosition(alice.id), 1);
+
+    const bob = west.connect('bob');
+    await waitFor(() => west.cluster.connectedCount === 2);
+    west.cluster.join(bob, []);
+    await waitFor(() => bob.status === 'in-call');
+    assert.equal(bob.partner, alice.id);
+    assert.deepEqual(east.cluster.snapshot(), west.cluster.snapshot());
+
+    await stopAll(east, west);
+});
+
+test('users of an instance that stops announcing itself are evicted and their partners requeued', async () => {
+    const hub = createMemoryHub();
+    const east = createInstance('a-east', createMemoryAdapter({ hub }));
+    const west = createInstance('b-west', createMemoryAdapter({ hub }));
+    await east.start();
+    await west.start();
+
+    const alice = east.connect('alice');
+    const bob = west.connect('bob');
+    await waitFor(() => east.cluster.connectedCount === 2);
+    east.cluster.join(alice, []);
+    west.cluster.join(bob, []);
+    await waitFor(() => alice.status === 'in-call');
+
+    // The west instance crashes: no more heartbeats, and it never says goodbye.
+    west.cluster.intervals.forEach(clearInterval);
+    await west.adapter.close();
+
+    await waitFor(() => east.cluster.connectedCount === 1);
+    await waitFor(() => alice.status === 'waiting');
+    assert.deepEqual(alice.last('partner_disconnected').payload, { reason: 'left', username: 'bob' });
+
+    await stopAll(east);
+});
+
+test('the Redis adapter carries the cluster over the Redis protocol', async () => {
+    const redis = await startFakeRedisServer();
+    const east = createInstance('a-east', await createRedisAdapter(redis.url));
+    const west = createInstance('b-west', await createRedisAdapter(redis.url));
+    await east.start();
+    await west.start();
+
+    const alice = east.connect('alice');
+    const bob = west.connect('bob');
+    await waitFor(() => east.cluster.connectedCount === 2 && west.cluster.connectedCount === 2);
+    east.cluster.join(alice, []);
+    west.cluster.join(bob, []);
+    await waitFor(() => alice.status === 'in-call' && bob.status === 'in-call');
+
+    west.cluster.sendToUser(bob.partner, 'partner_mute_status', { username: 'bob', isMuted: true });
+    await waitFor(() => alice.last('partner_mute_status'));
+    assert.deepEqual(alice.last('partner_mute_status').payload, { username: 'bob', isMuted: true });
+
+    await stopAll(east, west);
+    await redis.close();
+});
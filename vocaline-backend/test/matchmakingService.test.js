@@ -0,0 +1,444 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MatchmakingService } = require('../lib/matchmakingService');
+const { normalizePreferences } = require('../lib/matchPreferences');
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+// --- Harness: simulated clients, a manual clock and a manual timer queue ---
+function createHarness({ random = () => 0, canPair } = {}) {
+    let clock = 0;
+    let timers = [];
+    let callCount = 0;
+    const users = new Map();
+
+    const service = new MatchmakingService({
+        users,
+        send: (client, type, payload) => client.received.push({ type, payload }),
+        createCall: () => `call-${++callCount}`,
+        canPair,
+        now: () => clock,
+        random,
+        setTimer: (callback, delayMs) => timers.push({ at: clock + delayMs, callback }),
+        logger: silentLogger
+    });
+
+    // A simulated WebSocket client: records every message the service sends it.
+    function connect(username, preferences = null) {
+        const client = {
+            username,
+            received: [],
+            messages(type) {
+                return this.received.filter(message => message.type === type);
+            },
+            last(type) {
+                const matching = this.messages(type);
+                return matching[matching.length - 1];
+            }
+        };
+        users.set(client, {
+            id: `id-${username}`,
+            username,
+            accountId: `account-${username}`,
+            status: 'connected',
+            statusSince: clock,
+            partner: null,
+            lastPartner: null,
+            suspended: false,
+            preferences: normalizePreferences(preferences),
+            callId: null,
+            callPartner: null
+        });
+        return client;
+    }
+
+    // Move the clock forward, firing due timers in order (including ones they schedule).
+    function advance(ms) {
+        const target = clock + ms;
+        for (;;) {
+            const due = timers.filter(timer => timer.at <= target).sort((a, b) => a.at - b.at)[0];
+            if (!due) {
+                break;
+            }
+            timers = timers.filter(timer => timer !== due);
+            clock = due.at;
+            due.callback();
+        }
+        clock = target;
+    }
+
+    return {
+        service,
+        users,
+        connect,
+        advance,
+        user: client => users.get(client),
+        callCount: () => callCount
+    };
+}
+
+test('two clients who join are matched after the delay, the first one initiating', () => {
+    const h = createHarness();
+    const alice = h.connect('alice');
+    const bob = h.connect('bob');
+
+    h.service.join(alice);
+    h.service.join(bob);
+    assert.equal(h.user(alice).status, 'waiting');
+    assert.deepEqual(alice.last('status_update').payload, { status: 'waiting_for_match' });
+    assert.equal(alice.messages('match_found').length, 0);
+
+    h.advance(1000);
+
+    assert.equal(h.user(alice).status, 'in-call');
+    assert.equal(h.user(bob).status, 'in-call');
+    assert.equal(h.user(alice).partner, bob);
+    assert.equal(h.user(bob).partner, alice);
+    assert.equal(h.service.queueLength, 0);
+    assert.deepEqual(alice.last('match_found').payload, {
+        partnerUsername: 'bob', initiateCall: true, callId: 'call-1', commonLanguages: [], topic: null
+    });
+    assert.equal(bob.last('match_found').payload.initiateCall, false);
+    assert.equal(h.user(bob).callPartner.username, 'alice');
+});
+
+test('a lone client keeps waiting', () => {
+    const h = createHarness();
+    const alice = h.connect('alice');
+
+    h.service.join(alice);
+    h.advance(5000);
+
+    assert.equal(h.user(alice).status, 'waiting');
+    assert.equal(h.service.queuePosition(alice), 1);
+});
+
+test('simultaneous joins create exactly one call per pair', () => {
+    const h = createHarness();
+    const clients = ['a', 'b', 'c'].map(name => h.connect(name));
+
+    clients.forEach(client => h.service.join(client));
+    h.advance(1000);
+
+    assert.equal(h.callCount(), 1);
+    const inCall = clients.filter(client => h.user(client).status === 'in-call');
+    assert.equal(inCall.length, 2);
+    const waiting = clients.filter(client => h.user(client).status === 'waiting');
+    assert.equal(waiting.length, 1);
+    assert.equal(h.service.queueLength, 1);
+    assert.equal(h.service.queuePosition(waiting[0]), 1);
+});
+
+test('change partner requeues both sides without pairing them again', () => {
+    const h = createHarness();
+    const alice = h.connect('alice');
+    const bob = h.connect('bob');
+    h.service.join(alice);
+    h.service.join(bob);
+    h.advance(1000);
+
+    assert.equal(h.service.changePartner(alice), true);
+
+    assert.deepEqual(bob.last('partner_disconnected').payload, { reason: 'changed_partner', username: 'alice' });
+    assert.equal(h.user(bob).status, 'waiting');
+    assert.equal(h.user(alice).status, 'waiting');
+    assert.equal(h.service.queuePosition(alice), 1);
+
+    h.advance(5000);
+    assert.equal(h.callCount(), 1, 'the two former partners must not be rematched');
+
+    const carol = h.connect('carol');
+    h.service.join(carol);
+    h.advance(1000);
+    assert.equal(h.callCount(), 2);
+    assert.equal(h.user(carol).status, 'in-call');
+    assert.equal(h.user(alice).partner === carol || h.user(bob).partner === carol, true);
+});
+
+test('the client who changes partner gets first pick of the queue', () => {
+    const h = createHarness();
+    const alice = h.connect('alice');
+    const bob = h.connect('bob');
+    h.service.join(alice);
+    h.service.join(bob);
+    h.advance(1000);
+    const carol = h.connect('carol');
+    h.service.join(carol);
+    h.advance(500);
+
+    h.service.changePartner(alice);
+    h.advance(1000);
+
+    assert.equal(h.user(alice).partner, carol);
+    assert.equal(h.user(bob).status, 'waiting');
+});
+
+test('change partner is refused outside matchmaking', () => {
+    const h = createHarness();
+    const alice = h.connect('alice');
+
+    assert.equal(h.service.changePartner(alice), false);
+    assert.equal(h.user(alice).status, 'connected');
+    assert.equal(h.service.queueLength, 0);
+});
+
+test('leaving a call puts the partner back in the queue', () => {
+    const h = createHarness();
+    const alice = h.connect('alice');
+    const bob = h.connect('bob');
+    h.service.join(alice);
+    h.service.join(bob);
+    h.advance(1000);
+
+    h.service.leave(alice);
+
+    assert.equal(h.user(alice).status, 'disconnected');
+    assert.equal(h.user(alice).partner, null);
+    assert.deepEqual(alice.last('status_update').payload, { status: 'disconnected' });
+    assert.deepEqual(bob.last('partner_disconnected').payload, { reason: 'left', username: 'alice' });
+    assert.equal(h.user(bob).status, 'waiting');
+    assert.equal(h.service.queuePosition(bob), 1);
+    assert.equal(h.service.queuePosition(alice), null);
+});
+
+test('a socket closing while queued is removed before its delayed match fires', () => {
+    const h = createHarness();
+    const alice = h.connect('alice');
+    const bob = h.connect('bob');
+    h.service.join(alice);
+    h.service.join(bob);
+
+    h.service.remove(alice);
+    h.users.delete(alice);
+    h.advance(1000);
+
+    assert.equal(h.callCount(), 0);
+    assert.equal(h.user(bob).status, 'waiting');
+    assert.equal(h.service.queueLength, 1);
+});
+
+test('leaving right before the delayed match fires prevents the match', () => {
+    const h = createHarness();
+    const alice = h.connect('alice');
+    const bob = h.connect('bob');
+    h.service.join(alice);
+    h.service.join(bob);
+
+    h.advance(500);
+    h.service.leave(bob);
+    h.advance(500);
+
+    assert.equal(h.callCount(), 0);
+    assert.equal(h.user(alice).status, 'waiting');
+    assert.equal(bob.messages('match_found').length, 0);
+});
+
+test('both partners changing partner at once leaves both waiting, each queued once', () => {
+    const h = createHarness();
+    const alice = h.connect('alice');
+    const bob = h.connect('bob');
+    h.service.join(alice);
+    h.service.join(bob);
+    h.advance(1000);
+
+    h.service.changePartner(alice);
+    h.service.changePartner(bob);
+
+    assert.equal(h.user(alice).status, 'waiting');
+    assert.equal(h.user(bob).status, 'waiting');
+    assert.equal(h.service.queueLength, 2);
+    assert.deepEqual(h.service.queuedConnections(), [bob, alice]);
+});
+
+test('suspended sessions are skipped and keep their place once resumed', () => {
+    const h = createHarness();
+    const alice = h.connect('alice');
+    const bob = h.connect('bob');
+    const carol = h.connect('carol');
+    h.service.join(alice);
+    h.service.join(bob);
+    h.user(alice).suspended = true;
+    h.advance(1000);
+    assert.equal(h.callCount(), 0);
+    assert.equal(h.service.queuePosition(alice), 1);
+
+    h.user(alice).suspended = false;
+    assert.equal(h.service.attemptMatch(alice), true);
+    assert.equal(h.user(bob).partner, alice);
+    assert.equal(alice.last('match_found').payload.partnerUsername, 'bob');
+    assert.equal(h.user(carol).status, 'connected');
+});
+
+test('no match while paused; resuming pairs the queue', () => {
+    const h = createHarness();
+    const alice = h.connect('alice');
+    const bob = h.connect('bob');
+    h.service.setPaused(true);
+    h.service.join(alice);
+    h.service.join(bob);
+    h.advance(5000);
+    assert.equal(h.callCount(), 0);
+
+    h.service.setPaused(false);
+
+    assert.equal(h.callCount(), 1);
+    assert.equal(h.user(alice).status, 'in-call');
+});
+
+test('hard language constraints are never relaxed', () => {
+    const h = createHarness();
+    const alice = h.connect('alice', { languages: ['fr'], hardLanguages: true });
+    const bob = h.connect('bob', { languages: ['en'] });
+    h.service.join(alice);
+    h.service.join(bob);
+
+    h.advance(120000);
+    h.service.retryAll();
+
+    assert.equal(h.callCount(), 0);
+});
+
+test('soft preferences relax with the waiting time on the injected clock', () => {
+    const h = createHarness();
+    const alice = h.connect('alice', { languages: ['fr'] });
+    const bob = h.connect('bob', { languages: ['en'] });
+    const carol = h.connect('carol', { languages: ['en'] });
+    h.service.join(alice);
+    h.service.join(bob);
+    h.advance(1000);
+    // bob prefers an English speaker to waiting, but nobody else is there yet
+    assert.equal(h.callCount(), 0);
+
+    h.service.join(carol);
+    h.advance(1000);
+    assert.equal(h.user(bob).partner, carol);
+
+    const dave = h.connect('dave', { languages: ['de'] });
+    h.service.join(dave);
+    h.advance(1000);
+    assert.equal(h.user(alice).status, 'waiting');
+
+    h.advance(30000);
+    h.service.retryAll();
+    assert.equal(h.user(alice).partner, dave);
+});
+
+test('the random source picks among equally good candidates', () => {
+    // Only pairs involving alice are allowed, so the candidates wait for her.
+    const h = createHarness({ random: () => 0.99, canPair: (a, b) => a.username === 'alice' || b.username === 'alice' });
+    const candidates = ['b', 'c', 'd'].map(name => h.connect(name));
+    candidates.forEach(client => h.service.join(client));
+    h.advance(1000);
+    assert.equal(h.callCount(), 0);
+
+    const alice = h.connect('alice');
+    h.service.join(alice);
+    assert.equal(h.service.attemptMatch(alice), true);
+
+    assert.equal(h.user(alice).partner, candidates[2]);
+});
+
+test('canPair can veto a pairing (blocked users)', () => {
+    const h = createHarness({ canPair: (a, b) => !(a.username === 'alice' && b.username === 'bob') && !(a.username === 'bob' && b.username === 'alice') });
+    const alice = h.connect('alice');
+    const bob = h.connect('bob');
+    h.service.join(alice);
+    h.service.join(bob);
+    h.advance(60000);
+    h.service.retryAll();
+
+    assert.equal(h.callCount(), 0);
+});
+
+test('status changes are reported with the time spent in the previous status', () => {
+    const changes = [];
+    const users = new Map();
+    const client = {};
+    users.set(client, { username: 'alice', status: 'connected', statusSince: 0 });
+    let clock = 0;
+    const service = new MatchmakingService({
+        users,
+        send() {},
+        createCall: () => 'call',
+        onStatusChange: (user, from, to, ms) => changes.push([from, to, ms]),
+        now: () => clock,
+        setTimer() {},
+        logger: silentLogger
+    });
+
+    clock = 2000;
+    service.join(client);
+    clock = 9000;
+    service.leave(client);
+
+    assert.deepEqual(changes, [['connected', 'waiting', 2000], ['waiting', 'disconnected', 7000]]);
+});
+
+test('trusted drivers are paired with each other before anyone the preferences rank equally', () => {
+    const h = createHarness();
+    const alice = h.connect('alice');
+    const bob = h.connect('bob');
+    const carol = h.connect('carol');
+    h.user(alice).reputation = 'trusted';
+    h.user(carol).reputation = 'trusted';
+
+    h.service.join(bob);
+    h.service.join(carol);
+    h.service.join(alice);
+    assert.equal(h.service.attemptMatch(alice), true);
+
+    assert.equal(h.user(bob).status, 'waiting');
+    assert.equal(h.user(alice).partner, carol);
+});
+
+test('restricted drivers are kept apart from the others until they have waited long enough', () => {
+    const h = createHarness();
+    const mallory = h.connect('mallory');
+    const alice = h.connect('alice');
+    h.user(mallory).reputation = 'restricted';
+
+    h.service.join(mallory);
+    h.service.join(alice);
+    h.advance(60000);
+    h.service.retryAll();
+    assert.equal(h.callCount(), 0);
+
+    const trent = h.connect('trent');
+    h.user(trent).reputation = 'restricted';
+    h.service.join(trent);
+    h.advance(1000);
+    assert.equal(h.user(mallory).partner, trent);
+    assert.equal(h.user(alice).status, 'waiting');
+});
+
+test('a restricted driver who waited long enough is paired with anyone', () => {
+    const h = createHarness();
+    const mallory = h.connect('mallory');
+    const alice = h.connect('alice');
+    h.user(mallory).reputation = 'restricted';
+
+    h.service.join(mallory);
+    h.advance(120000);
+    h.service.join(alice);
+    h.advance(1000);
+
+    assert.equal(h.user(mallory).partner, alice);
+});
+
+test('pairDirect pairs two specific users, taking them out of the queue', () => {
+    const h = createHarness();
+    const alice = h.connect('alice');
+    const bob = h.connect('bob');
+    const carol = h.connect('carol');
+    h.service.join(bob);
+    h.service.join(carol);
+
+    assert.equal(h.service.pairDirect(alice, bob), true);
+    assert.equal(h.user(alice).partner, bob);
+    assert.equal(h.service.queueLength, 1);
+    assert.equal(alice.last('match_found').payload.initiateCall, true);
+    assert.equal(bob.last('match_found').payload.partnerUsername, 'alice');
+
+    assert.equal(h.service.pairDirect(carol, bob), false);
+    assert.equal(h.user(carol).status, 'waiting');
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ModerationBook } = require('../lib/moderation');
+const { createMemoryHub, createMemoryAdapter } = require('../lib/state');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createBook() {
+    let clock = Date.parse('2026-01-01T00:00:00Z');
+    const book = new ModerationBook({ adapter: createMemoryAdapter({ hub: createMemoryHub() }), now: () => clock });
+    return { book, advance: ms => { clock += ms; } };
+}
+
+function report(book, reporterId, reportedId = 'target') {
+    return book.addReport({
+        reporter: { accountId: reporterId, username: reporterId },
+        reported: { accountId: reportedId, username: 'Target' },
+        reason: 'harassment',
+        details: '',
+        call: null
+    });
+}
+
+test('only reports within the window count towards a suspension, and older ones leave the index', async () => {
+    const { book, advance } = createBook();
+    await report(book, 'alice');
+    await report(book, 'bob');
+    advance(8 * DAY_MS);
+
+    assert.equal((await report(book, 'carol')).suspension, null);
+    assert.deepEqual((await book.recentReportsAgainst('target')).map(entry => entry.reporterId), ['carol']);
+    assert.equal(Object.keys(await book.records.hashGetAll('reports_against:target')).length, 1);
+
+    await report(book, 'dave');
+    assert.ok((await report(book, 'erin')).suspension);
+});
+
+test('a dismissed report stops counting until it is reopened', async () => {
+    const { book } = createBook();
+    const { report: first } = await report(book, 'alice');
+    await report(book, 'bob');
+    await book.reviewReport(first.id, 'dismissed');
+
+    assert.equal((await report(book, 'carol')).suspension, null);
+    await book.reviewReport(first.id, 'open');
+    assert.deepEqual((await book.recentReportsAgainst('target')).map(entry => entry.reporterId).sort(), ['alice', 'bob', 'carol']);
+});
+
+test('reviewed reports are deleted once the retention period has passed, open ones are kept', async () => {
+    const { book, advance } = createBook();
+    const { report: reviewed } = await report(book, 'alice');
+    const { report: open } = await report(book, 'bob', 'someone-else');
+    await book.reviewReport(reviewed.id, 'reviewed');
+
+    advance(89 * DAY_MS);
+    assert.equal((await book.listReports()).length, 2);
+    advance(2 * DAY_MS);
+    assert.deepEqual((await book.listReports()).map(candidate => candidate.id), [open.id]);
+    assert.equal(await book.records.hashGet('reports', reviewed.id), null);
+});
@@ -0,0 +1,127 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    PROTOCOL_VERSION,
+    MIN_PROTOCOL_VERSION,
+    MAX_SDP_LENGTH,
+    MAX_CANDIDATE_LENGTH,
+    CLIENT_SETTINGS,
+    ERROR_CODES,
+    parseClientMessage,
+    checkServerMessage,
+    negotiateVersion,
+    checkHandshake
+} = require('../lib/protocol');
+
+function parse(type, payload) {
+    return parseClientMessage(JSON.stringify({ type, payload }));
+}
+
+// The first bad field, as named in the log diagnostic.
+function rejection(type, payload) {
+    const result = parse(type, payload);
+    assert.equal(result.error?.code, ERROR_CODES.BAD_PAYLOAD, `expected "${type}" to be rejected`);
+    assert.deepEqual(result.error.params, { type });
+    return result.error.message;
+}
+
+test('frames that are not a typed JSON object are rejected before any schema', () => {
+    assert.equal(parseClientMessage('{"type":').error.code, ERROR_CODES.BAD_JSON);
+    assert.equal(parseClientMessage('null').error.code, ERROR_CODES.BAD_MESSAGE);
+    assert.equal(parseClientMessage('{"type":42}').error.code, ERROR_CODES.BAD_MESSAGE);
+
+    const unknown = parse('x'.repeat(100), {});
+    assert.equal(unknown.error.code, ERROR_CODES.UNKNOWN_TYPE);
+    assert.deepEqual(unknown.error.params, { type: 'x'.repeat(64) });
+});
+
+test('a valid payload keeps its declared fields and drops the others', () => {
+    assert.deepEqual(parse('friend_respond', { accountId: 'account-1', accept: true, admin: true }), {
+        type: 'friend_respond',
+        payload: { accountId: 'account-1', accept: true }
+    });
+    // An optional payload may be left out entirely.
+    assert.deepEqual(parse('change_partner'), { type: 'change_partner', payload: {} });
+});
+
+test('strings are checked for type, maximum length and allowed values', () => {
+    assert.ok(parse('invite', { accountId: 'a'.repeat(64) }).payload);
+    assert.match(rejection('invite', { accountId: 'a'.repeat(65) }), /payload\.accountId must be at most 64 characters/);
+    assert.match(rejection('invite', { accountId: 42 }), /payload\.accountId must be a string/);
+    assert.match(rejection('report_user', { reason: 'boredom' }), /payload\.reason must be one of/);
+});
+
+test('integers and numbers are checked for type and range', () => {
+    assert.ok(parse('hello', { protocolVersion: 2 }).payload);
+    assert.match(rejection('hello', { protocolVersion: 2.5 }), /payload\.protocolVersion must be an integer/);
+    assert.match(rejection('hello', { protocolVersion: '2' }), /payload\.protocolVersion must be an integer/);
+
+    const quality = {
+        callId: 'call-1',
+        candidateType: 'host',
+        networkType: 'wifi',
+        samples: 10,
+        packetLossPercent: 1.5,
+        avgRttMs: null,
+        avgJitterMs: 12.5
+    };
+    assert.deepEqual(parse('call_quality', quality).payload, quality);
+    assert.match(rejection('call_quality', { ...quality, packetLossPercent: 101 }), /payload\.packetLossPercent is out of range/);
+    assert.match(rejection('call_quality', { ...quality, samples: -1 }), /payload\.samples is out of range/);
+    assert.match(rejection('call_quality', { ...quality, avgRttMs: 'fast' }), /payload\.avgRttMs must be a number/);
+});
+
+test('required, optional and nullable fields', () => {
+    assert.match(rejection('mute', {}), /payload\.isMuted is required/);
+    assert.match(rejection('mute', { isMuted: null }), /payload\.isMuted must not be null/);
+    assert.match(rejection('resume', undefined), /payload is required/);
+
+    // null ends the candidates; an omitted optional field stays omitted.
+    assert.deepEqual(parse('candidate', { candidate: null }).payload, { candidate: null });
+    assert.deepEqual(parse('join', { preferences: { topic: null } }).payload, { preferences: { topic: null } });
+    assert.deepEqual(parse('join', { preferences: {} }).payload, { preferences: {} });
+});
+
+test('nested objects and arrays are validated item by item', () => {
+    const languages = ['fr', 'en'];
+    assert.deepEqual(parse('join', { preferences: { languages } }).payload, { preferences: { languages } });
+    assert.match(rejection('join', { preferences: { languages: ['fr', 7] } }), /payload\.preferences\.languages\[1\] must be a string/);
+    assert.match(rejection('join', { preferences: { languages: Array(21).fill('fr') } }), /must have at most 20 items/);
+    assert.match(rejection('join', { preferences: { languages: 'fr' } }), /payload\.preferences\.languages must be an array/);
+    assert.match(rejection('join', { preferences: ['fr'] }), /payload\.preferences must be an object/);
+    assert.match(rejection('rate_call', { callId: 'call-1', rating: 'up', tags: ['not-a-tag'] }), /payload\.tags\[0\] must be one of/);
+});
+
+test('session descriptions and ICE candidates are capped in size', () => {
+    const sdp = length => ({ type: 'offer', sdp: 'v'.repeat(length) });
+    assert.ok(parse('offer', { sdp: sdp(MAX_SDP_LENGTH) }).payload);
+    assert.match(rejection('offer', { sdp: sdp(MAX_SDP_LENGTH + 1) }), /payload\.sdp\.sdp must be at most/);
+    assert.match(rejection('offer', { sdp: { type: 'answer', sdp: 'v' } }), /payload\.sdp\.type must be one of/);
+
+    const candidate = length => ({ candidate: { candidate: 'c'.repeat(length), sdpMid: '0', sdpMLineIndex: 0 } });
+    assert.ok(parse('candidate', candidate(MAX_CANDIDATE_LENGTH)).payload);
+    assert.match(rejection('candidate', candidate(MAX_CANDIDATE_LENGTH + 1)), /payload\.candidate\.candidate must be at most/);
+    assert.match(rejection('candidate', { candidate: { candidate: 'c', sdpMLineIndex: 256 } }), /sdpMLineIndex is out of range/);
+});
+
+test('nothing but hello is accepted before a version is negotiated', () => {
+    assert.equal(checkHandshake(null, 'join'), ERROR_CODES.HELLO_REQUIRED);
+    assert.equal(checkHandshake(null, 'login'), ERROR_CODES.HELLO_REQUIRED);
+    assert.equal(checkHandshake(null, 'hello'), null);
+    assert.equal(checkHandshake(MIN_PROTOCOL_VERSION, 'join'), null);
+});
+
+test('the negotiated version is the highest both sides speak, never below the minimum', () => {
+    assert.equal(negotiateVersion(MIN_PROTOCOL_VERSION - 1), null);
+    assert.equal(negotiateVersion(MIN_PROTOCOL_VERSION), MIN_PROTOCOL_VERSION);
+    assert.equal(negotiateVersion(PROTOCOL_VERSION), PROTOCOL_VERSION);
+    assert.equal(negotiateVersion(PROTOCOL_VERSION + 1), PROTOCOL_VERSION);
+});
+
+test('outgoing payloads are checked against the server schemas', () => {
+    assert.equal(checkServerMessage('hello_ack', { protocolVersion: PROTOCOL_VERSION, minProtocolVersion: MIN_PROTOCOL_VERSION, settings: CLIENT_SETTINGS }), null);
+    assert.match(checkServerMessage('hello_ack', { protocolVersion: PROTOCOL_VERSION, minProtocolVersion: MIN_PROTOCOL_VERSION }), /payload\.settings is required/);
+    assert.equal(checkServerMessage('error', { code: ERROR_CODES.RATE_LIMITED, retryAfterMs: 100 }), null);
+    assert.match(checkServerMessage('info', { code: 'SOMETHING_ELSE' }), /payload\.code must be one of/);
+    assert.match(checkServerMessage('not_a_message', {}), /no schema for server message/);
+});
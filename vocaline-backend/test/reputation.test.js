@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ReputationBook, canPairByReputation, reputationBonus } = require('../lib/reputation');
+const { createMemoryHub, createMemoryAdapter } = require('../lib/state');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function createBook() {
+    let clock = Date.parse('2026-01-01T00:00:00Z');
+    const book = new ReputationBook({ adapter: createMemoryAdapter({ hub: createMemoryHub() }), now: () => clock });
+    return { book, advance: ms => { clock += ms; } };
+}
+
+async function rateMany(book, rated, ratings) {
+    for (const [index, [rater, rating, tags]] of ratings.entries()) {
+        await book.rate({ rater, rated, callId: `call-${index}`, rating, tags });
+    }
+}
+
+test('a new account is neutral with a score of one half', async () => {
+    const { book } = createBook();
+    assert.deepEqual(await book.describe('alice'), { accountId: 'alice', tier: 'neutral', score: 0.5, ratings: 0, up: 0, down: 0, tags: {} });
+    assert.equal(await book.tier(null), 'neutral');
+});
+
+test('enough thumbs up from different raters make an account trusted', async () => {
+    const { book } = createBook();
+    await rateMany(book, 'alice', [['b', 'up', ['great_chat']], ['c', 'up'], ['d', 'up'], ['e', 'up']]);
+    assert.equal(await book.tier('alice'), 'neutral');
+
+    await book.rate({ rater: 'f', rated: 'alice', callId: 'call-f', rating: 'up', tags: ['great_chat', 'great_chat'] });
+    const reputation = await book.describe('alice');
+    assert.equal(reputation.tier, 'trusted');
+    assert.equal(reputation.up, 5);
+    assert.deepEqual(reputation.tags, { great_chat: 2 });
+});
+
+test('only the latest rating of each rater counts', async () => {
+    const { book } = createBook();
+    await rateMany(book, 'alice', [['bob', 'down', ['rude']], ['bob', 'down', ['rude']], ['bob', 'down', ['rude']], ['bob', 'down', ['rude']]]);
+    assert.equal((await book.describe('alice')).down, 1);
+    assert.equal(await book.tier('alice'), 'neutral');
+
+    await book.rate({ rater: 'bob', rated: 'alice', callId: 'call-5', rating: 'up' });
+    assert.equal((await book.describe('alice')).down, 0);
+});
+
+test('repeated thumbs down restrict an account, but not the ones about bad audio', async () => {
+    const { book } = createBook();
+    await rateMany(book, 'alice', [['b', 'down', ['bad_audio']], ['c', 'down', ['bad_audio']], ['d', 'down', ['bad_audio']]]);
+    assert.equal((await book.describe('alice')).down, 0);
+    assert.equal(await book.tier('alice'), 'neutral');
+
+    await rateMany(book, 'mallory', [['b', 'down', ['rude']], ['c', 'down'], ['d', 'down', ['bad_audio', 'inappropriate']]]);
+    assert.equal(await book.tier('mallory'), 'restricted');
+});
+
+test('ratings older than the window are forgotten', async () => {
+    const { book, advance } = createBook();
+    await rateMany(book, 'mallory', [['b', 'down'], ['c', 'down'], ['d', 'down']]);
+    assert.equal(await book.tier('mallory'), 'restricted');
+
+    advance(91 * DAY_MS);
+    assert.equal((await book.describe('mallory')).ratings, 0);
+    assert.equal(await book.tier('mallory'), 'neutral');
+});
+
+test('restricted accounts pair among themselves until they have waited long enough', () => {
+    const restricted = { reputation: 'restricted' };
+    const neutral = { reputation: 'neutral' };
+    const legacy = {};
+
+    assert.equal(canPairByReputation(restricted, { reputation: 'restricted' }, 0, 0), true);
+    assert.equal(canPairByReputation(restricted, neutral, 60000, 300000), false);
+    assert.equal(canPairByReputation(neutral, restricted, 300000, 120000), true);
+    assert.equal(canPairByReputation(legacy, { reputation: 'trusted' }, 0, 0), true);
+
+    assert.equal(reputationBonus({ reputation: 'trusted' }, { reputation: 'trusted' }), 0.5);
+    assert.equal(reputationBonus({ reputation: 'trusted' }, neutral), 0);
+    assert.equal(reputationBonus(legacy, neutral), 0.5);
+});
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RoomService, normalizeRoomName } = require('../lib/roomService');
+
+const silentLogger = { log() {}, warn() {}, error() {} };
+
+// --- Harness: records keyed by user ID, and the messages each user received ---
+function createHarness(options = {}) {
+    const users = new Map();
+    const received = new Map();
+    const service = new RoomService({
+        users,
+        send: (key, type, payload) => received.get(key).push({ type, payload }),
+        logger: silentLogger,
+        ...options
+    });
+
+    function connect(username, status = 'connected') {
+        const id = `id-${username}`;
+        users.set(id, { id, username, status, room: null });
+        received.set(id, []);
+        return id;
+    }
+
+    function last(key, type) {
+        return received.get(key).filter(message => message.type === type).pop();
+    }
+
+    return { service, users, connect, last, user: key => users.get(key) };
+}
+
+test('room names are trimmed, collapsed and matched case-insensitively', () => {
+    assert.deepEqual(normalizeRoomName('  A7   Lyon-Marseille '), { key: 'a7 lyon-marseille', name: 'A7 Lyon-Marseille' });
+    assert.deepEqual(normalizeRoomName('Routiers Łódź'), { key: 'routiers łódź', name: 'Routiers Łódź' });
+    assert.equal(normalizeRoomName('x'), null);
+    assert.equal(normalizeRoomName('-leading dash'), null);
+    assert.equal(normalizeRoomName('<script>'), null);
+    assert.equal(normalizeRoomName('a'.repeat(33)), null);
+    assert.equal(normalizeRoomName(42), null);
+});
+
+test('the newcomer gets the current members and everyone else hears about them', () => {
+    const h = createHarness();
+    const alice = h.connect('alice');
+    const bob = h.connect('bob');
+
+    assert.equal(h.service.join(alice, 'A7 Lyon'), true);
+    assert.deepEqual(h.last(alice, 'room_joined').payload, { name: 'A7 Lyon', capacity: 6, members: [] });
+
+    assert.equal(h.service.join(bob, 'a7 lyon'), true);
+    assert.deepEqual(h.last(bob, 'room_joined').payload, {
+        name: 'A7 Lyon', capacity: 6, members: [{ userId: alice, username: 'alice', isMuted: false }]
+    });
+    assert.deepEqual(h.last(alice, 'room_member_joined').payload, {
+        name: 'A7 Lyon', member: { userId: bob, username: 'bob', isMuted: false }
+    });
+    assert.equal(h.user(bob).room, 'a7 lyon');
+    assert.deepEqual(h.service.list(), [{ name: 'A7 Lyon', memberCount: 2, capacity: 6 }]);
+    assert.equal(h.service.areRoommates(alice, bob), true);
+    assert.deepEqual(h.service.roommates(alice), [bob]);
+    assert.deepEqual(h.service.roommates(h.connect('carol')), []);
+});
+
+test('a full room refuses new members', () => {
+    const h = createHarness({ maxMembers: 2 });
+    const [alice, bob, carol] = ['alice', 'bob', 'carol'].map(name => h.connect(name));
+    h.service.join(alice, 'Convoi');
+    h.service.join(bob, 'Convoi');
+
+    assert.equal(h.service.join(carol, 'Convoi'), false);
+    assert.deepEqual(h.last(carol, 'error').payload, { code: 'ROOM_FULL', params: { name: 'Convoi', capacity: 2 } });
+    assert.equal(h.user(carol).room, null);
+    assert.equal(h.service.areRoommates(alice, carol), false);
+});
+
+test('a blocked driver cannot join the room, nor signal its members', () => {
+    const h = createHarness({ canShareRoom: (userA, userB) => !userA.blocks.includes(userB.id) && !userB.blocks.includes(userA.id) });
+    const [alice, bob, carol] = ['alice', 'bob', 'carol'].map(name => h.connect(name));
+    h.users.forEach(user => { user.blocks = []; });
+    h.user(alice).blocks.push(bob);
+    h.service.join(alice, 'Convoi');
+
+    assert.equal(h.service.join(bob, 'Convoi'), false);
+    assert.deepEqual(h.last(bob, 'error').payload, { code: 'ROOM_UNAVAILABLE', params: { name: 'Convoi' } });
+    assert.equal(h.last(alice, 'room_member_joined'), undefined);
+    assert.equal(h.service.join(carol, 'Convoi'), true);
+
+    // Blocked after both joined: their signaling is no longer relayed.
+    h.user(carol).blocks.push(alice);
+    assert.equal(h.service.areRoommates(alice, carol), false);
+});
+
+test('a member cannot be in two rooms, and new rooms are capped', () => {
+    const h = createHarness({ maxRooms: 1 });
+    const alice = h.connect('alice');
+    const bob = h.connect('bob');
+    h.service.join(alice, 'Convoi');
+
+    assert.equal(h.service.join(alice, 'Autre'), false);
+    assert.equal(h.last(alice, 'error').payload.code, 'ALREADY_IN_ROOM');
+    assert.equal(h.service.join(bob, 'Autre'), false);
+    assert.equal(h.last(bob, 'error').payload.code, 'TOO_MANY_ROOMS');
+});
+
+test('leaving notifies the others and the last one out closes the room', () => {
+    const h = createHarness();
+    const alice = h.connect('alice');
+    const bob = h.connect('bob');
+    h.service.join(alice, 'Convoi');
+    h.service.join(bob, 'Convoi');
+
+    h.service.leave(alice);
+    assert.deepEqual(h.last(alice, 'room_left').payload, { name: 'Convoi' });
+    assert.deepEqual(h.last(bob, 'room_member_left').payload, { name: 'Convoi', userId: alice, username: 'alice' });
+    assert.equal(h.user(alice).room, null);
+
+    h.service.remove(bob);
+    assert.equal(h.last(bob, 'room_left'), undefined, 'a removed user is not told, their socket is gone');
+    assert.deepEqual(h.service.list(), []);
+});
+
+test('mute changes reach the other members and are shown to later joiners', () => {
+    const h = createHarness();
+    const alice = h.connect('alice');
+    const bob = h.connect('bob');
+    const carol = h.connect('carol');
+    h.service.join(alice, 'Convoi');
+    h.service.join(bob, 'Convoi');
+
+    h.service.setMuted(alice, true);
+    assert.deepEqual(h.last(bob, 'room_member_mute').payload, { name: 'Convoi', userId: alice, username: 'alice', isMuted: true });
+    assert.equal(h.last(alice, 'room_member_mute'), undefined);
+
+    h.service.join(carol, 'Convoi');
+    assert.deepEqual(h.last(carol, 'room_joined').payload.members, [
+        { userId: alice, username: 'alice', isMuted: true },
+        { userId: bob, username: 'bob', isMuted: false }
+    ]);
+});
+
+test('a snapshot restores rooms with their members and mute state', () => {
+    const h = createHarness();
+    const alice = h.connect('alice');
+    h.service.join(alice, 'Convoi');
+    h.service.setMuted(alice, true);
+
+    const copy = createHarness();
+    copy.users.set(alice, { ...h.user(alice) });
+    copy.service.restore(JSON.parse(JSON.stringify(h.service.snapshot())));
+
+    assert.deepEqual(copy.service.list(), h.service.list());
+    assert.deepEqual(copy.service.snapshot(), h.service.snapshot());
+});
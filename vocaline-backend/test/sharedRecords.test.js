@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AccountStore } = require('../lib/accountStore');
+const { ModerationBook } = require('../lib/moderation');
+const { CallRecords } = require('../lib/callRecords');
+const { ReputationBook } = require('../lib/reputation');
+const { FriendBook } = require('../lib/friends');
+const { createMemoryHub, createMemoryAdapter } = require('../lib/state');
+
+// --- Harness: two instances sharing one adapter backend, as they would share Redis ---
+function createInstances() {
+    const hub = createMemoryHub();
+    return ['east', 'west'].map(() => {
+        const adapter = createMemoryAdapter({ hub });
+        return {
+            accounts: new AccountStore({ adapter }),
+            moderation: new ModerationBook({ adapter }),
+            calls: new CallRecords({ adapter }),
+            reputation: new ReputationBook({ adapter }),
+            friends: new FriendBook({ adapter })
+        };
+    });
+}
+
+function report(moderation, reporterId, reportedId) {
+    return moderation.addReport({
+        reporter: { accountId: reporterId, username: reporterId },
+        reported: { accountId: reportedId, username: 'Target' },
+        reason: 'harassment',
+        details: '',
+        call: null
+    });
+}
+
+test('an account registered on one instance logs in on the other', async () => {
+    const [east, west] = createInstances();
+    const registered = await east.accounts.register('Routier', '4821', false);
+
+    const { account, token } = await west.accounts.login('routier', '4821', false, '203.0.113.7');
+    assert.deepEqual(account, registered.account);
+    assert.deepEqual((await east.accounts.loginWithToken(token)).account, account);
+    assert.deepEqual((await west.accounts.loginWithToken(registered.token)).account, account);
+
+    await west.accounts.revokeToken(registered.token);
+    await assert.rejects(east.accounts.loginWithToken(registered.token), { code: 'INVALID_TOKEN' });
+});
+
+test('usernames stay unique across instances, look-alikes included', async () => {
+    const [east, west] = createInstances();
+    await east.accounts.register('Trucker', '4821', false);
+    // "с" is Cyrillic: the name is refused, not registered as a look-alike.
+    await assert.rejects(west.accounts.register('Truсker', '4821', false), { code: 'USERNAME_MIXED_SCRIPTS' });
+    await assert.rejects(west.accounts.register('trucker_', '4821', false), { code: 'USERNAME_TAKEN' });
+
+    // Registered at the same time on both instances: exactly one wins.
+    const results = await Promise.allSettled([
+        east.accounts.register('Convoy', '4821', false),
+        west.accounts.register('convoy', '1234', false)
+    ]);
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find(result => result.status === 'rejected').reason.code, 'USERNAME_TAKEN');
+});
+
+test('a suspension decided on one instance applies on the other until lifted', async () => {
+    const [east, west] = createInstances();
+    await report(east.moderation, 'alice', 'target');
+    await report(west.moderation, 'bob', 'target');
+    const { suspension } = await report(east.moderation, 'carol', 'target');
+    assert.ok(suspension);
+
+    assert.deepEqual(await west.moderation.getActiveSuspension('target'), suspension);
+    assert.equal((await west.moderation.listReports('open')).length, 3);
+
+    assert.equal(await west.moderation.liftSuspension('target'), true);
+    assert.equal(await east.moderation.getActiveSuspension('target'), null);
+});
+
+test('blocks are shared between instances', async () => {
+    const [east, west] = createInstances();
+    await east.moderation.blockUser('alice', 'bob');
+    await west.moderation.blockUser('alice', 'bob');
+    assert.deepEqual(await west.moderation.getBlockedAccounts('alice'), ['bob']);
+});
+
+test('a call recorded on one instance is ended and rated once, wherever its participants are', async () => {
+    const [east, west] = createInstances();
+    await east.calls.start('call-1', { id: 'u1', username: 'Alice', accountId: 'alice' }, { id: 'u2', username: 'Bob', accountId: 'bob' });
+
+    const call = await west.calls.get('call-1');
+    assert.deepEqual(call.participantAccountIds, ['alice', 'bob']);
+    assert.equal(call.endedAt, null);
+
+    const ends = await Promise.all([east.calls.end('call-1'), west.calls.end('call-1')]);
+    assert.equal(ends.filter(Boolean).length, 1);
+    assert.ok((await east.calls.get('call-1')).endedAt);
+
+    assert.equal(await west.calls.claim('call-1', 'rated', 'u2'), true);
+    assert.equal(await east.calls.claim('call-1', 'rated', 'u2'), false);
+    assert.equal(await east.calls.claim('call-1', 'rated', 'u1'), true);
+    assert.equal(await east.calls.get('unknown-call'), null);
+});
+
+test('a call is rated once per account, from whichever connection the account is on', async () => {
+    const [east, west] = createInstances();
+    await east.calls.start('call-1', { id: 'u1', username: 'Alice', accountId: 'alice' }, { id: 'u2', username: 'Bob', accountId: 'bob' });
+
+    // Alice reloaded the page and is back on the other instance under a new connection ID.
+    assert.deepEqual(await west.calls.claimRating('call-1', 'alice'), { ratedAccountId: 'bob', ratedUsername: 'Bob' });
+    assert.equal(await east.calls.claimRating('call-1', 'alice'), null);
+    assert.equal(await east.calls.claimRating('call-1', 'mallory'), null);
+    assert.equal(await east.calls.claimRating('call-1', null), null);
+    assert.deepEqual(await east.calls.claimRating('call-1', 'bob'), { ratedAccountId: 'alice', ratedUsername: 'Alice' });
+
+    await west.reputation.rate({ rater: 'alice', rated: 'bob', callId: 'call-1', rating: 'down', tags: ['rude'] });
+    assert.equal((await east.reputation.describe('bob')).down, 1);
+});
+
+test('ratings given on either instance decide the tier read on the other', async () => {
+    const [east, west] = createInstances();
+    for (const [index, rater] of ['b', 'c', 'd'].entries()) {
+        const instance = index % 2 === 0 ? east : west;
+        await instance.reputation.rate({ rater, rated: 'mallory', callId: `call-${rater}`, rating: 'down', tags: ['rude'] });
+    }
+    assert.equal(await west.reputation.tier('mallory'), 'restricted');
+
+    // A rater changing their mind on the other instance replaces their earlier rating.
+    await west.reputation.rate({ rater: 'b', rated: 'mallory', callId: 'call-b2', rating: 'up' });
+    const reputation = await east.reputation.describe('mallory');
+    assert.deepEqual([reputation.up, reputation.down, reputation.tier], [1, 2, 'neutral']);
+});
+
+test('a friend request sent on one instance is answered and seen on the other', async () => {
+    const [east, west] = createInstances();
+    const alice = { accountId: 'account-alice', username: 'alice' };
+    const bob = { accountId: 'account-bob', username: 'bob' };
+
+    assert.equal(await east.friends.request(alice, bob), 'requested');
+    assert.deepEqual(await west.friends.requestsFor(bob.accountId), [alice]);
+    assert.deepEqual(await west.friends.respond(bob, alice.accountId, true), alice);
+    assert.equal(await east.friends.areFriends(alice.accountId, bob.accountId), true);
+    assert.deepEqual(await east.friends.friendsOf(bob.accountId), [alice]);
+    assert.deepEqual(await east.friends.requestsFor(bob.accountId), []);
+
+    assert.equal(await east.friends.remove(alice.accountId, bob.accountId), true);
+    assert.equal(await west.friends.areFriends(bob.accountId, alice.accountId), false);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMemoryAdapter, createRedisAdapter } = require('../lib/state');
+const { startFakeRedisServer } = require('./support/fakeRedisServer');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// The records built on the adapters rely on these: an atomic "set if absent" and expiring hashes.
+async function checkHashes(adapter) {
+    assert.equal(await adapter.hashGet('vocaline:test', 'missing'), null);
+    assert.equal(await adapter.hashSetIfAbsent('vocaline:test', 'name', { owner: 'east' }), true);
+    assert.equal(await adapter.hashSetIfAbsent('vocaline:test', 'name', { owner: 'west' }), false);
+    assert.deepEqual(await adapter.hashGet('vocaline:test', 'name'), { owner: 'east' });
+
+    await adapter.hashSet('vocaline:short-lived', 'field', 1);
+    await adapter.expire('vocaline:short-lived', 20);
+    await delay(60);
+    assert.deepEqual(await adapter.hashGetAll('vocaline:short-lived'), {});
+    assert.deepEqual(await adapter.hashGetAll('vocaline:test'), { name: { owner: 'east' } });
+}
+
+test('the memory adapter gets, sets once and expires hashes', async () => {
+    const adapter = createMemoryAdapter();
+    await checkHashes(adapter);
+    await adapter.close();
+});
+
+test('the Redis adapter gets, sets once and expires hashes', async () => {
+    const redis = await startFakeRedisServer();
+    const adapter = await createRedisAdapter(redis.url);
+    await checkHashes(adapter);
+    await adapter.close();
+    await redis.close();
+});
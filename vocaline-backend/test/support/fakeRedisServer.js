@@ -0,0 +1,117 @@
+const net = require('net');
+const { parseReply } = require('../../lib/state/respClient');
+
+// --- A stand-in Redis server: the subset of commands the Redis state adapter uses ---
+function encode(value) {
+    if (value === null) {
+        return '$-1\r\n';
+    }
+    if (typeof value === 'number') {
+        return `:${value}\r\n`;
+    }
+    if (Array.isArray(value)) {
+        return `*${value.length}\r\n${value.map(encode).join('')}`;
+    }
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+function startFakeRedisServer() {
+    const subscribers = new Map();
+    const hashes = new Map();
+    const expiries = new Map();
+    const sockets = new Set();
+
+    function execute(socket, [name, ...args]) {
+        switch (name.toUpperCase()) {
+            case 'PING':
+                return '+PONG\r\n';
+            case 'QUIT':
+                setImmediate(() => socket.end());
+                return '+OK\r\n';
+            case 'SUBSCRIBE':
+                return args.map((channel, index) => {
+                    if (!subscribers.has(channel)) {
+                        subscribers.set(channel, new Set());
+                    }
+                    subscribers.get(channel).add(socket);
+                    return encode(['subscribe', channel, index + 1]);
+                }).join('');
+            case 'PUBLISH': {
+                const [channel, message] = args;
+                const receivers = [...(subscribers.get(channel) || [])];
+                receivers.forEach(receiver => receiver.write(encode(['message', channel, message])));
+                return encode(receivers.length);
+            }
+            case 'HSET': {
+                const [key, field, value] = args;
+                if (!hashes.has(key)) {
+                    hashes.set(key, new Map());
+                }
+                const added = hashes.get(key).has(field) ? 0 : 1;
+                hashes.get(key).set(field, value);
+                return encode(added);
+            }
+            case 'HSETNX': {
+                const [key, field, value] = args;
+                if (hashes.get(key)?.has(field)) {
+                    return encode(0);
+                }
+                if (!hashes.has(key)) {
+                    hashes.set(key, new Map());
+                }
+                hashes.get(key).set(field, value);
+                return encode(1);
+            }
+            case 'HGET':
+                return encode(hashes.get(args[0])?.get(args[1]) ?? null);
+            case 'PEXPIRE': {
+                if (!hashes.has(args[0])) {
+                    return encode(0);
+                }
+                clearTimeout(expiries.get(args[0]));
+                expiries.set(args[0], setTimeout(() => hashes.delete(args[0]), parseInt(args[1], 10)).unref());
+                return encode(1);
+            }
+            case 'HDEL':
+                return encode(hashes.get(args[0])?.delete(args[1]) ? 1 : 0);
+            case 'HGETALL':
+                return encode([...(hashes.get(args[0]) || new Map())].flat());
+            default:
+                return `-ERR unknown command '${name}'\r\n`;
+        }
+    }
+
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        let buffer = Buffer.alloc(0);
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let request;
+            while (buffer.length > 0 && (request = parseReply(buffer, 0))) {
+                buffer = buffer.subarray(request.offset);
+                socket.write(execute(socket, request.value));
+            }
+        });
+        socket.on('error', () => {});
+        socket.on('close', () => {
+            sockets.delete(socket);
+            subscribers.forEach(channelSockets => channelSockets.delete(socket));
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `redis://127.0.0.1:${server.address().port}`,
+                close() {
+                    sockets.forEach(socket => socket.destroy());
+                    return new Promise(done => server.close(done));
+                }
+            });
+        });
+    });
+}
+
+module.exports = {
+    startFakeRedisServer
+};
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { usernameSkeleton, validateUsername } = require('../lib/usernamePolicy');
+
+test('accepts names written in one script, including the Han combinations', () => {
+    ['TruckerMike', 'Józef_K', 'Иван', 'Γιώργος', '山田太郎', 'やまだ太郎', '김민준', 'Route-66'].forEach(name => {
+        assert.equal(validateUsername(name), null, name);
+    });
+});
+
+test('refuses a letter borrowed from another script, or from a script full of Latin look-alikes', () => {
+    // "с" is Cyrillic, "Μ" Greek, "Ꭲ" Cherokee.
+    ['Truсker', 'Μike', 'Ꭲrucker', 'Ivanмike'].forEach(name => {
+        assert.equal(validateUsername(name).code, 'USERNAME_MIXED_SCRIPTS', name);
+    });
+});
+
+test('look-alike names share one skeleton', () => {
+    assert.equal(usernameSkeleton('Truсker'), usernameSkeleton('Trucker'));
+    assert.equal(usernameSkeleton('СОВА'), usernameSkeleton('COBA'));
+    assert.equal(usernameSkeleton('Trucker_Mike'), usernameSkeleton('truckermike'));
+    assert.equal(usernameSkeleton('Trûcker0'), usernameSkeleton('truckerO'));
+    assert.equal(usernameSkeleton('Ivan'), usernameSkeleton('lvan'));
+    assert.equal(usernameSkeleton('Bernie'), usernameSkeleton('Bemie'));
+    assert.notEqual(usernameSkeleton('Trucker'), usernameSkeleton('Tracker'));
+});
+
+test('reserved names cannot be dodged with separators, accents or look-alikes', () => {
+    ['admin', 'A.d.m.i.n', 'Vocalîne', 'M0derator', 'АДМIN'].forEach(name => {
+        const reason = validateUsername(name);
+        assert.ok(reason && ['USERNAME_RESERVED', 'USERNAME_MIXED_SCRIPTS'].includes(reason.code), name);
+    });
+});
@@ -1,32 +1,340 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { memo, useState, useEffect, useRef } from 'react';
 import './App.css';
+import { FALLBACK_ICE_SERVERS } from './client/VocalineClient';
+import { useRoomMesh, useVocalineClient, useVocalineEvent, useVocalineStatus } from './client/useVocalineClient';
+import { LOCALES, serverMessage, useI18n } from './i18n/i18n';
+import { useWakeLock } from './device/useWakeLock';
+import { useMediaSession } from './device/useMediaSession';
 
-// --- Xirsys Constants (NOW LOADED FROM ENVIRONMENT VARIABLES) ---
-const XIRSYS_SECRET_ID = process.env.REACT_APP_XIRSYS_SECRET_ID;
-const XIRSYS_SECRET_TOKEN = process.env.REACT_APP_XIRSYS_SECRET_TOKEN;
-const XIRSYS_BASE_URL = process.env.REACT_APP_XIRSYS_BASE_URL;
-// --- END Xirsys Constants ---
+// --- Backend URLs ---
+// En production, Railway fournit REACT_APP_BACKEND_WS_URL.
+// En développement, on utilise 'ws://localhost:8080' par défaut.
+// L'API HTTP (avis, etc.) est servie par le même backend : on dérive son URL de celle du WebSocket.
+const BACKEND_WS_URL = process.env.REACT_APP_BACKEND_WS_URL || 'ws://localhost:8080';
+const BACKEND_HTTP_URL = process.env.REACT_APP_BACKEND_HTTP_URL || BACKEND_WS_URL.replace(/^ws/, 'http');
+const FEEDBACK_MAX_LENGTH = 500;
+
+// --- ICE Servers ---
+// Les identifiants TURN (coturn / Xirsys) sont délivrés par notre backend, jamais embarqués dans le bundle.
+const ICE_SERVERS_TIMEOUT_MS = 5000;
+
+// --- Matchmaking Preferences ---
+const LANGUAGE_OPTIONS = [
+  { code: 'fr', label: 'Français' },
+  { code: 'en', label: 'English' },
+  { code: 'es', label: 'Español' },
+  { code: 'pl', label: 'Polski' },
+  { code: 'ro', label: 'Română' },
+  { code: 'de', label: 'Deutsch' },
+  { code: 'it', label: 'Italiano' },
+  { code: 'pt', label: 'Português' },
+];
+// Les libellés viennent des catalogues (src/i18n) : `topics.<value>`, `topics.any` pour « peu importe ».
+const TOPIC_OPTIONS = ['', 'route_talk', 'parking_tips', 'just_chatting'];
+const topicLabelKey = (value) => (value ? `topics.${value}` : 'topics.any');
+
+const detectBrowserLanguages = () => {
+  const browserLanguages = navigator.languages || [navigator.language || 'fr'];
+  const codes = browserLanguages.map(language => language.slice(0, 2).toLowerCase());
+  const supported = codes.filter(code => LANGUAGE_OPTIONS.some(option => option.code === code));
+  return supported.length > 0 ? [...new Set(supported)] : ['fr'];
+};
+
+// --- Moderation ---
+// Libellés : `reportReasons.<value>`.
+const REPORT_REASON_OPTIONS = ['harassment', 'hate_speech', 'sexual_content', 'spam', 'impersonation', 'other'];
+
+// --- Post-call Rating ---
+// Proposée à la fin de chaque appel 1:1 ; le serveur en tire une réputation utilisée pour les appariements.
+// Un 👎 « Mauvais son » seul vise la connexion, pas la personne : il ne pèse pas sur sa réputation.
+// Libellés : `ratingTags.<value>`.
+const RATING_TAG_OPTIONS = [
+  { value: 'great_chat', rating: 'up' },
+  { value: 'helpful', rating: 'up' },
+  { value: 'funny', rating: 'up' },
+  { value: 'rude', rating: 'down' },
+  { value: 'inappropriate', rating: 'down' },
+  { value: 'bad_audio', rating: 'down' },
+];
+
+// --- Friends ---
+// Présence poussée par le serveur (libellés : `presence.<presence>`) ; une invitation acceptée ouvre
+// un appel direct, hors file d'attente. Passé `settings.inviteTtlMs`, elle ne peut plus être acceptée.
+
+// --- Server settings ---
+// Annoncés par le serveur dans `hello_ack` (délai des invitations, réponses rapides, types de réseau) :
+// le client n'en garde aucune copie qui pourrait diverger. Rien n'est connu avant le handshake.
+const NO_SERVER_SETTINGS = { inviteTtlMs: null, quickReplies: [], networkTypes: [] };
+
+// --- In-call Chat ---
+// Pour les moments où l'on ne peut pas parler (quai de chargement, appel du dispatch). Les réponses
+// rapides partent sous forme d'identifiant : chaque client les affiche dans sa langue (`quickReplies.<id>`).
+const CHAT_MESSAGE_MAX_LENGTH = 300;
+
+const chatMessageText = (message, t, quickReplies) => (
+  message.quickReply ? (quickReplies.includes(message.quickReply) ? t(`quickReplies.${message.quickReply}`) : message.quickReply) : message.text
+);
+
+// --- Group Rooms (canaux CB) ---
+// Dans un canal, chaque membre est relié à tous les autres (maillage) : une RTCPeerConnection par participant,
+// d'où une capacité limitée par le serveur. Le nouvel arrivant appelle les membres déjà présents.
+const ROOM_NAME_MAX_LENGTH = 32;
+
+// Clé du libellé d'état d'une connexion de canal, ou null une fois établie.
+const roomConnectionLabelKey = (connectionState) => {
+  if (connectionState === 'connected' || connectionState === 'completed') {
+    return null;
+  }
+  return connectionState === 'failed' ? 'rooms.connectionFailed' : 'rooms.connecting';
+};
+
+// --- Push-to-talk ---
+// Comme à la CB : le micro n'émet que tant que le bouton (ou la touche) est maintenu. Le choix du mode est
+// gardé dans le navigateur. Le « roger beep » de fin d'émission est joué par chaque client, émetteur compris.
+const TALK_MODE_STORAGE_KEY = 'vocaline.talkMode';
+const ROGER_BEEP_STORAGE_KEY = 'vocaline.rogerBeep';
+const PUSH_TO_TALK_KEY_CODE = 'Space';
+const ROGER_BEEP_TONES = [{ frequency: 1200, offset: 0 }, { frequency: 900, offset: 0.09 }];
+const ROGER_BEEP_TONE_SECONDS = 0.08;
+
+// --- Audio Levels ---
+// Analyse Web Audio des deux côtés de l'appel : vu-mètres, indicateur « parle » et détection d'un micro muet.
+// Un micro qui fonctionne capte toujours un peu de bruit (moteur, cabine) : un niveau quasi nul pendant
+// plusieurs secondes, micro ouvert, signale un micro débranché ou bloqué.
+// Les vu-mètres se dessinent eux-mêmes à chaque image ; App ne se réaffiche que quand « parle » ou
+// « micro muet » change d'état.
+const LEVEL_SAMPLE_INTERVAL_MS = 100;
+const SPEAKING_LEVEL_THRESHOLD = 0.08;
+const SPEAKING_HOLD_MS = 600;
+const SILENT_MIC_LEVEL = 0.002;
+const SILENT_MIC_WARNING_MS = 8000;
+
+// Niveau RMS d'un flux, ramené sur 0..1 (la voix dépasse rarement 0,3 en RMS brut).
+const createLevelMeter = (context, stream) => {
+  const source = context.createMediaStreamSource(stream);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 512;
+  source.connect(analyser);
+  const samples = new Float32Array(analyser.fftSize);
+  return {
+    read: () => {
+      analyser.getFloatTimeDomainData(samples);
+      let sum = 0;
+      for (const sample of samples) {
+        sum += sample * sample;
+      }
+      return Math.min(1, Math.sqrt(sum / samples.length) * 3);
+    },
+    disconnect: () => source.disconnect(),
+  };
+};
+
+// `readLevel` doit rester la même fonction d'un rendu à l'autre : la barre est mise à jour directement
+// dans le DOM, seulement quand le pourcentage arrondi change.
+const LevelMeter = memo(function LevelMeter({ label, ariaLabel, readLevel, speaking }) {
+  const bar = useRef(null);
+  const fill = useRef(null);
+
+  useEffect(() => {
+    let frame = null;
+    let shownPercent = 0;
+    const draw = () => {
+      const percent = Math.round(readLevel() * 100);
+      if (percent !== shownPercent && bar.current && fill.current) {
+        shownPercent = percent;
+        bar.current.setAttribute('aria-valuenow', String(percent));
+        fill.current.style.width = `${percent}%`;
+      }
+      frame = requestAnimationFrame(draw);
+    };
+    frame = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(frame);
+  }, [readLevel]);
+
+  return (
+    <div className={speaking ? 'level-meter speaking' : 'level-meter'}>
+      <span className="level-label">{label}</span>
+      <div ref={bar} className="level-bar" role="meter" aria-label={ariaLabel} aria-valuemin={0} aria-valuemax={100} aria-valuenow={0}>
+        <div ref={fill} className="level-fill" style={{ width: '0%' }} />
+      </div>
+    </div>
+  );
+});
+
+// --- Call Quality ---
+// Pendant un appel, getStats() alimente un badge (RTT, gigue, pertes, type de connexion). À la fin de l'appel,
+// un résumé part au serveur (`call_quality`) : part des appels relayés par TURN, pertes typiques par réseau.
+const CALL_STATS_INTERVAL_MS = 2000;
+const QUALITY_THRESHOLDS = {
+  good: { lossPercent: 2, rttMs: 250, jitterMs: 30 },
+  fair: { lossPercent: 5, rttMs: 400, jitterMs: 60 },
+};
+// Libellés : `quality.<level>` et `candidate.<type>`.
+
+// Un relevé getStats() : paire de candidats retenue (RTT, type) et flux audio entrant (gigue, pertes cumulées).
+const readCallStats = async (pc) => {
+  const report = await pc.getStats();
+  let selectedPair = null;
+  let inboundAudio = null;
+  report.forEach(stat => {
+    if (stat.type === 'transport' && stat.selectedCandidatePairId) {
+      selectedPair = report.get(stat.selectedCandidatePairId) || selectedPair;
+    } else if (stat.type === 'candidate-pair' && !selectedPair && (stat.selected || (stat.nominated && stat.state === 'succeeded'))) {
+      selectedPair = stat;
+    } else if (stat.type === 'inbound-rtp' && stat.kind === 'audio') {
+      inboundAudio = stat;
+    }
+  });
+  const localCandidate = selectedPair ? report.get(selectedPair.localCandidateId) : null;
+  return {
+    rttMs: selectedPair && selectedPair.currentRoundTripTime !== undefined ? selectedPair.currentRoundTripTime * 1000 : null,
+    jitterMs: inboundAudio && inboundAudio.jitter !== undefined ? inboundAudio.jitter * 1000 : null,
+    packetsLost: inboundAudio ? Math.max(0, inboundAudio.packetsLost || 0) : 0,
+    packetsReceived: inboundAudio ? inboundAudio.packetsReceived || 0 : 0,
+    candidateType: (localCandidate && localCandidate.candidateType) || 'unknown',
+  };
+};
+
+const lossPercent = (lost, received) => (lost + received > 0 ? (lost / (lost + received)) * 100 : 0);
+
+const classifyQuality = ({ lossPercent: loss, rttMs, jitterMs }) => {
+  const within = (limits) => loss <= limits.lossPercent && (rttMs === null || rttMs <= limits.rttMs) && (jitterMs === null || jitterMs <= limits.jitterMs);
+  if (within(QUALITY_THRESHOLDS.good)) {
+    return 'good';
+  }
+  return within(QUALITY_THRESHOLDS.fair) ? 'fair' : 'poor';
+};
+
+// `networkTypes` : les valeurs de navigator.connection.type acceptées par le serveur.
+const currentNetworkType = (networkTypes) => {
+  const type = navigator.connection && navigator.connection.type;
+  return networkTypes.includes(type) ? type : 'unknown';
+};
+
+// --- Accounts ---
+// Le jeton « se souvenir de moi » est gardé dans le navigateur ; sans cette option, il ne vit qu'en mémoire.
+const REMEMBER_TOKEN_STORAGE_KEY = 'vocaline.rememberToken';
+
+// --- Signaling Protocol ---
+// Le serveur ne prend plus en charge la version annoncée par VocalineClient : on invite à actualiser.
+const UPDATE_REQUIRED_ERROR_CODES = ['HELLO_REQUIRED', 'UNSUPPORTED_PROTOCOL_VERSION'];
 
 function App() {
-  // --- WebSocket & App State ---
-  const [isConnected, setIsConnected] = useState(false);
+  // --- Server Connection & App State ---
+  // La signalisation et l'appel 1:1 vivent dans VocalineClient ; ce composant réagit à ses événements.
+  const client = useVocalineClient({ url: BACKEND_WS_URL, getIceServers: () => fetchIceServers() });
+  const { isConnected, status: currentStatus } = useVocalineStatus(client);
+  // Langue de l'interface : détectée depuis le navigateur, puis choisie dans le sélecteur.
+  const { locale, setLocale, t } = useI18n();
   const [messages, setMessages] = useState([]);
+  const [serverSettings, setServerSettings] = useState(NO_SERVER_SETTINGS);
+  // Lu par les rappels enregistrés une seule fois (rapport de qualité en fin d'appel).
+  const serverSettingsRef = useRef(NO_SERVER_SETTINGS);
   const [username, setUsername] = useState('');
-  const [currentStatus, setCurrentStatus] = useState('disconnected');
   const [partnerUsername, setPartnerUsername] = useState(null);
   const [realtimeStats, setRealtimeStats] = useState({
     connectedUsers: 0,
     waitingUsers: 0,
     activeConversations: 0,
   });
+  const [lastCallId, setLastCallId] = useState(null);
+  const [matchContext, setMatchContext] = useState(null);
+
+  // --- Matchmaking Preferences State ---
+  const [languages, setLanguages] = useState(detectBrowserLanguages);
+  const [topic, setTopic] = useState('');
+  const [hardLanguages, setHardLanguages] = useState(false);
+  const [hardTopic, setHardTopic] = useState(false);
+
+  // --- Feedback State ---
+  const [feedbackText, setFeedbackText] = useState('');
+  const [feedbackStatus, setFeedbackStatus] = useState('idle'); // idle | sending | sent | error
+  const [feedbackError, setFeedbackError] = useState(null);
+
+  const [partnerReconnecting, setPartnerReconnecting] = useState(false);
+  const [callRecovery, setCallRecovery] = useState(null); // null | reconnecting | failed
+  const [updateRequired, setUpdateRequired] = useState(false);
+  // Dernier avis du serveur (erreur, notice, départ du partenaire), en { key, params } pour suivre la langue.
+  const [serverNotice, setServerNotice] = useState(null);
+
+  // --- In-call Chat State (kept only for the duration of the call) ---
+  const [chatMessages, setChatMessages] = useState([]);
+  const [chatDraft, setChatDraft] = useState('');
+
+  // --- Group Room State ---
+  const [roomList, setRoomList] = useState([]);
+  const [roomNameDraft, setRoomNameDraft] = useState('');
+  const [currentRoom, setCurrentRoom] = useState(null); // { name, capacity }
+  const [roomParticipants, setRoomParticipants] = useState([]); // { userId, username, isMuted, isTalking, isSpeaking, connectionState }
+
+  // --- Push-to-talk State ---
+  const [talkMode, setTalkMode] = useState(() => localStorage.getItem(TALK_MODE_STORAGE_KEY) || 'open_mic'); // open_mic | push_to_talk
+  const [isMicMuted, setIsMicMuted] = useState(false);
+  const [rogerBeep, setRogerBeep] = useState(() => localStorage.getItem(ROGER_BEEP_STORAGE_KEY) !== 'false');
+  const [isTransmitting, setIsTransmitting] = useState(false);
+  const [partnerTalking, setPartnerTalking] = useState(false);
+  // Lus hors rendu (acquisition du micro, touches maintenues) : toujours à jour.
+  const talkModeRef = useRef(talkMode);
+  const transmitting = useRef(false);
 
-  const ws = useRef(null);
+  // --- Audio Level State ---
+  const [isSpeaking, setIsSpeaking] = useState(false);
+  const [partnerSpeaking, setPartnerSpeaking] = useState(false);
+  const [micSeemsSilent, setMicSeemsSilent] = useState(false);
+  const audioContext = useRef(null);
+  const localMeter = useRef(null);
+  const remoteMeter = useRef(null);
+  // Lus hors rendu (vu-mètres, échantillonnage) : stables pour toute la vie du composant.
+  const readLocalLevel = useRef(() => {
+    const audioTrack = localStream.current && localStream.current.getAudioTracks()[0];
+    const micOpen = Boolean(audioTrack && audioTrack.enabled);
+    return localMeter.current && micOpen ? localMeter.current.read() : 0;
+  }).current;
+  const readRemoteLevel = useRef(() => (remoteMeter.current ? remoteMeter.current.read() : 0)).current;
+
+  // --- Call Quality State ---
+  const [callQuality, setCallQuality] = useState(null); // { level, rttMs, jitterMs, lossPercent, candidateType }
+  // Cumuls de l'appel en cours, envoyés au serveur quand il se termine.
+  const callStats = useRef(null);
+
+  // --- Account State ---
+  const [authenticatedUser, setAuthenticatedUser] = useState(null);
+  const [secret, setSecret] = useState('');
+  const [rememberMe, setRememberMe] = useState(true);
+  const [authError, setAuthError] = useState(null); // { key, params }
+  const authToken = useRef(localStorage.getItem(REMEMBER_TOKEN_STORAGE_KEY));
+  const rememberChoice = useRef(true);
+  const [suspendedUntil, setSuspendedUntil] = useState(null);
+
+  // --- Moderation State ---
+  const [lastPartner, setLastPartner] = useState(null);
+  const [showReportForm, setShowReportForm] = useState(false);
+  const [reportReason, setReportReason] = useState('harassment');
+  const [reportDetails, setReportDetails] = useState('');
+  const [blockAfterReport, setBlockAfterReport] = useState(true);
+  const [moderationNotice, setModerationNotice] = useState(null); // { key, params }
+  // Appel à noter : { callId, partnerUsername, rating: 'up' | 'down' | null, tags }.
+  const [pendingRating, setPendingRating] = useState(null);
+
+  // --- Friends State ---
+  const [friends, setFriends] = useState([]);
+  const [friendRequests, setFriendRequests] = useState([]);
+  // Invitations en cours : { inviteId, accountId, username } reçue, { inviteId, username } envoyée.
+  const [incomingInvite, setIncomingInvite] = useState(null);
+  const [outgoingInvite, setOutgoingInvite] = useState(null);
+  const [friendNotice, setFriendNotice] = useState(null); // { key, params }
 
   // --- WebRTC State ---
   const localAudioRef = useRef(null);
   const remoteAudioRef = useRef(null);
   const localStream = useRef(null);
-  const peerConnection = useRef(null);
+  // Canal courant (lu par les gestionnaires du WebSocket) ; les connexions vers ses membres sont dans roomMesh.
+  const roomName = useRef(null);
+  const roomMesh = useRoomMesh(client, {
+    onPeerState: (userId, connectionState) => setRoomParticipants(prev => prev.map(participant => (
+      participant.userId === userId ? { ...participant, connectionState } : participant
+    ))),
+  });
 
   // --- Utility: Add message to logs ---
   const addMessageToLogs = (from, text) => {
@@ -36,12 +344,74 @@ function App() {
     });
   };
 
-  // --- Utility: Clean up WebRTC resources ---
-  const cleanupWebRTC = () => {
-    if (peerConnection.current) {
-        addMessageToLogs('WebRTC Cleanup', 'Closing existing RTCPeerConnection.');
-        peerConnection.current.close();
-        peerConnection.current = null;
+  // --- Utility: Add message to the in-call chat ---
+  const addChatMessage = (message) => {
+    setChatMessages(prev => [...prev, message].slice(-100));
+  };
+
+  // --- Utility: One shared Web Audio context (beeps, level meters), or null if unsupported ---
+  const getAudioContext = () => {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) {
+      return null;
+    }
+    if (!audioContext.current) {
+      audioContext.current = new AudioContextClass();
+    }
+    // Créé hors geste de l'utilisateur, le contexte démarre suspendu ; il reprend dès que le navigateur l'autorise.
+    if (audioContext.current.state === 'suspended') {
+      audioContext.current.resume().catch(() => {});
+    }
+    return audioContext.current;
+  };
+
+  // --- Utility: End-of-transmission beep, synthesized so no audio file has to be shipped ---
+  const playRogerBeep = () => {
+    const context = getAudioContext();
+    if (!context) {
+      return;
+    }
+    ROGER_BEEP_TONES.forEach(({ frequency, offset }) => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      oscillator.frequency.value = frequency;
+      gain.gain.value = 0.15;
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start(context.currentTime + offset);
+      oscillator.stop(context.currentTime + offset + ROGER_BEEP_TONE_SECONDS);
+    });
+  };
+
+  // --- Utility: Send the end-of-call quality summary (once per call, if anything was measured) ---
+  const sendCallQualityReport = () => {
+    const stats = callStats.current;
+    callStats.current = null;
+    if (!stats || stats.samples === 0 || !client.isOpen) {
+      return;
+    }
+    const average = (total, count) => (count > 0 ? Math.round(total / count) : null);
+    const summary = {
+      callId: stats.callId,
+      candidateType: stats.candidateType,
+      networkType: currentNetworkType(serverSettingsRef.current.networkTypes),
+      samples: stats.samples,
+      packetLossPercent: Math.round(lossPercent(stats.packetsLost, stats.packetsReceived) * 100) / 100,
+      avgRttMs: average(stats.rttTotal, stats.rttSamples),
+      avgJitterMs: average(stats.jitterTotal, stats.jitterSamples),
+    };
+    client.send('call_quality', summary);
+    addMessageToLogs('You TX', `Call quality report: ${JSON.stringify(summary)}`);
+  };
+
+  // --- Call ended (VocalineClient 'call-ended'): send the quality summary, release the audio outputs, ask for a rating ---
+  const handleCallEnded = ({ callId }) => {
+    sendCallQualityReport();
+    if (callId && lastPartner && client.isOpen) {
+      setPendingRating({ callId, partnerUsername: lastPartner, rating: null, tags: [] });
+    }
+    if (remoteMeter.current) {
+        remoteMeter.current.disconnect();
+        remoteMeter.current = null;
     }
     if (localAudioRef.current) {
         localAudioRef.current.srcObject = null;
@@ -52,133 +422,350 @@ function App() {
     }
   };
 
-  // --- WebSocket Connection & Message Handling ---
-  useEffect(() => {
-    // --- Ligne de connexion optimisée pour la flexibilité ---
-    // En production, Railway fournit REACT_APP_BACKEND_WS_URL.
-    // En développement, on utilise 'ws://localhost:8080' par défaut.
-    const backendWsUrl = "production-europe-west4-drams3a.railway-registry.com/6fc77441-f204-431b-a301-82bcb62a150a:af004e6b-9f10-4a8e-af96-7932a8ece685" || process.env.REACT_APP_BACKEND_WS_URL || "ws://localhost:8080";
-
-    if (!backendWsUrl) {
-      console.error('Backend WS URL is not set!');
-      addMessageToLogs('Error', 'Backend URL missing. Check Railway config.');
+  const handleRemoteStream = (stream) => {
+    if (!remoteAudioRef.current) {
       return;
     }
+    remoteAudioRef.current.srcObject = stream;
+    const context = getAudioContext();
+    if (context && !remoteMeter.current) {
+      remoteMeter.current = createLevelMeter(context, stream);
+    }
+    remoteAudioRef.current.play().catch(e => console.error("Error playing remote audio:", e));
+    addMessageToLogs('WebRTC', 'Remote audio stream received and playing!');
+  };
 
-    ws.current = new WebSocket(backendWsUrl);
-    
-    ws.current.onopen = () => {
-      console.log('WebSocket Connected!');
-      setIsConnected(true);
-      setCurrentStatus('connected');
-      addMessageToLogs('System', `Connected to Vocaline server at ${backendWsUrl}.`);
-      if (!localStream.current) {
-        requestMicrophoneAccess();
-      }
-    };
+  // --- Utility: Leave the whole room locally ---
+  const cleanupRoom = () => {
+    roomMesh.closeAll();
+    roomName.current = null;
+    setCurrentRoom(null);
+    setRoomParticipants([]);
+  };
 
-    ws.current.onmessage = (event) => {
-      let messageData;
-      try {
-        messageData = JSON.parse(event.data);
-      } catch (e) {
-        console.error('Failed to parse incoming message as JSON:', event.data);
-        addMessageToLogs('Error', `Failed to parse incoming message: ${event.data}`);
-        return;
+  // --- Server messages: VocalineClient has already handled the connection and the 1:1 call ---
+  const handleServerMessage = (messageData) => {
+    console.log('Message from server:', messageData);
+    switch (messageData.type) {
+      case 'welcome':
+        addMessageToLogs('System', 'Connected to Vocaline.');
+        break;
+      case 'hello_ack':
+        addMessageToLogs('System', `Protocol v${messageData.payload.protocolVersion} negotiated.`);
+        serverSettingsRef.current = messageData.payload.settings || NO_SERVER_SETTINGS;
+        setServerSettings(serverSettingsRef.current);
+        break;
+      case 'auth_success':
+        authToken.current = messageData.payload.token;
+        if (rememberChoice.current) {
+          localStorage.setItem(REMEMBER_TOKEN_STORAGE_KEY, messageData.payload.token);
+        }
+        setAuthenticatedUser(messageData.payload.username);
+        setUsername(messageData.payload.username);
+        setSecret('');
+        setAuthError(null);
+        setSuspendedUntil(null);
+        addMessageToLogs('System', `Logged in as ${messageData.payload.username}.`);
+        break;
+      case 'auth_error': {
+        const notice = serverMessage('errors', messageData.payload);
+        setAuthError(notice);
+        addMessageToLogs('Error', `${messageData.payload.code}: ${t(notice.key, notice.params)}`);
+        break;
       }
-      
-      console.log('Message from server:', messageData);
-      addMessageToLogs('Server RX', JSON.stringify(messageData));
-
-      switch (messageData.type) {
-        case 'welcome':
-          addMessageToLogs('System', messageData.payload.message);
-          break;
-        case 'status_update':
-          setCurrentStatus(messageData.payload.status);
-          addMessageToLogs('System', `Status updated: ${messageData.payload.status}`);
-          if (messageData.payload.status === 'waiting_for_match' || messageData.payload.status === 'disconnected') {
-            setPartnerUsername(null);
-            cleanupWebRTC();
-          }
-          break;
-        case 'stats_update':
-          console.log('Frontend: Receiving stats_update:', messageData.payload);
-          setRealtimeStats(messageData.payload);
-          console.log('Frontend: realtimeStats state updated to:', messageData.payload);
-          break;
-        case 'match_found':
-          setPartnerUsername(messageData.payload.partnerUsername);
-          setCurrentStatus('in-call');
-          addMessageToLogs('System', `Match found with ${messageData.payload.partnerUsername}!`);
-          cleanupWebRTC();
-          initiatePeerConnection();
-          if (messageData.payload.initiateCall) {
-              createOffer();
-          }
-          break;
-        case 'partner_disconnected':
+      case 'user_blocked':
+        setModerationNotice({ key: 'moderation.blocked', params: { username: messageData.payload.username } });
+        addMessageToLogs('System', `${messageData.payload.username} blocked.`);
+        break;
+      case 'friends_list':
+        setFriends(messageData.payload.friends);
+        setFriendRequests(messageData.payload.requests);
+        break;
+      case 'friend_presence':
+        setFriends(prev => prev.map(friend => (
+          friend.accountId === messageData.payload.accountId ? { ...friend, presence: messageData.payload.presence } : friend
+        )));
+        break;
+      case 'friend_request_sent':
+        setModerationNotice({ key: 'friends.requestSent', params: { username: messageData.payload.username } });
+        addMessageToLogs('System', `Friend request sent to ${messageData.payload.username}.`);
+        break;
+      case 'invite_received':
+        setIncomingInvite(messageData.payload);
+        addMessageToLogs('System', `${messageData.payload.username} invites you to a call.`);
+        break;
+      case 'invite_sent':
+        setOutgoingInvite(messageData.payload);
+        addMessageToLogs('System', `Invitation sent to ${messageData.payload.username}.`);
+        break;
+      case 'invite_declined':
+        setOutgoingInvite(current => (current && current.inviteId === messageData.payload.inviteId ? null : current));
+        setFriendNotice({ key: 'friends.inviteDeclined', params: { username: messageData.payload.username } });
+        addMessageToLogs('System', `${messageData.payload.username} declined the invitation.`);
+        break;
+      case 'rating_received':
+        setPendingRating(current => (current && current.callId === messageData.payload.callId ? null : current));
+        addMessageToLogs('System', `Rating for call ${messageData.payload.callId} received.`);
+        break;
+      case 'report_received':
+        setModerationNotice({ key: 'moderation.reportReceived' });
+        addMessageToLogs('System', `Report ${messageData.payload.reportId} received.`);
+        break;
+      case 'account_suspended':
+        setSuspendedUntil(messageData.payload.until);
+        setAuthenticatedUser(null);
+        setPartnerUsername(null);
+        cleanupRoom();
+        addMessageToLogs('Error', `Account suspended until ${messageData.payload.until}.`);
+        break;
+      case 'logged_out':
+        setAuthenticatedUser(null);
+        setFriends([]);
+        setFriendRequests([]);
+        addMessageToLogs('System', 'Logged out.');
+        break;
+      case 'session_resumed':
+        setPartnerUsername(messageData.payload.partnerUsername);
+        break;
+      case 'session_expired':
+        // Le client repart avec la session de cette connexion : il faut se reconnecter au compte.
+        setPartnerUsername(null);
+        setAuthenticatedUser(null);
+        setServerNotice({ key: 'call.sessionExpired' });
+        addMessageToLogs('System', 'Previous session expired.');
+        loginWithStoredToken();
+        break;
+      case 'partner_connection_lost':
+        addMessageToLogs('Partner Status', `${messageData.payload.username} lost their connection. Waiting for them to come back...`);
+        setPartnerReconnecting(true);
+        break;
+      case 'partner_reconnected':
+        addMessageToLogs('Partner Status', `${messageData.payload.username} is back.`);
+        setPartnerReconnecting(false);
+        break;
+      case 'status_update':
+        addMessageToLogs('System', `Status updated: ${messageData.payload.status}`);
+        if (messageData.payload.status === 'waiting_for_match' || messageData.payload.status === 'disconnected') {
           setPartnerUsername(null);
-          setCurrentStatus('waiting_for_match');
-          addMessageToLogs('System', `Your partner (${messageData.payload.message.split(' has ')[0]}) has disconnected. Searching for new partner...`);
-          cleanupWebRTC();
-          break;
-        case 'error':
-          addMessageToLogs('Error', messageData.payload.message);
-          break;
-        case 'info':
-          addMessageToLogs('Info', messageData.payload.message);
-          break;
-        case 'offer':
-          addMessageToLogs('WebRTC RX', `Offer from ${messageData.payload.from}`);
-          handleOffer(messageData.payload.sdp);
-          break;
-        case 'answer':
-          addMessageToLogs('WebRTC RX', 'Answer received.');
-          handleAnswer(messageData.payload.sdp);
-          break;
-        case 'candidate':
-          addMessageToLogs('WebRTC RX', 'ICE Candidate received.');
-          handleCandidate(messageData.payload.candidate);
-          break;
-        case 'partner_mute_status':
-          addMessageToLogs('Partner Status', `${messageData.payload.username} is now ${messageData.payload.isMuted ? 'muted' : 'unmuted'}.`);
-          break;
-        default:
-          addMessageToLogs('Server', event.data);
-          break;
+        }
+        break;
+      case 'stats_update':
+        // Événement 'stats' du client.
+        break;
+      case 'match_found':
+        setPartnerUsername(messageData.payload.partnerUsername);
+        setPartnerTalking(false);
+        setPartnerSpeaking(false);
+        setLastCallId(messageData.payload.callId || null);
+        setLastPartner(messageData.payload.partnerUsername);
+        setModerationNotice(null);
+        setServerNotice(null);
+        setIncomingInvite(null);
+        setOutgoingInvite(null);
+        setFriendNotice(null);
+        setMatchContext({
+          commonLanguages: messageData.payload.commonLanguages || [],
+          topic: messageData.payload.topic || null,
+        });
+        callStats.current = messageData.payload.callId ? {
+          callId: messageData.payload.callId,
+          samples: 0,
+          rttTotal: 0,
+          rttSamples: 0,
+          jitterTotal: 0,
+          jitterSamples: 0,
+          packetsLost: 0,
+          packetsReceived: 0,
+          candidateType: 'unknown',
+        } : null;
+        break;
+      case 'partner_disconnected':
+        setPartnerReconnecting(false);
+        setPartnerUsername(null);
+        setServerNotice({
+          key: messageData.payload.reason === 'changed_partner' ? 'call.partnerChanged' : 'call.partnerLeft',
+          params: { username: messageData.payload.username },
+        });
+        addMessageToLogs('System', `Your partner (${messageData.payload.username}) has disconnected (${messageData.payload.reason}). Searching for new partner...`);
+        break;
+      case 'error': {
+        const notice = serverMessage('errors', messageData.payload);
+        // Les invitations ont leur propre zone d'avis ; une mise à jour requise, son bandeau.
+        if (UPDATE_REQUIRED_ERROR_CODES.includes(messageData.payload.code)) {
+          setUpdateRequired(true);
+        } else if (messageData.payload.code === 'INVITE_EXPIRED') {
+          setIncomingInvite(null);
+          setFriendNotice(notice);
+        } else if (messageData.payload.code === 'FRIEND_UNAVAILABLE') {
+          setOutgoingInvite(null);
+          setFriendNotice(notice);
+        } else {
+          setServerNotice(notice);
+        }
+        addMessageToLogs('Error', `${messageData.payload.code}: ${t(notice.key, notice.params)}`);
+        break;
       }
-    };
+      case 'info': {
+        const notice = serverMessage('info', messageData.payload);
+        setServerNotice(notice);
+        addMessageToLogs('Info', `${messageData.payload.code}: ${t(notice.key, notice.params)}`);
+        break;
+      }
+      case 'offer':
+        addMessageToLogs('WebRTC RX', `Offer from ${messageData.payload.from}`);
+        break;
+      case 'answer':
+        addMessageToLogs('WebRTC RX', 'Answer received.');
+        break;
+      case 'candidate':
+        addMessageToLogs('WebRTC RX', 'ICE Candidate received.');
+        break;
+      case 'partner_mute_status':
+        addMessageToLogs('Partner Status', `${messageData.payload.username} is now ${messageData.payload.isMuted ? 'muted' : 'unmuted'}.`);
+        break;
+      case 'chat_message':
+        addChatMessage({
+          id: messageData.payload.messageId,
+          mine: false,
+          username: messageData.payload.username,
+          text: messageData.payload.text,
+          quickReply: messageData.payload.quickReply,
+        });
+        break;
+      case 'talk_state':
+        if (roomName.current) {
+          setRoomParticipants(prev => prev.map(participant => (
+            participant.userId === messageData.payload.userId ? { ...participant, isTalking: messageData.payload.isTalking } : participant
+          )));
+        } else {
+          setPartnerTalking(messageData.payload.isTalking);
+        }
+        if (!messageData.payload.isTalking && messageData.payload.rogerBeep) {
+          playRogerBeep();
+        }
+        break;
+      case 'speaking_state':
+        if (roomName.current) {
+          setRoomParticipants(prev => prev.map(participant => (
+            participant.userId === messageData.payload.userId ? { ...participant, isSpeaking: messageData.payload.isSpeaking } : participant
+          )));
+        } else {
+          setPartnerSpeaking(messageData.payload.isSpeaking);
+        }
+        break;
+      case 'room_list':
+        setRoomList(messageData.payload.rooms);
+        break;
+      case 'room_joined': {
+        const { name, capacity, members } = messageData.payload;
+        roomName.current = name;
+        setCurrentRoom({ name, capacity });
+        setRoomParticipants(members.map(member => ({ ...member, isTalking: false, isSpeaking: false, connectionState: 'new' })));
+        addMessageToLogs('System', `Joined room ${name} (${members.length + 1}/${capacity}).`);
+        // Micro déjà coupé avant d'entrer : les autres membres doivent le savoir.
+        const audioTrack = localStream.current && localStream.current.getAudioTracks()[0];
+        if (audioTrack && !audioTrack.enabled) {
+          client.send('mute', { isMuted: true });
+        }
+        members.forEach(member => roomMesh.call(member.userId));
+        break;
+      }
+      case 'room_member_joined': {
+        const { member } = messageData.payload;
+        setRoomParticipants(prev => [...prev.filter(participant => participant.userId !== member.userId), { ...member, isTalking: false, isSpeaking: false, connectionState: 'new' }]);
+        addMessageToLogs('Room', `${member.username} joined the room.`);
+        break;
+      }
+      case 'room_member_left':
+        roomMesh.close(messageData.payload.userId);
+        setRoomParticipants(prev => prev.filter(participant => participant.userId !== messageData.payload.userId));
+        addMessageToLogs('Room', `${messageData.payload.username} left the room.`);
+        break;
+      case 'room_member_mute':
+        setRoomParticipants(prev => prev.map(participant => (
+          participant.userId === messageData.payload.userId ? { ...participant, isMuted: messageData.payload.isMuted } : participant
+        )));
+        addMessageToLogs('Room', `${messageData.payload.username} is now ${messageData.payload.isMuted ? 'muted' : 'unmuted'}.`);
+        break;
+      case 'room_left':
+        cleanupRoom();
+        addMessageToLogs('System', `Left room ${messageData.payload.name}.`);
+        client.send('room_list');
+        break;
+      default:
+        addMessageToLogs('Server', JSON.stringify(messageData));
+        break;
+    }
+  };
 
-    ws.current.onclose = () => {
-      console.log('WebSocket Disconnected!');
-      setIsConnected(false);
-      setCurrentStatus('disconnected');
-      addMessageToLogs('System', 'Disconnected from server.');
+  useVocalineEvent(client, 'message', handleServerMessage);
+  useVocalineEvent(client, 'log', ({ from, text }) => addMessageToLogs(from, text));
+  useVocalineEvent(client, 'session', (session) => {
+    if (session === 'started') {
+      loginWithStoredToken();
+    }
+  });
+  useVocalineEvent(client, 'stats', setRealtimeStats);
+  useVocalineEvent(client, 'remote-stream', handleRemoteStream);
+  useVocalineEvent(client, 'call-ended', handleCallEnded);
+  useVocalineEvent(client, 'call-recovery', setCallRecovery);
+  useVocalineEvent(client, 'microphone-missing', () => requestMicrophoneAccess());
+  useVocalineEvent(client, 'open', () => {
+    if (!localStream.current) {
+      requestMicrophoneAccess();
+    }
+  });
+  useVocalineEvent(client, 'close', ({ willReconnect }) => {
+    if (roomName.current) {
+      // Le serveur retire du canal toute connexion fermée : on le rejoindra à la main.
+      addMessageToLogs('System', `Left room ${roomName.current} (connection lost).`);
+      cleanupRoom();
+    }
+    if (!willReconnect) {
       setPartnerUsername(null);
-      cleanupWebRTC();
-      if (localStream.current) {
-        localStream.current.getTracks().forEach(track => track.stop());
-        localStream.current = null;
-        addMessageToLogs('WebRTC Cleanup', 'Local stream tracks stopped due to WS close.');
-      }
-    };
+    }
+  });
 
-    ws.current.onerror = (error) => {
-      console.error('WebSocket Error:', error);
-      addMessageToLogs('Error', 'WebSocket connection error.');
-    };
+  // Au démontage, le client ferme la connexion et l'appel 1:1 ; les canaux et le micro restent à libérer.
+  const releaseMedia = useRef(() => {});
+  releaseMedia.current = () => {
+    cleanupRoom();
+    if (localStream.current) {
+      localStream.current.getTracks().forEach(track => track.stop());
+    }
+  };
+  useEffect(() => () => releaseMedia.current(), []);
 
-    return () => {
-      if (ws.current && ws.current.readyState === WebSocket.OPEN) {
-        ws.current.close();
-      }
-      cleanupWebRTC();
-      if (localStream.current) {
-        localStream.current.getTracks().forEach(track => track.stop());
-      }
-    };
-  }, []);
+  // --- Accounts: automatic login with the stored token, register/login/logout ---
+  const loginWithStoredToken = () => {
+    if (authToken.current && client.isOpen) {
+      rememberChoice.current = localStorage.getItem(REMEMBER_TOKEN_STORAGE_KEY) === authToken.current;
+      client.send('login', { token: authToken.current });
+      addMessageToLogs('You TX', 'Logging in with saved token...');
+    }
+  };
+
+  const handleAuthenticate = (type) => {
+    if (!client.isOpen) {
+      addMessageToLogs('System', 'Not connected to server yet.');
+      return;
+    }
+    rememberChoice.current = rememberMe;
+    if (!rememberMe) {
+      localStorage.removeItem(REMEMBER_TOKEN_STORAGE_KEY);
+    }
+    setAuthError(null);
+    client.send(type, { username: username.trim(), secret, remember: rememberMe });
+    addMessageToLogs('You TX', `${type === 'register' ? 'Registering' : 'Logging in'} as ${username.trim()}...`);
+  };
+
+  const handleLogout = () => {
+    if (client.isOpen) {
+      client.send('logout');
+    }
+    authToken.current = null;
+    localStorage.removeItem(REMEMBER_TOKEN_STORAGE_KEY);
+  };
 
   const requestMicrophoneAccess = async () => {
     try {
@@ -187,7 +774,16 @@ function App() {
           return;
       }
       const stream = await navigator.mediaDevices.getUserMedia({ audio: true, video: false });
+      // En push-to-talk, le micro reste coupé tant qu'on n'appuie pas.
+      stream.getAudioTracks().forEach(track => {
+        track.enabled = talkModeRef.current === 'open_mic';
+      });
       localStream.current = stream;
+      client.setLocalStream(stream);
+      const context = getAudioContext();
+      if (context) {
+        localMeter.current = createLevelMeter(context, stream);
+      }
       if (localAudioRef.current) {
         localAudioRef.current.srcObject = stream;
       }
@@ -195,188 +791,74 @@ function App() {
     } catch (error) {
       console.error('Error accessing microphone:', error);
       addMessageToLogs('Error', 'Failed to access microphone. Please allow access.');
-      alert('Vocaline requires microphone access for voice calls. Please grant permission.');
+      alert(t('mic.required'));
     }
   };
 
-  const initiatePeerConnection = async () => {
-      if (peerConnection.current) {
-          addMessageToLogs('WebRTC', 'Closing existing PeerConnection before initiating new one (from initiatePeerConnection).');
-          peerConnection.current.close();
-          peerConnection.current = null;
-      }
-      if (remoteAudioRef.current) {
-        remoteAudioRef.current.srcObject = null;
-      }
-
-      let iceServers = [{ urls: 'stun:stun.l.google.com:19302' }];
-
-      if (XIRSYS_SECRET_ID && XIRSYS_SECRET_TOKEN && XIRSYS_BASE_URL) {
-          try {
-              const XIRSYS_AUTH_TOKEN = btoa(`${XIRSYS_SECRET_ID}:${XIRSYS_SECRET_TOKEN}`);
-              const response = await fetch(`https://${XIRSYS_BASE_URL}/_turn/${XIRSYS_SECRET_ID}`, {
-                  method: 'PUT',
-                  headers: {
-                      'Authorization': `Basic ${XIRSYS_AUTH_TOKEN}`,
-                      'Content-Type': 'application/json',
-                      'Content-Length': 0
-                  }
-              });
-
-              if (response.ok) {
-                  const xirsysData = await response.json();
-                  if (xirsysData.e === 'ok' && xirsysData.v && xirsysData.v.iceServers) {
-                      iceServers = xirsysData.v.iceServers;
-                      addMessageToLogs('Xirsys', 'Successfully fetched Xirsys ICE servers.');
-                      console.log('Xirsys ICE Servers:', iceServers);
-                  } else {
-                      console.error('Xirsys API error:', xirsysData);
-                      addMessageToLogs('Xirsys Error', `Failed to fetch Xirsys ICE servers: ${xirsysData.e || 'Unknown error'}. Falling back to default STUN.`);
-                  }
-              } else {
-                  console.error('Failed to fetch Xirsys ICE servers, HTTP status:', response.status);
-                  addMessageToLogs('Xirsys Error', `Failed to fetch Xirsys ICE servers (HTTP ${response.status}). Falling back to default STUN.`);
-              }
-          } catch (error) {
-              console.error('Error fetching Xirsys ICE servers:', error);
-              addMessageToLogs('Xirsys Error', `Exception fetching Xirsys ICE servers: ${error.message}. Falling back to default STUN.`);
-          }
-      } else {
-          addMessageToLogs('Xirsys Warning', 'Xirsys credentials not provided. Using default STUN server.');
-          console.warn('Xirsys credentials (REACT_APP_XIRSYS_SECRET_ID, REACT_APP_XIRSYS_SECRET_TOKEN, REACT_APP_XIRSYS_BASE_URL) are not set. Using default STUN server.');
+  const fetchIceServers = async () => {
+    try {
+      // Les identifiants TURN ne sont délivrés qu'aux comptes connectés : on présente le jeton de connexion.
+      const response = await fetch(`${BACKEND_HTTP_URL}/ice-servers`, {
+        headers: authToken.current ? { Authorization: `Bearer ${authToken.current}` } : {},
+        signal: AbortSignal.timeout(ICE_SERVERS_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
       }
-
-      const configuration = { iceServers: iceServers };
-
-      peerConnection.current = new RTCPeerConnection(configuration);
-      addMessageToLogs('WebRTC', 'New RTCPeerConnection initiated with configured ICE servers.');
-
-      if (localStream.current) {
-          localStream.current.getTracks().forEach(track => {
-              peerConnection.current.addTrack(track, localStream.current);
-          });
-          addMessageToLogs('WebRTC', 'Local audio track added to PeerConnection.');
-      } else {
-          console.warn('Local stream not available when initiating peer connection. Requesting it now.');
-          addMessageToLogs('Error', 'Local microphone not available for call. Attempting to re-acquire.');
-          requestMicrophoneAccess();
-          return;
+      const iceConfig = await response.json();
+      if (!Array.isArray(iceConfig.iceServers) || iceConfig.iceServers.length === 0) {
+        throw new Error('empty ICE server list');
       }
+      addMessageToLogs('ICE', `Using ICE servers from backend (provider: ${iceConfig.provider}${iceConfig.fallback ? ', fallback' : ''}).`);
+      return iceConfig.iceServers;
+    } catch (error) {
+      console.error('Error fetching ICE servers from backend:', error);
+      addMessageToLogs('ICE Warning', `Could not fetch ICE servers (${error.message}). Falling back to STUN only.`);
+      return FALLBACK_ICE_SERVERS;
+    }
+  };
 
-      peerConnection.current.ontrack = (event) => {
-          if (remoteAudioRef.current && event.streams && event.streams[0]) {
-              remoteAudioRef.current.srcObject = event.streams[0];
-              remoteAudioRef.current.play().catch(e => console.error("Error playing remote audio:", e));
-              addMessageToLogs('WebRTC', 'Remote audio stream received and playing!');
-          }
-      };
-
-      peerConnection.current.onicecandidate = (event) => {
-          if (event.candidate) {
-              if (ws.current && ws.current.readyState === WebSocket.OPEN) {
-                  ws.current.send(JSON.stringify({
-                      type: 'candidate',
-                      payload: { candidate: event.candidate }
-                  }));
-                  addMessageToLogs('WebRTC TX', 'Sent ICE candidate.');
-              }
-          }
-      };
-
-      peerConnection.current.oniceconnectionstatechange = () => {
-          console.log(`ICE connection state changed: ${peerConnection.current.iceConnectionState}`);
-          addMessageToLogs('WebRTC', `ICE state: ${peerConnection.current.iceConnectionState}`);
-          if (peerConnection.current.iceConnectionstate === 'failed' || peerConnection.current.iceConnectionState === 'disconnected') {
-              addMessageToLogs('WebRTC Error', 'WebRTC connection failed or disconnected. Prompting change partner.');
-          }
-      };
-
-      peerConnection.current.onnegotiationneeded = async () => {
-          console.log("onnegotiationneeded fired. This is fine if we're creating an offer, otherwise it might indicate re-negotiation needs.");
-      };
-  };
-
-  const createOffer = async () => {
-    if (!peerConnection.current) {
-        console.error('PeerConnection not initialized to create offer. This should not happen.');
-        addMessageToLogs('Error', 'WebRTC: Cannot create offer, PC not ready.');
+  const handleJoinRoom = async (name) => {
+    if (!localStream.current) {
+      await requestMicrophoneAccess();
+      if (!localStream.current) {
+        addMessageToLogs('Error', 'Microphone access still not granted. Cannot join a room.');
         return;
+      }
     }
-    try {
-        const offer = await peerConnection.current.createOffer();
-        await peerConnection.current.setLocalDescription(offer);
-        if (ws.current && ws.current.readyState === WebSocket.OPEN) {
-            ws.current.send(JSON.stringify({
-                type: 'offer',
-                payload: { sdp: peerConnection.current.localDescription }
-            }));
-            addMessageToLogs('WebRTC TX', 'Sent SDP Offer.');
-        }
-    } catch (e) {
-        console.error('Error creating or setting offer:', e);
-        addMessageToLogs('Error', 'WebRTC: Error creating offer.');
+    if (!client.isOpen || !authenticatedUser) {
+      return;
     }
+    // Les connexions vers les membres sont créées à la volée : la configuration ICE doit être prête avant.
+    roomMesh.setIceServers(await fetchIceServers());
+    client.send('room_join', { name });
+    addMessageToLogs('You TX', `Joining room ${name}...`);
   };
 
-  const handleOffer = async (sdp) => {
-      if (!peerConnection.current) {
-          addMessageToLogs('WebRTC Warning', 'PeerConnection not initialized for incoming offer. Initializing...');
-          initiatePeerConnection();
-      }
-      try {
-          await peerConnection.current.setRemoteDescription(new RTCSessionDescription(sdp));
-          addMessageToLogs('WebRTC', 'Received SDP Offer, setting remote description.');
-
-          const answer = await peerConnection.current.createAnswer();
-          await peerConnection.current.setLocalDescription(answer);
-          if (ws.current && ws.current.readyState === WebSocket.OPEN) {
-              ws.current.send(JSON.stringify({
-                  type: 'answer',
-                  payload: { sdp: peerConnection.current.localDescription }
-              }));
-              addMessageToLogs('WebRTC TX', 'Created and sent SDP Answer.');
-          }
-      } catch (e) {
-          console.error('Error handling offer:', e);
-          addMessageToLogs('Error', 'WebRTC: Error handling offer.');
-      }
+  const handleLeaveRoom = () => {
+    if (client.isOpen) {
+      client.send('room_leave');
+      addMessageToLogs('You TX', 'Leaving room...');
+    }
   };
 
-  const handleAnswer = async (sdp) => {
-      if (!peerConnection.current) {
-          console.error('PeerConnection not initialized when handling answer.');
-          addMessageToLogs('Error', 'WebRTC: PC not ready for answer.');
-          return;
-      }
-      try {
-          await peerConnection.current.setRemoteDescription(new RTCSessionDescription(sdp));
-          addMessageToLogs('WebRTC', 'Received SDP Answer, setting remote description.');
-      } catch (e) {
-          console.error('Error handling answer:', e);
-          addMessageToLogs('Error', 'WebRTC: Error handling answer.');
-      }
+  const handleRefreshRooms = () => {
+    if (client.isOpen) {
+      client.send('room_list');
+    }
   };
 
-  const handleCandidate = async (candidate) => {
-      if (!peerConnection.current) {
-          console.error('PeerConnection not initialized when handling candidate.');
-          addMessageToLogs('WebRTC Warning', 'PC not ready for candidate, will queue if possible or drop.');
-          return;
-      }
-      try {
-          await peerConnection.current.addIceCandidate(new RTCIceCandidate(candidate));
-          addMessageToLogs('WebRTC', 'Added ICE candidate.');
-      }
-      catch (e) {
-          console.error('Error adding ICE candidate:', e);
-          addMessageToLogs('Error', `WebRTC: Error adding ICE candidate: ${e.message}.`);
-      }
-  };
+  // La liste des canaux est demandée une fois connecté ; ensuite, à la demande.
+  useEffect(() => {
+    if (isConnected && authenticatedUser) {
+      client.send('room_list');
+    }
+  }, [client, isConnected, authenticatedUser]);
 
   const handleJoinMatchmaking = async () => {
     if (!localStream.current) {
         addMessageToLogs('Error', 'Microphone access required to join matchmaking.');
-        alert('Please allow microphone access to join Vocaline.');
+        alert(t('mic.allowToJoin'));
         await requestMicrophoneAccess();
         if (!localStream.current) {
             addMessageToLogs('Error', 'Microphone access still not granted. Cannot join.');
@@ -384,50 +866,152 @@ function App() {
         }
     }
 
-    if (ws.current && ws.current.readyState === WebSocket.OPEN && username.trim() !== '') {
-      ws.current.send(JSON.stringify({ type: 'join', payload: { username: username.trim() } }));
-      addMessageToLogs('You TX', `Joining as ${username.trim()}...`);
-    } else if (username.trim() === '') {
-      alert('Please enter a username to join matchmaking.');
+    if (authenticatedUser && client.join({ languages, topic: topic || null, hardLanguages, hardTopic })) {
+      addMessageToLogs('You TX', `Joining as ${authenticatedUser}...`);
+    } else if (!authenticatedUser) {
+      alert(t('join.loginRequired'));
     } else {
       addMessageToLogs('System', 'Not connected to server yet.');
     }
   };
 
   const handleChangePartner = () => {
-    if (ws.current && ws.current.readyState === WebSocket.OPEN) {
+    if (client.changePartner()) {
       addMessageToLogs('You TX', 'Requesting new partner...');
-      ws.current.send(JSON.stringify({ type: 'change_partner' }));
-      
-      setCurrentStatus('waiting_for_match');
       setPartnerUsername(null);
-      cleanupWebRTC();
     }
   };
 
   const handleDisconnect = () => {
-    if (ws.current && ws.current.readyState === WebSocket.OPEN) {
+    if (client.leaveMatchmaking()) {
       addMessageToLogs('You TX', 'Disconnecting from Vocaline...');
-      ws.current.send(JSON.stringify({ type: 'disconnect_from_matchmaking' }));
-      
-      cleanupWebRTC();
       if (localStream.current) {
         localStream.current.getTracks().forEach(track => track.stop());
         localStream.current = null;
+        client.setLocalStream(null);
+        if (localMeter.current) {
+          localMeter.current.disconnect();
+          localMeter.current = null;
+        }
         addMessageToLogs('WebRTC Cleanup', 'Local stream tracks stopped on full disconnect.');
       }
     }
   };
 
+  const handleBlockPartner = () => {
+    if (client.isOpen) {
+      client.send('block_user');
+      addMessageToLogs('You TX', `Blocking ${lastPartner}...`);
+    }
+  };
+
+  // --- Friends: requests go to the current or last partner, invitations to a friend ---
+  const handleAddFriend = () => {
+    if (client.send('friend_request')) {
+      addMessageToLogs('You TX', `Sending a friend request to ${lastPartner}...`);
+    }
+  };
+
+  const handleFriendRequestAnswer = (accountId, accept) => {
+    client.send('friend_respond', { accountId, accept });
+  };
+
+  const handleRemoveFriend = (friend) => {
+    if (window.confirm(t('friends.confirmRemove', { username: friend.username }))) {
+      client.send('friend_remove', { accountId: friend.accountId });
+    }
+  };
+
+  const handleInviteFriend = (friend) => {
+    setFriendNotice(null);
+    if (client.send('invite', { accountId: friend.accountId })) {
+      addMessageToLogs('You TX', `Inviting ${friend.username} to a call...`);
+    }
+  };
+
+  const handleAcceptInvite = async () => {
+    const invite = incomingInvite;
+    setIncomingInvite(null);
+    if (!localStream.current) {
+      await requestMicrophoneAccess();
+      if (!localStream.current) {
+        addMessageToLogs('Error', 'Microphone access required to accept an invitation.');
+        return;
+      }
+    }
+    if (client.send('accept_invite', { inviteId: invite.inviteId })) {
+      addMessageToLogs('You TX', `Accepting ${invite.username}'s invitation...`);
+    }
+  };
+
+  const handleDeclineInvite = () => {
+    client.send('decline_invite', { inviteId: incomingInvite.inviteId });
+    setIncomingInvite(null);
+  };
+
+  // Une invitation sans réponse expire : on retire la bannière en même temps que le serveur.
+  useEffect(() => {
+    if ((!incomingInvite && !outgoingInvite) || serverSettings.inviteTtlMs === null) {
+      return undefined;
+    }
+    const timer = setTimeout(() => {
+      setIncomingInvite(null);
+      setOutgoingInvite(null);
+    }, serverSettings.inviteTtlMs);
+    return () => clearTimeout(timer);
+  }, [incomingInvite, outgoingInvite, serverSettings.inviteTtlMs]);
+
+  // --- Post-call rating: the thumbs keep only the tags that go with them ---
+  const handleRatingChoice = (rating) => {
+    setPendingRating(current => ({
+      ...current,
+      rating,
+      tags: current.tags.filter(tag => RATING_TAG_OPTIONS.find(option => option.value === tag).rating === rating),
+    }));
+  };
+
+  const handleRatingTagToggle = (tag) => {
+    setPendingRating(current => ({
+      ...current,
+      tags: current.tags.includes(tag) ? current.tags.filter(other => other !== tag) : [...current.tags, tag],
+    }));
+  };
+
+  const handleSendRating = () => {
+    if (!pendingRating || !pendingRating.rating) {
+      return;
+    }
+    const { callId, partnerUsername: ratedUsername, rating, tags } = pendingRating;
+    if (client.send('rate_call', { callId, rating, tags })) {
+      addMessageToLogs('You TX', `Rating ${ratedUsername} ${rating}${tags.length > 0 ? ` (${tags.join(', ')})` : ''}...`);
+    } else {
+      addMessageToLogs('Error', 'Not connected: the rating could not be sent.');
+    }
+  };
+
+  const handleReportPartner = () => {
+    if (client.isOpen) {
+      client.send('report_user', { reason: reportReason, details: reportDetails.trim() });
+      addMessageToLogs('You TX', `Reporting ${lastPartner} (${reportReason})...`);
+      if (blockAfterReport) {
+        handleBlockPartner();
+      }
+      setShowReportForm(false);
+      setReportDetails('');
+    }
+  };
+
   const handleMuteToggle = () => {
     if (localStream.current) {
       const audioTrack = localStream.current.getAudioTracks()[0];
       if (audioTrack) {
-        audioTrack.enabled = !audioTrack.enabled;
-        addMessageToLogs('You', `Microphone ${audioTrack.enabled ? 'unmuted' : 'muted'}.`);
-        if (ws.current && ws.current.readyState === WebSocket.OPEN && currentStatus === 'in-call') {
-            ws.current.send(JSON.stringify({ type: 'mute', payload: { isMuted: !audioTrack.enabled } }));
-            addMessageToLogs('You TX', `Sent mute status: ${!audioTrack.enabled}`);
+        const isMuted = audioTrack.enabled;
+        const inConversation = currentStatus === 'in-call' || Boolean(currentRoom);
+        client.mute(isMuted, { notify: inConversation });
+        setIsMicMuted(isMuted);
+        addMessageToLogs('You', `Microphone ${isMuted ? 'muted' : 'unmuted'}.`);
+        if (inConversation && client.isOpen) {
+            addMessageToLogs('You TX', `Sent mute status: ${isMuted}`);
         }
       } else {
           addMessageToLogs('Error', 'No audio track found to mute/unmute.');
@@ -437,92 +1021,779 @@ function App() {
     }
   };
 
-  const isJoinButtonDisabled = !isConnected || currentStatus === 'waiting_for_match' || currentStatus === 'in-call' || username.trim() === '' || !localStream.current;
+  // --- Push-to-talk: the audio track is only enabled while the button or key is held ---
+  const isInConversation = currentStatus === 'in-call' || Boolean(currentRoom);
+
+  const sendTalkState = (isTalking) => {
+    if (client.isOpen && isInConversation) {
+      client.send('talk_state', { isTalking, rogerBeep: !isTalking && rogerBeep });
+    }
+  };
+
+  const handleTalkStart = () => {
+    const audioTrack = localStream.current && localStream.current.getAudioTracks()[0];
+    // Une touche maintenue se répète : on n'émet qu'une fois par appui.
+    if (talkModeRef.current !== 'push_to_talk' || !audioTrack || transmitting.current) {
+      return;
+    }
+    transmitting.current = true;
+    audioTrack.enabled = true;
+    setIsTransmitting(true);
+    sendTalkState(true);
+  };
+
+  const handleTalkEnd = () => {
+    if (!transmitting.current) {
+      return;
+    }
+    transmitting.current = false;
+    const audioTrack = localStream.current && localStream.current.getAudioTracks()[0];
+    if (audioTrack) {
+      audioTrack.enabled = false;
+    }
+    setIsTransmitting(false);
+    sendTalkState(false);
+    if (rogerBeep && isInConversation) {
+      playRogerBeep();
+    }
+  };
+
+  const handleTalkModeChange = (mode) => {
+    handleTalkEnd();
+    talkModeRef.current = mode;
+    setTalkMode(mode);
+    localStorage.setItem(TALK_MODE_STORAGE_KEY, mode);
+    const audioTrack = localStream.current && localStream.current.getAudioTracks()[0];
+    if (audioTrack) {
+      audioTrack.enabled = mode === 'open_mic';
+    }
+    setIsMicMuted(false);
+    // Le mode push-to-talk remplace la coupure du micro : on efface un éventuel « micro coupé » chez les autres.
+    if (client.isOpen && isInConversation) {
+      client.send('mute', { isMuted: false });
+    }
+    addMessageToLogs('You', `Talk mode: ${mode}.`);
+  };
+
+  const handleRogerBeepChange = (enabled) => {
+    setRogerBeep(enabled);
+    localStorage.setItem(ROGER_BEEP_STORAGE_KEY, String(enabled));
+  };
+
+  // La barre d'espace sert de bouton d'émission, sauf pendant la saisie d'un texte.
+  const pushToTalkHandlers = useRef({});
+  pushToTalkHandlers.current = { start: handleTalkStart, end: handleTalkEnd };
+  useEffect(() => {
+    if (talkMode !== 'push_to_talk') {
+      return undefined;
+    }
+    const isTyping = (event) => ['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName);
+    const onKeyDown = (event) => {
+      if (event.code === PUSH_TO_TALK_KEY_CODE && !isTyping(event)) {
+        event.preventDefault();
+        pushToTalkHandlers.current.start();
+      }
+    };
+    const onKeyUp = (event) => {
+      if (event.code === PUSH_TO_TALK_KEY_CODE) {
+        pushToTalkHandlers.current.end();
+      }
+    };
+    // Fenêtre quittée touche enfoncée : le relâchement ne nous parviendra jamais.
+    const onBlur = () => pushToTalkHandlers.current.end();
+    window.addEventListener('keydown', onKeyDown);
+    window.addEventListener('keyup', onKeyUp);
+    window.addEventListener('blur', onBlur);
+    return () => {
+      window.removeEventListener('keydown', onKeyDown);
+      window.removeEventListener('keyup', onKeyUp);
+      window.removeEventListener('blur', onBlur);
+    };
+  }, [talkMode]);
+
+  const handleSendChat = (payload) => {
+    if (client.isOpen && currentStatus === 'in-call') {
+      client.send('chat_message', payload);
+      addChatMessage({
+        id: `mine-${Date.now()}-${Math.random()}`,
+        mine: true,
+        username: authenticatedUser,
+        text: payload.text || null,
+        quickReply: payload.quickReply || null,
+      });
+      addMessageToLogs('You TX', `Chat: ${chatMessageText(payload, t, serverSettings.quickReplies)}`);
+    }
+  };
+
+  const handleSendChatDraft = () => {
+    const text = chatDraft.trim();
+    if (text !== '') {
+      handleSendChat({ text });
+      setChatDraft('');
+    }
+  };
+
+  // Le chat ne survit pas à l'appel : on l'efface dès qu'on n'est plus en communication.
+  useEffect(() => {
+    if (currentStatus !== 'in-call' && currentStatus !== 'reconnecting') {
+      setChatMessages([]);
+      setChatDraft('');
+      setPartnerTalking(false);
+      setPartnerSpeaking(false);
+    }
+  }, [currentStatus]);
+
+  // --- Network change mid-call (navigator.connection, Chrome Android): restart ICE right away ---
+  const networkChangeHandler = useRef(() => {});
+  networkChangeHandler.current = (networkType) => {
+    addMessageToLogs('WebRTC', `Network changed to ${networkType}. Restarting ICE.`);
+    client.restartIce('network change');
+  };
+  useEffect(() => {
+    const connection = navigator.connection;
+    if (currentStatus !== 'in-call' || !connection || !connection.addEventListener) {
+      return undefined;
+    }
+    // 'change' se déclenche aussi quand le débit estimé varie : seul un changement de type de réseau compte.
+    let networkType = connection.type;
+    const onChange = () => {
+      if (connection.type && connection.type !== networkType) {
+        networkType = connection.type;
+        networkChangeHandler.current(networkType);
+      }
+    };
+    connection.addEventListener('change', onChange);
+    return () => connection.removeEventListener('change', onChange);
+  }, [currentStatus]);
+
+  // --- Call quality: poll getStats() during a 1:1 call for the badge and the end-of-call summary ---
+  useEffect(() => {
+    if (currentStatus !== 'in-call') {
+      setCallQuality(null);
+      return undefined;
+    }
+    const timer = setInterval(async () => {
+      const pc = client.peerConnection;
+      const stats = callStats.current;
+      if (!pc || !stats) {
+        return;
+      }
+      try {
+        const sample = await readCallStats(pc);
+        // Pertes sur le dernier intervalle pour le badge ; les compteurs cumulés servent au résumé.
+        const intervalLoss = lossPercent(sample.packetsLost - stats.packetsLost, sample.packetsReceived - stats.packetsReceived);
+        stats.samples += 1;
+        stats.packetsLost = Math.max(stats.packetsLost, sample.packetsLost);
+        stats.packetsReceived = Math.max(stats.packetsReceived, sample.packetsReceived);
+        stats.candidateType = sample.candidateType !== 'unknown' ? sample.candidateType : stats.candidateType;
+        if (sample.rttMs !== null) {
+          stats.rttTotal += sample.rttMs;
+          stats.rttSamples += 1;
+        }
+        if (sample.jitterMs !== null) {
+          stats.jitterTotal += sample.jitterMs;
+          stats.jitterSamples += 1;
+        }
+        const measured = { lossPercent: Math.max(0, intervalLoss), rttMs: sample.rttMs, jitterMs: sample.jitterMs };
+        setCallQuality({ ...measured, level: classifyQuality(measured), candidateType: stats.candidateType });
+      } catch (e) {
+        console.error('Error reading call stats:', e);
+      }
+    }, CALL_STATS_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [client, currentStatus]);
+
+  // --- Audio levels: sample both sides while in a call or a room, and share our voice activity ---
+  useEffect(() => {
+    if (!isInConversation) {
+      return undefined;
+    }
+    let speaking = false;
+    let speakingUntil = 0;
+    let lastSoundAt = Date.now();
+    let micSilent = false;
+    const timer = setInterval(() => {
+      const now = Date.now();
+      const audioTrack = localStream.current && localStream.current.getAudioTracks()[0];
+      const micOpen = Boolean(audioTrack && audioTrack.enabled);
+      const level = readLocalLevel();
+
+      // Un court maintien évite que l'indicateur clignote entre deux mots.
+      if (level >= SPEAKING_LEVEL_THRESHOLD) {
+        speakingUntil = now + SPEAKING_HOLD_MS;
+      }
+      if ((now < speakingUntil) !== speaking) {
+        speaking = now < speakingUntil;
+        setIsSpeaking(speaking);
+        if (client.isOpen) {
+          client.send('speaking_state', { isSpeaking: speaking });
+        }
+      }
+
+      // Micro coupé (volontairement ou en push-to-talk au repos) : le silence est alors normal.
+      if (!micOpen || level > SILENT_MIC_LEVEL) {
+        lastSoundAt = now;
+      }
+      if ((now - lastSoundAt >= SILENT_MIC_WARNING_MS) !== micSilent) {
+        micSilent = !micSilent;
+        setMicSeemsSilent(micSilent);
+      }
+    }, LEVEL_SAMPLE_INTERVAL_MS);
+
+    return () => {
+      clearInterval(timer);
+      setIsSpeaking(false);
+      setMicSeemsSilent(false);
+    };
+  }, [client, isInConversation, readLocalLevel]);
+
+  const handleFeedbackSubmit = async () => {
+    const message = feedbackText.trim();
+    if (message === '') {
+      return;
+    }
+    setFeedbackStatus('sending');
+    setFeedbackError(null);
+    try {
+      // L'auteur est le compte du jeton de connexion (anonyme sans jeton), jamais un nom saisi.
+      const response = await fetch(`${BACKEND_HTTP_URL}/feedback`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(authToken.current ? { Authorization: `Bearer ${authToken.current}` } : {}),
+        },
+        body: JSON.stringify({
+          message,
+          callId: lastCallId,
+        }),
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || `HTTP ${response.status}`);
+      }
+      setFeedbackText('');
+      setFeedbackStatus('sent');
+      addMessageToLogs('System', 'Feedback sent. Thank you!');
+    } catch (error) {
+      console.error('Error sending feedback:', error);
+      setFeedbackStatus('error');
+      setFeedbackError(error.message);
+      addMessageToLogs('Error', `Failed to send feedback: ${error.message}`);
+    }
+  };
+
+  const handleLanguageToggle = (code) => {
+    setLanguages(prev => (prev.includes(code) ? prev.filter(language => language !== code) : [...prev, code]));
+  };
+
+  const isJoinButtonDisabled = !isConnected || currentStatus === 'waiting_for_match' || currentStatus === 'in-call' || !authenticatedUser || !localStream.current || Boolean(currentRoom);
+  const isRoomJoinDisabled = !isConnected || currentStatus === 'waiting_for_match' || currentStatus === 'in-call' || !authenticatedUser;
   useEffect(() => {
     console.log('--- Button Disabled State Check ---');
     console.log('!isConnected:', !isConnected);
     console.log('currentStatus === "waiting_for_match":', currentStatus === 'waiting_for_match');
     console.log('currentStatus === "in-call":', currentStatus === 'in-call');
-    console.log('username.trim() === "":', username.trim() === '');
+    console.log('!authenticatedUser:', !authenticatedUser);
     console.log('!localStream.current:', !localStream.current);
     console.log('-----------------------------------');
-  }, [isConnected, currentStatus, username, localStream.current]);
+  }, [isConnected, currentStatus, authenticatedUser, localStream.current]);
+
+  // --- In the cab: screen kept on, car kit / steering wheel buttons, lock screen ---
+  // L'écran reste allumé pendant un appel, un canal ou la recherche d'un partenaire (sinon le téléphone
+  // se verrouille dans son support et le navigateur peut suspendre l'appel).
+  const isSearchingOrTalking = isInConversation || currentStatus === 'waiting_for_match' || currentStatus === 'reconnecting';
+  useWakeLock(isSearchingOrTalking);
+
+  // Piste suivante / précédente : changer de partenaire. Lecture / pause : réactiver / couper le micro
+  // (micro ouvert seulement, en push-to-talk c'est le bouton d'émission qui compte).
+  const setMicMuted = (muted) => {
+    if (muted !== isMicMuted) {
+      handleMuteToggle();
+    }
+  };
+  const canChangePartner = currentStatus === 'in-call' || currentStatus === 'waiting_for_match';
+  const canToggleMute = talkMode === 'open_mic' && isInConversation;
+  // Sur l'écran verrouillé : le nom du partenaire, du canal, ou la recherche en cours.
+  let lockScreenTitle = null;
+  if (currentStatus === 'in-call') {
+    lockScreenTitle = partnerUsername;
+  } else if (currentRoom) {
+    lockScreenTitle = currentRoom.name;
+  } else if (currentStatus === 'waiting_for_match') {
+    lockScreenTitle = t('status.waiting_for_match');
+  }
+  useMediaSession({
+    metadata: lockScreenTitle ? { title: lockScreenTitle, artist: 'Vocaline' } : null,
+    playbackState: isInConversation ? (isMicMuted ? 'paused' : 'playing') : 'none',
+    actions: {
+      ...(canChangePartner && { nexttrack: handleChangePartner, previoustrack: handleChangePartner }),
+      ...(canToggleMute && { play: () => setMicMuted(false), pause: () => setMicMuted(true) }),
+    },
+  });
 
 
   return (
     <div className="App">
       <header className="App-header">
         <h1>Vocaline 🎤</h1>
-        <p className="tagline">Connectez-vous par la voix avec d'autres chauffeurs routiers</p>
+        <p className="tagline">{t('app.tagline')}</p>
+        <label className="locale-switcher">
+          <span>🌐 {t('app.interfaceLanguage')}</span>
+          <select value={locale} onChange={(e) => setLocale(e.target.value)} aria-label={t('app.interfaceLanguage')}>
+            {LOCALES.map(option => (
+              <option key={option.code} value={option.code} lang={option.code}>{option.label}</option>
+            ))}
+          </select>
+        </label>
       </header>
 
+      {updateRequired && (
+        <div className="update-banner">
+          {t('app.updateAvailable')}
+          <button onClick={() => window.location.reload()}>{t('app.refresh')}</button>
+        </div>
+      )}
+
+      {serverNotice && <p className="server-notice" role="status">{t(serverNotice.key, serverNotice.params)}</p>}
+
       <section className="realtime-stats-section">
-        <h2>Statistiques en temps réel</h2>
+        <h2>{t('stats.title')}</h2>
         <div className="stats-grid">
           <div className="stat-item">
-            <span className="stat-label">Utilisateurs connectés:</span>
+            <span className="stat-label">{t('stats.connectedUsers')}</span>
             <span className="stat-value">{realtimeStats.connectedUsers}</span>
           </div>
           <div className="stat-item">
-            <span className="stat-label">En attente:</span>
+            <span className="stat-label">{t('stats.waitingUsers')}</span>
             <span className="stat-value">{realtimeStats.waitingUsers}</span>
           </div>
           <div className="stat-item">
-            <span className="stat-label">Conversations actives:</span>
+            <span className="stat-label">{t('stats.activeConversations')}</span>
             <span className="stat-value">{realtimeStats.activeConversations}</span>
           </div>
         </div>
       </section>
 
       <section className="join-vocaline-section">
-        <h2>Rejoindre Vocaline</h2>
-        <div className="input-group">
-          <label htmlFor="username">Votre nom d'utilisateur:</label>
-          <input
-            id="username"
-            type="text"
-            value={username}
-            onChange={(e) => setUsername(e.target.value)}
-            placeholder="Ex: TruckerMike"
-            disabled={isConnected && (currentStatus === 'waiting_for_match' || currentStatus === 'in-call')}
-          />
-        </div>
+        <h2>{t('join.title')}</h2>
+        {authenticatedUser ? (
+          <div className="account-info">
+            {t('join.loggedInAs')} <strong>{authenticatedUser}</strong>
+            <button onClick={handleLogout} disabled={currentStatus === 'waiting_for_match' || currentStatus === 'in-call' || Boolean(currentRoom)}>
+              {t('join.switchAccount')}
+            </button>
+          </div>
+        ) : (
+          <div className="account-form">
+            <div className="input-group">
+              <label htmlFor="username">{t('join.usernameLabel')}</label>
+              <input
+                id="username"
+                type="text"
+                value={username}
+                onChange={(e) => setUsername(e.target.value)}
+                placeholder={t('join.usernamePlaceholder')}
+                maxLength={20}
+              />
+            </div>
+            <div className="input-group">
+              <label htmlFor="secret">{t('join.secretLabel')}</label>
+              <input
+                id="secret"
+                type="password"
+                value={secret}
+                onChange={(e) => setSecret(e.target.value)}
+                placeholder={t('join.secretPlaceholder')}
+                autoComplete="current-password"
+              />
+            </div>
+            <label className="inline-option">
+              <input type="checkbox" checked={rememberMe} onChange={(e) => setRememberMe(e.target.checked)} />
+              {t('join.rememberMe')}
+            </label>
+            {authError && <p className="auth-error">{t(authError.key, authError.params)}</p>}
+            {suspendedUntil && (
+              <p className="auth-error">
+                {t('join.suspended', { date: new Date(suspendedUntil).toLocaleString(locale) })}
+              </p>
+            )}
+            <div>
+              <button onClick={() => handleAuthenticate('login')} disabled={!isConnected || username.trim() === '' || secret === ''}>
+                {t('join.login')}
+              </button>
+              <button onClick={() => handleAuthenticate('register')} disabled={!isConnected || username.trim() === '' || secret === ''}>
+                {t('join.register')}
+              </button>
+            </div>
+          </div>
+        )}
+        <fieldset className="preferences-group" disabled={currentStatus === 'waiting_for_match' || currentStatus === 'in-call'}>
+          <legend>{t('join.languages')}</legend>
+          <div className="language-options">
+            {LANGUAGE_OPTIONS.map(option => (
+              <label key={option.code} className="inline-option">
+                <input
+                  type="checkbox"
+                  checked={languages.includes(option.code)}
+                  onChange={() => handleLanguageToggle(option.code)}
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+          <label className="inline-option">
+            <input type="checkbox" checked={hardLanguages} onChange={(e) => setHardLanguages(e.target.checked)} />
+            {t('join.hardLanguages')}
+          </label>
+        </fieldset>
+        <fieldset className="preferences-group" disabled={currentStatus === 'waiting_for_match' || currentStatus === 'in-call'}>
+          <legend>{t('join.topic')}</legend>
+          <select value={topic} onChange={(e) => setTopic(e.target.value)}>
+            {TOPIC_OPTIONS.map(value => (
+              <option key={value} value={value}>{t(topicLabelKey(value))}</option>
+            ))}
+          </select>
+          <label className="inline-option">
+            <input type="checkbox" checked={hardTopic} onChange={(e) => setHardTopic(e.target.checked)} disabled={topic === ''} />
+            {t('join.hardTopic')}
+          </label>
+        </fieldset>
         <button
           onClick={handleJoinMatchmaking}
           disabled={isJoinButtonDisabled}
         >
-          Rejoindre le matchmaking
+          {t('join.joinMatchmaking')}
         </button>
       </section>
 
+      <section className="group-rooms-section">
+        <h2>{t('rooms.title')}</h2>
+        {currentRoom ? (
+          <div className="room-panel">
+            <p className="active-call-indicator">
+              {t('rooms.current', { name: currentRoom.name, count: roomParticipants.length + 1, capacity: currentRoom.capacity })}
+            </p>
+            <ul className="room-participants">
+              <li><strong>{authenticatedUser}</strong> {t('rooms.you')}</li>
+              {roomParticipants.map(participant => (
+                <li key={participant.userId}>
+                  <strong>{participant.username}</strong>
+                  {(participant.isTalking || participant.isSpeaking) && <span className="talking-indicator" title={t('rooms.talking')}> 🗣️</span>}
+                  {participant.isMuted && <span className="muted-indicator" title={t('rooms.muted')}> 🔇</span>}
+                  {roomConnectionLabelKey(participant.connectionState) && (
+                    <span className="participant-state"> ({t(roomConnectionLabelKey(participant.connectionState))})</span>
+                  )}
+                </li>
+              ))}
+            </ul>
+            {roomParticipants.length === 0 && <p className="room-empty">{t('rooms.alone')}</p>}
+            {talkMode === 'open_mic' && (
+              <button onClick={handleMuteToggle} disabled={!localStream.current}>{t(isMicMuted ? 'common.unmute' : 'common.mute')}</button>
+            )}
+            <button onClick={handleLeaveRoom}>{t('rooms.leave')}</button>
+          </div>
+        ) : (
+          <div className="room-lobby">
+            <div className="room-join">
+              <input
+                type="text"
+                value={roomNameDraft}
+                onChange={(e) => setRoomNameDraft(e.target.value)}
+                placeholder={t('rooms.namePlaceholder')}
+                maxLength={ROOM_NAME_MAX_LENGTH}
+              />
+              <button onClick={() => handleJoinRoom(roomNameDraft.trim())} disabled={isRoomJoinDisabled || roomNameDraft.trim().length < 2}>
+                {t('rooms.joinOrCreate')}
+              </button>
+            </div>
+            {roomList.length === 0 ? (
+              <p className="room-empty">{t('rooms.none')}</p>
+            ) : (
+              <ul className="room-list">
+                {roomList.map(room => (
+                  <li key={room.name}>
+                    <span>{room.name} · {room.memberCount}/{room.capacity}</span>
+                    <button onClick={() => handleJoinRoom(room.name)} disabled={isRoomJoinDisabled || room.memberCount >= room.capacity}>
+                      {room.memberCount >= room.capacity ? t('rooms.full') : t('rooms.join')}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <button onClick={handleRefreshRooms} disabled={!isConnected || !authenticatedUser}>{t('rooms.refresh')}</button>
+          </div>
+        )}
+      </section>
+
+      {authenticatedUser && (
+        <section className="friends-section">
+          <h2>{t('friends.title')}</h2>
+          {incomingInvite && (
+            <div className="invite-banner">
+              <span>{t('friends.inviteReceived', { username: incomingInvite.username })}</span>
+              <button onClick={handleAcceptInvite} disabled={isInConversation}>{t('common.accept')}</button>
+              <button className="danger-button" onClick={handleDeclineInvite}>{t('common.decline')}</button>
+            </div>
+          )}
+          {outgoingInvite && <p className="invite-pending">{t('friends.invitePending', { username: outgoingInvite.username })}</p>}
+          {friendNotice && <p className="friend-notice">{t(friendNotice.key, friendNotice.params)}</p>}
+          {friendRequests.length > 0 && (
+            <ul className="friend-requests">
+              {friendRequests.map(request => (
+                <li key={request.accountId}>
+                  <span>{t('friends.requestReceived', { username: request.username })}</span>
+                  <span>
+                    <button onClick={() => handleFriendRequestAnswer(request.accountId, true)}>{t('common.accept')}</button>
+                    <button className="danger-button" onClick={() => handleFriendRequestAnswer(request.accountId, false)}>{t('common.decline')}</button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+          {friends.length === 0 ? (
+            <p className="friends-empty">{t('friends.empty')}</p>
+          ) : (
+            <ul className="friend-list">
+              {friends.map(friend => (
+                <li key={friend.accountId}>
+                  <span>
+                    <span className={`presence-dot presence-${friend.presence}`} aria-hidden="true"></span>
+                    <strong>{friend.username}</strong> <span className="presence-label">{t(`presence.${friend.presence}`)}</span>
+                  </span>
+                  <span>
+                    <button
+                      onClick={() => handleInviteFriend(friend)}
+                      disabled={isInConversation || Boolean(outgoingInvite) || (friend.presence !== 'online' && friend.presence !== 'waiting')}
+                    >
+                      {t('friends.invite')}
+                    </button>
+                    <button className="danger-button" onClick={() => handleRemoveFriend(friend)}>{t('friends.remove')}</button>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </section>
+      )}
+
       <section className="voice-conversation-section">
-        <h2>Conversation vocale</h2>
+        <h2>{t('call.title')}</h2>
         <p className="connection-status">
-          Statut de connexion: <strong>{currentStatus === 'in-call' ? `Connecté avec ${partnerUsername}` : currentStatus.replace(/_/g, ' ')}</strong>
+          {t('call.connectionStatus')} <strong>{currentStatus === 'in-call' ? t('status.inCallWith', { username: partnerUsername }) : t(`status.${currentStatus}`)}</strong>
         </p>
         {currentStatus === 'in-call' && (
           <p className="active-call-indicator">
-            📞 Appel vocal actif avec {partnerUsername}
+            {t('call.active', { username: partnerUsername })}
+            {matchContext && matchContext.topic && (
+              <> · {t('call.topic', { topic: t(topicLabelKey(matchContext.topic)) })}</>
+            )}
+            {matchContext && matchContext.commonLanguages.length > 0 && (
+              <> · {t('call.languages', { languages: matchContext.commonLanguages.join(', ').toUpperCase() })}</>
+            )}
+          </p>
+        )}
+        {currentStatus === 'in-call' && callQuality && (
+          <p
+            className={`quality-badge ${callQuality.level}`}
+            title={t('quality.connection', { type: t(`candidate.${callQuality.candidateType}`) })}
+          >
+            {t('quality.label', { level: t(`quality.${callQuality.level}`) })}
+            {callQuality.rttMs !== null && <> · {Math.round(callQuality.rttMs)} ms</>}
+            {callQuality.jitterMs !== null && <> · {t('quality.jitter', { ms: Math.round(callQuality.jitterMs) })}</>}
+            {' '}· {t('quality.loss', { percent: callQuality.lossPercent.toFixed(1) })} · {t(`candidate.${callQuality.candidateType}`)}
+          </p>
+        )}
+        {currentStatus === 'in-call' && (partnerTalking || partnerSpeaking) && (
+          <p className="talking-indicator">{t('call.partnerTalking', { username: partnerUsername })}</p>
+        )}
+        {isInConversation && (
+          <div className="level-meters">
+            <LevelMeter label={t('common.you')} ariaLabel={t('call.levelMeter', { label: t('common.you') })} readLevel={readLocalLevel} speaking={isSpeaking} />
+            {currentStatus === 'in-call' && (
+              <LevelMeter
+                label={partnerUsername || t('call.partner')}
+                ariaLabel={t('call.levelMeter', { label: partnerUsername || t('call.partner') })}
+                readLevel={readRemoteLevel}
+                speaking={partnerTalking || partnerSpeaking}
+              />
+            )}
+          </div>
+        )}
+        {micSeemsSilent && (
+          <p className="mic-warning">{t('call.micSilent')}</p>
+        )}
+        {currentStatus === 'in-call' && partnerReconnecting && (
+          <p className="partner-reconnecting">
+            {t('call.partnerReconnecting', { username: partnerUsername })}
+          </p>
+        )}
+        {currentStatus === 'in-call' && callRecovery === 'reconnecting' && (
+          <p className="partner-reconnecting">
+            {t('call.recovering')}
+          </p>
+        )}
+        {currentStatus === 'in-call' && callRecovery === 'failed' && (
+          <p className="partner-reconnecting call-recovery-failed">
+            {t('call.recoveryFailed', { username: partnerUsername })}
+            <button onClick={handleChangePartner}>{t('common.changePartner')}</button>
+          </p>
+        )}
+        {currentStatus === 'reconnecting' && (
+          <p className="partner-reconnecting">
+            {t('call.serverReconnecting')}
           </p>
         )}
         <div className="conversation-controls">
           <audio ref={localAudioRef} autoPlay muted style={{ display: 'none' }}></audio>
           <audio ref={remoteAudioRef} autoPlay style={{ display: 'none' }}></audio>
 
-          <button onClick={handleMuteToggle} disabled={currentStatus !== 'in-call' || !localStream.current}>
-            Couper le micro
-          </button>
+          {talkMode === 'open_mic' && (
+            <button onClick={handleMuteToggle} disabled={currentStatus !== 'in-call' || !localStream.current}>
+              {t(isMicMuted ? 'common.unmute' : 'common.mute')}
+            </button>
+          )}
           <button onClick={handleChangePartner} disabled={currentStatus !== 'in-call' && currentStatus !== 'waiting_for_match'}>
-            Changer de partenaire
+            {t('common.changePartner')}
           </button>
           <button onClick={handleDisconnect} disabled={!isConnected || currentStatus === 'disconnected'}>
-            Se déconnecter
+            {t('call.disconnect')}
           </button>
         </div>
+        <fieldset className="talk-mode-group">
+          <legend>{t('talk.legend')}</legend>
+          <label className="inline-option">
+            <input type="radio" name="talk-mode" checked={talkMode === 'open_mic'} onChange={() => handleTalkModeChange('open_mic')} />
+            {t('talk.openMic')}
+          </label>
+          <label className="inline-option">
+            <input type="radio" name="talk-mode" checked={talkMode === 'push_to_talk'} onChange={() => handleTalkModeChange('push_to_talk')} />
+            {t('talk.pushToTalk')}
+          </label>
+          <label className="inline-option">
+            <input type="checkbox" checked={rogerBeep} onChange={(e) => handleRogerBeepChange(e.target.checked)} disabled={talkMode !== 'push_to_talk'} />
+            {t('talk.rogerBeep')}
+          </label>
+        </fieldset>
+        {talkMode === 'push_to_talk' && isInConversation && (
+          <button
+            className={isTransmitting ? 'push-to-talk-button transmitting' : 'push-to-talk-button'}
+            onPointerDown={handleTalkStart}
+            onPointerUp={handleTalkEnd}
+            onPointerLeave={handleTalkEnd}
+            onPointerCancel={handleTalkEnd}
+            onContextMenu={(e) => e.preventDefault()}
+            disabled={!localStream.current}
+          >
+            {isTransmitting ? t('talk.transmitting') : t('talk.hold')}
+          </button>
+        )}
+        {currentStatus === 'in-call' && (
+          <div className="chat-panel">
+            <div className="chat-log">
+              {chatMessages.length === 0 && (
+                <p className="chat-empty">{t('chat.empty', { username: partnerUsername })}</p>
+              )}
+              {chatMessages.map(message => (
+                <p key={message.id} className={message.mine ? 'chat-message mine' : 'chat-message'}>
+                  <strong>{message.mine ? t('common.you') : message.username} :</strong> {chatMessageText(message, t, serverSettings.quickReplies)}
+                </p>
+              ))}
+            </div>
+            <div className="quick-replies">
+              {serverSettings.quickReplies.map(reply => (
+                <button key={reply} onClick={() => handleSendChat({ quickReply: reply })}>{t(`quickReplies.${reply}`)}</button>
+              ))}
+            </div>
+            <div className="chat-input">
+              <input
+                type="text"
+                value={chatDraft}
+                onChange={(e) => setChatDraft(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') {
+                    handleSendChatDraft();
+                  }
+                }}
+                placeholder={t('chat.placeholder')}
+                maxLength={CHAT_MESSAGE_MAX_LENGTH}
+              />
+              <button onClick={handleSendChatDraft} disabled={chatDraft.trim() === ''}>{t('common.send')}</button>
+            </div>
+          </div>
+        )}
+        {lastPartner && authenticatedUser && (
+          <div className="moderation-controls">
+            <span>{t(currentStatus === 'in-call' ? 'moderation.currentPartner' : 'moderation.lastPartner', { username: lastPartner })}</span>
+            {!friends.some(friend => friend.username === lastPartner) && (
+              <button onClick={handleAddFriend}>{t('moderation.addFriend')}</button>
+            )}
+            <button className="danger-button" onClick={handleBlockPartner}>{t('moderation.block')}</button>
+            <button className="danger-button" onClick={() => setShowReportForm(!showReportForm)}>{t('moderation.report')}</button>
+            {showReportForm && (
+              <div className="report-form">
+                <select value={reportReason} onChange={(e) => setReportReason(e.target.value)}>
+                  {REPORT_REASON_OPTIONS.map(reason => (
+                    <option key={reason} value={reason}>{t(`reportReasons.${reason}`)}</option>
+                  ))}
+                </select>
+                <textarea
+                  placeholder={t('moderation.detailsPlaceholder')}
+                  rows="2"
+                  maxLength={500}
+                  value={reportDetails}
+                  onChange={(e) => setReportDetails(e.target.value)}
+                ></textarea>
+                <label className="inline-option">
+                  <input type="checkbox" checked={blockAfterReport} onChange={(e) => setBlockAfterReport(e.target.checked)} />
+                  {t('moderation.blockToo')}
+                </label>
+                <button className="danger-button" onClick={handleReportPartner}>{t('moderation.sendReport')}</button>
+              </div>
+            )}
+          </div>
+        )}
+        {pendingRating && authenticatedUser && (
+          <div className="rating-prompt">
+            <span>{t('rating.prompt', { username: pendingRating.partnerUsername })}</span>
+            <div className="rating-buttons">
+              <button
+                className={pendingRating.rating === 'up' ? 'selected' : ''}
+                aria-pressed={pendingRating.rating === 'up'}
+                aria-label={t('rating.good')}
+                onClick={() => handleRatingChoice('up')}
+              >👍</button>
+              <button
+                className={pendingRating.rating === 'down' ? 'selected' : ''}
+                aria-pressed={pendingRating.rating === 'down'}
+                aria-label={t('rating.bad')}
+                onClick={() => handleRatingChoice('down')}
+              >👎</button>
+            </div>
+            {pendingRating.rating && (
+              <div className="rating-tags">
+                {RATING_TAG_OPTIONS.filter(option => option.rating === pendingRating.rating).map(option => (
+                  <label key={option.value} className="inline-option">
+                    <input
+                      type="checkbox"
+                      checked={pendingRating.tags.includes(option.value)}
+                      onChange={() => handleRatingTagToggle(option.value)}
+                    />
+                    {t(`ratingTags.${option.value}`)}
+                  </label>
+                ))}
+              </div>
+            )}
+            <div className="rating-actions">
+              <button onClick={handleSendRating} disabled={!pendingRating.rating}>{t('common.send')}</button>
+              <button className="skip-button" onClick={() => setPendingRating(null)}>{t('rating.skip')}</button>
+            </div>
+          </div>
+        )}
+        {moderationNotice && <p className="moderation-notice">{t(moderationNotice.key, moderationNotice.params)}</p>}
       </section>
 
       <section className="messages-section">
-        <h2>Logs Frontend</h2>
+        <h2>{t('logs.title')}</h2>
         <div className="messages-log">
           {messages.map((msg, index) => (
             <p key={index}><strong data-log-type={msg.from}>[{msg.from}]:</strong> {msg.text}</p>
@@ -531,14 +1802,26 @@ function App() {
       </section>
 
       <section className="feedback-section">
-        <h2>Votre avis nous intéresse</h2>
+        <h2>{t('feedback.title')}</h2>
         <textarea
-          placeholder="Écrivez votre avis ici..."
+          placeholder={t('feedback.placeholder')}
           rows="4"
-          maxLength="500"
+          maxLength={FEEDBACK_MAX_LENGTH}
+          value={feedbackText}
+          onChange={(e) => {
+            setFeedbackText(e.target.value);
+            if (feedbackStatus !== 'sending') {
+              setFeedbackStatus('idle');
+            }
+          }}
+          disabled={feedbackStatus === 'sending'}
         ></textarea>
-        <p className="char-count">0/500</p>
-        <button disabled>Envoyer mon avis (À implémenter)</button>
+        <p className="char-count">{feedbackText.length}/{FEEDBACK_MAX_LENGTH}</p>
+        {feedbackStatus === 'sent' && <p className="feedback-confirmation">{t('feedback.thanks')}</p>}
+        {feedbackStatus === 'error' && <p className="feedback-error">{t('feedback.error', { error: feedbackError })}</p>}
+        <button onClick={handleFeedbackSubmit} disabled={feedbackText.trim() === '' || feedbackStatus === 'sending'}>
+          {feedbackStatus === 'sending' ? t('feedback.sending') : t('feedback.submit')}
+        </button>
       </section>
     </div>
   );
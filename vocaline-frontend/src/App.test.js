@@ -1,8 +1,154 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, act, fireEvent } from '@testing-library/react';
 import App from './App';
+import { LOCALE_STORAGE_KEY } from './i18n/i18n';
+import { createFakeWebSocket, createFakeMediaStream, createFakeRTCPeerConnection, flushPromises } from './client/fakeBrowser';
 
-test('renders learn react link', () => {
+let fakeWebSocket;
+const originalWebSocket = window.WebSocket;
+const originalRTCPeerConnection = window.RTCPeerConnection;
+
+beforeEach(() => {
+  fakeWebSocket = createFakeWebSocket();
+  window.WebSocket = fakeWebSocket.FakeWebSocket;
+  window.RTCPeerConnection = createFakeRTCPeerConnection().FakeRTCPeerConnection;
+  Object.defineProperty(navigator, 'mediaDevices', {
+    configurable: true,
+    value: { getUserMedia: jest.fn().mockResolvedValue(createFakeMediaStream()) },
+  });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  // Les textes attendus ci-dessous sont ceux du catalogue français.
+  localStorage.setItem(LOCALE_STORAGE_KEY, 'fr');
+});
+
+afterEach(() => {
+  window.WebSocket = originalWebSocket;
+  window.RTCPeerConnection = originalRTCPeerConnection;
+  console.log.mockRestore();
+  localStorage.clear();
+});
+
+test('connects to the server, then shows the status and asks for the microphone', async () => {
+  render(<App />);
+  expect(screen.getByText(/Vocaline 🎤/)).toBeInTheDocument();
+  expect(screen.getByText('Déconnecté', { selector: 'strong' })).toBeInTheDocument();
+
+  const socket = fakeWebSocket.sockets[fakeWebSocket.sockets.length - 1];
+  await act(async () => socket.open());
+
+  expect(socket.sent[0].type).toBe('hello');
+  expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith({ audio: true, video: false });
+  expect(screen.getByText('Connecté', { selector: 'strong' })).toBeInTheDocument();
+});
+
+test('asks for a rating when the partner leaves and sends it with the chosen tags', async () => {
+  render(<App />);
+  const socket = fakeWebSocket.sockets[fakeWebSocket.sockets.length - 1];
+  await act(async () => {
+    socket.open();
+    socket.receive('welcome', { sessionToken: 'session-1', resumeGraceMs: 30000 });
+    socket.receive('auth_success', { username: 'alice', accountId: 'account-alice', token: 'token-1' });
+    socket.receive('match_found', { partnerUsername: 'bob', initiateCall: false, callId: 'call-1', commonLanguages: [], topic: null });
+    await flushPromises();
+  });
+  expect(screen.queryByText(/Comment s'est passé l'appel/)).not.toBeInTheDocument();
+
+  await act(async () => {
+    socket.receive('partner_disconnected', { reason: 'left', username: 'bob' });
+    await flushPromises();
+  });
+  expect(screen.getByText("Comment s'est passé l'appel avec bob ?")).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Envoyer' })).toBeDisabled();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Bon appel' }));
+  fireEvent.click(screen.getByLabelText('Super discussion'));
+  fireEvent.click(screen.getByRole('button', { name: 'Envoyer' }));
+  expect(socket.sentOfType('rate_call')).toEqual([
+    { type: 'rate_call', payload: { callId: 'call-1', rating: 'up', tags: ['great_chat'] } },
+  ]);
+
+  await act(async () => socket.receive('rating_received', { callId: 'call-1' }));
+  expect(screen.queryByText(/Comment s'est passé l'appel/)).not.toBeInTheDocument();
+});
+
+test('shows friends with their presence, invites one and accepts an invitation', async () => {
+  render(<App />);
+  const socket = fakeWebSocket.sockets[fakeWebSocket.sockets.length - 1];
+  await act(async () => {
+    socket.open();
+    socket.receive('welcome', { sessionToken: 'session-1', resumeGraceMs: 30000 });
+    socket.receive('auth_success', { username: 'alice', accountId: 'account-alice', token: 'token-1' });
+    socket.receive('friends_list', { friends: [{ accountId: 'account-bob', username: 'bob', presence: 'in-call' }], requests: [] });
+    await flushPromises();
+  });
+  expect(screen.getByText('En appel')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Inviter' })).toBeDisabled();
+
+  await act(async () => socket.receive('friend_presence', { accountId: 'account-bob', presence: 'online' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Inviter' }));
+  expect(socket.sentOfType('invite')).toEqual([{ type: 'invite', payload: { accountId: 'account-bob' } }]);
+
+  await act(async () => socket.receive('invite_received', { inviteId: 'invite-1', accountId: 'account-bob', username: 'bob' }));
+  expect(screen.getByText(/bob vous invite à un appel/)).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Accepter' }));
+  await act(() => flushPromises());
+  expect(socket.sentOfType('accept_invite')).toEqual([{ type: 'accept_invite', payload: { inviteId: 'invite-1' } }]);
+  expect(screen.queryByText(/bob vous invite à un appel/)).not.toBeInTheDocument();
+});
+
+test('switches the interface language and renders server error codes in it', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  const socket = fakeWebSocket.sockets[fakeWebSocket.sockets.length - 1];
+  await act(async () => {
+    socket.open();
+    socket.receive('welcome', { sessionToken: 'session-1', resumeGraceMs: 30000 });
+    await flushPromises();
+  });
+  expect(screen.getByRole('heading', { name: 'Rejoindre Vocaline' })).toBeInTheDocument();
+
+  fireEvent.change(screen.getByRole('combobox', { name: /Langue de l'interface/ }), { target: { value: 'en' } });
+  expect(screen.getByRole('heading', { name: 'Join Vocaline' })).toBeInTheDocument();
+  expect(document.documentElement.lang).toBe('en');
+  expect(localStorage.getItem(LOCALE_STORAGE_KEY)).toBe('en');
+
+  await act(async () => socket.receive('error', { code: 'ROOM_FULL', params: { name: 'A7', capacity: 8 } }));
+  expect(screen.getByText('Channel “A7” is full (8 people).')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByRole('combobox', { name: /Interface language/ }), { target: { value: 'fr' } });
+  expect(screen.getByRole('heading', { name: 'Rejoindre Vocaline' })).toBeInTheDocument();
+});
+
+test('maps car kit buttons to change partner and mute, and shows the partner on the lock screen', async () => {
+  const handlers = {};
+  Object.defineProperty(navigator, 'mediaSession', {
+    configurable: true,
+    value: { metadata: null, playbackState: 'none', setActionHandler: (action, handler) => { handlers[action] = handler; } },
+  });
+  window.MediaMetadata = class {
+    constructor(init) {
+      Object.assign(this, init);
+    }
+  };
+  render(<App />);
+  const socket = fakeWebSocket.sockets[fakeWebSocket.sockets.length - 1];
+  await act(async () => {
+    socket.open();
+    socket.receive('welcome', { sessionToken: 'session-1', resumeGraceMs: 30000 });
+    socket.receive('auth_success', { username: 'alice', accountId: 'account-alice', token: 'token-1' });
+    socket.receive('match_found', { partnerUsername: 'bob', initiateCall: false, callId: 'call-1', commonLanguages: [], topic: null });
+    await flushPromises();
+  });
+  expect(navigator.mediaSession.metadata).toMatchObject({ title: 'bob', artist: 'Vocaline' });
+  expect(navigator.mediaSession.playbackState).toBe('playing');
+
+  await act(async () => handlers.pause());
+  expect(socket.sentOfType('mute')).toEqual([{ type: 'mute', payload: { isMuted: true } }]);
+  expect(navigator.mediaSession.playbackState).toBe('paused');
+  expect(screen.getByRole('button', { name: 'Réactiver le micro' })).toBeInTheDocument();
+
+  await act(async () => handlers.nexttrack());
+  expect(socket.sentOfType('change_partner')).toHaveLength(1);
+  expect(navigator.mediaSession.metadata.title).toBe("Recherche d'un partenaire");
+
+  delete navigator.mediaSession;
+  delete window.MediaMetadata;
 });
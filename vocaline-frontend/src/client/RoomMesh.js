@@ -0,0 +1,146 @@
+import { FALLBACK_ICE_SERVERS } from './VocalineClient';
+
+// --- Room Mesh: one RTCPeerConnection per member of a group room, independent of any UI ---
+//
+// Dans un canal de groupe, chaque membre a une connexion audio vers chacun des autres. Le nouvel
+// arrivant appelle les membres déjà présents (call) ; les autres répondent à ses offres. La
+// signalisation passe par le VocalineClient, adressée avec `to` ; le serveur ajoute `from`.
+// Le flux local est celui du client (setLocalStream), les journaux passent par client.log.
+// Un candidat ICE peut arriver avant l'offre ou la réponse qu'il suit : il attend setRemoteDescription.
+
+export class RoomMesh {
+  constructor({
+    client,
+    onPeerState = () => {},
+    RTCPeerConnectionImpl = window.RTCPeerConnection,
+    createAudio = () => new window.Audio(),
+  }) {
+    this.client = client;
+    // (userId, iceConnectionState) : l'interface affiche l'état de chaque membre.
+    this.onPeerState = onPeerState;
+    this.RTCPeerConnectionImpl = RTCPeerConnectionImpl;
+    this.createAudio = createAudio;
+    this.iceServers = FALLBACK_ICE_SERVERS;
+    this.peers = new Map();
+    this.audio = new Map();
+    this.pendingCandidates = new Map();
+  }
+
+  // Les connexions sont créées à la volée : la configuration ICE doit être fixée avant d'entrer dans le canal.
+  setIceServers(iceServers) {
+    this.iceServers = iceServers;
+  }
+
+  createPeer(userId) {
+    this.closeConnection(userId);
+    const pc = new this.RTCPeerConnectionImpl({ iceServers: this.iceServers });
+    this.peers.set(userId, pc);
+    const stream = this.client.localStream;
+    if (stream) {
+      stream.getTracks().forEach(track => pc.addTrack(track, stream));
+    }
+
+    pc.ontrack = (event) => {
+      if (event.streams && event.streams[0]) {
+        const audio = this.audio.get(userId) || this.createAudio();
+        audio.autoplay = true;
+        audio.srcObject = event.streams[0];
+        this.audio.set(userId, audio);
+        audio.play().catch(e => console.error('Error playing room member audio:', e));
+      }
+    };
+
+    pc.onicecandidate = (event) => {
+      if (event.candidate) {
+        this.client.send('candidate', { candidate: event.candidate, to: userId });
+      }
+    };
+
+    pc.oniceconnectionstatechange = () => {
+      this.client.log('WebRTC', `ICE state with room member ${userId}: ${pc.iceConnectionState}`);
+      this.onPeerState(userId, pc.iceConnectionState);
+    };
+    return pc;
+  }
+
+  async call(userId) {
+    const pc = this.createPeer(userId);
+    try {
+      await pc.setLocalDescription();
+      if (this.client.send('offer', { sdp: pc.localDescription, to: userId })) {
+        this.client.log('WebRTC TX', `Sent SDP Offer to room member ${userId}.`);
+      }
+    } catch (e) {
+      console.error('Error calling room member:', e);
+      this.client.log('Error', `WebRTC: Error creating offer for room member ${userId}.`);
+    }
+  }
+
+  // offer / answer / candidate d'un membre du canal (événement `signal` du client).
+  async handleSignal(type, payload) {
+    const { from } = payload;
+    try {
+      if (type === 'offer') {
+        const pc = this.createPeer(from);
+        await pc.setRemoteDescription(payload.sdp);
+        await this.flushPendingCandidates(from, pc);
+        await pc.setLocalDescription();
+        if (this.client.send('answer', { sdp: pc.localDescription, to: from })) {
+          this.client.log('WebRTC TX', `Sent SDP Answer to room member ${from}.`);
+        }
+        return;
+      }
+      const pc = this.peers.get(from);
+      if (type === 'candidate') {
+        if (!payload.candidate) {
+          return;
+        }
+        if (!pc || !pc.remoteDescription) {
+          this.pendingCandidates.set(from, [...(this.pendingCandidates.get(from) || []), payload.candidate]);
+          return;
+        }
+        await pc.addIceCandidate(payload.candidate);
+        return;
+      }
+      if (!pc) {
+        this.client.log('WebRTC Warning', `No connection to room member ${from} for ${type}, dropped.`);
+        return;
+      }
+      await pc.setRemoteDescription(payload.sdp);
+      await this.flushPendingCandidates(from, pc);
+    } catch (e) {
+      console.error(`Error handling room ${type}:`, e);
+      this.client.log('Error', `WebRTC: Error handling ${type} from room member ${from}.`);
+    }
+  }
+
+  async flushPendingCandidates(userId, pc) {
+    const candidates = this.pendingCandidates.get(userId) || [];
+    this.pendingCandidates.delete(userId);
+    await Promise.all(candidates.map(candidate => pc.addIceCandidate(candidate)));
+  }
+
+  // --- Teardown: one member left, or we left the room ---
+  close(userId) {
+    this.pendingCandidates.delete(userId);
+    this.closeConnection(userId);
+  }
+
+  closeConnection(userId) {
+    const pc = this.peers.get(userId);
+    if (pc) {
+      pc.close();
+      this.peers.delete(userId);
+    }
+    const audio = this.audio.get(userId);
+    if (audio) {
+      audio.srcObject = null;
+      this.audio.delete(userId);
+    }
+  }
+
+  closeAll() {
+    this.pendingCandidates.clear();
+    [...this.peers.keys()].forEach(userId => this.close(userId));
+  }
+}
@@ -0,0 +1,133 @@
+import { VocalineClient, FALLBACK_ICE_SERVERS } from './VocalineClient';
+import { RoomMesh } from './RoomMesh';
+import { createFakeWebSocket, createFakeRTCPeerConnection, createFakeMediaStream, flushPromises } from './fakeBrowser';
+
+const ICE_SERVERS = [{ urls: 'turn:turn.test:3478', username: 'u', credential: 'c' }];
+
+let fakeWebSocket;
+let fakeRTC;
+
+beforeEach(() => {
+  fakeWebSocket = createFakeWebSocket();
+  fakeRTC = createFakeRTCPeerConnection();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.error.mockRestore();
+});
+
+// --- Harness: a room member with a connected client, its mesh and the players it created ---
+function joinMember(id) {
+  const client = new VocalineClient({
+    url: 'ws://vocaline.test',
+    WebSocketImpl: fakeWebSocket.FakeWebSocket,
+    RTCPeerConnectionImpl: fakeRTC.FakeRTCPeerConnection,
+  });
+  client.setLocalStream(createFakeMediaStream());
+  client.connect();
+  const socket = fakeWebSocket.sockets[fakeWebSocket.sockets.length - 1];
+  socket.open();
+  const players = [];
+  const peerStates = [];
+  const mesh = new RoomMesh({
+    client,
+    onPeerState: (userId, state) => peerStates.push([userId, state]),
+    RTCPeerConnectionImpl: fakeRTC.FakeRTCPeerConnection,
+    createAudio: () => {
+      const player = { srcObject: null, play: jest.fn(() => Promise.resolve()) };
+      players.push(player);
+      return player;
+    },
+  });
+  client.on('signal', ({ type, payload }) => mesh.handleSignal(type, payload));
+  return { id, client, socket, mesh, players, peerStates, forwarded: 0 };
+}
+
+// Le serveur remet chaque offer / answer / candidate à son destinataire (`to`) en ajoutant `from`.
+async function relay(members) {
+  for (let round = 0; round < 20; round += 1) {
+    await flushPromises();
+    let forwarded = false;
+    members.forEach(from => {
+      while (from.forwarded < from.socket.sent.length) {
+        const message = from.socket.sent[from.forwarded];
+        from.forwarded += 1;
+        const to = members.find(member => member.id === (message.payload && message.payload.to));
+        if (to && ['offer', 'answer', 'candidate'].includes(message.type)) {
+          const { to: _to, ...payload } = message.payload;
+          to.socket.receive(message.type, { ...payload, from: from.id });
+          forwarded = true;
+        }
+      }
+    });
+    if (!forwarded) {
+      return;
+    }
+  }
+}
+
+test('the newcomer calls every member and each pair ends up with one connection and one player', async () => {
+  const alice = joinMember('alice');
+  const bob = joinMember('bob');
+  const carol = joinMember('carol');
+  carol.mesh.setIceServers(ICE_SERVERS);
+
+  carol.mesh.call('alice');
+  carol.mesh.call('bob');
+  await relay([alice, bob, carol]);
+
+  expect([...carol.mesh.peers.keys()]).toEqual(['alice', 'bob']);
+  expect([...alice.mesh.peers.keys()]).toEqual(['carol']);
+  expect([...bob.mesh.peers.keys()]).toEqual(['carol']);
+  carol.mesh.peers.forEach(pc => {
+    expect(pc.configuration.iceServers).toEqual(ICE_SERVERS);
+    expect(pc.signalingState).toBe('stable');
+    expect(pc.remoteCandidates).toHaveLength(1);
+    expect(pc.senders).toHaveLength(1);
+  });
+  expect(alice.mesh.peers.get('carol').configuration.iceServers).toEqual(FALLBACK_ICE_SERVERS);
+  expect(carol.players).toHaveLength(2);
+  expect(alice.players).toHaveLength(1);
+  expect(alice.players[0].srcObject).toBe(alice.mesh.peers.get('carol').remoteStream);
+
+  alice.mesh.peers.get('carol').setIceState('connected');
+  expect(alice.peerStates).toEqual([['carol', 'connected']]);
+});
+
+test('a member who leaves is closed and silenced, and leaving the room closes everyone', async () => {
+  const alice = joinMember('alice');
+  const bob = joinMember('bob');
+  const carol = joinMember('carol');
+  carol.mesh.call('alice');
+  carol.mesh.call('bob');
+  await relay([alice, bob, carol]);
+
+  const toAlice = carol.mesh.peers.get('alice');
+  carol.mesh.close('alice');
+  expect(toAlice.closed).toBe(true);
+  expect(carol.mesh.peers.has('alice')).toBe(false);
+  expect(carol.players.filter(player => player.srcObject !== null)).toHaveLength(1);
+
+  const toBob = carol.mesh.peers.get('bob');
+  carol.mesh.closeAll();
+  expect(toBob.closed).toBe(true);
+  expect(carol.mesh.peers.size).toBe(0);
+  expect(carol.mesh.audio.size).toBe(0);
+});
+
+test('an answer from someone we never called is dropped, and early candidates are forgotten when they leave', async () => {
+  const alice = joinMember('alice');
+  const logs = [];
+  alice.client.on('log', entry => logs.push(entry));
+
+  alice.socket.receive('answer', { sdp: { type: 'answer', sdp: 'fake-answer' }, from: 'stranger' });
+  alice.socket.receive('candidate', { candidate: { candidate: 'candidate:1' }, from: 'stranger' });
+  await flushPromises();
+
+  expect(alice.mesh.peers.size).toBe(0);
+  expect(logs).toContainEqual({ from: 'WebRTC Warning', text: 'No connection to room member stranger for answer, dropped.' });
+  expect(alice.mesh.pendingCandidates.get('stranger')).toHaveLength(1);
+  alice.mesh.close('stranger');
+  expect(alice.mesh.pendingCandidates.size).toBe(0);
+});
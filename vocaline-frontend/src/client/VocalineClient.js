@@ -0,0 +1,561 @@
+// --- Vocaline Client: signaling WebSocket and 1:1 WebRTC call, independent of any UI ---
+//
+// Le client tient la connexion au serveur (handshake `hello`, keepalive, reconnexion avec reprise
+// de session) et l'appel en tête-à-tête (négociation parfaite, candidats ICE mis en attente,
+// relance ICE). L'interface s'abonne à ses événements avec on(event, handler) :
+//
+//   open / close           connexion établie / perdue ({ code, willReconnect, delayMs, attempt })
+//   status                 statut du serveur (connected, waiting_for_match, in-call, reconnecting...)
+//   session                'started' (nouvelle session), 'resumed' ou 'expired'
+//   match                  partenaire trouvé (payload de `match_found`)
+//   partner-left           le partenaire a quitté l'appel (payload de `partner_disconnected`)
+//   stats                  statistiques temps réel (payload de `stats_update`)
+//   remote-stream          flux audio du partenaire (MediaStream)
+//   call-ended             fin de l'appel 1:1, avant fermeture de la connexion ({ callId })
+//   call-recovery          null | 'reconnecting' | 'failed' (audio coupé, relance ICE en cours ou abandonnée)
+//   microphone-missing     appel démarré sans micro : l'interface doit le demander
+//   signal                 offer / answer / candidate hors appel 1:1 (canaux de groupe) ({ type, payload })
+//   message                tout message du serveur, après traitement par le client
+//   log                    ligne de journal lisible ({ from, text })
+
+// --- Signaling Protocol ---
+// Version annoncée au serveur dans le message `hello`.
+// v2 : le serveur envoie des codes et des paramètres plutôt que des phrases (rendues par src/i18n).
+export const PROTOCOL_VERSION = 2;
+const CLIENT_NAME = 'vocaline-web';
+
+// --- WebSocket Reconnection (exponential backoff with jitter) ---
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+// Fermeture volontaire par le serveur (connexion depuis un autre appareil, suspension, admin) : pas de reconnexion.
+export const KICKED_CLOSE_CODE = 4000;
+// Message applicatif périodique : les proxys (Railway...) coupent les WebSockets inactifs.
+const KEEPALIVE_INTERVAL_MS = 25000;
+
+// --- ICE Recovery (changement de réseau en plein appel : 4G -> Wi-Fi d'une aire de repos) ---
+// 'disconnected' se rétablit souvent tout seul : on attend un peu avant de relancer ICE.
+export const ICE_DISCONNECTED_GRACE_MS = 3000;
+// Passé ce délai sans retour de l'audio, l'interface propose de changer de partenaire.
+export const ICE_RECOVERY_TIMEOUT_MS = 15000;
+
+// Serveurs ICE quand le backend ne peut pas en fournir (STUN seul, sans relais TURN).
+export const FALLBACK_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+// États WebSocket, sans dépendre de l'implémentation injectée.
+const CONNECTING = 0;
+const OPEN = 1;
+
+export class VocalineClient {
+  constructor({
+    url,
+    getIceServers = async () => FALLBACK_ICE_SERVERS,
+    WebSocketImpl = window.WebSocket,
+    RTCPeerConnectionImpl = window.RTCPeerConnection,
+    random = Math.random,
+  }) {
+    this.url = url;
+    this.getIceServers = getIceServers;
+    this.WebSocketImpl = WebSocketImpl;
+    this.RTCPeerConnectionImpl = RTCPeerConnectionImpl;
+    this.random = random;
+    this.listeners = new Map();
+
+    this.ws = null;
+    this.status = 'disconnected';
+    this.shouldReconnect = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.keepaliveTimer = null;
+    // Pendant une reprise, l'ancien jeton sert jusqu'à la réponse du serveur ; le nouveau attend à côté.
+    this.sessionToken = null;
+    this.pendingSessionToken = null;
+
+    this.localStream = null;
+    // Appel 1:1 en cours : { callId, initiator, pc, ready, makingOffer, ignoreOffer, pendingCandidates, timers }.
+    this.call = null;
+    this.callRecovery = null;
+  }
+
+  // --- Events ---
+  on(event, handler) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(handler);
+    return () => this.off(event, handler);
+  }
+
+  off(event, handler) {
+    const handlers = this.listeners.get(event);
+    if (handlers) {
+      handlers.delete(handler);
+    }
+  }
+
+  emit(event, data) {
+    const handlers = this.listeners.get(event);
+    if (handlers) {
+      [...handlers].forEach(handler => handler(data));
+    }
+  }
+
+  log(from, text) {
+    this.emit('log', { from, text });
+  }
+
+  setStatus(status) {
+    if (status !== this.status) {
+      this.status = status;
+      this.emit('status', status);
+    }
+  }
+
+  get isOpen() {
+    return Boolean(this.ws) && this.ws.readyState === OPEN;
+  }
+
+  get peerConnection() {
+    return this.call ? this.call.pc : null;
+  }
+
+  // --- Connection ---
+  connect() {
+    if (!this.url) {
+      this.log('Error', 'Backend URL missing. Check Railway config.');
+      return;
+    }
+    this.shouldReconnect = true;
+    this.openSocket();
+  }
+
+  disconnect() {
+    this.shouldReconnect = false;
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.keepaliveTimer);
+    // En développement, React monte deux fois les composants : le socket peut être encore en cours d'ouverture.
+    if (this.ws && (this.ws.readyState === CONNECTING || this.ws.readyState === OPEN)) {
+      this.ws.close();
+    }
+    this.endCall();
+  }
+
+  // Renvoie false si le message n'a pas pu partir (pas connecté).
+  send(type, payload) {
+    if (!this.isOpen) {
+      return false;
+    }
+    this.ws.send(JSON.stringify(payload === undefined ? { type } : { type, payload }));
+    return true;
+  }
+
+  openSocket() {
+    const ws = new this.WebSocketImpl(this.url);
+    this.ws = ws;
+    ws.onopen = () => this.handleOpen();
+    ws.onmessage = (event) => this.handleRawMessage(event.data);
+    ws.onclose = (event) => {
+      if (ws === this.ws) {
+        this.handleClose(event);
+      }
+    };
+    ws.onerror = (error) => {
+      console.error('WebSocket Error:', error);
+      this.log('Error', 'WebSocket connection error.');
+    };
+  }
+
+  handleOpen() {
+    this.log('System', `Connected to Vocaline server at ${this.url}.`);
+    this.reconnectAttempts = 0;
+    // Le handshake doit précéder tout autre message.
+    this.send('hello', { protocolVersion: PROTOCOL_VERSION, client: CLIENT_NAME });
+    clearInterval(this.keepaliveTimer);
+    this.keepaliveTimer = setInterval(() => this.send('keepalive'), KEEPALIVE_INTERVAL_MS);
+    if (this.sessionToken) {
+      // Reconnexion : on tente de reprendre la session (partenaire, statut) conservée par le serveur.
+      this.send('resume', { sessionToken: this.sessionToken });
+      this.log('You TX', 'Resuming previous session...');
+    } else {
+      this.setStatus('connected');
+    }
+    this.emit('open');
+  }
+
+  handleClose(event) {
+    clearInterval(this.keepaliveTimer);
+    if (!this.shouldReconnect) {
+      this.emit('close', { code: event.code, willReconnect: false });
+      return;
+    }
+    if (event.code === KICKED_CLOSE_CODE) {
+      this.shouldReconnect = false;
+      this.endCall();
+      this.setStatus('disconnected');
+      this.log('System', 'Disconnected by the server. Reload the page to reconnect.');
+      this.emit('close', { code: event.code, willReconnect: false });
+      return;
+    }
+    // On garde l'appel WebRTC : le média peut survivre à une coupure du seul WebSocket,
+    // et le serveur conserve notre session pendant sa période de grâce.
+    const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempts, RECONNECT_MAX_DELAY_MS);
+    const jitteredDelay = Math.round(delay / 2 + this.random() * delay / 2);
+    this.reconnectAttempts += 1;
+    this.setStatus('reconnecting');
+    this.log('System', `Disconnected from server. Reconnecting in ${Math.round(jitteredDelay / 1000)}s (attempt ${this.reconnectAttempts})...`);
+    this.reconnectTimer = setTimeout(() => this.openSocket(), jitteredDelay);
+    this.emit('close', { code: event.code, willReconnect: true, delayMs: jitteredDelay, attempt: this.reconnectAttempts });
+  }
+
+  handleRawMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (e) {
+      console.error('Failed to parse incoming message as JSON:', data);
+      this.log('Error', `Failed to parse incoming message: ${data}`);
+      return;
+    }
+    this.log('Server RX', JSON.stringify(message));
+    this.handleMessage(message);
+    this.emit('message', message);
+  }
+
+  handleMessage({ type, payload = {} }) {
+    switch (type) {
+      case 'welcome':
+        if (!this.sessionToken) {
+          this.sessionToken = payload.sessionToken;
+          this.emit('session', 'started');
+        } else {
+          this.pendingSessionToken = payload.sessionToken;
+        }
+        break;
+      case 'session_resumed':
+        this.pendingSessionToken = null;
+        this.setStatus(payload.status);
+        this.log('System', `Session resumed (status: ${payload.status}).`);
+        if (payload.status === 'in-call') {
+          this.recoverCallAfterResume();
+        } else {
+          this.endCall();
+        }
+        this.emit('session', 'resumed');
+        break;
+      case 'session_expired':
+        // Le serveur a libéré l'ancienne session : on repart avec celle de cette connexion.
+        this.sessionToken = this.pendingSessionToken;
+        this.pendingSessionToken = null;
+        this.endCall();
+        this.setStatus('connected');
+        this.emit('session', 'expired');
+        break;
+      case 'status_update':
+        if (payload.status === 'waiting_for_match' || payload.status === 'disconnected') {
+          this.endCall();
+        }
+        this.setStatus(payload.status);
+        break;
+      case 'account_suspended':
+        this.endCall();
+        this.setStatus('connected');
+        break;
+      case 'stats_update':
+        this.emit('stats', payload);
+        break;
+      case 'match_found':
+        this.log('System', `Match found with ${payload.partnerUsername}!`);
+        this.endCall();
+        this.startCall(payload);
+        this.setStatus('in-call');
+        this.emit('match', payload);
+        break;
+      case 'partner_disconnected':
+        this.endCall();
+        this.setStatus('waiting_for_match');
+        this.emit('partner-left', payload);
+        break;
+      case 'offer':
+      case 'answer':
+      case 'candidate':
+        if (this.call) {
+          if (type === 'candidate') {
+            this.handleCandidate(payload.candidate);
+          } else {
+            this.handleDescription(payload.sdp);
+          }
+        } else {
+          this.emit('signal', { type, payload });
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  // --- Matchmaking ---
+  join(preferences) {
+    return this.send('join', { preferences });
+  }
+
+  changePartner() {
+    if (!this.send('change_partner')) {
+      return false;
+    }
+    this.endCall();
+    this.setStatus('waiting_for_match');
+    return true;
+  }
+
+  leaveMatchmaking() {
+    if (!this.send('disconnect_from_matchmaking')) {
+      return false;
+    }
+    this.endCall();
+    return true;
+  }
+
+  // Coupe ou rétablit le micro localement et prévient le partenaire (ou le canal) si `notify`.
+  mute(isMuted, { notify = true } = {}) {
+    const audioTrack = this.localStream && this.localStream.getAudioTracks()[0];
+    if (!audioTrack) {
+      return false;
+    }
+    audioTrack.enabled = !isMuted;
+    if (notify) {
+      this.send('mute', { isMuted });
+    }
+    return true;
+  }
+
+  setLocalStream(stream) {
+    this.localStream = stream;
+  }
+
+  // --- 1:1 call: perfect negotiation (polite / impolite peers) ---
+  // L'appelant (initiateCall) est le pair « impoli » : en cas d'offres croisées, il garde la sienne.
+  // L'appelé est « poli » : son offre est annulée (rollback) et il répond à celle de l'appelant.
+  startCall({ callId = null, initiateCall = false } = {}) {
+    const call = {
+      callId,
+      initiator: Boolean(initiateCall),
+      pc: null,
+      ready: null,
+      makingOffer: false,
+      ignoreOffer: false,
+      pendingCandidates: [],
+      restartTimer: null,
+      recoveryTimer: null,
+    };
+    this.call = call;
+    call.ready = this.createPeerConnection(call);
+    return call.ready;
+  }
+
+  async createPeerConnection(call) {
+    const iceServers = await this.getIceServers();
+    if (call !== this.call) {
+      // Appel terminé pendant la récupération des serveurs ICE.
+      return null;
+    }
+
+    const pc = new this.RTCPeerConnectionImpl({ iceServers });
+    call.pc = pc;
+    this.log('WebRTC', 'New RTCPeerConnection initiated with configured ICE servers.');
+
+    pc.ontrack = (event) => {
+      if (event.streams && event.streams[0]) {
+        this.emit('remote-stream', event.streams[0]);
+      }
+    };
+
+    pc.onicecandidate = (event) => {
+      if (event.candidate && this.send('candidate', { candidate: event.candidate })) {
+        this.log('WebRTC TX', 'Sent ICE candidate.');
+      }
+    };
+
+    pc.oniceconnectionstatechange = () => {
+      if (call !== this.call) {
+        return;
+      }
+      const state = pc.iceConnectionState;
+      this.log('WebRTC', `ICE state: ${state}`);
+      if (state === 'connected' || state === 'completed') {
+        if (call.recoveryTimer) {
+          this.log('WebRTC', 'Audio path restored.');
+        }
+        this.clearIceRecovery(call);
+      } else if (state === 'disconnected' || state === 'failed') {
+        this.beginIceRecovery(call);
+        // L'appelant relance tout de suite sur 'failed' ; l'appelé ne relance que si l'offre ne vient pas.
+        const graceMs = call.initiator ? ICE_DISCONNECTED_GRACE_MS : ICE_DISCONNECTED_GRACE_MS * 2;
+        this.scheduleIceRestart(call, `ICE ${state}`, state === 'failed' && call.initiator ? 0 : graceMs);
+      }
+    };
+
+    // Toute (re)négociation passe par ici : ajout de piste, relance ICE.
+    pc.onnegotiationneeded = async () => {
+      // La première offre vient de l'appelant ; la piste de l'appelé part dans sa réponse.
+      if (!call.initiator && !pc.remoteDescription) {
+        return;
+      }
+      try {
+        call.makingOffer = true;
+        await pc.setLocalDescription();
+        if (call === this.call && this.send('offer', { sdp: pc.localDescription })) {
+          this.log('WebRTC TX', 'Sent SDP Offer.');
+        }
+      } catch (e) {
+        console.error('Error creating or setting offer:', e);
+        this.log('Error', 'WebRTC: Error creating offer.');
+      } finally {
+        call.makingOffer = false;
+      }
+    };
+
+    if (this.localStream) {
+      this.localStream.getTracks().forEach(track => pc.addTrack(track, this.localStream));
+      this.log('WebRTC', 'Local audio track added to PeerConnection.');
+    } else {
+      this.log('Error', 'Local microphone not available for call. Attempting to re-acquire.');
+      // Sans micro, on entend quand même le partenaire.
+      pc.addTransceiver('audio', { direction: 'recvonly' });
+      this.emit('microphone-missing');
+    }
+    return pc;
+  }
+
+  async handleDescription(description) {
+    const call = this.call;
+    const pc = await call.ready;
+    if (!pc || call !== this.call) {
+      this.log('WebRTC Warning', `No PeerConnection for incoming ${description.type}, dropped.`);
+      return;
+    }
+    try {
+      const offerCollision = description.type === 'offer' && (call.makingOffer || pc.signalingState !== 'stable');
+      call.ignoreOffer = call.initiator && offerCollision;
+      if (call.ignoreOffer) {
+        this.log('WebRTC', 'Offer collision: keeping our offer, ignoring the partner\'s.');
+        return;
+      }
+      // Côté poli, une offre croisée annule implicitement la nôtre.
+      await pc.setRemoteDescription(description);
+      this.log('WebRTC', `Received SDP ${description.type === 'offer' ? 'Offer' : 'Answer'}, remote description set.`);
+      await this.flushPendingCandidates(call);
+      if (description.type === 'offer') {
+        await pc.setLocalDescription();
+        if (this.send('answer', { sdp: pc.localDescription })) {
+          this.log('WebRTC TX', 'Created and sent SDP Answer.');
+        }
+      }
+    } catch (e) {
+      console.error(`Error handling ${description.type}:`, e);
+      this.log('Error', `WebRTC: Error handling ${description.type}.`);
+    }
+  }
+
+  // Un candidat arrivé avant la connexion ou avant la description distante attend setRemoteDescription.
+  async handleCandidate(candidate) {
+    const call = this.call;
+    if (!call.pc || !call.pc.remoteDescription) {
+      call.pendingCandidates.push(candidate);
+      this.log('WebRTC', `ICE candidate queued until the remote description is set (${call.pendingCandidates.length} pending).`);
+      return;
+    }
+    await this.addCandidate(call, candidate);
+  }
+
+  async addCandidate(call, candidate) {
+    try {
+      await call.pc.addIceCandidate(candidate);
+      this.log('WebRTC', 'Added ICE candidate.');
+    } catch (e) {
+      // Les candidats d'une offre ignorée (collision) sont rejetés : c'est attendu.
+      if (!call.ignoreOffer) {
+        console.error('Error adding ICE candidate:', e);
+        this.log('Error', `WebRTC: Error adding ICE candidate: ${e.message}.`);
+      }
+    }
+  }
+
+  async flushPendingCandidates(call) {
+    const candidates = call.pendingCandidates;
+    call.pendingCandidates = [];
+    await Promise.all(candidates.map(candidate => this.addCandidate(call, candidate)));
+  }
+
+  // --- ICE restart: new candidates; the restart offer goes out through onnegotiationneeded ---
+  restartIce(reason) {
+    const pc = this.peerConnection;
+    if (!pc) {
+      return;
+    }
+    pc.restartIce();
+    this.log('WebRTC', `ICE restart requested (${reason}).`);
+  }
+
+  scheduleIceRestart(call, reason, delayMs) {
+    clearTimeout(call.restartTimer);
+    call.restartTimer = setTimeout(() => {
+      call.restartTimer = null;
+      // Entre-temps, ICE a pu se rétablir seul ou l'offre de relance du partenaire a pu arriver.
+      const state = call.pc.iceConnectionState;
+      if (call === this.call && (state === 'disconnected' || state === 'failed')) {
+        this.restartIce(reason);
+      }
+    }, delayMs);
+  }
+
+  setCallRecovery(callRecovery) {
+    if (callRecovery !== this.callRecovery) {
+      this.callRecovery = callRecovery;
+      this.emit('call-recovery', callRecovery);
+    }
+  }
+
+  beginIceRecovery(call) {
+    this.setCallRecovery(this.callRecovery || 'reconnecting');
+    if (!call.recoveryTimer) {
+      call.recoveryTimer = setTimeout(() => {
+        this.setCallRecovery('failed');
+        this.log('WebRTC Error', 'Audio path not restored in time. Prompting change partner.');
+      }, ICE_RECOVERY_TIMEOUT_MS);
+    }
+  }
+
+  clearIceRecovery(call) {
+    clearTimeout(call.restartTimer);
+    clearTimeout(call.recoveryTimer);
+    call.restartTimer = null;
+    call.recoveryTimer = null;
+    this.setCallRecovery(null);
+  }
+
+  // --- Session resumed while in a call: keep a healthy PeerConnection, otherwise restart ICE ---
+  recoverCallAfterResume() {
+    const pc = this.peerConnection;
+    if (!pc) {
+      this.log('WebRTC Warning', 'No PeerConnection to recover after resume.');
+      return;
+    }
+    if (pc.iceConnectionState === 'connected' || pc.iceConnectionState === 'completed') {
+      this.log('WebRTC', 'Audio path survived the reconnection.');
+      return;
+    }
+    this.restartIce('after reconnection');
+  }
+
+  endCall() {
+    const call = this.call;
+    if (!call) {
+      return;
+    }
+    this.emit('call-ended', { callId: call.callId });
+    this.clearIceRecovery(call);
+    this.call = null;
+    if (call.pc) {
+      this.log('WebRTC Cleanup', 'Closing existing RTCPeerConnection.');
+      call.pc.close();
+    }
+  }
+}
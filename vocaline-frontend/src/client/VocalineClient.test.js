@@ -0,0 +1,307 @@
+import {
+  VocalineClient,
+  PROTOCOL_VERSION,
+  KICKED_CLOSE_CODE,
+  ICE_DISCONNECTED_GRACE_MS,
+  ICE_RECOVERY_TIMEOUT_MS,
+} from './VocalineClient';
+import { createFakeWebSocket, createFakeRTCPeerConnection, createFakeMediaStream, flushPromises } from './fakeBrowser';
+
+const ICE_SERVERS = [{ urls: 'stun:stun.test:3478' }];
+const SIGNAL_TYPES = ['offer', 'answer', 'candidate'];
+const RECORDED_EVENTS = ['status', 'session', 'match', 'partner-left', 'stats', 'remote-stream', 'call-ended', 'call-recovery', 'signal', 'close'];
+
+let fakeWebSocket;
+let fakeRTC;
+
+beforeEach(() => {
+  fakeWebSocket = createFakeWebSocket();
+  fakeRTC = createFakeRTCPeerConnection();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  console.error.mockRestore();
+});
+
+// --- Harness: a connected client with its socket, and everything it emitted ---
+function connectClient(name, options = {}) {
+  const client = new VocalineClient({
+    url: 'ws://vocaline.test',
+    getIceServers: async () => ICE_SERVERS,
+    WebSocketImpl: fakeWebSocket.FakeWebSocket,
+    RTCPeerConnectionImpl: fakeRTC.FakeRTCPeerConnection,
+    random: () => 0,
+    ...options,
+  });
+  const events = [];
+  const logs = [];
+  RECORDED_EVENTS.forEach(event => client.on(event, data => events.push({ event, data })));
+  client.on('log', entry => logs.push(entry));
+  client.setLocalStream(createFakeMediaStream());
+  client.connect();
+  const socket = fakeWebSocket.sockets[fakeWebSocket.sockets.length - 1];
+  socket.open();
+  return {
+    id: `id-${name}`,
+    name,
+    client,
+    socket,
+    forwarded: 0,
+    emitted: event => events.filter(entry => entry.event === event).map(entry => entry.data),
+    errors: () => logs.filter(entry => entry.from === 'Error'),
+    logged: text => logs.some(entry => entry.text.includes(text)),
+  };
+}
+
+// Le serveur relaie offer / answer / candidate au partenaire en ajoutant `from`, jusqu'à ce que tout se taise.
+async function relay(a, b) {
+  for (let round = 0; round < 20; round += 1) {
+    await flushPromises();
+    let forwarded = false;
+    [[a, b], [b, a]].forEach(([from, to]) => {
+      while (from.forwarded < from.socket.sent.length) {
+        const message = from.socket.sent[from.forwarded];
+        from.forwarded += 1;
+        if (SIGNAL_TYPES.includes(message.type)) {
+          to.socket.receive(message.type, { ...message.payload, from: from.id });
+          forwarded = true;
+        }
+      }
+    });
+    if (!forwarded) {
+      return;
+    }
+  }
+}
+
+async function startCall(caller, callee) {
+  const context = { callId: 'call-1', commonLanguages: ['fr'], topic: null };
+  caller.socket.receive('match_found', { partnerUsername: callee.name, initiateCall: true, ...context });
+  callee.socket.receive('match_found', { partnerUsername: caller.name, initiateCall: false, ...context });
+  await relay(caller, callee);
+}
+
+test('connecting says hello first, keeps the socket alive and starts a session', () => {
+  jest.useFakeTimers();
+  const alice = connectClient('alice');
+
+  expect(alice.socket.sent[0]).toEqual({ type: 'hello', payload: { protocolVersion: PROTOCOL_VERSION, client: 'vocaline-web' } });
+  expect(alice.client.status).toBe('connected');
+
+  alice.socket.receive('welcome', { sessionToken: 'token-1' });
+  expect(alice.emitted('session')).toEqual(['started']);
+
+  jest.advanceTimersByTime(25000);
+  expect(alice.socket.sentOfType('keepalive')).toHaveLength(1);
+
+  alice.socket.receive('stats_update', { connectedUsers: 2, waitingUsers: 0, activeConversations: 1 });
+  expect(alice.emitted('stats')).toEqual([{ connectedUsers: 2, waitingUsers: 0, activeConversations: 1 }]);
+});
+
+test('a full call: the caller offers, the callee answers, candidates and audio flow both ways', async () => {
+  const alice = connectClient('alice');
+  const bob = connectClient('bob');
+  expect(alice.client.join({ languages: ['fr'], topic: null, hardLanguages: false, hardTopic: false })).toBe(true);
+  expect(alice.socket.sentOfType('join')[0].payload.preferences.languages).toEqual(['fr']);
+
+  await startCall(alice, bob);
+
+  const callerPc = alice.client.peerConnection;
+  const calleePc = bob.client.peerConnection;
+  expect(callerPc.configuration.iceServers).toBe(ICE_SERVERS);
+  expect(callerPc.senders).toHaveLength(1);
+  expect(calleePc.senders).toHaveLength(1);
+  // Pas d'offres croisées à l'ouverture : seul l'appelant propose.
+  expect(alice.socket.sentOfType('offer')).toHaveLength(1);
+  expect(bob.socket.sentOfType('offer')).toHaveLength(0);
+  expect(bob.socket.sentOfType('answer')).toHaveLength(1);
+  expect(callerPc.signalingState).toBe('stable');
+  expect(calleePc.signalingState).toBe('stable');
+  expect(callerPc.remoteCandidates).toHaveLength(1);
+  expect(calleePc.remoteCandidates).toHaveLength(1);
+
+  [alice, bob].forEach(side => {
+    expect(side.client.status).toBe('in-call');
+    expect(side.emitted('match')).toHaveLength(1);
+    expect(side.emitted('remote-stream')).toHaveLength(1);
+    expect(side.errors()).toEqual([]);
+  });
+});
+
+test('candidates that arrive before the ICE servers and the offer are queued, then added', async () => {
+  let releaseIceServers;
+  const bob = connectClient('bob', {
+    getIceServers: () => new Promise(resolve => {
+      releaseIceServers = () => resolve(ICE_SERVERS);
+    }),
+  });
+  const candidate = { candidate: 'candidate:9 1 udp 1 198.51.100.9 6000 typ srflx', sdpMid: '0', sdpMLineIndex: 0 };
+
+  bob.socket.receive('match_found', { partnerUsername: 'alice', initiateCall: false, callId: 'call-1', commonLanguages: [], topic: null });
+  bob.socket.receive('candidate', { candidate, from: 'id-alice' });
+  bob.socket.receive('offer', { sdp: { type: 'offer', sdp: 'fake-offer from alice' }, from: 'id-alice' });
+  expect(bob.client.peerConnection).toBe(null);
+
+  releaseIceServers();
+  await flushPromises();
+
+  const pc = bob.client.peerConnection;
+  expect(pc.remoteDescription.type).toBe('offer');
+  expect(pc.remoteCandidates).toEqual([candidate]);
+  expect(bob.socket.sentOfType('answer')).toHaveLength(1);
+  expect(bob.errors()).toEqual([]);
+});
+
+test('colliding offers: the impolite caller keeps its own, the polite callee rolls back and answers', async () => {
+  const alice = connectClient('alice');
+  const bob = connectClient('bob');
+  await startCall(alice, bob);
+
+  alice.client.restartIce('test');
+  bob.client.restartIce('test');
+  await flushPromises();
+  expect(alice.client.peerConnection.signalingState).toBe('have-local-offer');
+  expect(bob.client.peerConnection.signalingState).toBe('have-local-offer');
+
+  await relay(alice, bob);
+
+  expect(alice.logged('Offer collision')).toBe(true);
+  expect(alice.socket.sentOfType('answer')).toHaveLength(0);
+  expect(bob.socket.sentOfType('answer')).toHaveLength(2);
+  expect(alice.client.peerConnection.signalingState).toBe('stable');
+  expect(bob.client.peerConnection.signalingState).toBe('stable');
+  expect(alice.client.peerConnection.remoteDescription.type).toBe('answer');
+  expect(alice.errors()).toEqual([]);
+  expect(bob.errors()).toEqual([]);
+});
+
+test('a lost audio path shows "reconnecting", restarts ICE after a grace period and gives up after the timeout', async () => {
+  jest.useFakeTimers();
+  const alice = connectClient('alice');
+  const bob = connectClient('bob');
+  await startCall(alice, bob);
+  const pc = alice.client.peerConnection;
+
+  pc.setIceState('disconnected');
+  expect(alice.emitted('call-recovery')).toEqual(['reconnecting']);
+  jest.advanceTimersByTime(ICE_DISCONNECTED_GRACE_MS - 1);
+  expect(pc.iceRestarts).toBe(0);
+  jest.advanceTimersByTime(1);
+  expect(pc.iceRestarts).toBe(1);
+
+  await relay(alice, bob);
+  expect(alice.socket.sentOfType('offer')).toHaveLength(2);
+  expect(pc.signalingState).toBe('stable');
+
+  jest.advanceTimersByTime(ICE_RECOVERY_TIMEOUT_MS);
+  expect(alice.emitted('call-recovery')).toEqual(['reconnecting', 'failed']);
+
+  pc.setIceState('connected');
+  expect(alice.emitted('call-recovery')).toEqual(['reconnecting', 'failed', null]);
+});
+
+test('on ICE failure the caller restarts at once while the callee waits for its offer', async () => {
+  jest.useFakeTimers();
+  const alice = connectClient('alice');
+  const bob = connectClient('bob');
+  await startCall(alice, bob);
+  const callerPc = alice.client.peerConnection;
+  const calleePc = bob.client.peerConnection;
+
+  calleePc.setIceState('failed');
+  callerPc.setIceState('failed');
+  jest.advanceTimersByTime(0);
+  expect(callerPc.iceRestarts).toBe(1);
+  expect(calleePc.iceRestarts).toBe(0);
+
+  await relay(alice, bob);
+  calleePc.setIceState('checking');
+  jest.advanceTimersByTime(ICE_DISCONNECTED_GRACE_MS * 2);
+  expect(calleePc.iceRestarts).toBe(0);
+});
+
+test('the partner leaving or a partner change ends the call and closes the connection', async () => {
+  const alice = connectClient('alice');
+  const bob = connectClient('bob');
+  await startCall(alice, bob);
+  const alicePc = alice.client.peerConnection;
+  const bobPc = bob.client.peerConnection;
+
+  expect(alice.client.changePartner()).toBe(true);
+  expect(alice.socket.sentOfType('change_partner')).toHaveLength(1);
+  expect(alicePc.closed).toBe(true);
+  expect(alice.client.status).toBe('waiting_for_match');
+  expect(alice.emitted('call-ended')).toEqual([{ callId: 'call-1' }]);
+
+  bob.socket.receive('partner_disconnected', { reason: 'left', username: 'alice' });
+  expect(bobPc.closed).toBe(true);
+  expect(bob.client.peerConnection).toBe(null);
+  expect(bob.client.status).toBe('waiting_for_match');
+  expect(bob.emitted('partner-left')).toEqual([{ reason: 'left', username: 'alice' }]);
+});
+
+test('a dropped socket reconnects with backoff and resumes the session, keeping a healthy call', async () => {
+  jest.useFakeTimers();
+  const alice = connectClient('alice');
+  const bob = connectClient('bob');
+  alice.socket.receive('welcome', { sessionToken: 'token-1' });
+  await startCall(alice, bob);
+  const pc = alice.client.peerConnection;
+  pc.setIceState('connected');
+
+  alice.socket.drop();
+  expect(alice.client.status).toBe('reconnecting');
+  expect(alice.emitted('close')).toEqual([{ code: 1006, willReconnect: true, delayMs: 500, attempt: 1 }]);
+
+  jest.advanceTimersByTime(500);
+  const socket = fakeWebSocket.sockets[fakeWebSocket.sockets.length - 1];
+  expect(socket).not.toBe(alice.socket);
+  socket.open();
+  expect(socket.sent.map(message => message.type)).toEqual(['hello', 'resume']);
+  expect(socket.sentOfType('resume')[0].payload).toEqual({ sessionToken: 'token-1' });
+
+  socket.receive('welcome', { sessionToken: 'token-2' });
+  socket.receive('session_resumed', { status: 'in-call', username: 'alice', partnerUsername: 'bob', callId: 'call-1' });
+  expect(alice.client.status).toBe('in-call');
+  expect(alice.client.peerConnection).toBe(pc);
+  expect(pc.iceRestarts).toBe(0);
+  expect(alice.emitted('session')).toEqual(['started', 'resumed']);
+});
+
+test('an expired session switches to the new token, and a kicked connection is not retried', () => {
+  jest.useFakeTimers();
+  const alice = connectClient('alice');
+  alice.socket.receive('welcome', { sessionToken: 'token-1' });
+
+  alice.socket.drop();
+  jest.advanceTimersByTime(500);
+  const socket = fakeWebSocket.sockets[fakeWebSocket.sockets.length - 1];
+  socket.open();
+  socket.receive('welcome', { sessionToken: 'token-2' });
+  socket.receive('session_expired', {});
+  expect(alice.client.sessionToken).toBe('token-2');
+  expect(alice.client.status).toBe('connected');
+
+  socket.drop(KICKED_CLOSE_CODE);
+  jest.advanceTimersByTime(60000);
+  expect(fakeWebSocket.sockets).toHaveLength(2);
+  expect(alice.client.status).toBe('disconnected');
+});
+
+test('signaling outside a 1:1 call is handed over for group rooms, and mute toggles the track', () => {
+  const alice = connectClient('alice');
+  const payload = { sdp: { type: 'offer', sdp: 'fake-offer from bob' }, from: 'id-bob' };
+
+  alice.socket.receive('offer', payload);
+  expect(alice.emitted('signal')).toEqual([{ type: 'offer', payload }]);
+
+  const track = alice.client.localStream.getAudioTracks()[0];
+  expect(alice.client.mute(true)).toBe(true);
+  expect(track.enabled).toBe(false);
+  expect(alice.socket.sentOfType('mute')).toEqual([{ type: 'mute', payload: { isMuted: true } }]);
+  alice.client.mute(false, { notify: false });
+  expect(track.enabled).toBe(true);
+  expect(alice.socket.sentOfType('mute')).toHaveLength(1);
+});
@@ -0,0 +1,220 @@
+// --- Fake WebSocket / RTCPeerConnection / MediaStream for the Jest tests ---
+//
+// Juste assez de comportement pour dérouler la signalisation : états de signalisation,
+// rollback implicite sur offre croisée, candidats émis après setLocalDescription,
+// onnegotiationneeded après addTrack / restartIce. Le test pilote le reste (ouverture
+// du socket, messages du serveur, états ICE).
+
+export function createFakeWebSocket() {
+  const sockets = [];
+
+  class FakeWebSocket {
+    constructor(url) {
+      this.url = url;
+      this.readyState = 0;
+      this.sent = [];
+      sockets.push(this);
+    }
+
+    send(data) {
+      if (this.readyState !== 1) {
+        throw new Error('FakeWebSocket is not open.');
+      }
+      this.sent.push(JSON.parse(data));
+    }
+
+    close(code = 1000) {
+      if (this.readyState === 3) {
+        return;
+      }
+      this.readyState = 3;
+      if (this.onclose) {
+        this.onclose({ code });
+      }
+    }
+
+    // --- Test controls ---
+    open() {
+      this.readyState = 1;
+      this.onopen();
+    }
+
+    receive(type, payload) {
+      this.onmessage({ data: JSON.stringify(payload === undefined ? { type } : { type, payload }) });
+    }
+
+    drop(code = 1006) {
+      this.close(code);
+    }
+
+    sentOfType(type) {
+      return this.sent.filter(message => message.type === type);
+    }
+  }
+
+  return { FakeWebSocket, sockets };
+}
+
+export function createFakeMediaStream() {
+  const track = {
+    kind: 'audio',
+    enabled: true,
+    stopped: false,
+    stop() {
+      this.stopped = true;
+    },
+  };
+  return { getTracks: () => [track], getAudioTracks: () => [track] };
+}
+
+export function createFakeRTCPeerConnection() {
+  const peerConnections = [];
+  let nextId = 1;
+
+  class FakeRTCPeerConnection {
+    constructor(configuration) {
+      this.configuration = configuration;
+      this.id = nextId++;
+      this.signalingState = 'stable';
+      this.iceConnectionState = 'new';
+      this.localDescription = null;
+      this.remoteDescription = null;
+      this.senders = [];
+      this.transceivers = [];
+      this.remoteCandidates = [];
+      this.iceRestarts = 0;
+      this.generation = 0;
+      this.negotiationNeeded = false;
+      this.remoteStream = createFakeMediaStream();
+      this.trackDelivered = false;
+      this.closed = false;
+      // Description locale stable, restaurée en cas de rollback.
+      this.stableLocalDescription = null;
+      peerConnections.push(this);
+    }
+
+    addTrack(track, stream) {
+      this.senders.push({ track, stream });
+      this.requestNegotiation();
+    }
+
+    addTransceiver(kind, init) {
+      this.transceivers.push({ kind, ...init });
+      this.requestNegotiation();
+    }
+
+    restartIce() {
+      this.iceRestarts += 1;
+      this.generation += 1;
+      this.requestNegotiation();
+    }
+
+    requestNegotiation() {
+      this.negotiationNeeded = true;
+      Promise.resolve().then(() => this.fireNegotiationNeeded());
+    }
+
+    fireNegotiationNeeded() {
+      if (this.closed || !this.negotiationNeeded || this.signalingState !== 'stable') {
+        return;
+      }
+      this.negotiationNeeded = false;
+      if (this.onnegotiationneeded) {
+        this.onnegotiationneeded();
+      }
+    }
+
+    async setLocalDescription(description) {
+      this.assertOpen();
+      const type = description ? description.type : (this.signalingState === 'have-remote-offer' ? 'answer' : 'offer');
+      if (type === 'answer' && this.signalingState !== 'have-remote-offer') {
+        throw new Error(`InvalidStateError: cannot set a local answer in state ${this.signalingState}`);
+      }
+      if (type === 'offer' && this.signalingState !== 'stable') {
+        throw new Error(`InvalidStateError: cannot set a local offer in state ${this.signalingState}`);
+      }
+      this.localDescription = { type, sdp: `fake-${type} pc=${this.id} ice-generation=${this.generation}` };
+      this.signalingState = type === 'offer' ? 'have-local-offer' : 'stable';
+      if (type === 'answer') {
+        this.negotiationComplete();
+      }
+      // Un candidat « host » par négociation, comme un vrai navigateur en réseau local.
+      const candidate = { candidate: `candidate:${this.id} 1 udp 2122260223 192.0.2.${this.id} 5000${this.generation} typ host`, sdpMid: '0', sdpMLineIndex: 0 };
+      Promise.resolve().then(() => {
+        if (!this.closed && this.onicecandidate) {
+          this.onicecandidate({ candidate });
+        }
+      });
+    }
+
+    async setRemoteDescription(description) {
+      this.assertOpen();
+      if (description.type === 'offer') {
+        if (this.signalingState === 'have-local-offer') {
+          // Rollback implicite : notre offre est abandonnée.
+          this.localDescription = this.stableLocalDescription;
+        }
+        this.signalingState = 'have-remote-offer';
+      } else if (this.signalingState !== 'have-local-offer') {
+        throw new Error(`InvalidStateError: cannot set a remote answer in state ${this.signalingState}`);
+      } else {
+        this.signalingState = 'stable';
+      }
+      this.remoteDescription = description;
+      if (description.type === 'answer') {
+        this.negotiationComplete();
+      }
+    }
+
+    async addIceCandidate(candidate) {
+      this.assertOpen();
+      if (!this.remoteDescription) {
+        throw new Error('InvalidStateError: the remote description was null');
+      }
+      this.remoteCandidates.push(candidate);
+    }
+
+    async getStats() {
+      return new Map();
+    }
+
+    close() {
+      this.closed = true;
+      this.signalingState = 'closed';
+    }
+
+    negotiationComplete() {
+      this.stableLocalDescription = this.localDescription;
+      if (!this.trackDelivered && this.ontrack) {
+        this.trackDelivered = true;
+        this.ontrack({ streams: [this.remoteStream] });
+      }
+      if (this.negotiationNeeded) {
+        Promise.resolve().then(() => this.fireNegotiationNeeded());
+      }
+    }
+
+    assertOpen() {
+      if (this.closed) {
+        throw new Error('InvalidStateError: the RTCPeerConnection is closed');
+      }
+    }
+
+    // --- Test controls ---
+    setIceState(state) {
+      this.iceConnectionState = state;
+      if (this.oniceconnectionstatechange) {
+        this.oniceconnectionstatechange();
+      }
+    }
+  }
+
+  return { FakeRTCPeerConnection, peerConnections };
+}
+
+// Laisse s'écouler les promesses en attente (négociation, candidats) sans avancer les minuteries.
+export async function flushPromises(rounds = 20) {
+  for (let i = 0; i < rounds; i += 1) {
+    await Promise.resolve();
+  }
+}
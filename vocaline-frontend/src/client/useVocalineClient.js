@@ -0,0 +1,42 @@
+import { useEffect, useRef, useState } from 'react';
+import { VocalineClient } from './VocalineClient';
+import { RoomMesh } from './RoomMesh';
+
+// --- React hooks over VocalineClient ---
+
+// Un client par composant : connecté au montage, fermé au démontage.
+export function useVocalineClient(options) {
+  const [client] = useState(() => new VocalineClient(options));
+  useEffect(() => {
+    client.connect();
+    return () => client.disconnect();
+  }, [client]);
+  return client;
+}
+
+// Abonnement à un événement du client ; c'est toujours la version la plus récente du gestionnaire qui est appelée.
+export function useVocalineEvent(client, event, handler) {
+  const latestHandler = useRef(handler);
+  latestHandler.current = handler;
+  useEffect(() => client.on(event, data => latestHandler.current(data)), [client, event]);
+}
+
+// Connexions audio d'un canal de groupe, alimentées par la signalisation du client ; fermées au démontage.
+export function useRoomMesh(client, { onPeerState }) {
+  const latestOnPeerState = useRef(onPeerState);
+  latestOnPeerState.current = onPeerState;
+  const [mesh] = useState(() => new RoomMesh({ client, onPeerState: (userId, state) => latestOnPeerState.current(userId, state) }));
+  useVocalineEvent(client, 'signal', ({ type, payload }) => mesh.handleSignal(type, payload));
+  useEffect(() => () => mesh.closeAll(), [mesh]);
+  return mesh;
+}
+
+// État de la connexion et statut côté serveur (connected, waiting_for_match, in-call, reconnecting...).
+export function useVocalineStatus(client) {
+  const [isConnected, setIsConnected] = useState(client.isOpen);
+  const [status, setStatus] = useState(client.status);
+  useVocalineEvent(client, 'open', () => setIsConnected(true));
+  useVocalineEvent(client, 'close', () => setIsConnected(false));
+  useVocalineEvent(client, 'status', setStatus);
+  return { isConnected, status };
+}
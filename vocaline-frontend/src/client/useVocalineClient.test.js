@@ -0,0 +1,27 @@
+import { renderHook, act } from '@testing-library/react';
+import { useVocalineClient, useVocalineEvent, useVocalineStatus } from './useVocalineClient';
+import { createFakeWebSocket } from './fakeBrowser';
+
+test('the client connects on mount, reports its status and closes on unmount', () => {
+  const { FakeWebSocket, sockets } = createFakeWebSocket();
+  const onMatch = jest.fn();
+  const { result, unmount } = renderHook(() => {
+    const client = useVocalineClient({ url: 'ws://vocaline.test', WebSocketImpl: FakeWebSocket });
+    useVocalineEvent(client, 'match', onMatch);
+    return { client, ...useVocalineStatus(client) };
+  });
+
+  const socket = sockets[sockets.length - 1];
+  expect(result.current.isConnected).toBe(false);
+  act(() => socket.open());
+  expect(result.current.isConnected).toBe(true);
+  expect(result.current.status).toBe('connected');
+
+  act(() => socket.receive('status_update', { status: 'waiting_for_match' }));
+  expect(result.current.status).toBe('waiting_for_match');
+  act(() => result.current.client.emit('match', { partnerUsername: 'bob' }));
+  expect(onMatch).toHaveBeenCalledWith({ partnerUsername: 'bob' });
+
+  unmount();
+  expect(socket.readyState).toBe(3);
+});
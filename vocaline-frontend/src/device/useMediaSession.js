@@ -0,0 +1,52 @@
+import { useEffect, useRef } from 'react';
+
+// --- Hook: lock screen and hardware media keys (Media Session API) ---
+// Kit Bluetooth, commandes au volant et écran verrouillé parlent au navigateur via la Media Session :
+// `metadata` ({ title, artist }) s'affiche sur l'écran verrouillé, `actions` associe une action
+// ('nexttrack', 'play', 'pause'...) à son gestionnaire. Comme pour useVocalineEvent, c'est toujours la
+// version la plus récente d'un gestionnaire qui est appelée.
+const ARTWORK = [
+  { src: `${process.env.PUBLIC_URL}/logo192.png`, sizes: '192x192', type: 'image/png' },
+  { src: `${process.env.PUBLIC_URL}/logo512.png`, sizes: '512x512', type: 'image/png' },
+];
+
+const setActionHandler = (action, handler) => {
+  try {
+    navigator.mediaSession.setActionHandler(action, handler);
+  } catch (error) {
+    // Action que ce navigateur ne connaît pas : on l'ignore.
+  }
+};
+
+export function useMediaSession({ metadata, playbackState = 'none', actions = {} }) {
+  const supported = typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+  const title = metadata ? metadata.title : null;
+  const artist = metadata ? metadata.artist : null;
+
+  useEffect(() => {
+    if (!supported) {
+      return;
+    }
+    navigator.mediaSession.metadata = title && window.MediaMetadata
+      ? new window.MediaMetadata({ title, artist: artist || '', artwork: ARTWORK })
+      : null;
+  }, [supported, title, artist]);
+
+  useEffect(() => {
+    if (supported) {
+      navigator.mediaSession.playbackState = playbackState;
+    }
+  }, [supported, playbackState]);
+
+  const latestActions = useRef(actions);
+  latestActions.current = actions;
+  const actionNames = Object.keys(actions).sort().join(',');
+  useEffect(() => {
+    if (!supported || !actionNames) {
+      return undefined;
+    }
+    const names = actionNames.split(',');
+    names.forEach(action => setActionHandler(action, (details) => latestActions.current[action]?.(details)));
+    return () => names.forEach(action => setActionHandler(action, null));
+  }, [supported, actionNames]);
+}
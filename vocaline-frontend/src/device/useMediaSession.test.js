@@ -0,0 +1,60 @@
+import { renderHook } from '@testing-library/react';
+import { useMediaSession } from './useMediaSession';
+
+let mediaSession;
+const originalMediaMetadata = window.MediaMetadata;
+
+beforeEach(() => {
+  const handlers = {};
+  mediaSession = {
+    handlers,
+    metadata: null,
+    playbackState: 'none',
+    setActionHandler: jest.fn((action, handler) => {
+      if (action === 'hangup') {
+        throw new TypeError(`The provided value '${action}' is not a valid enum value.`);
+      }
+      handlers[action] = handler;
+    }),
+  };
+  Object.defineProperty(navigator, 'mediaSession', { configurable: true, value: mediaSession });
+  window.MediaMetadata = class {
+    constructor(init) {
+      Object.assign(this, init);
+    }
+  };
+});
+
+afterEach(() => {
+  delete navigator.mediaSession;
+  window.MediaMetadata = originalMediaMetadata;
+});
+
+test('shows the partner on the lock screen and follows the microphone state', () => {
+  const { rerender } = renderHook((props) => useMediaSession(props), {
+    initialProps: { metadata: { title: 'bob', artist: 'Vocaline' }, playbackState: 'playing' },
+  });
+  expect(mediaSession.metadata).toMatchObject({ title: 'bob', artist: 'Vocaline' });
+  expect(mediaSession.playbackState).toBe('playing');
+
+  rerender({ metadata: null, playbackState: 'none' });
+  expect(mediaSession.metadata).toBeNull();
+  expect(mediaSession.playbackState).toBe('none');
+});
+
+test('routes hardware buttons to the latest handlers and unregisters them', () => {
+  const firstHandler = jest.fn();
+  const latestHandler = jest.fn();
+  const { rerender, unmount } = renderHook((props) => useMediaSession(props), {
+    initialProps: { metadata: null, actions: { nexttrack: firstHandler, hangup: firstHandler } },
+  });
+  rerender({ metadata: null, actions: { nexttrack: latestHandler, hangup: latestHandler } });
+
+  mediaSession.handlers.nexttrack();
+  expect(firstHandler).not.toHaveBeenCalled();
+  expect(latestHandler).toHaveBeenCalledTimes(1);
+
+  rerender({ metadata: null, actions: {} });
+  expect(mediaSession.handlers.nexttrack).toBeNull();
+  unmount();
+});
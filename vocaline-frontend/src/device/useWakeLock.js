@@ -0,0 +1,46 @@
+import { useEffect } from 'react';
+
+// --- Hook: keep the screen on (Screen Wake Lock API) ---
+// Téléphone dans son support, écran verrouillé : le navigateur peut suspendre l'appel. Tant que `enabled`
+// est vrai, on garde l'écran allumé. Le navigateur relâche le verrou quand la page passe en arrière-plan :
+// on le redemande à son retour au premier plan.
+export function useWakeLock(enabled) {
+  useEffect(() => {
+    if (!enabled || !('wakeLock' in navigator)) {
+      return undefined;
+    }
+    let sentinel = null;
+    let requesting = false;
+    let disposed = false;
+
+    const acquire = async () => {
+      if (document.visibilityState !== 'visible' || requesting || (sentinel && !sentinel.released)) {
+        return;
+      }
+      requesting = true;
+      try {
+        const lock = await navigator.wakeLock.request('screen');
+        if (disposed) {
+          lock.release();
+        } else {
+          sentinel = lock;
+        }
+      } catch (error) {
+        // Batterie faible, politique du navigateur... L'appel continue, simplement sans verrou.
+        console.warn('Screen wake lock unavailable:', error.message);
+      } finally {
+        requesting = false;
+      }
+    };
+
+    acquire();
+    document.addEventListener('visibilitychange', acquire);
+    return () => {
+      disposed = true;
+      document.removeEventListener('visibilitychange', acquire);
+      if (sentinel && !sentinel.released) {
+        sentinel.release().catch(() => {});
+      }
+    };
+  }, [enabled]);
+}
@@ -0,0 +1,71 @@
+import { renderHook, act } from '@testing-library/react';
+import { useWakeLock } from './useWakeLock';
+import { flushPromises } from '../client/fakeBrowser';
+
+const createFakeWakeLock = () => {
+  const sentinels = [];
+  const request = jest.fn(async () => {
+    const sentinel = { released: false, release: jest.fn(async () => { sentinel.released = true; }) };
+    sentinels.push(sentinel);
+    return sentinel;
+  });
+  return { request, sentinels };
+};
+
+let wakeLock;
+let visibilityState;
+
+beforeEach(() => {
+  wakeLock = createFakeWakeLock();
+  visibilityState = 'visible';
+  Object.defineProperty(navigator, 'wakeLock', { configurable: true, value: wakeLock });
+  Object.defineProperty(document, 'visibilityState', { configurable: true, get: () => visibilityState });
+});
+
+afterEach(() => {
+  delete navigator.wakeLock;
+  delete document.visibilityState;
+});
+
+test('keeps the screen on while enabled and releases it afterwards', async () => {
+  const { rerender } = renderHook(({ enabled }) => useWakeLock(enabled), { initialProps: { enabled: false } });
+  expect(wakeLock.request).not.toHaveBeenCalled();
+
+  rerender({ enabled: true });
+  await act(() => flushPromises());
+  expect(wakeLock.request).toHaveBeenCalledWith('screen');
+
+  rerender({ enabled: false });
+  expect(wakeLock.sentinels[0].release).toHaveBeenCalled();
+});
+
+test('asks again when the page comes back to the foreground', async () => {
+  renderHook(() => useWakeLock(true));
+  await act(() => flushPromises());
+  expect(wakeLock.request).toHaveBeenCalledTimes(1);
+
+  // Le navigateur relâche le verrou de lui-même quand la page passe en arrière-plan.
+  wakeLock.sentinels[0].released = true;
+  visibilityState = 'hidden';
+  await act(async () => {
+    document.dispatchEvent(new Event('visibilitychange'));
+    await flushPromises();
+  });
+  expect(wakeLock.request).toHaveBeenCalledTimes(1);
+
+  visibilityState = 'visible';
+  await act(async () => {
+    document.dispatchEvent(new Event('visibilitychange'));
+    await flushPromises();
+  });
+  expect(wakeLock.request).toHaveBeenCalledTimes(2);
+});
+
+test('a refused wake lock does not break the call', async () => {
+  wakeLock.request.mockRejectedValueOnce(new Error('Battery saver is on'));
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  renderHook(() => useWakeLock(true));
+  await act(() => flushPromises());
+  expect(console.warn).toHaveBeenCalledWith('Screen wake lock unavailable:', 'Battery saver is on');
+  console.warn.mockRestore();
+});
@@ -0,0 +1,228 @@
+// --- Deutsch ---
+const de = {
+  // --- App ---
+  'app.tagline': 'Sprich mit anderen Lkw-Fahrern',
+  'app.updateAvailable': 'Eine neue Version von Vocaline ist verfügbar.',
+  'app.refresh': 'Seite neu laden',
+  'app.interfaceLanguage': 'Sprache der Oberfläche',
+
+  // --- Common ---
+  'common.accept': 'Annehmen',
+  'common.decline': 'Ablehnen',
+  'common.send': 'Senden',
+  'common.mute': 'Mikrofon stummschalten',
+  'common.unmute': 'Mikrofon einschalten',
+  'common.changePartner': 'Partner wechseln',
+  'common.you': 'Du',
+
+  // --- Connection status ---
+  'status.disconnected': 'Getrennt',
+  'status.connected': 'Verbunden',
+  'status.waiting_for_match': 'Suche nach einem Partner',
+  'status.reconnecting': 'Verbindung wird wiederhergestellt',
+  'status.inCallWith': 'Verbunden mit {username}',
+
+  // --- Realtime stats ---
+  'stats.title': 'Live-Statistiken',
+  'stats.connectedUsers': 'Nutzer online:',
+  'stats.waitingUsers': 'Wartend:',
+  'stats.activeConversations': 'Aktive Gespräche:',
+
+  // --- Account & matchmaking ---
+  'join.title': 'Bei Vocaline mitmachen',
+  'join.loggedInAs': 'Angemeldet als',
+  'join.switchAccount': 'Konto wechseln',
+  'join.usernameLabel': 'Dein Benutzername:',
+  'join.usernamePlaceholder': 'z. B. TruckerMike',
+  'join.secretLabel': 'PIN oder Passwort:',
+  'join.secretPlaceholder': 'Mindestens 4 Zeichen',
+  'join.rememberMe': 'Angemeldet bleiben',
+  'join.suspended': 'Dein Konto ist nach Meldungen bis {date} gesperrt.',
+  'join.login': 'Anmelden',
+  'join.register': 'Konto erstellen',
+  'join.languages': 'Gesprochene Sprachen:',
+  'join.hardLanguages': 'Nur mit jemandem, der eine meiner Sprachen spricht',
+  'join.topic': 'Kanal:',
+  'join.hardTopic': 'Nur auf diesem Kanal',
+  'join.joinMatchmaking': 'Partner suchen',
+  'join.loginRequired': 'Melde dich an oder erstelle ein Konto, um einen Partner zu suchen.',
+  'topics.any': 'Egal',
+  'topics.route_talk': 'Gespräche über die Strecke',
+  'topics.parking_tips': 'Parkplatz-Tipps',
+  'topics.just_chatting': 'Einfach plaudern',
+
+  // --- Microphone ---
+  'mic.required': 'Vocaline braucht Zugriff auf das Mikrofon für Sprachanrufe. Bitte erlaube ihn.',
+  'mic.allowToJoin': 'Erlaube den Mikrofonzugriff, um Vocaline beizutreten.',
+
+  // --- Group rooms ---
+  'rooms.title': 'Gruppenkanäle',
+  'rooms.current': '📻 Kanal „{name}“ · {count}/{capacity} Teilnehmer',
+  'rooms.you': '(du)',
+  'rooms.talking': 'Spricht',
+  'rooms.muted': 'Mikrofon stumm',
+  'rooms.connecting': 'verbinde...',
+  'rooms.connectionFailed': 'keine Verbindung',
+  'rooms.alone': 'Noch niemand sonst auf diesem Kanal.',
+  'rooms.leave': 'Kanal verlassen',
+  'rooms.namePlaceholder': 'Kanalname (z. B. A7 Lyon-Marseille)',
+  'rooms.joinOrCreate': 'Beitreten oder erstellen',
+  'rooms.none': 'Im Moment ist kein Kanal offen. Erstelle deinen eigenen!',
+  'rooms.full': 'Voll',
+  'rooms.join': 'Beitreten',
+  'rooms.refresh': 'Liste aktualisieren',
+
+  // --- Friends ---
+  'friends.title': 'Freunde',
+  'friends.inviteReceived': '📞 {username} lädt dich zu einem Anruf ein.',
+  'friends.invitePending': 'Einladung an {username} gesendet, warte auf Antwort...',
+  'friends.requestReceived': '{username} möchte dich als Freund hinzufügen',
+  'friends.empty': 'Noch keine Freunde. Füge deinen Partner nach einem guten Gespräch hinzu!',
+  'friends.invite': 'Einladen',
+  'friends.remove': 'Entfernen',
+  'friends.confirmRemove': '{username} aus deinen Freunden entfernen?',
+  'friends.requestSent': 'Freundschaftsanfrage an {username} gesendet.',
+  'friends.inviteDeclined': '{username} kann gerade nicht antworten.',
+  'presence.offline': 'Offline',
+  'presence.online': 'Online',
+  'presence.waiting': 'Sucht einen Partner',
+  'presence.in-call': 'Im Gespräch',
+
+  // --- Voice conversation ---
+  'call.title': 'Sprachgespräch',
+  'call.connectionStatus': 'Verbindungsstatus:',
+  'call.active': '📞 Sprachanruf mit {username} aktiv',
+  'call.topic': 'Kanal: {topic}',
+  'call.languages': 'Sprache(n): {languages}',
+  'call.partnerTalking': '🗣️ {username} spricht...',
+  'call.partner': 'Partner',
+  'call.levelMeter': 'Audiopegel: {label}',
+  'call.micSilent': '🎙️ Dein Mikrofon scheint stumm zu sein: Prüfe, ob es angeschlossen ist und Vocaline darauf zugreifen darf.',
+  'call.partnerReconnecting': '📶 {username} hat die Verbindung verloren, Verbindung wird wiederhergestellt...',
+  'call.recovering': '📶 Ton unterbrochen, Verbindung wird wiederhergestellt…',
+  'call.recoveryFailed': '📶 Der Ton mit {username} konnte nicht wiederhergestellt werden.',
+  'call.serverReconnecting': '📶 Verbindung verloren, verbinde erneut mit dem Server...',
+  'call.disconnect': 'Trennen',
+  'call.partnerLeft': '{username} hat das Gespräch verlassen. Suche nach einem neuen Partner...',
+  'call.partnerChanged': '{username} hat den Partner gewechselt. Suche nach einem neuen Partner...',
+  'call.sessionExpired': 'Deine vorherige Sitzung ist abgelaufen: Bitte tritt erneut bei.',
+
+  // --- Call quality ---
+  'quality.connection': 'Verbindung: {type}',
+  'quality.label': 'Qualität: {level}',
+  'quality.jitter': 'Jitter {ms} ms',
+  'quality.loss': 'Verluste {percent} %',
+  'quality.good': 'Gut',
+  'quality.fair': 'Mittel',
+  'quality.poor': 'Schlecht',
+  'candidate.host': 'direkt (lokales Netz)',
+  'candidate.srflx': 'direkt',
+  'candidate.prflx': 'direkt',
+  'candidate.relay': 'TURN-Relay',
+  'candidate.unknown': 'unbekannt',
+
+  // --- Push-to-talk ---
+  'talk.legend': 'Mikrofon:',
+  'talk.openMic': 'Offenes Mikrofon',
+  'talk.pushToTalk': 'Drücken zum Sprechen (Taste oder Leertaste)',
+  'talk.rogerBeep': 'Piepton am Ende der Übertragung (Roger Beep)',
+  'talk.transmitting': '🔴 Du sprichst...',
+  'talk.hold': 'Gedrückt halten zum Sprechen',
+
+  // --- In-call chat ---
+  'chat.empty': 'Keine Zeit zum Reden? Schick {username} eine Nachricht.',
+  'chat.placeholder': 'Deine Nachricht...',
+  'quickReplies.back_in_2_min': 'Bin in 2 Min. zurück',
+  'quickReplies.must_hang_up': 'Ich muss auflegen',
+  'quickReplies.drive_safe': 'Gute Fahrt!',
+
+  // --- Moderation ---
+  'moderation.currentPartner': 'Aktueller Partner: {username}',
+  'moderation.lastPartner': 'Letzter Partner: {username}',
+  'moderation.addFriend': 'Als Freund hinzufügen',
+  'moderation.block': 'Blockieren',
+  'moderation.report': 'Melden',
+  'moderation.detailsPlaceholder': 'Details (optional)',
+  'moderation.blockToo': 'Diesen Nutzer auch blockieren',
+  'moderation.sendReport': 'Meldung senden',
+  'moderation.blocked': '{username} ist blockiert: Ihr werdet nicht mehr verbunden.',
+  'moderation.reportReceived': 'Meldung gesendet. Danke, unser Team prüft sie.',
+  'reportReasons.harassment': 'Belästigung',
+  'reportReasons.hate_speech': 'Hassrede',
+  'reportReasons.sexual_content': 'Sexuelle Inhalte',
+  'reportReasons.spam': 'Spam / Werbung',
+  'reportReasons.impersonation': 'Identitätsbetrug',
+  'reportReasons.other': 'Sonstiges',
+
+  // --- Post-call rating ---
+  'rating.prompt': 'Wie war dein Gespräch mit {username}?',
+  'rating.good': 'Gutes Gespräch',
+  'rating.bad': 'Schlechtes Gespräch',
+  'rating.skip': 'Überspringen',
+  'ratingTags.great_chat': 'Tolles Gespräch',
+  'ratingTags.helpful': 'Hilfsbereit',
+  'ratingTags.funny': 'Lustig',
+  'ratingTags.rude': 'Unhöflich',
+  'ratingTags.inappropriate': 'Unangemessen',
+  'ratingTags.bad_audio': 'Schlechter Ton',
+
+  // --- Logs & feedback ---
+  'logs.title': 'Frontend-Protokoll',
+  'feedback.title': 'Deine Meinung ist uns wichtig',
+  'feedback.placeholder': 'Schreib hier deine Meinung...',
+  'feedback.thanks': 'Danke für dein Feedback!',
+  'feedback.error': 'Senden fehlgeschlagen: {error}',
+  'feedback.sending': 'Wird gesendet...',
+  'feedback.submit': 'Feedback senden',
+
+  // --- Server notices (`info.code`) ---
+  'info.LOGGED_IN_ELSEWHERE': 'Du hast dich auf einem anderen Gerät angemeldet.',
+  'info.DISCONNECTED_BY_ADMIN': 'Ein Administrator hat dich getrennt.',
+  'info.unknown': 'Nachricht vom Server ({code}).',
+
+  // --- Server errors (`error.code` and `auth_error.code`) ---
+  'errors.BAD_JSON': 'Eine unlesbare Nachricht wurde an den Server gesendet.',
+  'errors.BAD_MESSAGE': 'Eine fehlerhafte Nachricht wurde an den Server gesendet.',
+  'errors.UNKNOWN_TYPE': 'Der Server kennt „{type}“ nicht.',
+  'errors.BAD_PAYLOAD': 'Ungültige Daten für „{type}“.',
+  'errors.HELLO_REQUIRED': 'Diese Version von Vocaline ist veraltet. Bitte lade die Seite neu.',
+  'errors.UNSUPPORTED_PROTOCOL_VERSION': 'Diese Version von Vocaline ist veraltet. Bitte lade die Seite neu.',
+  'errors.NOT_LOGGED_IN': 'Melde dich zuerst an oder erstelle ein Konto.',
+  'errors.ALREADY_IN_MATCHMAKING': 'Du suchst bereits einen Partner oder bist im Gespräch.',
+  'errors.NOT_IN_MATCHMAKING': 'Suche zuerst einen Partner, bevor du ihn wechselst.',
+  'errors.NOT_IN_CALL': 'Außerhalb eines Gesprächs nicht möglich.',
+  'errors.NO_PARTNER': 'Dafür gibt es keinen Partner.',
+  'errors.SESSION_ALREADY_ACTIVE': 'Auf dieser Verbindung ist bereits eine Sitzung aktiv.',
+  'errors.RATE_LIMITED': 'Zu viele Anfragen: Bitte warte einen Moment.',
+  'errors.COOLDOWN': 'Bitte warte, bevor du es erneut versuchst.',
+  'errors.TOO_MANY_CONNECTIONS': 'Zu viele Verbindungen aus deinem Netz. Bitte versuche es später erneut.',
+  'errors.AUTH_FAILED': 'Die Anmeldung ist fehlgeschlagen.',
+  'errors.ROOM_NAME_INVALID': 'Kanalnamen bestehen aus {min} bis {max} Buchstaben, Ziffern, Leerzeichen, Punkten, Binde- oder Unterstrichen.',
+  'errors.ROOM_FULL': 'Der Kanal „{name}“ ist voll ({capacity} Personen).',
+  'errors.ROOM_UNAVAILABLE': 'Du kannst dem Kanal „{name}“ gerade nicht beitreten.',
+  'errors.TOO_MANY_ROOMS': 'Im Moment können keine weiteren Kanäle geöffnet werden. Tritt einem bestehenden bei.',
+  'errors.ALREADY_IN_ROOM': 'Verlasse zuerst deinen Kanal.',
+  'errors.NOT_IN_ROOM': 'Du bist in keinem Kanal.',
+  'errors.NOT_A_ROOM_MEMBER': 'Dieses Mitglied ist nicht in deinem Kanal.',
+  'errors.UNKNOWN_CALL': 'Gespräch nicht gefunden.',
+  'errors.NOT_FRIENDS': 'Dieses Konto gehört nicht zu deinen Freunden.',
+  'errors.FRIEND_LIMIT_REACHED': 'Zu viele Freunde oder offene Anfragen.',
+  'errors.FRIEND_UNAVAILABLE': 'Dein Freund ist offline oder bereits im Gespräch.',
+  'errors.INVITE_EXPIRED': 'Diese Einladung ist abgelaufen.',
+  'errors.SERVER_ERROR': 'Auf dem Server ist etwas schiefgelaufen. Bitte versuche es gleich noch einmal.',
+  'errors.USERNAME_REQUIRED': 'Der Benutzername ist erforderlich.',
+  'errors.USERNAME_LENGTH': 'Der Benutzername muss {min} bis {max} Zeichen lang sein.',
+  'errors.USERNAME_INVALID_CHARACTERS': 'Der Benutzername darf nur Buchstaben, Ziffern, „_“, „.“ und „-“ enthalten.',
+  'errors.USERNAME_MIXED_SCRIPTS': 'Die Buchstaben des Benutzernamens müssen alle aus einem Alphabet stammen (zum Beispiel nicht Lateinisch und Kyrillisch gemischt).',
+  'errors.USERNAME_RESERVED': 'Dieser Benutzername ist reserviert.',
+  'errors.USERNAME_NOT_ALLOWED': 'Dieser Benutzername ist nicht erlaubt.',
+  'errors.USERNAME_TAKEN': 'Dieser Benutzername ist bereits vergeben.',
+  'errors.SECRET_LENGTH': 'PIN oder Passwort muss {min} bis {max} Zeichen lang sein.',
+  'errors.CREDENTIALS_REQUIRED': 'Benutzername und PIN oder Passwort sind erforderlich.',
+  'errors.LOGIN_LOCKED': 'Zu viele Fehlversuche. Bitte versuche es in ein paar Minuten erneut.',
+  'errors.INVALID_CREDENTIALS': 'Benutzername oder PIN/Passwort ungültig.',
+  'errors.INVALID_TOKEN': 'Die gespeicherte Anmeldung ist ungültig oder abgelaufen: Bitte melde dich erneut an.',
+  'errors.unknown': 'Unerwarteter Fehler ({code}).',
+};
+
+export default de;
@@ -0,0 +1,228 @@
+// --- English ---
+const en = {
+  // --- App ---
+  'app.tagline': 'Connect by voice with other truck drivers',
+  'app.updateAvailable': 'A new version of Vocaline is available.',
+  'app.refresh': 'Refresh the page',
+  'app.interfaceLanguage': 'Interface language',
+
+  // --- Common ---
+  'common.accept': 'Accept',
+  'common.decline': 'Decline',
+  'common.send': 'Send',
+  'common.mute': 'Mute microphone',
+  'common.unmute': 'Unmute microphone',
+  'common.changePartner': 'Change partner',
+  'common.you': 'You',
+
+  // --- Connection status ---
+  'status.disconnected': 'Disconnected',
+  'status.connected': 'Connected',
+  'status.waiting_for_match': 'Looking for a partner',
+  'status.reconnecting': 'Reconnecting',
+  'status.inCallWith': 'Connected with {username}',
+
+  // --- Realtime stats ---
+  'stats.title': 'Live statistics',
+  'stats.connectedUsers': 'Users online:',
+  'stats.waitingUsers': 'Waiting:',
+  'stats.activeConversations': 'Active conversations:',
+
+  // --- Account & matchmaking ---
+  'join.title': 'Join Vocaline',
+  'join.loggedInAs': 'Logged in as',
+  'join.switchAccount': 'Switch account',
+  'join.usernameLabel': 'Your username:',
+  'join.usernamePlaceholder': 'E.g. TruckerMike',
+  'join.secretLabel': 'PIN or password:',
+  'join.secretPlaceholder': 'At least 4 characters',
+  'join.rememberMe': 'Remember me',
+  'join.suspended': 'Your account is suspended until {date} following reports.',
+  'join.login': 'Log in',
+  'join.register': 'Create an account',
+  'join.languages': 'Languages spoken:',
+  'join.hardLanguages': 'Only with someone who speaks one of my languages',
+  'join.topic': 'Channel:',
+  'join.hardTopic': 'Only on this channel',
+  'join.joinMatchmaking': 'Join matchmaking',
+  'join.loginRequired': 'Please log in or create an account to join matchmaking.',
+  'topics.any': 'Any',
+  'topics.route_talk': 'Road talk',
+  'topics.parking_tips': 'Parking tips',
+  'topics.just_chatting': 'Just chatting',
+
+  // --- Microphone ---
+  'mic.required': 'Vocaline needs microphone access for voice calls. Please allow it.',
+  'mic.allowToJoin': 'Please allow microphone access to join Vocaline.',
+
+  // --- Group rooms ---
+  'rooms.title': 'Group channels',
+  'rooms.current': '📻 Channel “{name}” · {count}/{capacity} participants',
+  'rooms.you': '(you)',
+  'rooms.talking': 'Talking',
+  'rooms.muted': 'Muted',
+  'rooms.connecting': 'connecting...',
+  'rooms.connectionFailed': 'connection failed',
+  'rooms.alone': 'Nobody else on this channel yet.',
+  'rooms.leave': 'Leave channel',
+  'rooms.namePlaceholder': 'Channel name (e.g. A7 Lyon-Marseille)',
+  'rooms.joinOrCreate': 'Join or create',
+  'rooms.none': 'No open channels at the moment. Create your own!',
+  'rooms.full': 'Full',
+  'rooms.join': 'Join',
+  'rooms.refresh': 'Refresh list',
+
+  // --- Friends ---
+  'friends.title': 'Friends',
+  'friends.inviteReceived': '📞 {username} invites you to a call.',
+  'friends.invitePending': 'Invitation sent to {username}, waiting for an answer...',
+  'friends.requestReceived': '{username} wants to add you as a friend',
+  'friends.empty': 'No friends yet. After a good chat, add your partner!',
+  'friends.invite': 'Invite',
+  'friends.remove': 'Remove',
+  'friends.confirmRemove': 'Remove {username} from your friends?',
+  'friends.requestSent': 'Friend request sent to {username}.',
+  'friends.inviteDeclined': '{username} cannot answer right now.',
+  'presence.offline': 'Offline',
+  'presence.online': 'Online',
+  'presence.waiting': 'Looking for a partner',
+  'presence.in-call': 'In a call',
+
+  // --- Voice conversation ---
+  'call.title': 'Voice conversation',
+  'call.connectionStatus': 'Connection status:',
+  'call.active': '📞 Voice call active with {username}',
+  'call.topic': 'Channel: {topic}',
+  'call.languages': 'Language(s): {languages}',
+  'call.partnerTalking': '🗣️ {username} is talking...',
+  'call.partner': 'Partner',
+  'call.levelMeter': 'Audio level: {label}',
+  'call.micSilent': '🎙️ Your microphone seems silent: check that it is plugged in and that Vocaline can use it.',
+  'call.partnerReconnecting': '📶 {username} lost their connection, reconnecting...',
+  'call.recovering': '📶 Audio interrupted, reconnecting…',
+  'call.recoveryFailed': '📶 Could not restore audio with {username}.',
+  'call.serverReconnecting': '📶 Connection lost, reconnecting to the server...',
+  'call.disconnect': 'Disconnect',
+  'call.partnerLeft': '{username} left the conversation. Looking for a new partner...',
+  'call.partnerChanged': '{username} changed partners. Looking for a new partner...',
+  'call.sessionExpired': 'Your previous session has expired: please join again.',
+
+  // --- Call quality ---
+  'quality.connection': 'Connection: {type}',
+  'quality.label': 'Quality: {level}',
+  'quality.jitter': 'jitter {ms} ms',
+  'quality.loss': 'loss {percent} %',
+  'quality.good': 'Good',
+  'quality.fair': 'Fair',
+  'quality.poor': 'Poor',
+  'candidate.host': 'direct (local network)',
+  'candidate.srflx': 'direct',
+  'candidate.prflx': 'direct',
+  'candidate.relay': 'TURN relay',
+  'candidate.unknown': 'unknown',
+
+  // --- Push-to-talk ---
+  'talk.legend': 'Microphone:',
+  'talk.openMic': 'Open mic',
+  'talk.pushToTalk': 'Push to talk (button or space bar)',
+  'talk.rogerBeep': 'End-of-transmission beep (roger beep)',
+  'talk.transmitting': '🔴 You are talking...',
+  'talk.hold': 'Hold to talk',
+
+  // --- In-call chat ---
+  'chat.empty': 'No time to talk? Send {username} a message.',
+  'chat.placeholder': 'Your message...',
+  'quickReplies.back_in_2_min': 'Back in 2 min',
+  'quickReplies.must_hang_up': 'I have to hang up',
+  'quickReplies.drive_safe': 'Drive safe!',
+
+  // --- Moderation ---
+  'moderation.currentPartner': 'Current partner: {username}',
+  'moderation.lastPartner': 'Last partner: {username}',
+  'moderation.addFriend': 'Add as friend',
+  'moderation.block': 'Block',
+  'moderation.report': 'Report',
+  'moderation.detailsPlaceholder': 'Details (optional)',
+  'moderation.blockToo': 'Also block this user',
+  'moderation.sendReport': 'Send report',
+  'moderation.blocked': '{username} is blocked: you will not be matched again.',
+  'moderation.reportReceived': 'Report sent. Thank you, our team will review it.',
+  'reportReasons.harassment': 'Harassment',
+  'reportReasons.hate_speech': 'Hate speech',
+  'reportReasons.sexual_content': 'Sexual content',
+  'reportReasons.spam': 'Spam / advertising',
+  'reportReasons.impersonation': 'Impersonation',
+  'reportReasons.other': 'Other',
+
+  // --- Post-call rating ---
+  'rating.prompt': 'How was your call with {username}?',
+  'rating.good': 'Good call',
+  'rating.bad': 'Bad call',
+  'rating.skip': 'Skip',
+  'ratingTags.great_chat': 'Great chat',
+  'ratingTags.helpful': 'Helpful',
+  'ratingTags.funny': 'Funny',
+  'ratingTags.rude': 'Rude',
+  'ratingTags.inappropriate': 'Inappropriate',
+  'ratingTags.bad_audio': 'Bad audio',
+
+  // --- Logs & feedback ---
+  'logs.title': 'Frontend logs',
+  'feedback.title': 'Tell us what you think',
+  'feedback.placeholder': 'Write your feedback here...',
+  'feedback.thanks': 'Thank you for your feedback!',
+  'feedback.error': 'Sending failed: {error}',
+  'feedback.sending': 'Sending...',
+  'feedback.submit': 'Send my feedback',
+
+  // --- Server notices (`info.code`) ---
+  'info.LOGGED_IN_ELSEWHERE': 'You have logged in from another device.',
+  'info.DISCONNECTED_BY_ADMIN': 'You have been disconnected by an administrator.',
+  'info.unknown': 'Message from the server ({code}).',
+
+  // --- Server errors (`error.code` and `auth_error.code`) ---
+  'errors.BAD_JSON': 'An unreadable message was sent to the server.',
+  'errors.BAD_MESSAGE': 'A malformed message was sent to the server.',
+  'errors.UNKNOWN_TYPE': 'The server does not know “{type}”.',
+  'errors.BAD_PAYLOAD': 'Invalid data for “{type}”.',
+  'errors.HELLO_REQUIRED': 'This version of Vocaline is out of date. Please refresh the page.',
+  'errors.UNSUPPORTED_PROTOCOL_VERSION': 'This version of Vocaline is out of date. Please refresh the page.',
+  'errors.NOT_LOGGED_IN': 'Please log in or create an account first.',
+  'errors.ALREADY_IN_MATCHMAKING': 'You are already in matchmaking or a call.',
+  'errors.NOT_IN_MATCHMAKING': 'Join matchmaking before changing partner.',
+  'errors.NOT_IN_CALL': 'Not possible outside a call.',
+  'errors.NO_PARTNER': 'There is no partner for that.',
+  'errors.SESSION_ALREADY_ACTIVE': 'A session is already active on this connection.',
+  'errors.RATE_LIMITED': 'Too many requests: please wait a moment.',
+  'errors.COOLDOWN': 'Please wait before trying again.',
+  'errors.TOO_MANY_CONNECTIONS': 'Too many connections from your network. Please try again later.',
+  'errors.AUTH_FAILED': 'Authentication failed.',
+  'errors.ROOM_NAME_INVALID': 'Channel names are {min} to {max} letters, digits, spaces, dots, dashes or underscores.',
+  'errors.ROOM_FULL': 'Channel “{name}” is full ({capacity} people).',
+  'errors.ROOM_UNAVAILABLE': 'You cannot join channel “{name}” right now.',
+  'errors.TOO_MANY_ROOMS': 'No more channels can be opened right now. Join an existing one.',
+  'errors.ALREADY_IN_ROOM': 'Leave your channel first.',
+  'errors.NOT_IN_ROOM': 'You are not in a channel.',
+  'errors.NOT_A_ROOM_MEMBER': 'This member is not in your channel.',
+  'errors.UNKNOWN_CALL': 'Call not found.',
+  'errors.NOT_FRIENDS': 'This account is not one of your friends.',
+  'errors.FRIEND_LIMIT_REACHED': 'Too many friends or pending requests.',
+  'errors.FRIEND_UNAVAILABLE': 'Your friend is offline or already in a call.',
+  'errors.INVITE_EXPIRED': 'This invitation has expired.',
+  'errors.SERVER_ERROR': 'Something went wrong on the server. Please try again in a moment.',
+  'errors.USERNAME_REQUIRED': 'Username is required.',
+  'errors.USERNAME_LENGTH': 'Username must be {min} to {max} characters long.',
+  'errors.USERNAME_INVALID_CHARACTERS': 'Username may only contain letters, digits, “_”, “.” and “-”.',
+  'errors.USERNAME_MIXED_SCRIPTS': 'Username letters must all come from one alphabet (no mixing Latin and Cyrillic, for example).',
+  'errors.USERNAME_RESERVED': 'This username is reserved.',
+  'errors.USERNAME_NOT_ALLOWED': 'This username is not allowed.',
+  'errors.USERNAME_TAKEN': 'This username is already taken.',
+  'errors.SECRET_LENGTH': 'PIN or password must be {min} to {max} characters long.',
+  'errors.CREDENTIALS_REQUIRED': 'Username and PIN or password are required.',
+  'errors.LOGIN_LOCKED': 'Too many failed attempts. Please try again in a few minutes.',
+  'errors.INVALID_CREDENTIALS': 'Invalid username or PIN/password.',
+  'errors.INVALID_TOKEN': 'Saved login is invalid or expired: please log in again.',
+  'errors.unknown': 'Unexpected error ({code}).',
+};
+
+export default en;
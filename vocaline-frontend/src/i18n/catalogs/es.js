@@ -0,0 +1,228 @@
+// --- Español ---
+const es = {
+  // --- App ---
+  'app.tagline': 'Conéctate por voz con otros camioneros',
+  'app.updateAvailable': 'Hay una nueva versión de Vocaline disponible.',
+  'app.refresh': 'Recargar la página',
+  'app.interfaceLanguage': 'Idioma de la interfaz',
+
+  // --- Common ---
+  'common.accept': 'Aceptar',
+  'common.decline': 'Rechazar',
+  'common.send': 'Enviar',
+  'common.mute': 'Silenciar micrófono',
+  'common.unmute': 'Activar micrófono',
+  'common.changePartner': 'Cambiar de compañero',
+  'common.you': 'Tú',
+
+  // --- Connection status ---
+  'status.disconnected': 'Desconectado',
+  'status.connected': 'Conectado',
+  'status.waiting_for_match': 'Buscando compañero',
+  'status.reconnecting': 'Reconectando',
+  'status.inCallWith': 'Conectado con {username}',
+
+  // --- Realtime stats ---
+  'stats.title': 'Estadísticas en tiempo real',
+  'stats.connectedUsers': 'Usuarios conectados:',
+  'stats.waitingUsers': 'En espera:',
+  'stats.activeConversations': 'Conversaciones activas:',
+
+  // --- Account & matchmaking ---
+  'join.title': 'Únete a Vocaline',
+  'join.loggedInAs': 'Conectado como',
+  'join.switchAccount': 'Cambiar de cuenta',
+  'join.usernameLabel': 'Tu nombre de usuario:',
+  'join.usernamePlaceholder': 'Ej.: TruckerMike',
+  'join.secretLabel': 'PIN o contraseña:',
+  'join.secretPlaceholder': 'Mínimo 4 caracteres',
+  'join.rememberMe': 'Recordarme',
+  'join.suspended': 'Tu cuenta está suspendida hasta el {date} tras varias denuncias.',
+  'join.login': 'Iniciar sesión',
+  'join.register': 'Crear una cuenta',
+  'join.languages': 'Idiomas que hablas:',
+  'join.hardLanguages': 'Solo con alguien que hable uno de mis idiomas',
+  'join.topic': 'Canal:',
+  'join.hardTopic': 'Solo en este canal',
+  'join.joinMatchmaking': 'Buscar compañero',
+  'join.loginRequired': 'Inicia sesión o crea una cuenta para buscar compañero.',
+  'topics.any': 'Me da igual',
+  'topics.route_talk': 'Charla de carretera',
+  'topics.parking_tips': 'Consejos de aparcamiento',
+  'topics.just_chatting': 'Solo charlar',
+
+  // --- Microphone ---
+  'mic.required': 'Vocaline necesita acceso al micrófono para las llamadas de voz. Por favor, permítelo.',
+  'mic.allowToJoin': 'Permite el acceso al micrófono para unirte a Vocaline.',
+
+  // --- Group rooms ---
+  'rooms.title': 'Canales de grupo',
+  'rooms.current': '📻 Canal «{name}» · {count}/{capacity} participantes',
+  'rooms.you': '(tú)',
+  'rooms.talking': 'Hablando',
+  'rooms.muted': 'Micrófono silenciado',
+  'rooms.connecting': 'conectando...',
+  'rooms.connectionFailed': 'conexión imposible',
+  'rooms.alone': 'Todavía no hay nadie más en este canal.',
+  'rooms.leave': 'Salir del canal',
+  'rooms.namePlaceholder': 'Nombre del canal (ej.: A7 Lyon-Marseille)',
+  'rooms.joinOrCreate': 'Unirse o crear',
+  'rooms.none': 'No hay canales abiertos por ahora. ¡Crea el tuyo!',
+  'rooms.full': 'Completo',
+  'rooms.join': 'Unirse',
+  'rooms.refresh': 'Actualizar la lista',
+
+  // --- Friends ---
+  'friends.title': 'Amigos',
+  'friends.inviteReceived': '📞 {username} te invita a una llamada.',
+  'friends.invitePending': 'Invitación enviada a {username}, esperando respuesta...',
+  'friends.requestReceived': '{username} quiere añadirte como amigo',
+  'friends.empty': 'Todavía no tienes amigos. Después de una buena charla, ¡añade a tu compañero!',
+  'friends.invite': 'Invitar',
+  'friends.remove': 'Eliminar',
+  'friends.confirmRemove': '¿Eliminar a {username} de tus amigos?',
+  'friends.requestSent': 'Solicitud de amistad enviada a {username}.',
+  'friends.inviteDeclined': '{username} no puede responder ahora mismo.',
+  'presence.offline': 'Desconectado',
+  'presence.online': 'En línea',
+  'presence.waiting': 'Buscando compañero',
+  'presence.in-call': 'En una llamada',
+
+  // --- Voice conversation ---
+  'call.title': 'Conversación de voz',
+  'call.connectionStatus': 'Estado de la conexión:',
+  'call.active': '📞 Llamada de voz activa con {username}',
+  'call.topic': 'Canal: {topic}',
+  'call.languages': 'Idioma(s): {languages}',
+  'call.partnerTalking': '🗣️ {username} está hablando...',
+  'call.partner': 'Compañero',
+  'call.levelMeter': 'Nivel de audio: {label}',
+  'call.micSilent': '🎙️ Tu micrófono parece mudo: comprueba que está conectado y que Vocaline tiene acceso.',
+  'call.partnerReconnecting': '📶 {username} ha perdido la conexión, reconectando...',
+  'call.recovering': '📶 Audio interrumpido, reconectando…',
+  'call.recoveryFailed': '📶 No se pudo restablecer el audio con {username}.',
+  'call.serverReconnecting': '📶 Conexión perdida, reconectando con el servidor...',
+  'call.disconnect': 'Desconectarse',
+  'call.partnerLeft': '{username} ha salido de la conversación. Buscando un nuevo compañero...',
+  'call.partnerChanged': '{username} ha cambiado de compañero. Buscando un nuevo compañero...',
+  'call.sessionExpired': 'Tu sesión anterior ha caducado: vuelve a unirte.',
+
+  // --- Call quality ---
+  'quality.connection': 'Conexión: {type}',
+  'quality.label': 'Calidad: {level}',
+  'quality.jitter': 'jitter {ms} ms',
+  'quality.loss': 'pérdidas {percent} %',
+  'quality.good': 'Buena',
+  'quality.fair': 'Regular',
+  'quality.poor': 'Mala',
+  'candidate.host': 'directa (red local)',
+  'candidate.srflx': 'directa',
+  'candidate.prflx': 'directa',
+  'candidate.relay': 'relé TURN',
+  'candidate.unknown': 'desconocida',
+
+  // --- Push-to-talk ---
+  'talk.legend': 'Micrófono:',
+  'talk.openMic': 'Micrófono abierto',
+  'talk.pushToTalk': 'Pulsar para hablar (botón o barra espaciadora)',
+  'talk.rogerBeep': 'Pitido de fin de transmisión (roger beep)',
+  'talk.transmitting': '🔴 Estás hablando...',
+  'talk.hold': 'Mantén pulsado para hablar',
+
+  // --- In-call chat ---
+  'chat.empty': '¿No puedes hablar? Envía un mensaje a {username}.',
+  'chat.placeholder': 'Tu mensaje...',
+  'quickReplies.back_in_2_min': 'Vuelvo en 2 min',
+  'quickReplies.must_hang_up': 'Tengo que colgar',
+  'quickReplies.drive_safe': '¡Buen viaje!',
+
+  // --- Moderation ---
+  'moderation.currentPartner': 'Compañero actual: {username}',
+  'moderation.lastPartner': 'Último compañero: {username}',
+  'moderation.addFriend': 'Añadir como amigo',
+  'moderation.block': 'Bloquear',
+  'moderation.report': 'Denunciar',
+  'moderation.detailsPlaceholder': 'Detalles (opcional)',
+  'moderation.blockToo': 'Bloquear también a este usuario',
+  'moderation.sendReport': 'Enviar la denuncia',
+  'moderation.blocked': '{username} está bloqueado: no volveréis a coincidir.',
+  'moderation.reportReceived': 'Denuncia enviada. Gracias, nuestro equipo la revisará.',
+  'reportReasons.harassment': 'Acoso',
+  'reportReasons.hate_speech': 'Discurso de odio',
+  'reportReasons.sexual_content': 'Contenido sexual',
+  'reportReasons.spam': 'Spam / publicidad',
+  'reportReasons.impersonation': 'Suplantación de identidad',
+  'reportReasons.other': 'Otro',
+
+  // --- Post-call rating ---
+  'rating.prompt': '¿Qué tal la llamada con {username}?',
+  'rating.good': 'Buena llamada',
+  'rating.bad': 'Mala llamada',
+  'rating.skip': 'Omitir',
+  'ratingTags.great_chat': 'Gran charla',
+  'ratingTags.helpful': 'Servicial',
+  'ratingTags.funny': 'Divertido',
+  'ratingTags.rude': 'Maleducado',
+  'ratingTags.inappropriate': 'Inapropiado',
+  'ratingTags.bad_audio': 'Mal sonido',
+
+  // --- Logs & feedback ---
+  'logs.title': 'Registro del frontend',
+  'feedback.title': 'Tu opinión nos interesa',
+  'feedback.placeholder': 'Escribe tu opinión aquí...',
+  'feedback.thanks': '¡Gracias por tu opinión!',
+  'feedback.error': 'Error al enviar: {error}',
+  'feedback.sending': 'Enviando...',
+  'feedback.submit': 'Enviar mi opinión',
+
+  // --- Server notices (`info.code`) ---
+  'info.LOGGED_IN_ELSEWHERE': 'Has iniciado sesión desde otro dispositivo.',
+  'info.DISCONNECTED_BY_ADMIN': 'Un administrador te ha desconectado.',
+  'info.unknown': 'Mensaje del servidor ({code}).',
+
+  // --- Server errors (`error.code` and `auth_error.code`) ---
+  'errors.BAD_JSON': 'Se envió un mensaje ilegible al servidor.',
+  'errors.BAD_MESSAGE': 'Se envió un mensaje mal formado al servidor.',
+  'errors.UNKNOWN_TYPE': 'El servidor no conoce «{type}».',
+  'errors.BAD_PAYLOAD': 'Datos no válidos para «{type}».',
+  'errors.HELLO_REQUIRED': 'Esta versión de Vocaline está desactualizada. Recarga la página.',
+  'errors.UNSUPPORTED_PROTOCOL_VERSION': 'Esta versión de Vocaline está desactualizada. Recarga la página.',
+  'errors.NOT_LOGGED_IN': 'Primero inicia sesión o crea una cuenta.',
+  'errors.ALREADY_IN_MATCHMAKING': 'Ya estás buscando compañero o en una llamada.',
+  'errors.NOT_IN_MATCHMAKING': 'Busca compañero antes de cambiarlo.',
+  'errors.NOT_IN_CALL': 'No es posible fuera de una llamada.',
+  'errors.NO_PARTNER': 'No hay ningún compañero para eso.',
+  'errors.SESSION_ALREADY_ACTIVE': 'Ya hay una sesión activa en esta conexión.',
+  'errors.RATE_LIMITED': 'Demasiadas solicitudes: espera un momento.',
+  'errors.COOLDOWN': 'Espera antes de volver a intentarlo.',
+  'errors.TOO_MANY_CONNECTIONS': 'Demasiadas conexiones desde tu red. Inténtalo más tarde.',
+  'errors.AUTH_FAILED': 'La autenticación ha fallado.',
+  'errors.ROOM_NAME_INVALID': 'El nombre de un canal tiene de {min} a {max} letras, cifras, espacios, puntos, guiones o guiones bajos.',
+  'errors.ROOM_FULL': 'El canal «{name}» está completo ({capacity} personas).',
+  'errors.ROOM_UNAVAILABLE': 'No puedes unirte al canal «{name}» en este momento.',
+  'errors.TOO_MANY_ROOMS': 'Ahora mismo no se pueden abrir más canales. Únete a uno existente.',
+  'errors.ALREADY_IN_ROOM': 'Sal primero de tu canal.',
+  'errors.NOT_IN_ROOM': 'No estás en ningún canal.',
+  'errors.NOT_A_ROOM_MEMBER': 'Este miembro no está en tu canal.',
+  'errors.UNKNOWN_CALL': 'Llamada no encontrada.',
+  'errors.NOT_FRIENDS': 'Esta cuenta no es uno de tus amigos.',
+  'errors.FRIEND_LIMIT_REACHED': 'Demasiados amigos o solicitudes pendientes.',
+  'errors.FRIEND_UNAVAILABLE': 'Tu amigo está desconectado o ya en una llamada.',
+  'errors.INVITE_EXPIRED': 'Esta invitación ha caducado.',
+  'errors.SERVER_ERROR': 'Algo ha fallado en el servidor. Inténtalo de nuevo en un momento.',
+  'errors.USERNAME_REQUIRED': 'El nombre de usuario es obligatorio.',
+  'errors.USERNAME_LENGTH': 'El nombre de usuario debe tener de {min} a {max} caracteres.',
+  'errors.USERNAME_INVALID_CHARACTERS': 'El nombre de usuario solo puede contener letras, cifras, «_», «.» y «-».',
+  'errors.USERNAME_MIXED_SCRIPTS': 'Las letras del nombre de usuario deben ser todas del mismo alfabeto (sin mezclar latino y cirílico, por ejemplo).',
+  'errors.USERNAME_RESERVED': 'Este nombre de usuario está reservado.',
+  'errors.USERNAME_NOT_ALLOWED': 'Este nombre de usuario no está permitido.',
+  'errors.USERNAME_TAKEN': 'Este nombre de usuario ya está en uso.',
+  'errors.SECRET_LENGTH': 'El PIN o la contraseña debe tener de {min} a {max} caracteres.',
+  'errors.CREDENTIALS_REQUIRED': 'El nombre de usuario y el PIN o la contraseña son obligatorios.',
+  'errors.LOGIN_LOCKED': 'Demasiados intentos fallidos. Inténtalo de nuevo en unos minutos.',
+  'errors.INVALID_CREDENTIALS': 'Nombre de usuario o PIN/contraseña incorrectos.',
+  'errors.INVALID_TOKEN': 'El inicio de sesión guardado no es válido o ha caducado: vuelve a iniciar sesión.',
+  'errors.unknown': 'Error inesperado ({code}).',
+};
+
+export default es;
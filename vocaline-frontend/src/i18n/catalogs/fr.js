@@ -0,0 +1,230 @@
+// --- Français : catalogue de référence ---
+// Toute clé ajoutée ici doit l'être dans chaque catalogue (vérifié par i18n.test.js).
+// Les paramètres s'écrivent {nom} ; ils sont remplacés tels quels, sans échappement (React s'en charge).
+const fr = {
+  // --- App ---
+  'app.tagline': "Connectez-vous par la voix avec d'autres chauffeurs routiers",
+  'app.updateAvailable': 'Une nouvelle version de Vocaline est disponible.',
+  'app.refresh': 'Actualiser la page',
+  'app.interfaceLanguage': "Langue de l'interface",
+
+  // --- Common ---
+  'common.accept': 'Accepter',
+  'common.decline': 'Refuser',
+  'common.send': 'Envoyer',
+  'common.mute': 'Couper le micro',
+  'common.unmute': 'Réactiver le micro',
+  'common.changePartner': 'Changer de partenaire',
+  'common.you': 'Vous',
+
+  // --- Connection status ---
+  'status.disconnected': 'Déconnecté',
+  'status.connected': 'Connecté',
+  'status.waiting_for_match': "Recherche d'un partenaire",
+  'status.reconnecting': 'Reconnexion',
+  'status.inCallWith': 'Connecté avec {username}',
+
+  // --- Realtime stats ---
+  'stats.title': 'Statistiques en temps réel',
+  'stats.connectedUsers': 'Utilisateurs connectés:',
+  'stats.waitingUsers': 'En attente:',
+  'stats.activeConversations': 'Conversations actives:',
+
+  // --- Account & matchmaking ---
+  'join.title': 'Rejoindre Vocaline',
+  'join.loggedInAs': 'Connecté en tant que',
+  'join.switchAccount': 'Changer de compte',
+  'join.usernameLabel': "Votre nom d'utilisateur:",
+  'join.usernamePlaceholder': 'Ex: TruckerMike',
+  'join.secretLabel': 'Code PIN ou mot de passe:',
+  'join.secretPlaceholder': '4 caractères minimum',
+  'join.rememberMe': 'Se souvenir de moi',
+  'join.suspended': "Votre compte est suspendu jusqu'au {date} suite à des signalements.",
+  'join.login': 'Se connecter',
+  'join.register': 'Créer un compte',
+  'join.languages': 'Langues parlées:',
+  'join.hardLanguages': "Uniquement avec quelqu'un qui parle une de mes langues",
+  'join.topic': 'Canal:',
+  'join.hardTopic': 'Uniquement sur ce canal',
+  'join.joinMatchmaking': 'Rejoindre le matchmaking',
+  'join.loginRequired': 'Connectez-vous ou créez un compte pour rejoindre le matchmaking.',
+  'topics.any': 'Peu importe',
+  'topics.route_talk': 'Discussion route',
+  'topics.parking_tips': 'Bons plans parking',
+  'topics.just_chatting': 'Juste discuter',
+
+  // --- Microphone ---
+  'mic.required': "Vocaline a besoin d'accéder au micro pour les appels vocaux. Merci de l'autoriser.",
+  'mic.allowToJoin': "Autorisez l'accès au micro pour rejoindre Vocaline.",
+
+  // --- Group rooms ---
+  'rooms.title': 'Canaux de groupe',
+  'rooms.current': '📻 Canal « {name} » · {count}/{capacity} participants',
+  'rooms.you': '(vous)',
+  'rooms.talking': 'Parle',
+  'rooms.muted': 'Micro coupé',
+  'rooms.connecting': 'connexion...',
+  'rooms.connectionFailed': 'connexion impossible',
+  'rooms.alone': "Personne d'autre sur ce canal pour l'instant.",
+  'rooms.leave': 'Quitter le canal',
+  'rooms.namePlaceholder': 'Nom du canal (ex: A7 Lyon-Marseille)',
+  'rooms.joinOrCreate': 'Rejoindre ou créer',
+  'rooms.none': 'Aucun canal ouvert pour le moment. Créez le vôtre !',
+  'rooms.full': 'Complet',
+  'rooms.join': 'Rejoindre',
+  'rooms.refresh': 'Actualiser la liste',
+
+  // --- Friends ---
+  'friends.title': 'Amis',
+  'friends.inviteReceived': '📞 {username} vous invite à un appel.',
+  'friends.invitePending': 'Invitation envoyée à {username}, en attente de réponse...',
+  'friends.requestReceived': '{username} veut vous ajouter en ami',
+  'friends.empty': "Pas encore d'amis. Après une bonne discussion, ajoutez votre partenaire !",
+  'friends.invite': 'Inviter',
+  'friends.remove': 'Retirer',
+  'friends.confirmRemove': 'Retirer {username} de vos amis ?',
+  'friends.requestSent': "Demande d'ami envoyée à {username}.",
+  'friends.inviteDeclined': '{username} ne peut pas répondre pour le moment.',
+  'presence.offline': 'Hors ligne',
+  'presence.online': 'En ligne',
+  'presence.waiting': 'En recherche',
+  'presence.in-call': 'En appel',
+
+  // --- Voice conversation ---
+  'call.title': 'Conversation vocale',
+  'call.connectionStatus': 'Statut de connexion:',
+  'call.active': '📞 Appel vocal actif avec {username}',
+  'call.topic': 'Canal: {topic}',
+  'call.languages': 'Langue(s): {languages}',
+  'call.partnerTalking': '🗣️ {username} parle...',
+  'call.partner': 'Partenaire',
+  'call.levelMeter': 'Niveau audio : {label}',
+  'call.micSilent': "🎙️ Votre micro semble muet : vérifiez qu'il est branché et que Vocaline y a accès.",
+  'call.partnerReconnecting': '📶 {username} a perdu la connexion, reconnexion en cours...',
+  'call.recovering': '📶 Connexion audio interrompue, reconnexion…',
+  'call.recoveryFailed': "📶 Impossible de rétablir l'audio avec {username}.",
+  'call.serverReconnecting': '📶 Connexion perdue, reconnexion au serveur...',
+  'call.disconnect': 'Se déconnecter',
+  'call.partnerLeft': '{username} a quitté la conversation. Recherche d\'un nouveau partenaire...',
+  'call.partnerChanged': '{username} a changé de partenaire. Recherche d\'un nouveau partenaire...',
+  'call.sessionExpired': 'Votre session précédente a expiré : rejoignez à nouveau.',
+
+  // --- Call quality ---
+  'quality.connection': 'Connexion : {type}',
+  'quality.label': 'Qualité : {level}',
+  'quality.jitter': 'gigue {ms} ms',
+  'quality.loss': 'pertes {percent} %',
+  'quality.good': 'Bonne',
+  'quality.fair': 'Moyenne',
+  'quality.poor': 'Mauvaise',
+  'candidate.host': 'direct (réseau local)',
+  'candidate.srflx': 'direct',
+  'candidate.prflx': 'direct',
+  'candidate.relay': 'relais TURN',
+  'candidate.unknown': 'inconnue',
+
+  // --- Push-to-talk ---
+  'talk.legend': 'Micro:',
+  'talk.openMic': 'Micro ouvert',
+  'talk.pushToTalk': "Appuyer pour parler (bouton ou barre d'espace)",
+  'talk.rogerBeep': "Bip de fin d'émission (roger beep)",
+  'talk.transmitting': '🔴 Vous parlez...',
+  'talk.hold': 'Maintenir pour parler',
+
+  // --- In-call chat ---
+  'chat.empty': 'Pas le temps de parler ? Envoyez un message à {username}.',
+  'chat.placeholder': 'Votre message...',
+  'quickReplies.back_in_2_min': 'Je reviens dans 2 min',
+  'quickReplies.must_hang_up': 'Je dois raccrocher',
+  'quickReplies.drive_safe': 'Bonne route !',
+
+  // --- Moderation ---
+  'moderation.currentPartner': 'Partenaire actuel : {username}',
+  'moderation.lastPartner': 'Dernier partenaire : {username}',
+  'moderation.addFriend': 'Ajouter en ami',
+  'moderation.block': 'Bloquer',
+  'moderation.report': 'Signaler',
+  'moderation.detailsPlaceholder': 'Détails (facultatif)',
+  'moderation.blockToo': 'Bloquer aussi cet utilisateur',
+  'moderation.sendReport': 'Envoyer le signalement',
+  'moderation.blocked': '{username} est bloqué : vous ne serez plus mis en relation.',
+  'moderation.reportReceived': "Signalement envoyé. Merci, notre équipe va l'examiner.",
+  'reportReasons.harassment': 'Harcèlement',
+  'reportReasons.hate_speech': 'Propos haineux',
+  'reportReasons.sexual_content': 'Contenu sexuel',
+  'reportReasons.spam': 'Spam / publicité',
+  'reportReasons.impersonation': "Usurpation d'identité",
+  'reportReasons.other': 'Autre',
+
+  // --- Post-call rating ---
+  'rating.prompt': "Comment s'est passé l'appel avec {username} ?",
+  'rating.good': 'Bon appel',
+  'rating.bad': 'Mauvais appel',
+  'rating.skip': 'Passer',
+  'ratingTags.great_chat': 'Super discussion',
+  'ratingTags.helpful': 'Serviable',
+  'ratingTags.funny': 'Drôle',
+  'ratingTags.rude': 'Impoli',
+  'ratingTags.inappropriate': 'Déplacé',
+  'ratingTags.bad_audio': 'Mauvais son',
+
+  // --- Logs & feedback ---
+  'logs.title': 'Logs Frontend',
+  'feedback.title': 'Votre avis nous intéresse',
+  'feedback.placeholder': 'Écrivez votre avis ici...',
+  'feedback.thanks': 'Merci pour votre avis !',
+  'feedback.error': "Échec de l'envoi : {error}",
+  'feedback.sending': 'Envoi en cours...',
+  'feedback.submit': 'Envoyer mon avis',
+
+  // --- Server notices (`info.code`) ---
+  'info.LOGGED_IN_ELSEWHERE': 'Vous vous êtes connecté depuis un autre appareil.',
+  'info.DISCONNECTED_BY_ADMIN': 'Vous avez été déconnecté par un administrateur.',
+  'info.unknown': 'Message du serveur ({code}).',
+
+  // --- Server errors (`error.code` and `auth_error.code`) ---
+  'errors.BAD_JSON': "Message illisible envoyé au serveur.",
+  'errors.BAD_MESSAGE': 'Message mal formé envoyé au serveur.',
+  'errors.UNKNOWN_TYPE': 'Le serveur ne connaît pas « {type} ».',
+  'errors.BAD_PAYLOAD': 'Données invalides pour « {type} ».',
+  'errors.HELLO_REQUIRED': 'Cette version de Vocaline est périmée. Actualisez la page.',
+  'errors.UNSUPPORTED_PROTOCOL_VERSION': 'Cette version de Vocaline est périmée. Actualisez la page.',
+  'errors.NOT_LOGGED_IN': "Connectez-vous ou créez un compte d'abord.",
+  'errors.ALREADY_IN_MATCHMAKING': 'Vous êtes déjà en recherche ou en appel.',
+  'errors.NOT_IN_MATCHMAKING': "Rejoignez le matchmaking avant de changer de partenaire.",
+  'errors.NOT_IN_CALL': "Impossible hors d'un appel.",
+  'errors.NO_PARTNER': "Il n'y a pas de partenaire pour cela.",
+  'errors.SESSION_ALREADY_ACTIVE': 'Une session est déjà active sur cette connexion.',
+  'errors.RATE_LIMITED': 'Trop de requêtes : patientez un instant.',
+  'errors.COOLDOWN': 'Patientez avant de recommencer.',
+  'errors.TOO_MANY_CONNECTIONS': 'Trop de connexions depuis votre réseau. Réessayez plus tard.',
+  'errors.AUTH_FAILED': "L'authentification a échoué.",
+  'errors.ROOM_NAME_INVALID': 'Un nom de canal compte de {min} à {max} lettres, chiffres, espaces, points, tirets ou soulignés.',
+  'errors.ROOM_FULL': 'Le canal « {name} » est complet ({capacity} personnes).',
+  'errors.ROOM_UNAVAILABLE': 'Vous ne pouvez pas rejoindre le canal « {name} » pour le moment.',
+  'errors.TOO_MANY_ROOMS': "Plus aucun canal ne peut être ouvert pour l'instant. Rejoignez-en un existant.",
+  'errors.ALREADY_IN_ROOM': "Quittez d'abord votre canal.",
+  'errors.NOT_IN_ROOM': "Vous n'êtes dans aucun canal.",
+  'errors.NOT_A_ROOM_MEMBER': "Ce membre n'est pas dans votre canal.",
+  'errors.UNKNOWN_CALL': 'Appel introuvable.',
+  'errors.NOT_FRIENDS': "Ce compte ne fait pas partie de vos amis.",
+  'errors.FRIEND_LIMIT_REACHED': "Trop d'amis ou de demandes en attente.",
+  'errors.FRIEND_UNAVAILABLE': 'Votre ami est hors ligne ou déjà en appel.',
+  'errors.INVITE_EXPIRED': 'Cette invitation a expiré.',
+  'errors.SERVER_ERROR': 'Le serveur a rencontré un problème. Réessayez dans un instant.',
+  'errors.USERNAME_REQUIRED': "Le nom d'utilisateur est obligatoire.",
+  'errors.USERNAME_LENGTH': "Le nom d'utilisateur doit compter de {min} à {max} caractères.",
+  'errors.USERNAME_INVALID_CHARACTERS': "Le nom d'utilisateur ne peut contenir que des lettres, des chiffres, « _ », « . » et « - ».",
+  'errors.USERNAME_MIXED_SCRIPTS': "Les lettres du nom d'utilisateur doivent toutes venir d'un même alphabet (sans mélanger latin et cyrillique, par exemple).",
+  'errors.USERNAME_RESERVED': "Ce nom d'utilisateur est réservé.",
+  'errors.USERNAME_NOT_ALLOWED': "Ce nom d'utilisateur n'est pas autorisé.",
+  'errors.USERNAME_TAKEN': "Ce nom d'utilisateur est déjà pris.",
+  'errors.SECRET_LENGTH': 'Le code PIN ou mot de passe doit compter de {min} à {max} caractères.',
+  'errors.CREDENTIALS_REQUIRED': "Le nom d'utilisateur et le code PIN ou mot de passe sont obligatoires.",
+  'errors.LOGIN_LOCKED': 'Trop de tentatives échouées. Réessayez dans quelques minutes.',
+  'errors.INVALID_CREDENTIALS': "Nom d'utilisateur ou code PIN / mot de passe incorrect.",
+  'errors.INVALID_TOKEN': 'Connexion enregistrée invalide ou expirée : reconnectez-vous.',
+  'errors.unknown': 'Erreur inattendue ({code}).',
+};
+
+export default fr;
@@ -0,0 +1,228 @@
+// --- Polski ---
+const pl = {
+  // --- App ---
+  'app.tagline': 'Rozmawiaj głosowo z innymi kierowcami ciężarówek',
+  'app.updateAvailable': 'Dostępna jest nowa wersja Vocaline.',
+  'app.refresh': 'Odśwież stronę',
+  'app.interfaceLanguage': 'Język interfejsu',
+
+  // --- Common ---
+  'common.accept': 'Akceptuj',
+  'common.decline': 'Odrzuć',
+  'common.send': 'Wyślij',
+  'common.mute': 'Wycisz mikrofon',
+  'common.unmute': 'Włącz mikrofon',
+  'common.changePartner': 'Zmień rozmówcę',
+  'common.you': 'Ty',
+
+  // --- Connection status ---
+  'status.disconnected': 'Rozłączono',
+  'status.connected': 'Połączono',
+  'status.waiting_for_match': 'Szukanie rozmówcy',
+  'status.reconnecting': 'Ponowne łączenie',
+  'status.inCallWith': 'Połączono z {username}',
+
+  // --- Realtime stats ---
+  'stats.title': 'Statystyki na żywo',
+  'stats.connectedUsers': 'Użytkownicy online:',
+  'stats.waitingUsers': 'Oczekujący:',
+  'stats.activeConversations': 'Aktywne rozmowy:',
+
+  // --- Account & matchmaking ---
+  'join.title': 'Dołącz do Vocaline',
+  'join.loggedInAs': 'Zalogowano jako',
+  'join.switchAccount': 'Zmień konto',
+  'join.usernameLabel': 'Twoja nazwa użytkownika:',
+  'join.usernamePlaceholder': 'Np. TruckerMike',
+  'join.secretLabel': 'PIN lub hasło:',
+  'join.secretPlaceholder': 'Co najmniej 4 znaki',
+  'join.rememberMe': 'Zapamiętaj mnie',
+  'join.suspended': 'Twoje konto jest zawieszone do {date} w związku ze zgłoszeniami.',
+  'join.login': 'Zaloguj się',
+  'join.register': 'Utwórz konto',
+  'join.languages': 'Języki, którymi mówisz:',
+  'join.hardLanguages': 'Tylko z kimś, kto mówi jednym z moich języków',
+  'join.topic': 'Kanał:',
+  'join.hardTopic': 'Tylko na tym kanale',
+  'join.joinMatchmaking': 'Szukaj rozmówcy',
+  'join.loginRequired': 'Zaloguj się lub utwórz konto, aby szukać rozmówcy.',
+  'topics.any': 'Obojętnie',
+  'topics.route_talk': 'Rozmowy o trasie',
+  'topics.parking_tips': 'Porady parkingowe',
+  'topics.just_chatting': 'Po prostu pogadać',
+
+  // --- Microphone ---
+  'mic.required': 'Vocaline potrzebuje dostępu do mikrofonu do rozmów głosowych. Zezwól na dostęp.',
+  'mic.allowToJoin': 'Zezwól na dostęp do mikrofonu, aby dołączyć do Vocaline.',
+
+  // --- Group rooms ---
+  'rooms.title': 'Kanały grupowe',
+  'rooms.current': '📻 Kanał „{name}” · {count}/{capacity} uczestników',
+  'rooms.you': '(ty)',
+  'rooms.talking': 'Mówi',
+  'rooms.muted': 'Mikrofon wyciszony',
+  'rooms.connecting': 'łączenie...',
+  'rooms.connectionFailed': 'brak połączenia',
+  'rooms.alone': 'Na razie nikogo więcej nie ma na tym kanale.',
+  'rooms.leave': 'Opuść kanał',
+  'rooms.namePlaceholder': 'Nazwa kanału (np. A7 Lyon-Marseille)',
+  'rooms.joinOrCreate': 'Dołącz lub utwórz',
+  'rooms.none': 'Na razie nie ma otwartych kanałów. Utwórz własny!',
+  'rooms.full': 'Pełny',
+  'rooms.join': 'Dołącz',
+  'rooms.refresh': 'Odśwież listę',
+
+  // --- Friends ---
+  'friends.title': 'Znajomi',
+  'friends.inviteReceived': '📞 {username} zaprasza cię do rozmowy.',
+  'friends.invitePending': 'Zaproszenie wysłane do {username}, czekamy na odpowiedź...',
+  'friends.requestReceived': '{username} chce dodać cię do znajomych',
+  'friends.empty': 'Nie masz jeszcze znajomych. Po dobrej rozmowie dodaj swojego rozmówcę!',
+  'friends.invite': 'Zaproś',
+  'friends.remove': 'Usuń',
+  'friends.confirmRemove': 'Usunąć {username} ze znajomych?',
+  'friends.requestSent': 'Zaproszenie do znajomych wysłane do {username}.',
+  'friends.inviteDeclined': '{username} nie może teraz odpowiedzieć.',
+  'presence.offline': 'Offline',
+  'presence.online': 'Online',
+  'presence.waiting': 'Szuka rozmówcy',
+  'presence.in-call': 'W rozmowie',
+
+  // --- Voice conversation ---
+  'call.title': 'Rozmowa głosowa',
+  'call.connectionStatus': 'Stan połączenia:',
+  'call.active': '📞 Aktywna rozmowa głosowa z {username}',
+  'call.topic': 'Kanał: {topic}',
+  'call.languages': 'Język(i): {languages}',
+  'call.partnerTalking': '🗣️ {username} mówi...',
+  'call.partner': 'Rozmówca',
+  'call.levelMeter': 'Poziom dźwięku: {label}',
+  'call.micSilent': '🎙️ Twój mikrofon wydaje się nie działać: sprawdź, czy jest podłączony i czy Vocaline ma do niego dostęp.',
+  'call.partnerReconnecting': '📶 {username} stracił(a) połączenie, trwa ponowne łączenie...',
+  'call.recovering': '📶 Dźwięk przerwany, ponowne łączenie…',
+  'call.recoveryFailed': '📶 Nie udało się przywrócić dźwięku z {username}.',
+  'call.serverReconnecting': '📶 Utracono połączenie, ponowne łączenie z serwerem...',
+  'call.disconnect': 'Rozłącz się',
+  'call.partnerLeft': '{username} opuścił(a) rozmowę. Szukamy nowego rozmówcy...',
+  'call.partnerChanged': '{username} zmienił(a) rozmówcę. Szukamy nowego rozmówcy...',
+  'call.sessionExpired': 'Twoja poprzednia sesja wygasła: dołącz ponownie.',
+
+  // --- Call quality ---
+  'quality.connection': 'Połączenie: {type}',
+  'quality.label': 'Jakość: {level}',
+  'quality.jitter': 'jitter {ms} ms',
+  'quality.loss': 'straty {percent} %',
+  'quality.good': 'Dobra',
+  'quality.fair': 'Średnia',
+  'quality.poor': 'Słaba',
+  'candidate.host': 'bezpośrednie (sieć lokalna)',
+  'candidate.srflx': 'bezpośrednie',
+  'candidate.prflx': 'bezpośrednie',
+  'candidate.relay': 'przekaźnik TURN',
+  'candidate.unknown': 'nieznane',
+
+  // --- Push-to-talk ---
+  'talk.legend': 'Mikrofon:',
+  'talk.openMic': 'Otwarty mikrofon',
+  'talk.pushToTalk': 'Naciśnij, aby mówić (przycisk lub spacja)',
+  'talk.rogerBeep': 'Sygnał końca nadawania (roger beep)',
+  'talk.transmitting': '🔴 Mówisz...',
+  'talk.hold': 'Przytrzymaj, aby mówić',
+
+  // --- In-call chat ---
+  'chat.empty': 'Nie możesz rozmawiać? Wyślij wiadomość do {username}.',
+  'chat.placeholder': 'Twoja wiadomość...',
+  'quickReplies.back_in_2_min': 'Wracam za 2 min',
+  'quickReplies.must_hang_up': 'Muszę kończyć',
+  'quickReplies.drive_safe': 'Szerokiej drogi!',
+
+  // --- Moderation ---
+  'moderation.currentPartner': 'Obecny rozmówca: {username}',
+  'moderation.lastPartner': 'Ostatni rozmówca: {username}',
+  'moderation.addFriend': 'Dodaj do znajomych',
+  'moderation.block': 'Zablokuj',
+  'moderation.report': 'Zgłoś',
+  'moderation.detailsPlaceholder': 'Szczegóły (opcjonalnie)',
+  'moderation.blockToo': 'Zablokuj też tego użytkownika',
+  'moderation.sendReport': 'Wyślij zgłoszenie',
+  'moderation.blocked': '{username} jest zablokowany: nie zostaniecie już połączeni.',
+  'moderation.reportReceived': 'Zgłoszenie wysłane. Dziękujemy, nasz zespół je sprawdzi.',
+  'reportReasons.harassment': 'Nękanie',
+  'reportReasons.hate_speech': 'Mowa nienawiści',
+  'reportReasons.sexual_content': 'Treści seksualne',
+  'reportReasons.spam': 'Spam / reklama',
+  'reportReasons.impersonation': 'Podszywanie się',
+  'reportReasons.other': 'Inne',
+
+  // --- Post-call rating ---
+  'rating.prompt': 'Jak minęła rozmowa z {username}?',
+  'rating.good': 'Dobra rozmowa',
+  'rating.bad': 'Zła rozmowa',
+  'rating.skip': 'Pomiń',
+  'ratingTags.great_chat': 'Świetna rozmowa',
+  'ratingTags.helpful': 'Pomocny',
+  'ratingTags.funny': 'Zabawny',
+  'ratingTags.rude': 'Niegrzeczny',
+  'ratingTags.inappropriate': 'Niestosowny',
+  'ratingTags.bad_audio': 'Zły dźwięk',
+
+  // --- Logs & feedback ---
+  'logs.title': 'Logi frontendu',
+  'feedback.title': 'Twoja opinia jest dla nas ważna',
+  'feedback.placeholder': 'Napisz tutaj swoją opinię...',
+  'feedback.thanks': 'Dziękujemy za opinię!',
+  'feedback.error': 'Nie udało się wysłać: {error}',
+  'feedback.sending': 'Wysyłanie...',
+  'feedback.submit': 'Wyślij opinię',
+
+  // --- Server notices (`info.code`) ---
+  'info.LOGGED_IN_ELSEWHERE': 'Zalogowano się na innym urządzeniu.',
+  'info.DISCONNECTED_BY_ADMIN': 'Zostałeś rozłączony przez administratora.',
+  'info.unknown': 'Wiadomość serwera ({code}).',
+
+  // --- Server errors (`error.code` and `auth_error.code`) ---
+  'errors.BAD_JSON': 'Do serwera wysłano nieczytelną wiadomość.',
+  'errors.BAD_MESSAGE': 'Do serwera wysłano błędną wiadomość.',
+  'errors.UNKNOWN_TYPE': 'Serwer nie zna „{type}”.',
+  'errors.BAD_PAYLOAD': 'Nieprawidłowe dane dla „{type}”.',
+  'errors.HELLO_REQUIRED': 'Ta wersja Vocaline jest nieaktualna. Odśwież stronę.',
+  'errors.UNSUPPORTED_PROTOCOL_VERSION': 'Ta wersja Vocaline jest nieaktualna. Odśwież stronę.',
+  'errors.NOT_LOGGED_IN': 'Najpierw zaloguj się lub utwórz konto.',
+  'errors.ALREADY_IN_MATCHMAKING': 'Już szukasz rozmówcy lub rozmawiasz.',
+  'errors.NOT_IN_MATCHMAKING': 'Zacznij szukać rozmówcy, zanim go zmienisz.',
+  'errors.NOT_IN_CALL': 'Niemożliwe poza rozmową.',
+  'errors.NO_PARTNER': 'Nie ma do tego rozmówcy.',
+  'errors.SESSION_ALREADY_ACTIVE': 'Na tym połączeniu jest już aktywna sesja.',
+  'errors.RATE_LIMITED': 'Zbyt wiele żądań: odczekaj chwilę.',
+  'errors.COOLDOWN': 'Odczekaj chwilę przed ponowną próbą.',
+  'errors.TOO_MANY_CONNECTIONS': 'Zbyt wiele połączeń z twojej sieci. Spróbuj później.',
+  'errors.AUTH_FAILED': 'Uwierzytelnianie nie powiodło się.',
+  'errors.ROOM_NAME_INVALID': 'Nazwa kanału ma od {min} do {max} liter, cyfr, spacji, kropek, myślników lub podkreśleń.',
+  'errors.ROOM_FULL': 'Kanał „{name}” jest pełny ({capacity} osób).',
+  'errors.ROOM_UNAVAILABLE': 'Nie możesz teraz dołączyć do kanału „{name}”.',
+  'errors.TOO_MANY_ROOMS': 'Teraz nie można otworzyć więcej kanałów. Dołącz do istniejącego.',
+  'errors.ALREADY_IN_ROOM': 'Najpierw opuść swój kanał.',
+  'errors.NOT_IN_ROOM': 'Nie jesteś na żadnym kanale.',
+  'errors.NOT_A_ROOM_MEMBER': 'Ta osoba nie jest na twoim kanale.',
+  'errors.UNKNOWN_CALL': 'Nie znaleziono rozmowy.',
+  'errors.NOT_FRIENDS': 'To konto nie należy do twoich znajomych.',
+  'errors.FRIEND_LIMIT_REACHED': 'Zbyt wielu znajomych lub oczekujących zaproszeń.',
+  'errors.FRIEND_UNAVAILABLE': 'Twój znajomy jest offline lub już rozmawia.',
+  'errors.INVITE_EXPIRED': 'To zaproszenie wygasło.',
+  'errors.SERVER_ERROR': 'Wystąpił błąd serwera. Spróbuj ponownie za chwilę.',
+  'errors.USERNAME_REQUIRED': 'Nazwa użytkownika jest wymagana.',
+  'errors.USERNAME_LENGTH': 'Nazwa użytkownika musi mieć od {min} do {max} znaków.',
+  'errors.USERNAME_INVALID_CHARACTERS': 'Nazwa użytkownika może zawierać tylko litery, cyfry, „_”, „.” i „-”.',
+  'errors.USERNAME_MIXED_SCRIPTS': 'Litery w nazwie użytkownika muszą pochodzić z jednego alfabetu (bez mieszania np. łacinki i cyrylicy).',
+  'errors.USERNAME_RESERVED': 'Ta nazwa użytkownika jest zarezerwowana.',
+  'errors.USERNAME_NOT_ALLOWED': 'Ta nazwa użytkownika jest niedozwolona.',
+  'errors.USERNAME_TAKEN': 'Ta nazwa użytkownika jest już zajęta.',
+  'errors.SECRET_LENGTH': 'PIN lub hasło musi mieć od {min} do {max} znaków.',
+  'errors.CREDENTIALS_REQUIRED': 'Nazwa użytkownika i PIN lub hasło są wymagane.',
+  'errors.LOGIN_LOCKED': 'Zbyt wiele nieudanych prób. Spróbuj ponownie za kilka minut.',
+  'errors.INVALID_CREDENTIALS': 'Nieprawidłowa nazwa użytkownika lub PIN/hasło.',
+  'errors.INVALID_TOKEN': 'Zapisane logowanie jest nieważne lub wygasło: zaloguj się ponownie.',
+  'errors.unknown': 'Nieoczekiwany błąd ({code}).',
+};
+
+export default pl;
@@ -0,0 +1,228 @@
+// --- Română ---
+const ro = {
+  // --- App ---
+  'app.tagline': 'Vorbește cu alți șoferi de camion',
+  'app.updateAvailable': 'Este disponibilă o versiune nouă a Vocaline.',
+  'app.refresh': 'Reîncarcă pagina',
+  'app.interfaceLanguage': 'Limba interfeței',
+
+  // --- Common ---
+  'common.accept': 'Acceptă',
+  'common.decline': 'Refuză',
+  'common.send': 'Trimite',
+  'common.mute': 'Oprește microfonul',
+  'common.unmute': 'Pornește microfonul',
+  'common.changePartner': 'Schimbă partenerul',
+  'common.you': 'Tu',
+
+  // --- Connection status ---
+  'status.disconnected': 'Deconectat',
+  'status.connected': 'Conectat',
+  'status.waiting_for_match': 'Se caută un partener',
+  'status.reconnecting': 'Reconectare',
+  'status.inCallWith': 'Conectat cu {username}',
+
+  // --- Realtime stats ---
+  'stats.title': 'Statistici în timp real',
+  'stats.connectedUsers': 'Utilizatori conectați:',
+  'stats.waitingUsers': 'În așteptare:',
+  'stats.activeConversations': 'Conversații active:',
+
+  // --- Account & matchmaking ---
+  'join.title': 'Intră pe Vocaline',
+  'join.loggedInAs': 'Conectat ca',
+  'join.switchAccount': 'Schimbă contul',
+  'join.usernameLabel': 'Numele tău de utilizator:',
+  'join.usernamePlaceholder': 'Ex.: TruckerMike',
+  'join.secretLabel': 'PIN sau parolă:',
+  'join.secretPlaceholder': 'Minimum 4 caractere',
+  'join.rememberMe': 'Ține-mă minte',
+  'join.suspended': 'Contul tău este suspendat până la {date} în urma unor raportări.',
+  'join.login': 'Conectare',
+  'join.register': 'Creează un cont',
+  'join.languages': 'Limbi vorbite:',
+  'join.hardLanguages': 'Doar cu cineva care vorbește una dintre limbile mele',
+  'join.topic': 'Canal:',
+  'join.hardTopic': 'Doar pe acest canal',
+  'join.joinMatchmaking': 'Caută un partener',
+  'join.loginRequired': 'Conectează-te sau creează un cont pentru a căuta un partener.',
+  'topics.any': 'Oricare',
+  'topics.route_talk': 'Discuții de drum',
+  'topics.parking_tips': 'Sfaturi de parcare',
+  'topics.just_chatting': 'Doar o discuție',
+
+  // --- Microphone ---
+  'mic.required': 'Vocaline are nevoie de acces la microfon pentru apelurile vocale. Te rugăm să îl permiți.',
+  'mic.allowToJoin': 'Permite accesul la microfon pentru a intra pe Vocaline.',
+
+  // --- Group rooms ---
+  'rooms.title': 'Canale de grup',
+  'rooms.current': '📻 Canal „{name}” · {count}/{capacity} participanți',
+  'rooms.you': '(tu)',
+  'rooms.talking': 'Vorbește',
+  'rooms.muted': 'Microfon oprit',
+  'rooms.connecting': 'conectare...',
+  'rooms.connectionFailed': 'conectare imposibilă',
+  'rooms.alone': 'Deocamdată nu mai e nimeni pe acest canal.',
+  'rooms.leave': 'Părăsește canalul',
+  'rooms.namePlaceholder': 'Numele canalului (ex.: A7 Lyon-Marseille)',
+  'rooms.joinOrCreate': 'Intră sau creează',
+  'rooms.none': 'Niciun canal deschis momentan. Creează-l pe al tău!',
+  'rooms.full': 'Plin',
+  'rooms.join': 'Intră',
+  'rooms.refresh': 'Actualizează lista',
+
+  // --- Friends ---
+  'friends.title': 'Prieteni',
+  'friends.inviteReceived': '📞 {username} te invită la un apel.',
+  'friends.invitePending': 'Invitație trimisă către {username}, se așteaptă răspunsul...',
+  'friends.requestReceived': '{username} vrea să te adauge ca prieten',
+  'friends.empty': 'Încă nu ai prieteni. După o discuție bună, adaugă-ți partenerul!',
+  'friends.invite': 'Invită',
+  'friends.remove': 'Elimină',
+  'friends.confirmRemove': 'Elimini pe {username} din prieteni?',
+  'friends.requestSent': 'Cerere de prietenie trimisă către {username}.',
+  'friends.inviteDeclined': '{username} nu poate răspunde acum.',
+  'presence.offline': 'Deconectat',
+  'presence.online': 'Online',
+  'presence.waiting': 'Caută un partener',
+  'presence.in-call': 'În apel',
+
+  // --- Voice conversation ---
+  'call.title': 'Conversație vocală',
+  'call.connectionStatus': 'Starea conexiunii:',
+  'call.active': '📞 Apel vocal activ cu {username}',
+  'call.topic': 'Canal: {topic}',
+  'call.languages': 'Limbă(i): {languages}',
+  'call.partnerTalking': '🗣️ {username} vorbește...',
+  'call.partner': 'Partener',
+  'call.levelMeter': 'Nivel audio: {label}',
+  'call.micSilent': '🎙️ Microfonul tău pare să nu funcționeze: verifică dacă este conectat și dacă Vocaline are acces la el.',
+  'call.partnerReconnecting': '📶 {username} a pierdut conexiunea, se reconectează...',
+  'call.recovering': '📶 Sunet întrerupt, reconectare…',
+  'call.recoveryFailed': '📶 Sunetul cu {username} nu a putut fi restabilit.',
+  'call.serverReconnecting': '📶 Conexiune pierdută, reconectare la server...',
+  'call.disconnect': 'Deconectare',
+  'call.partnerLeft': '{username} a părăsit conversația. Se caută un partener nou...',
+  'call.partnerChanged': '{username} și-a schimbat partenerul. Se caută un partener nou...',
+  'call.sessionExpired': 'Sesiunea ta anterioară a expirat: intră din nou.',
+
+  // --- Call quality ---
+  'quality.connection': 'Conexiune: {type}',
+  'quality.label': 'Calitate: {level}',
+  'quality.jitter': 'jitter {ms} ms',
+  'quality.loss': 'pierderi {percent} %',
+  'quality.good': 'Bună',
+  'quality.fair': 'Medie',
+  'quality.poor': 'Slabă',
+  'candidate.host': 'directă (rețea locală)',
+  'candidate.srflx': 'directă',
+  'candidate.prflx': 'directă',
+  'candidate.relay': 'releu TURN',
+  'candidate.unknown': 'necunoscută',
+
+  // --- Push-to-talk ---
+  'talk.legend': 'Microfon:',
+  'talk.openMic': 'Microfon deschis',
+  'talk.pushToTalk': 'Apasă pentru a vorbi (buton sau bara de spațiu)',
+  'talk.rogerBeep': 'Bip de sfârșit de emisie (roger beep)',
+  'talk.transmitting': '🔴 Vorbești...',
+  'talk.hold': 'Ține apăsat pentru a vorbi',
+
+  // --- In-call chat ---
+  'chat.empty': 'Nu poți vorbi? Trimite-i un mesaj lui {username}.',
+  'chat.placeholder': 'Mesajul tău...',
+  'quickReplies.back_in_2_min': 'Revin în 2 min',
+  'quickReplies.must_hang_up': 'Trebuie să închid',
+  'quickReplies.drive_safe': 'Drum bun!',
+
+  // --- Moderation ---
+  'moderation.currentPartner': 'Partenerul actual: {username}',
+  'moderation.lastPartner': 'Ultimul partener: {username}',
+  'moderation.addFriend': 'Adaugă ca prieten',
+  'moderation.block': 'Blochează',
+  'moderation.report': 'Raportează',
+  'moderation.detailsPlaceholder': 'Detalii (opțional)',
+  'moderation.blockToo': 'Blochează și acest utilizator',
+  'moderation.sendReport': 'Trimite raportarea',
+  'moderation.blocked': '{username} este blocat: nu veți mai fi puși în legătură.',
+  'moderation.reportReceived': 'Raportare trimisă. Mulțumim, echipa noastră o va analiza.',
+  'reportReasons.harassment': 'Hărțuire',
+  'reportReasons.hate_speech': 'Discurs instigator la ură',
+  'reportReasons.sexual_content': 'Conținut sexual',
+  'reportReasons.spam': 'Spam / publicitate',
+  'reportReasons.impersonation': 'Uzurpare de identitate',
+  'reportReasons.other': 'Altceva',
+
+  // --- Post-call rating ---
+  'rating.prompt': 'Cum a fost apelul cu {username}?',
+  'rating.good': 'Apel bun',
+  'rating.bad': 'Apel prost',
+  'rating.skip': 'Sari peste',
+  'ratingTags.great_chat': 'Discuție grozavă',
+  'ratingTags.helpful': 'Săritor',
+  'ratingTags.funny': 'Amuzant',
+  'ratingTags.rude': 'Nepoliticos',
+  'ratingTags.inappropriate': 'Nepotrivit',
+  'ratingTags.bad_audio': 'Sunet prost',
+
+  // --- Logs & feedback ---
+  'logs.title': 'Jurnal frontend',
+  'feedback.title': 'Părerea ta contează',
+  'feedback.placeholder': 'Scrie-ți părerea aici...',
+  'feedback.thanks': 'Mulțumim pentru părere!',
+  'feedback.error': 'Trimiterea a eșuat: {error}',
+  'feedback.sending': 'Se trimite...',
+  'feedback.submit': 'Trimite părerea',
+
+  // --- Server notices (`info.code`) ---
+  'info.LOGGED_IN_ELSEWHERE': 'Te-ai conectat de pe alt dispozitiv.',
+  'info.DISCONNECTED_BY_ADMIN': 'Ai fost deconectat de un administrator.',
+  'info.unknown': 'Mesaj de la server ({code}).',
+
+  // --- Server errors (`error.code` and `auth_error.code`) ---
+  'errors.BAD_JSON': 'S-a trimis un mesaj ilizibil către server.',
+  'errors.BAD_MESSAGE': 'S-a trimis un mesaj incorect către server.',
+  'errors.UNKNOWN_TYPE': 'Serverul nu cunoaște „{type}”.',
+  'errors.BAD_PAYLOAD': 'Date invalide pentru „{type}”.',
+  'errors.HELLO_REQUIRED': 'Această versiune Vocaline este învechită. Reîncarcă pagina.',
+  'errors.UNSUPPORTED_PROTOCOL_VERSION': 'Această versiune Vocaline este învechită. Reîncarcă pagina.',
+  'errors.NOT_LOGGED_IN': 'Mai întâi conectează-te sau creează un cont.',
+  'errors.ALREADY_IN_MATCHMAKING': 'Cauți deja un partener sau ești într-un apel.',
+  'errors.NOT_IN_MATCHMAKING': 'Caută un partener înainte de a-l schimba.',
+  'errors.NOT_IN_CALL': 'Imposibil în afara unui apel.',
+  'errors.NO_PARTNER': 'Nu există niciun partener pentru asta.',
+  'errors.SESSION_ALREADY_ACTIVE': 'Există deja o sesiune activă pe această conexiune.',
+  'errors.RATE_LIMITED': 'Prea multe cereri: așteaptă puțin.',
+  'errors.COOLDOWN': 'Așteaptă înainte de a încerca din nou.',
+  'errors.TOO_MANY_CONNECTIONS': 'Prea multe conexiuni din rețeaua ta. Încearcă mai târziu.',
+  'errors.AUTH_FAILED': 'Autentificarea a eșuat.',
+  'errors.ROOM_NAME_INVALID': 'Numele unui canal are între {min} și {max} litere, cifre, spații, puncte, cratime sau liniuțe jos.',
+  'errors.ROOM_FULL': 'Canalul „{name}” este plin ({capacity} persoane).',
+  'errors.ROOM_UNAVAILABLE': 'Nu poți intra acum în canalul „{name}”.',
+  'errors.TOO_MANY_ROOMS': 'Momentan nu se mai pot deschide canale. Intră într-unul existent.',
+  'errors.ALREADY_IN_ROOM': 'Mai întâi părăsește canalul tău.',
+  'errors.NOT_IN_ROOM': 'Nu ești pe niciun canal.',
+  'errors.NOT_A_ROOM_MEMBER': 'Acest membru nu este pe canalul tău.',
+  'errors.UNKNOWN_CALL': 'Apelul nu a fost găsit.',
+  'errors.NOT_FRIENDS': 'Acest cont nu este printre prietenii tăi.',
+  'errors.FRIEND_LIMIT_REACHED': 'Prea mulți prieteni sau cereri în așteptare.',
+  'errors.FRIEND_UNAVAILABLE': 'Prietenul tău este deconectat sau deja într-un apel.',
+  'errors.INVITE_EXPIRED': 'Această invitație a expirat.',
+  'errors.SERVER_ERROR': 'A apărut o problemă pe server. Încearcă din nou peste câteva momente.',
+  'errors.USERNAME_REQUIRED': 'Numele de utilizator este obligatoriu.',
+  'errors.USERNAME_LENGTH': 'Numele de utilizator trebuie să aibă între {min} și {max} caractere.',
+  'errors.USERNAME_INVALID_CHARACTERS': 'Numele de utilizator poate conține doar litere, cifre, „_”, „.” și „-”.',
+  'errors.USERNAME_MIXED_SCRIPTS': 'Literele numelui de utilizator trebuie să fie toate din același alfabet (fără a amesteca, de exemplu, latina și chirilica).',
+  'errors.USERNAME_RESERVED': 'Acest nume de utilizator este rezervat.',
+  'errors.USERNAME_NOT_ALLOWED': 'Acest nume de utilizator nu este permis.',
+  'errors.USERNAME_TAKEN': 'Acest nume de utilizator este deja folosit.',
+  'errors.SECRET_LENGTH': 'PIN-ul sau parola trebuie să aibă între {min} și {max} caractere.',
+  'errors.CREDENTIALS_REQUIRED': 'Numele de utilizator și PIN-ul sau parola sunt obligatorii.',
+  'errors.LOGIN_LOCKED': 'Prea multe încercări eșuate. Încearcă din nou peste câteva minute.',
+  'errors.INVALID_CREDENTIALS': 'Nume de utilizator sau PIN/parolă incorecte.',
+  'errors.INVALID_TOKEN': 'Conectarea salvată este invalidă sau a expirat: conectează-te din nou.',
+  'errors.unknown': 'Eroare neașteptată ({code}).',
+};
+
+export default ro;
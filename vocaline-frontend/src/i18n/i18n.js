@@ -0,0 +1,87 @@
+// --- i18n: interface catalogs, locale detection and the useI18n hook ---
+//
+// Chaque catalogue associe une clé (« join.title ») à un texte où les paramètres s'écrivent {nom}.
+// Le français est la langue de référence : une clé absente d'un autre catalogue retombe sur le texte
+// français, une clé inconnue s'affiche telle quelle. Le serveur n'envoie pas de phrases mais des codes
+// (`error.code`, `info.code`...) et leurs paramètres : serverMessage() en fait une clé de catalogue.
+import { useCallback, useEffect, useState } from 'react';
+import fr from './catalogs/fr';
+import en from './catalogs/en';
+import es from './catalogs/es';
+import pl from './catalogs/pl';
+import ro from './catalogs/ro';
+import de from './catalogs/de';
+
+const CATALOGS = { fr, en, es, pl, ro, de };
+const REFERENCE_LOCALE = 'fr';
+
+// Langues proposées par le sélecteur, chacune nommée dans sa propre langue.
+export const LOCALES = [
+  { code: 'fr', label: 'Français' },
+  { code: 'en', label: 'English' },
+  { code: 'es', label: 'Español' },
+  { code: 'pl', label: 'Polski' },
+  { code: 'ro', label: 'Română' },
+  { code: 'de', label: 'Deutsch' },
+];
+// Navigateur dans une langue que nous ne traduisons pas : l'anglais est le plus partagé sur la route.
+export const DEFAULT_LOCALE = 'en';
+export const LOCALE_STORAGE_KEY = 'vocaline.locale';
+
+export const isSupportedLocale = (code) => Object.prototype.hasOwnProperty.call(CATALOGS, code);
+
+// Première langue du navigateur (« pl-PL » → « pl ») que nous savons afficher.
+export const detectLocale = (browserLanguages = navigator.languages || [navigator.language]) => {
+  const match = browserLanguages
+    .filter(Boolean)
+    .map(language => language.slice(0, 2).toLowerCase())
+    .find(isSupportedLocale);
+  return match || DEFAULT_LOCALE;
+};
+
+export const hasMessage = (key) => Object.prototype.hasOwnProperty.call(CATALOGS[REFERENCE_LOCALE], key);
+
+export const translate = (locale, key, params = {}) => {
+  const catalog = CATALOGS[locale] || CATALOGS[REFERENCE_LOCALE];
+  const template = catalog[key] !== undefined ? catalog[key] : CATALOGS[REFERENCE_LOCALE][key];
+  if (template === undefined) {
+    return key;
+  }
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (
+    params && params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder
+  ));
+};
+
+// { key, params } d'un message codé du serveur, à passer à t() au rendu (il suit ainsi la langue choisie).
+// `namespace` vaut 'errors' (error, auth_error) ou 'info' ; un code que cette version ne connaît pas
+// encore s'affiche via `${namespace}.unknown`.
+export const serverMessage = (namespace, { code, params }) => (
+  hasMessage(`${namespace}.${code}`) ? { key: `${namespace}.${code}`, params } : { key: `${namespace}.unknown`, params: { code } }
+);
+
+const initialLocale = () => {
+  const stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+  return isSupportedLocale(stored) ? stored : detectLocale();
+};
+
+// --- Hook: the current locale (remembered in the browser), a setter and t(key, params) ---
+export function useI18n() {
+  const [locale, setLocaleState] = useState(initialLocale);
+
+  // Lecteurs d'écran et césure suivent la langue affichée.
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  const setLocale = useCallback((code) => {
+    if (!isSupportedLocale(code)) {
+      return;
+    }
+    localStorage.setItem(LOCALE_STORAGE_KEY, code);
+    setLocaleState(code);
+  }, []);
+
+  const t = useCallback((key, params) => translate(locale, key, params), [locale]);
+
+  return { locale, setLocale, t };
+}
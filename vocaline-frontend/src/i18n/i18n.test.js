@@ -0,0 +1,42 @@
+import { detectLocale, LOCALES, serverMessage, translate } from './i18n';
+import fr from './catalogs/fr';
+import en from './catalogs/en';
+import es from './catalogs/es';
+import pl from './catalogs/pl';
+import ro from './catalogs/ro';
+import de from './catalogs/de';
+
+const CATALOGS = { fr, en, es, pl, ro, de };
+const placeholders = (template) => (template.match(/\{\w+\}/g) || []).sort();
+
+test('every locale offered by the switcher has a catalog', () => {
+  expect(LOCALES.map(locale => locale.code).sort()).toEqual(Object.keys(CATALOGS).sort());
+});
+
+test.each(Object.keys(CATALOGS).filter(code => code !== 'fr'))('the %s catalog has the same keys and placeholders as fr', (code) => {
+  const catalog = CATALOGS[code];
+  expect(Object.keys(catalog).sort()).toEqual(Object.keys(fr).sort());
+  Object.keys(fr).forEach(key => {
+    expect([key, placeholders(catalog[key])]).toEqual([key, placeholders(fr[key])]);
+  });
+});
+
+test('picks the first browser language it can display, English otherwise', () => {
+  expect(detectLocale(['pl-PL', 'en-US'])).toBe('pl');
+  expect(detectLocale(['it-IT', 'de'])).toBe('de');
+  expect(detectLocale(['ja-JP'])).toBe('en');
+  expect(detectLocale([undefined])).toBe('en');
+});
+
+test('interpolates parameters and falls back to French, then to the key', () => {
+  expect(translate('en', 'errors.ROOM_FULL', { name: 'A7', capacity: 8 })).toBe('Channel “A7” is full (8 people).');
+  expect(translate('xx', 'join.title')).toBe('Rejoindre Vocaline');
+  expect(translate('en', 'status.inCallWith')).toBe('Connected with {username}');
+  expect(translate('en', 'no.such.key')).toBe('no.such.key');
+});
+
+test('maps server codes to catalog keys, unknown codes included', () => {
+  expect(serverMessage('errors', { code: 'USERNAME_LENGTH', params: { min: 3, max: 20 } }))
+    .toEqual({ key: 'errors.USERNAME_LENGTH', params: { min: 3, max: 20 } });
+  expect(serverMessage('info', { code: 'SOMETHING_NEW' })).toEqual({ key: 'info.unknown', params: { code: 'SOMETHING_NEW' } });
+});
@@ -0,0 +1,44 @@
+/* eslint-disable no-restricted-globals */
+// --- Service worker: app-shell cache ---
+// Compilé par react-scripts (InjectManifest) : self.__WB_MANIFEST reçoit la liste des fichiers du build.
+// Dans la cabine, la couverture va et vient : le shell (HTML, JS, CSS, icônes) est servi depuis le cache,
+// seul le backend (WebSocket, API, autre origine) passe par le réseau.
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { matchPrecache, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { NetworkOnly, StaleWhileRevalidate } from 'workbox-strategies';
+
+const INDEX_HTML = `${process.env.PUBLIC_URL}/index.html`;
+// Au-delà, on sert le shell en cache plutôt que de laisser le chauffeur devant une page blanche.
+const NAVIGATION_TIMEOUT_SECONDS = 3;
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// Navigations : le réseau d'abord, pour qu'un simple rechargement (bannière de mise à jour) récupère la
+// dernière version ; le index.html précaché sinon, cohérent avec les bundles précachés en même temps.
+const isAppNavigation = ({ request, url }) => request.mode === 'navigate'
+  && !url.pathname.startsWith('/_')
+  && !url.pathname.match(/\/[^/?]+\.[^/]+$/);
+registerRoute(isAppNavigation, new NetworkOnly({
+  networkTimeoutSeconds: NAVIGATION_TIMEOUT_SECONDS,
+  plugins: [{ handlerDidError: async () => matchPrecache(INDEX_HTML) }],
+}));
+
+// Fichiers de public/ hors build (icônes, manifest).
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(png|ico|json)$/.test(url.pathname),
+  new StaleWhileRevalidate({
+    cacheName: 'public-assets',
+    plugins: [new ExpirationPlugin({ maxEntries: 20 })],
+  })
+);
+
+// Une nouvelle version s'active sans attendre la fermeture de tous les onglets (voir serviceWorkerRegistration).
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
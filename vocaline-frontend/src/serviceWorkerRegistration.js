@@ -0,0 +1,37 @@
+// --- Service worker registration ---
+// Uniquement dans le build de production : en développement, un cache rendrait le rechargement à chaud trompeur.
+// Une version plus récente du service worker s'active dès son installation (SKIP_WAITING) ; comme les
+// navigations passent d'abord par le réseau, l'appel en cours n'est pas interrompu et le prochain
+// rechargement affiche la nouvelle version.
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+  // Un PUBLIC_URL sur un CDN (autre origine) ne peut pas héberger notre service worker.
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) {
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then((registration) => {
+        registration.addEventListener('updatefound', () => {
+          const installingWorker = registration.installing;
+          if (!installingWorker) {
+            return;
+          }
+          installingWorker.addEventListener('statechange', () => {
+            // Sans contrôleur, c'est la première installation : rien à remplacer.
+            if (installingWorker.state === 'installed' && navigator.serviceWorker.controller) {
+              installingWorker.postMessage({ type: 'SKIP_WAITING' });
+            }
+          });
+        });
+      })
+      .catch((error) => {
+        console.error('Service worker registration failed:', error);
+      });
+  });
+}